@@ -4,33 +4,57 @@
  * enst CLI
  *
  * Computes ENST (Energy-Normalized System Throughput) from TSV records.
- * Supports dual-mode work units (infra/domain) and cost calculation.
+ * Work units come from the registered modes (infra, domain, flops, tokens and
+ * any --work-units-plugin modules); cost is computed per site.
  */
 
 import { parseArgs } from 'node:util';
-import { createReadStream, createWriteStream } from 'node:fs';
-import { createInterface } from 'node:readline';
+import { createWriteStream } from 'node:fs';
 import { mkdir } from 'node:fs/promises';
 import { join } from 'node:path';
 
 import {
   computeEnstStream,
+  ENERGY_BASES,
   EnstLeaderboard,
   writeLeaderboardCsv,
-  computeSummaryStats
+  computeSummaryStats,
+  parseWorkUnitsOptions,
+  listWorkUnitsModes,
+  loadWorkUnitsPlugin,
+  workUnitsUnitLabel,
+  DEFAULT_HARDWARE_MODELS,
+  DEFAULT_ESTIMATE_PRECISION,
+  DEFAULT_PUE,
+  WORK_UNITS_CLI_OPTIONS
 } from '../src/enst_compute/index.js';
 import { DEFAULT_PRICE_USD_PER_MWH } from '../src/cost/index.js';
+import { IDENTITY_LEVELS } from '../src/identity/index.js';
+import { createTsvValidator, validateRecords } from '../src/schema/index.js';
+import { checkSchemaVersion, TSV_SCHEMA_VERSION } from '../src/migrate/index.js';
+import { readColumnar, isColumnarFile } from '../src/columnar/index.js';
+import { writeParquet, readParquet, isParquetFile } from '../src/parquet/index.js';
+import { readRecords, ErrorBudget, parseErrorBudget, STDIO_PATH } from '../src/io/index.js';
 
 const options = {
   'input': { type: 'string', short: 'i', default: 'outputs/tsv.ndjson' },
   'output-dir': { type: 'string', short: 'o', default: 'outputs' },
   'format': { type: 'string', short: 'f', default: 'all' },
-  'work-units-mode': { type: 'string', short: 'm', default: 'infra' },
-  'gpu-weight': { type: 'string', default: '1' },
+  ...WORK_UNITS_CLI_OPTIONS,
   'default-price-usd-per-mwh': { type: 'string', default: '50' },
+  'group-by': { type: 'string', default: 'cluster' },
+  'rank-by': { type: 'string', default: 'it' },
+  'default-pue': { type: 'string', default: String(DEFAULT_PUE) },
+  'validate': { type: 'boolean', default: false },
+  'strict': { type: 'boolean', default: false },
+  'quarantine': { type: 'string' },
+  'migrate': { type: 'boolean', default: false },
+  'error-budget': { type: 'string' },
   'help': { type: 'boolean', short: 'h' }
 };
 
+const OUTPUT_FORMATS = ['csv', 'json', 'parquet'];
+
 function printUsage() {
   console.log(`
 enst - Compute Energy-Normalized System Throughput
@@ -39,42 +63,93 @@ Usage:
   enst [options]
 
 Options:
-  -i, --input <path>                Input TSV NDJSON file (default: outputs/tsv.ndjson)
+  -i, --input <path>                Input TSV NDJSON (.gz/.zst too), .tsvc or Parquet file,
+                                    or - for NDJSON on stdin (default: outputs/tsv.ndjson)
   -o, --output-dir <path>           Output directory (default: outputs)
-  -f, --format <type>               Output format: csv, json, all (default: all)
-  -m, --work-units-mode             Work units mode: infra, domain (default: infra)
-  --gpu-weight <n>                  GPU weight for infra mode (default: 1)
+  -f, --format <type,...>           Output formats: csv, json, parquet, all (= csv,json)
+                                    (default: all)
+  -m, --work-units-mode <name>      Work units mode, one of the modes below (default: infra)
+  --work-units-plugin <path>        JS module defining another work units mode (repeatable)
+  --gpu-weight <n>                  GPU weight for infra mode where no hardware profile sets one
+                                    (default: 1); infra fallback windows of domain and tokens
+                                    use 1
+  --hardware-inventory <name|path>  Per-site/cluster hardware profiles (profiles/hardware or a
+                                    JSON file): cores and GPUs for the utilization fallback and
+                                    GPU/CPU weights, used by infra and flops_estimated
+  --flops-weights <p=w,...>         Per-precision weights for flops mode, precisions fp64,
+                                    fp32, tensor (default: fp64=1,fp32=1,tensor=1)
+  --cpu-model <name>                CPU catalog entry for flops estimates
+                                    (default: ${DEFAULT_HARDWARE_MODELS.cpu})
+  --gpu-model <name>                GPU catalog entry for flops estimates
+                                    (default: ${DEFAULT_HARDWARE_MODELS.gpu})
+  --estimate-precision <p>          Peak FLOP/s precision of flops estimates: fp64, fp32, tensor
+                                    (default: ${DEFAULT_ESTIMATE_PRECISION})
+  --token-weights <c=w,...>         Per-class weights for tokens mode, classes prefill, decode,
+                                    train, infer (default: all 1)
   --default-price-usd-per-mwh <n>   Default electricity price (default: 50)
+  --group-by <level>                Leaderboard level: site, cluster, partition, node
+                                    (default: cluster)
+  --rank-by <basis>                 Energy basis ranking the leaderboard: it (energy_j) or
+                                    facility (facility_energy_j, else energy_j * pue)
+                                    (default: it)
+  --default-pue <n>                 PUE for facility energy of windows without pue or
+                                    facility_energy_j, on the leaderboard and in
+                                    enst_facility (default: ${DEFAULT_PUE})
+  --validate                        Check input TSV and output ENST records against the schema;
+                                    invalid records are quarantined and left out
+  --quarantine <path>               NDJSON file for invalid records (default:
+                                    <output-dir>/quarantine.ndjson; implies --validate)
+  --strict                          Fail on the first schema violation (implies --validate)
+  --migrate                         Upgrade input with an older schema_version instead of
+                                    refusing it (current: ${TSV_SCHEMA_VERSION})
+  --error-budget <n|p%>             Fail once more than n malformed input lines (or p% of lines)
+                                    are skipped (default: unlimited)
   -h, --help                        Show this help message
 
-Work Units Modes:
-  infra:   work_units = cpu_core_seconds + gpu_seconds * gpu_weight
-  domain:  work_units = validated_steps or timesteps (fallback to infra)
+Work Units Modes (work_units = ... [unit]):
+${listWorkUnitsModes().map(formatWorkUnitsMode).join('\n')}
+  Windows a mode cannot compute fall back as listed; fallback windows are marked
+  <mode>_fallback (flops_estimated for flops) and their share of the work units is
+  reported as fallback_work_units_share. tokens also reports tokens_per_j.
 
 Outputs:
-  leaderboard.csv    Site rankings with cost columns
+  leaderboard.csv    Site rankings with IT and facility ENST and cost, imputed_energy_share
   summary.json       Aggregate statistics with total_cost_usd
   enst.ndjson        TSV records with ENST values
+  enst.parquet       TSV records with ENST values as Parquet (--format parquet)
 
 Examples:
   enst -i ./data/tsv.ndjson --work-units-mode infra
   enst -m domain --default-price-usd-per-mwh 65
+  enst --hardware-inventory synthetic-sites
+  enst -m flops --flops-weights fp32=0.5,tensor=0.125 --gpu-model h100
+  enst -m tokens --token-weights prefill=0.25,decode=1
+  enst --work-units-plugin ./modes/jobs.js -m jobs
+  enst --group-by node
+  enst --rank-by facility --default-pue 1.4
+  enst -i ./outputs/tsv.ndjson --strict
+  enst -i ./outputs/tsv.parquet --format csv,parquet
+  tsv-export --synthetic -o - | enst -i - --error-budget 0
 `);
 }
 
-async function* readTsvNdjson(filePath) {
-  const stream = createReadStream(filePath, { encoding: 'utf8' });
-  const rl = createInterface({ input: stream, crlfDelay: Infinity });
-
-  for await (const line of rl) {
-    if (line.trim()) {
-      try {
-        yield JSON.parse(line);
-      } catch (e) {
-        continue;
-      }
-    }
+function formatWorkUnitsMode(mode) {
+  const fallback = mode.fallback.length > 0 ? `; falls back to ${mode.fallback.join(', ')}` : '';
+  return `  ${mode.name.padEnd(16)} ${mode.description} [${mode.unitLabel}]${fallback}`;
+}
+
+/**
+ * Opens a TSV input by its format: Parquet, columnar .tsvc or NDJSON (stdin for "-")
+ * @param {string} filePath - Input file
+ * @param {object} readOptions - NDJSON readRecords options {budget, onMalformed}
+ * @returns {Promise<AsyncIterable<object>>} TSV records
+ */
+async function openTsvInput(filePath, readOptions) {
+  if (filePath !== STDIO_PATH) {
+    if (await isParquetFile(filePath)) return readParquet(filePath);
+    if (await isColumnarFile(filePath)) return readColumnar(filePath);
   }
+  return readRecords(filePath, readOptions);
 }
 
 async function main() {
@@ -87,6 +162,16 @@ async function main() {
     process.exit(1);
   }
 
+  for (const plugin of args.values['work-units-plugin'] || []) {
+    try {
+      const mode = await loadWorkUnitsPlugin(plugin);
+      console.error(`Loaded work units mode ${mode.name} from: ${plugin}`);
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(1);
+    }
+  }
+
   if (args.values.help) {
     printUsage();
     process.exit(0);
@@ -94,15 +179,54 @@ async function main() {
 
   const inputPath = args.values.input || 'outputs/tsv.ndjson';
   const outputDir = args.values['output-dir'] || 'outputs';
-  const format = args.values.format || 'all';
-  const workUnitsMode = args.values['work-units-mode'] || 'infra';
-  const gpuWeight = parseFloat(args.values['gpu-weight'] || '1');
+  const formats = new Set((args.values.format || 'all').split(',').map(f => f.trim()));
+  if (formats.delete('all')) {
+    formats.add('csv').add('json');
+  }
+  const groupBy = args.values['group-by'] || 'cluster';
+  const rankBy = args.values['rank-by'] || 'it';
+  const defaultPue = parseFloat(args.values['default-pue'] || String(DEFAULT_PUE));
   const defaultPriceUsdPerMwh = parseFloat(
     args.values['default-price-usd-per-mwh'] || String(DEFAULT_PRICE_USD_PER_MWH)
   );
 
-  if (!['infra', 'domain'].includes(workUnitsMode)) {
-    console.error(`Error: Invalid work-units-mode. Must be 'infra' or 'domain'.`);
+  let workUnits;
+  try {
+    workUnits = await parseWorkUnitsOptions(args.values);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+  const { workUnitsMode, gpuWeight, flops, tokens, hardware } = workUnits;
+  const unitLabel = workUnitsUnitLabel(workUnitsMode);
+
+  if (!IDENTITY_LEVELS.includes(groupBy)) {
+    console.error(`Error: Invalid group-by. Must be one of: ${IDENTITY_LEVELS.join(', ')}.`);
+    process.exit(1);
+  }
+
+  if (!ENERGY_BASES.includes(rankBy)) {
+    console.error(`Error: Invalid rank-by. Must be one of: ${ENERGY_BASES.join(', ')}.`);
+    process.exit(1);
+  }
+
+  if (!Number.isFinite(defaultPue) || defaultPue < 1) {
+    console.error('Error: Invalid default-pue. Must be a number >= 1.');
+    process.exit(1);
+  }
+
+  for (const format of formats) {
+    if (!OUTPUT_FORMATS.includes(format)) {
+      console.error(`Error: Invalid format '${format}'. Must be one of: ${OUTPUT_FORMATS.join(', ')}, all.`);
+      process.exit(1);
+    }
+  }
+
+  let errorBudget;
+  try {
+    errorBudget = new ErrorBudget(parseErrorBudget(args.values['error-budget']));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
     process.exit(1);
   }
 
@@ -110,35 +234,101 @@ async function main() {
 
   const leaderboard = new EnstLeaderboard({
     workUnitsMode,
-    defaultPriceUsdPerMwh
+    defaultPriceUsdPerMwh,
+    groupBy,
+    rankBy,
+    defaultPue
   });
   const outputRecords = [];
 
   console.error(`Computing ENST from: ${inputPath}`);
   console.error(`Work units mode: ${workUnitsMode}, GPU weight: ${gpuWeight}`);
+  if (hardware) {
+    console.error(`Hardware inventory: ${hardware.name} (${hardware.profiles.length} profiles)`);
+  }
+  if (workUnitsMode === 'flops') {
+    const weights = Object.entries(flops.weights).map(([p, w]) => `${p}=${w}`).join(',');
+    console.error(`FLOPs weights: ${weights}, CPU model: ${flops.cpuModel}, GPU model: ${flops.gpuModel}, ` +
+      `estimate precision: ${flops.estimatePrecision}`);
+  }
+  if (workUnitsMode === 'tokens') {
+    console.error(`Token weights: ${Object.entries(tokens.weights).map(([c, w]) => `${c}=${w}`).join(',')}`);
+  }
   console.error(`Default price: $${defaultPriceUsdPerMwh}/MWh`);
 
-  const tsvStream = readTsvNdjson(inputPath);
-  const enstStream = computeEnstStream(tsvStream, { workUnitsMode, gpuWeight });
+  let validation = null;
+  if (args.values.validate || args.values.strict || args.values.quarantine) {
+    validation = await createTsvValidator({
+      strict: args.values.strict,
+      quarantinePath: args.values.quarantine || join(outputDir, 'quarantine.ndjson')
+    });
+  }
+  const validator = validation?.validator ?? null;
+  const onMalformed = validator
+    ? error => validator.rejectUnparsed({ stage: 'input', line: error.line, raw: error.raw }, error.message)
+    : null;
+
+  const migrated = new Map(); // source schema_version -> record count
+  const source = await openTsvInput(inputPath, { budget: errorBudget, onMalformed });
+  const versioned = checkSchemaVersion(source, {
+    migrate: args.values.migrate,
+    onMigrated: version => migrated.set(version, (migrated.get(version) || 0) + 1)
+  });
+  const tsvStream = validateRecords(versioned, validator, { stage: 'input' });
+  const enstStream = validateRecords(
+    computeEnstStream(tsvStream, { ...workUnits, defaultPue }),
+    validator,
+    { stage: 'output' }
+  );
 
   for await (const record of enstStream) {
     leaderboard.addRecord(record);
     outputRecords.push(record);
   }
 
+  for (const [version, count] of migrated) {
+    console.error(`Migrated ${count} records from schema_version ${version}`);
+  }
+
+  if (errorBudget.summary()) {
+    console.error(errorBudget.summary());
+  }
+
+  if (validation) {
+    await validation.quarantine.close();
+    console.error(validation.validator.summary());
+    if (validation.quarantine.count > 0) {
+      console.error(`Wrote ${validation.quarantine.count} quarantined records to: ${validation.quarantine.filePath}`);
+    }
+  }
+
   // Write outputs based on format
-  if (format === 'all' || format === 'csv') {
+  if (formats.has('csv')) {
     const csvPath = join(outputDir, 'leaderboard.csv');
     await writeLeaderboardCsv(leaderboard, csvPath);
     console.error(`Wrote leaderboard: ${csvPath}`);
   }
 
-  if (format === 'all' || format === 'json') {
+  if (formats.has('json')) {
     const summaryPath = join(outputDir, 'summary.json');
     const summary = computeSummaryStats(leaderboard);
     summary.work_units_mode = workUnitsMode;
+    summary.work_units_unit = unitLabel;
     summary.gpu_weight = gpuWeight;
+    if (hardware) {
+      summary.hardware_inventory = hardware.name;
+    }
+    if (workUnitsMode === 'flops') {
+      summary.flops_weights = flops.weights;
+      summary.cpu_model = flops.cpuModel;
+      summary.gpu_model = flops.gpuModel;
+      summary.estimate_precision = flops.estimatePrecision;
+    }
+    if (workUnitsMode === 'tokens') {
+      summary.token_weights = tokens.weights;
+    }
     summary.default_price_usd_per_mwh = defaultPriceUsdPerMwh;
+    summary.default_pue = defaultPue;
 
     const ws = createWriteStream(summaryPath);
     ws.write(JSON.stringify(summary, null, 2));
@@ -162,25 +352,50 @@ async function main() {
     console.error(`Wrote ENST records: ${enstPath}`);
   }
 
+  if (formats.has('parquet')) {
+    const parquetPath = join(outputDir, 'enst.parquet');
+    const { droppedFields } = await writeParquet(parquetPath, outputRecords);
+    if (droppedFields.length > 0) {
+      console.error(`Warning: fields not in the TSV schema were left out of Parquet: ${droppedFields.join(', ')}`);
+    }
+    console.error(`Wrote ENST records: ${parquetPath}`);
+  }
+
   // Print summary to stdout
   const summary = computeSummaryStats(leaderboard);
   console.log('\n=== ENST Summary ===');
   console.log(`Mode:            ${workUnitsMode}`);
   console.log(`Sites:           ${summary.site_count}`);
   console.log(`Total Energy:    ${summary.total_energy_j.toFixed(2)} J`);
-  console.log(`Total Work:      ${summary.total_work_units.toFixed(2)} units`);
-  console.log(`Global ENST:     ${summary.global_enst.toFixed(6)} units/J`);
+  console.log(`Total Work:      ${summary.total_work_units.toFixed(2)} ${unitLabel}`);
+  console.log(`Global ENST:     ${summary.global_enst.toFixed(6)} ${unitLabel}/J`);
+  if (summary.fallback_work_units_share > 0) {
+    console.log(`Fallback Work:   ${(summary.fallback_work_units_share * 100).toFixed(1)}% (not ${workUnitsMode})`);
+  }
+  if (workUnitsMode === 'tokens') {
+    console.log(`Total Tokens:    ${summary.total_tokens ?? 0}`);
+    console.log(`Tokens/J:        ${(summary.tokens_per_j ?? 0).toFixed(6)}`);
+  }
   console.log(`Total Cost:      $${summary.total_cost_usd.toFixed(2)} USD`);
-  console.log(`Min ENST:        ${summary.min_enst.toFixed(6)}`);
-  console.log(`Median ENST:     ${summary.median_enst.toFixed(6)}`);
-  console.log(`Max ENST:        ${summary.max_enst.toFixed(6)}`);
+  console.log(`Facility Energy: ${summary.total_facility_energy_j.toFixed(2)} J`);
+  console.log(`Facility ENST:   ${summary.global_enst_facility.toFixed(6)} ${unitLabel}/J`);
+  console.log(`Facility Cost:   $${summary.total_cost_facility_usd.toFixed(2)} USD`);
+  console.log(`Imputed Energy:  ${(summary.imputed_energy_share * 100).toFixed(1)}%`);
+  // Spread of entry ENST on the basis the leaderboard is ranked by
+  const suffix = rankBy === 'facility' ? '_facility' : '';
+  console.log(`Min ENST:        ${summary[`min_enst${suffix}`].toFixed(6)} ${unitLabel}/J (${rankBy})`);
+  console.log(`Median ENST:     ${summary[`median_enst${suffix}`].toFixed(6)} ${unitLabel}/J (${rankBy})`);
+  console.log(`Max ENST:        ${summary[`max_enst${suffix}`].toFixed(6)} ${unitLabel}/J (${rankBy})`);
 
   // Print leaderboard
   const entries = leaderboard.getLeaderboard().slice(0, 10);
   if (entries.length > 0) {
-    console.log('\n=== Top Sites by ENST ===');
+    console.log(`\n=== Top Sites by ENST (${rankBy} energy) ===`);
     entries.forEach((e, i) => {
-      console.log(`${i + 1}. ${e.site_id}/${e.cluster_id}: ${e.enst_units_per_j.toFixed(6)} units/J | $${e.cost_usd.toFixed(2)} (${e.work_units_mode})`);
+      const path = [e.site_id, e.cluster_id, e.partition_id, e.node_id].filter(Boolean).join('/');
+      const enst = rankBy === 'facility' ? e.enst_facility_units_per_j : e.enst_units_per_j;
+      const cost = rankBy === 'facility' ? e.cost_facility_usd : e.cost_usd;
+      console.log(`${i + 1}. ${path}: ${enst.toFixed(6)} ${e.work_units_unit}/J | $${cost.toFixed(2)} (${e.work_units_mode})`);
     });
   }
 }
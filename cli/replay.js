@@ -7,14 +7,27 @@
  */
 
 import { parseArgs } from 'node:util';
-import { createReadStream, createWriteStream } from 'node:fs';
+import { createWriteStream } from 'node:fs';
 import { readFile, mkdir } from 'node:fs/promises';
-import { createInterface } from 'node:readline';
-import { dirname } from 'node:path';
-
-import { computeEnstStream } from '../src/enst_compute/index.js';
+import { dirname, join } from 'node:path';
+
+import {
+  computeEnstStream,
+  listWorkUnitsModes,
+  loadWorkUnitsPlugin,
+  parseWorkUnitsOptions,
+  DEFAULT_HARDWARE_MODELS,
+  DEFAULT_ESTIMATE_PRECISION,
+  DEFAULT_PUE,
+  WORK_UNITS_CLI_OPTIONS
+} from '../src/enst_compute/index.js';
 import { applyPolicyStream, computePolicyImpact } from '../src/policy/index.js';
 import { DEFAULT_PRICE_USD_PER_MWH } from '../src/cost/index.js';
+import { createTsvValidator, validateRecords } from '../src/schema/index.js';
+import { checkSchemaVersion, TSV_SCHEMA_VERSION } from '../src/migrate/index.js';
+import { readColumnar, isColumnarFile } from '../src/columnar/index.js';
+import { readRecords, ErrorBudget, parseErrorBudget, STDIO_PATH } from '../src/io/index.js';
+import { readParquet, isParquetFile } from '../src/parquet/index.js';
 
 const options = {
   'input': { type: 'string', short: 'i', default: 'outputs/tsv.ndjson' },
@@ -27,8 +40,14 @@ const options = {
   'fields': { type: 'string' },
   'stats': { type: 'boolean', default: false },
   'policy': { type: 'string' },
-  'work-units-mode': { type: 'string', short: 'm', default: 'infra' },
+  ...WORK_UNITS_CLI_OPTIONS,
   'default-price-usd-per-mwh': { type: 'string', default: '50' },
+  'default-pue': { type: 'string', default: String(DEFAULT_PUE) },
+  'validate': { type: 'boolean', default: false },
+  'strict': { type: 'boolean', default: false },
+  'quarantine': { type: 'string' },
+  'migrate': { type: 'boolean', default: false },
+  'error-budget': { type: 'string' },
   'help': { type: 'boolean', short: 'h' }
 };
 
@@ -40,7 +59,8 @@ Usage:
   replay [options]
 
 Options:
-  -i, --input <path>                Input TSV NDJSON file (default: outputs/tsv.ndjson)
+  -i, --input <path>                Input TSV NDJSON (.gz/.zst too), .tsvc or Parquet file,
+                                    or - for NDJSON on stdin (default: outputs/tsv.ndjson)
   -o, --output <path>               Output summary file (default: outputs/replay_summary.json)
   -s, --speed <factor>              Replay speed multiplier (default: 0 = instant)
   -f, --format <type>               Output format: json, csv, table (default: json)
@@ -50,8 +70,34 @@ Options:
   --fields <list>                   Comma-separated fields to output
   --stats                           Print statistics instead of records
   --policy <json|file>              Policy JSON or path to policy file
-  -m, --work-units-mode             Work units mode: infra, domain (default: infra)
+  -m, --work-units-mode <name>      Work units mode: ${listWorkUnitsModes().map(mode => mode.name).join(', ')}
+                                    (default: infra)
+  --work-units-plugin <path>        JS module defining another work units mode (repeatable)
+  --gpu-weight <n>                  GPU weight for infra mode where no hardware profile sets one
+                                    (default: 1)
+  --hardware-inventory <name|path>  Per-site/cluster hardware profiles, as for enst
+  --flops-weights <p=w,...>         Per-precision weights for flops mode, precisions fp64,
+                                    fp32, tensor (default: fp64=1,fp32=1,tensor=1)
+  --cpu-model <name>                CPU catalog entry for flops estimates
+                                    (default: ${DEFAULT_HARDWARE_MODELS.cpu})
+  --gpu-model <name>                GPU catalog entry for flops estimates
+                                    (default: ${DEFAULT_HARDWARE_MODELS.gpu})
+  --estimate-precision <p>          Peak FLOP/s precision of flops estimates: fp64, fp32, tensor
+                                    (default: ${DEFAULT_ESTIMATE_PRECISION})
+  --token-weights <c=w,...>         Per-class weights for tokens mode, classes prefill, decode,
+                                    train, infer (default: all 1)
   --default-price-usd-per-mwh <n>   Default electricity price (default: 50)
+  --default-pue <n>                 PUE for enst_facility of windows without pue or
+                                    facility_energy_j (default: ${DEFAULT_PUE})
+  --validate                        Check input TSV against the schema; invalid records are
+                                    quarantined and skipped
+  --quarantine <path>               NDJSON file for invalid records (default:
+                                    quarantine.ndjson next to --output; implies --validate)
+  --strict                          Fail on the first schema violation (implies --validate)
+  --migrate                         Upgrade input with an older schema_version instead of
+                                    refusing it (current: ${TSV_SCHEMA_VERSION})
+  --error-budget <n|p%>             Fail once more than n malformed input lines (or p% of lines)
+                                    are skipped (default: unlimited)
   -h, --help                        Show this help message
 
 Policy Schema:
@@ -71,26 +117,13 @@ Outputs (with --policy):
 
 Examples:
   replay -i ./outputs/tsv.ndjson --stats
+  replay -i ./outputs/tsv.tsvc --filter-site nrel-eagle --start-ts 1700000000000000 --stats
   replay --policy '{"energy_cap_w": 2500}' -o ./outputs/policy_impact.json
   replay --policy ./policy.json --default-price-usd-per-mwh 65
+  tsv-export --synthetic -o - | replay -i - --stats
 `);
 }
 
-async function* readTsvNdjson(filePath) {
-  const stream = createReadStream(filePath, { encoding: 'utf8' });
-  const rl = createInterface({ input: stream, crlfDelay: Infinity });
-
-  for await (const line of rl) {
-    if (line.trim()) {
-      try {
-        yield JSON.parse(line);
-      } catch (e) {
-        continue;
-      }
-    }
-  }
-}
-
 async function loadPolicy(policyArg) {
   if (!policyArg) return null;
 
@@ -161,6 +194,16 @@ async function main() {
     process.exit(1);
   }
 
+  for (const plugin of args.values['work-units-plugin'] || []) {
+    try {
+      const mode = await loadWorkUnitsPlugin(plugin);
+      console.error(`Loaded work units mode ${mode.name} from: ${plugin}`);
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(1);
+    }
+  }
+
   if (args.values.help) {
     printUsage();
     process.exit(0);
@@ -175,11 +218,30 @@ async function main() {
   const endTs = args.values['end-ts'] ? parseInt(args.values['end-ts'], 10) : null;
   const fields = args.values.fields ? args.values.fields.split(',').map(f => f.trim()) : null;
   const showStats = args.values.stats;
-  const workUnitsMode = args.values['work-units-mode'] || 'infra';
+  const defaultPue = parseFloat(args.values['default-pue'] || String(DEFAULT_PUE));
   const defaultPriceUsdPerMwh = parseFloat(
     args.values['default-price-usd-per-mwh'] || String(DEFAULT_PRICE_USD_PER_MWH)
   );
 
+  let errorBudget;
+  let workUnits;
+  try {
+    workUnits = await parseWorkUnitsOptions(args.values);
+    errorBudget = new ErrorBudget(parseErrorBudget(args.values['error-budget']));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+  const { workUnitsMode, hardware } = workUnits;
+  if (hardware) {
+    console.error(`Hardware inventory: ${hardware.name} (${hardware.profiles.length} profiles)`);
+  }
+
+  if (!Number.isFinite(defaultPue) || defaultPue < 1) {
+    console.error('Error: Invalid default-pue. Must be a number >= 1.');
+    process.exit(1);
+  }
+
   // Load policy if specified
   const policy = await loadPolicy(args.values.policy);
   const hasPolicy = policy !== null;
@@ -206,8 +268,36 @@ async function main() {
 
   let lastTs = null;
 
+  let validation = null;
+  if (args.values.validate || args.values.strict || args.values.quarantine) {
+    validation = await createTsvValidator({
+      strict: args.values.strict,
+      quarantinePath: args.values.quarantine || join(dirname(outputPath), 'quarantine.ndjson')
+    });
+  }
+  const validator = validation?.validator ?? null;
+  const onMalformed = validator
+    ? error => validator.rejectUnparsed({ stage: 'input', line: error.line, raw: error.raw }, error.message)
+    : null;
+
   // First pass: collect all records
-  for await (const record of readTsvNdjson(inputPath)) {
+  const migrated = new Map(); // source schema_version -> record count
+  // Columnar and Parquet input skip blocks/row groups outside the site/time filter
+  const filter = { siteId: filterSite, startTs, endTs };
+  const ndjson = () => readRecords(inputPath, { budget: errorBudget, onMalformed });
+  const source = inputPath === STDIO_PATH
+    ? ndjson()
+    : await isParquetFile(inputPath)
+      ? readParquet(inputPath, filter)
+      : await isColumnarFile(inputPath)
+        ? readColumnar(inputPath, filter)
+        : ndjson();
+  const versioned = checkSchemaVersion(source, {
+    migrate: args.values.migrate,
+    onMigrated: version => migrated.set(version, (migrated.get(version) || 0) + 1)
+  });
+  const input = validateRecords(versioned, validator, { stage: 'input' });
+  for await (const record of input) {
     stats.record_count++;
 
     // Apply filters
@@ -226,9 +316,25 @@ async function main() {
     baselineRecords.push(record);
   }
 
+  for (const [version, count] of migrated) {
+    console.error(`Migrated ${count} records from schema_version ${version}`);
+  }
+
+  if (errorBudget.summary()) {
+    console.error(errorBudget.summary());
+  }
+
+  if (validation) {
+    await validation.quarantine.close();
+    console.error(validation.validator.summary());
+    if (validation.quarantine.count > 0) {
+      console.error(`Wrote ${validation.quarantine.count} quarantined records to: ${validation.quarantine.filePath}`);
+    }
+  }
+
   // Process with ENST computation
   const processedBaseline = [];
-  for await (const record of computeEnstStream(baselineRecords, { workUnitsMode })) {
+  for await (const record of computeEnstStream(baselineRecords, { ...workUnits, defaultPue })) {
     processedBaseline.push(record);
 
     stats.filtered_count++;
@@ -9,27 +9,73 @@
 
 import { parseArgs } from 'node:util';
 import { createWriteStream } from 'node:fs';
-import { mkdir } from 'node:fs/promises';
+import { mkdir, writeFile } from 'node:fs/promises';
 import { dirname } from 'node:path';
+import { once } from 'node:events';
 
 import { ingestGoogleClusterdata } from '../src/ingest_google_clusterdata/index.js';
-import { ingestPowerdata } from '../src/ingest_powerdata/index.js';
-import { TsvNormalizer } from '../src/tsv_normalize/index.js';
+import { ingestPowerdata, readPowerSeries, loadPowerProfile } from '../src/ingest_powerdata/index.js';
+import { ingestSlurm } from '../src/ingest_slurm/index.js';
+import { ingestBmcPower, readBmcPowerSeries } from '../src/ingest_bmc/index.js';
+import { ingestGpuTelemetry } from '../src/ingest_gpu/index.js';
+import { TsvNormalizer, normalizeTsvStream } from '../src/tsv_normalize/index.js';
+import { Watermark, sortByEventTime, windowTime } from '../src/streaming/index.js';
+import { IDENTITY_LEVELS } from '../src/identity/index.js';
+import { PowerGapFiller, fillPowerGaps, GAP_STRATEGIES } from '../src/gap_fill/index.js';
+import { SourceClock, estimateClockSkew } from '../src/clock/index.js';
+import { createTsvValidator, validateRecords } from '../src/schema/index.js';
+import { writeColumnar } from '../src/columnar/index.js';
+import { writeParquet } from '../src/parquet/index.js';
+import { createRecordWriter, ErrorBudget, parseErrorBudget, STDIO_PATH } from '../src/io/index.js';
+import { compressionFromPath, requireCompression } from '../src/compression/index.js';
 import { generateMultiSiteSynthetic } from '../src/synthetic/index.js';
 import { loadPublicTraces, writePublicTraces, DATA_DIR } from '../src/public_traces/index.js';
 import { PrometheusExporter } from '../src/prometheus/index.js';
 
+/**
+ * Sources whose timestamps can be configured with --timezone/--timestamp-format/--clock-offset
+ */
+const CLOCK_SOURCES = ['power', 'bmc', 'gpu', 'slurm'];
+
 const options = {
   'cluster-dir': { type: 'string', short: 'c' },
   'power-dir': { type: 'string', short: 'p' },
+  'power-profile': { type: 'string' },
+  'slurm-dir': { type: 'string' },
+  'bmc-dir': { type: 'string' },
+  'bmc-mapping': { type: 'string' },
+  'gpu-dir': { type: 'string' },
+  'slurm-cores': { type: 'string' },
+  'slurm-gpus': { type: 'string' },
   'output': { type: 'string', short: 'o', default: 'outputs/tsv.ndjson' },
   'site-id': { type: 'string', short: 's' },
+  'cluster-id': { type: 'string' },
+  'rollup': { type: 'string', default: 'cluster' },
   'window-size': { type: 'string', short: 'w', default: '300' },
+  'usage-aggregation': { type: 'string', default: 'mean' },
+  'streaming': { type: 'boolean', default: false },
+  'allowed-lateness': { type: 'string', default: '0' },
+  'late-output': { type: 'string' },
+  'merge': { type: 'string' },
+  'merge-tolerance': { type: 'string', default: '0.05' },
+  'conflict-report': { type: 'string' },
+  'gap-strategy': { type: 'string', default: 'none' },
+  'timezone': { type: 'string' },
+  'timestamp-format': { type: 'string' },
+  'clock-offset': { type: 'string' },
+  'estimate-skew': { type: 'boolean', default: false },
+  'validate': { type: 'boolean', default: false },
+  'strict': { type: 'boolean', default: false },
+  'quarantine': { type: 'string' },
+  'format': { type: 'string' },
+  'shard-size': { type: 'string' },
+  'shard-interval': { type: 'string' },
   'synthetic': { type: 'boolean', default: false },
   'synthetic-sites': { type: 'string', default: '3' },
   'synthetic-windows': { type: 'string', default: '100' },
   'public-traces': { type: 'boolean', default: false },
   'prometheus-port': { type: 'string' },
+  'error-budget': { type: 'string' },
   'help': { type: 'boolean', short: 'h' }
 };
 
@@ -43,23 +89,196 @@ Usage:
 Options:
   -c, --cluster-dir <path>     Directory containing Google clusterdata traces
   -p, --power-dir <path>       Directory containing power trace data
-  -o, --output <path>          Output NDJSON file (default: outputs/tsv.ndjson)
+  --power-profile <name|path>  Column mapping profile for vendor power CSVs
+                               (built-in: pdu-kw, eu-meter-kwh, or a JSON file)
+  --bmc-dir <path>             Directory containing Redfish Power JSON / ipmitool dcmi dumps
+  --bmc-mapping <path>         JSON mapping of chassis/node ids to site_id/cluster_id/partition_id
+  --gpu-dir <path>             Directory containing nvidia-smi CSV logs / DCGM scrapes
+  --slurm-dir <path>           Directory containing sacct --parsable2 / --json exports
+                               (*.sacct, *.psv, or .txt/.log/.json named *sacct*)
+  --slurm-cores <n>            Total cluster cores for Slurm cpu_util
+  --slurm-gpus <n>             Total cluster GPUs for Slurm gpu_util
+  -o, --output <path>          Output file (default: outputs/tsv.ndjson); a .tsvc path writes
+                               the columnar format with a time/site index, .parquet writes Parquet,
+                               .ndjson.gz / .ndjson.zst write compressed NDJSON, - writes
+                               NDJSON to stdout
+  --format <type>              Output format: ndjson, tsvc, parquet (default: from the -o extension)
+  --shard-size <MB>            NDJSON: rotate output into numbered shards (<name>-00000.ndjson...)
+                               of at most this many MB before compression
+  --shard-interval <sec>       NDJSON: start a new shard for each interval of window start time
   -s, --site-id <id>           Override site identifier
+  --cluster-id <id>            Cluster identifier for Google clusterdata / GPU telemetry
+  --rollup <level>             Roll windows up to: site, cluster, partition, node (default: cluster)
   -w, --window-size <sec>      Window size in seconds (default: 300)
+  --usage-aggregation <mode>   Cluster usage aggregation: mean, machine (default: mean)
+  --streaming                  Emit windows as the event-time watermark passes them (bounded memory
+                               for --cluster-dir and --power-dir; --slurm-dir, --bmc-dir and
+                               --gpu-dir are still read fully into memory and sorted first)
+  --allowed-lateness <sec>     Streaming: keep windows open this long past their end (default: 0)
+  --late-output <path>         Streaming: NDJSON side output for late records
+                               (default: <output>.late.ndjson)
+  --merge <field=strategy,...> Override per-field merge of same-window sources
+                               (sum, mean, max, min, first, last)
+  --merge-tolerance <ratio>    Relative spread reported as a source conflict (default: 0.05)
+  --conflict-report <path>     Write merge conflicts as JSON
+  --gap-strategy <strategy>    Windows with usage but no power: none, drop, carry-forward,
+                               linear, regression (default: none)
+  --timezone <[src=]zone,...>  IANA zone or offset for zone-less timestamps, per source
+                               (power, bmc, gpu, slurm) or for all (default: UTC)
+  --timestamp-format <[src=]pattern>
+                               strftime pattern for string timestamps (e.g. %d/%m/%Y %H:%M:%S)
+  --clock-offset <[src=]sec,...>
+                               Seconds a source clock runs ahead; subtracted from its timestamps
+  --estimate-skew              Estimate power/bmc clock offsets by cross-correlating power with
+                               cluster/Slurm cpu_util (batch mode)
+  --validate                   Check exported records against spec/tsv.schema.json; invalid
+                               records go to the quarantine file instead of the output
+  --quarantine <path>          NDJSON file for invalid records with JSON pointer and reason
+                               (default: <output>.quarantine.ndjson; implies --validate)
+  --strict                     Fail on the first schema violation (implies --validate)
   --synthetic                  Generate synthetic test data
   --synthetic-sites <n>        Number of synthetic sites (default: 3)
   --synthetic-windows <n>      Windows per site (default: 100)
   --public-traces              Use bundled public traces (real:public-traces)
   --prometheus-port <port>     Enable Prometheus metrics on port
+  --error-budget <n|p%>        Fail once more than n malformed NDJSON input lines or sacct
+                               files (or p% of lines) are skipped (default: unlimited)
   -h, --help                   Show this help message
 
 Examples:
   tsv-export --synthetic --synthetic-sites 3 -o ./outputs/tsv.ndjson
   tsv-export --public-traces -o ./outputs/tsv_real.ndjson
   tsv-export -c ./data/cluster -p ./data/power --prometheus-port 9090
+  tsv-export --slurm-dir ./data/sacct --slurm-cores 4096 -p ./data/power
+  tsv-export -c ./data/cluster --bmc-dir ./data/bmc --bmc-mapping ./racks.json
+  tsv-export -c ./data/cluster -p ./data/power --streaming --allowed-lateness 600
+  tsv-export -c ./data/cluster --usage-aggregation machine --rollup node
+  tsv-export -c ./data/cluster -p ./data/power --gap-strategy linear
+  tsv-export --slurm-dir ./data/sacct -p ./data/meters --power-profile eu-meter-kwh
+  tsv-export -c ./data/cluster -p ./data/power --strict
+  tsv-export -c ./data/cluster -p ./data/power --format parquet -o ./outputs/tsv.parquet
+  tsv-export -c ./data/cluster -p ./data/power -o ./outputs/tsv.ndjson.gz --shard-interval 86400
+  tsv-export -c ./data/cluster -p ./data/power --error-budget 0.1% -o - | enst -i -
+  tsv-export --slurm-dir ./data/sacct -p ./data/pdu --timezone slurm=America/Denver --estimate-skew
 `);
 }
 
+/**
+ * Writes records as NDJSON as they arrive (stdout for "-"), compressed by
+ * extension (.gz, .zst) and optionally rotated into shards
+ * @param {string} outputPath - Output file
+ * @param {AsyncIterable<object>|Iterable<object>} records - TSV records
+ * @param {PrometheusExporter|null} prometheus - Exporter updated per streamed record
+ * @param {object} sharding - {shardBytes, shardIntervalUs}
+ * @returns {Promise<number>} Number of records written
+ */
+async function writeNdjson(outputPath, records, prometheus, sharding = {}) {
+  const writer = createRecordWriter(outputPath, sharding);
+
+  for await (const record of records) {
+    await writer.write(record);
+    if (prometheus) {
+      prometheus.updateFromTsv(record);
+    }
+  }
+  await writer.close();
+
+  if (writer.sharded) {
+    console.error(`Rotated output into ${writer.shards.length} shards: ${writer.shards[0]} .. ${writer.shards[writer.shards.length - 1]}`);
+  }
+  return writer.count;
+}
+
+/**
+ * Output formats and their file extensions
+ */
+const OUTPUT_FORMATS = { ndjson: '.ndjson', tsvc: '.tsvc', parquet: '.parquet' };
+
+/**
+ * Infers the output format from a file extension
+ * @param {string} outputPath - Output file
+ * @returns {string} Format name (ndjson when the extension is not recognized)
+ */
+function formatFromPath(outputPath) {
+  const match = Object.entries(OUTPUT_FORMATS).find(([, ext]) => outputPath.endsWith(ext));
+  return match ? match[0] : 'ndjson';
+}
+
+/**
+ * Writes records as NDJSON, columnar TSV or Parquet
+ * @param {string} outputPath - Output file
+ * @param {AsyncIterable<object>|Iterable<object>} records - TSV records
+ * @param {PrometheusExporter|null} prometheus - Exporter updated per streamed record
+ * @param {string} format - ndjson, tsvc or parquet
+ * @param {object} sharding - NDJSON shard limits {shardBytes, shardIntervalUs}
+ * @returns {Promise<number>} Number of records written
+ */
+async function writeTsv(outputPath, records, prometheus, format, sharding) {
+  if (format === 'ndjson') {
+    return writeNdjson(outputPath, records, prometheus, sharding);
+  }
+  const observed = (async function* () {
+    for await (const record of records) {
+      if (prometheus) {
+        prometheus.updateFromTsv(record);
+      }
+      yield record;
+    }
+  })();
+  if (format === 'tsvc') {
+    return writeColumnar(outputPath, observed);
+  }
+
+  const { rowCount, droppedFields } = await writeParquet(outputPath, observed);
+  if (droppedFields.length > 0) {
+    console.error(`Warning: fields not in the TSV schema were left out of Parquet: ${droppedFields.join(', ')}`);
+  }
+  return rowCount;
+}
+
+/**
+ * Parses per-source settings such as "power=America/Denver,slurm=UTC"
+ * A value without "source=" applies to every source. Settings are split only at
+ * commas followed by "<source>=", so values may contain commas themselves
+ * ("power=%H:%M:%S,%f").
+ * @param {string|undefined} value - Option value
+ * @returns {object} Source (or "*") -> setting
+ */
+function parseSourceSettings(value) {
+  const settings = {};
+  if (!value) return settings;
+
+  const separator = new RegExp(`,(?=\\s*(?:${CLOCK_SOURCES.join('|')})\\s*=)`);
+  for (const pair of value.split(separator)) {
+    const eq = pair.indexOf('=');
+    const [source, setting] = eq > 0 && CLOCK_SOURCES.includes(pair.slice(0, eq).trim())
+      ? [pair.slice(0, eq).trim(), pair.slice(eq + 1).trim()]
+      : ['*', pair.trim()];
+    if (setting) {
+      settings[source] = setting;
+    }
+  }
+  return settings;
+}
+
+/**
+ * Parses --merge "field=strategy,field2=strategy2"
+ * @param {string|undefined} value - Option value
+ * @returns {object} Field -> strategy overrides
+ */
+function parseMergeStrategies(value) {
+  const strategies = {};
+  if (!value) return strategies;
+
+  for (const pair of value.split(',')) {
+    const [field, strategy] = pair.split('=').map(p => p.trim());
+    if (field && strategy) {
+      strategies[field] = strategy;
+    }
+  }
+  return strategies;
+}
+
 async function main() {
   let args;
   try {
@@ -78,6 +297,22 @@ async function main() {
   const windowSizeS = parseInt(args.values['window-size'] || '300', 10);
   const windowSizeUs = windowSizeS * 1_000_000;
   const siteId = args.values['site-id'] || null;
+  const clusterId = args.values['cluster-id'] || null;
+  const rollup = args.values.rollup || 'cluster';
+  const aggregation = args.values['usage-aggregation'] || 'mean';
+  const streaming = args.values.streaming;
+  const gapStrategy = args.values['gap-strategy'] || 'none';
+
+  if (!IDENTITY_LEVELS.includes(rollup)) {
+    console.error(`Error: Invalid rollup. Must be one of: ${IDENTITY_LEVELS.join(', ')}.`);
+    process.exit(1);
+  }
+
+  if (!GAP_STRATEGIES.includes(gapStrategy)) {
+    console.error(`Error: Invalid gap-strategy. Must be one of: ${GAP_STRATEGIES.join(', ')}.`);
+    process.exit(1);
+  }
+
   const prometheusPort = args.values['prometheus-port']
     ? parseInt(args.values['prometheus-port'], 10)
     : null;
@@ -88,6 +323,59 @@ async function main() {
     outputPath = 'outputs/tsv_real.ndjson';
   }
 
+  const outputFormat = args.values.format || formatFromPath(outputPath);
+  if (!Object.hasOwn(OUTPUT_FORMATS, outputFormat)) {
+    console.error(`Error: Invalid format. Must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}.`);
+    process.exit(1);
+  }
+  if (!args.values.output) {
+    outputPath = outputPath.replace(/\.ndjson$/, OUTPUT_FORMATS[outputFormat]);
+  }
+  if (outputFormat === 'ndjson' && outputPath !== STDIO_PATH) {
+    try {
+      requireCompression(compressionFromPath(outputPath));
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(1);
+    }
+  }
+
+  const sharding = {
+    shardBytes: args.values['shard-size'] ? parseFloat(args.values['shard-size']) * 1024 * 1024 : null,
+    shardIntervalUs: args.values['shard-interval'] ? parseFloat(args.values['shard-interval']) * 1e6 : null
+  };
+  for (const [option, value] of [['shard-size', sharding.shardBytes], ['shard-interval', sharding.shardIntervalUs]]) {
+    if (value !== null && !(value > 0)) {
+      console.error(`Error: --${option} must be a positive number.`);
+      process.exit(1);
+    }
+    if (value !== null && outputFormat !== 'ndjson') {
+      console.error(`Error: --${option} applies to NDJSON output only.`);
+      process.exit(1);
+    }
+    if (value !== null && outputPath === STDIO_PATH) {
+      console.error(`Error: --${option} needs a file output, not stdout.`);
+      process.exit(1);
+    }
+  }
+  if (outputPath === STDIO_PATH && outputFormat !== 'ndjson') {
+    console.error('Error: Only NDJSON can be written to stdout.');
+    process.exit(1);
+  }
+
+  // Side outputs are named after the main output; stdout output keeps them in outputs/
+  const outputBase = outputPath === STDIO_PATH
+    ? 'outputs/tsv'
+    : outputPath.replace(/\.(ndjson|tsvc|parquet)(\.(gz|zst|zstd))?$/, '');
+
+  let errorBudget;
+  try {
+    errorBudget = new ErrorBudget(parseErrorBudget(args.values['error-budget']));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
   // Start Prometheus exporter if requested
   let prometheus = null;
   if (prometheusPort) {
@@ -96,7 +384,18 @@ async function main() {
     console.error(`Prometheus metrics available at http://localhost:${prometheusPort}/metrics`);
   }
 
+  // Schema validation of the exported records
+  let validation = null;
+  if (args.values.validate || args.values.strict || args.values.quarantine) {
+    validation = await createTsvValidator({
+      strict: args.values.strict,
+      quarantinePath: args.values.quarantine || `${outputBase}.quarantine.ndjson`
+    });
+  }
+  const validated = source => validateRecords(source, validation?.validator ?? null, { stage: 'output' });
+
   const records = [];
+  let exported = null; // set when the streaming path has already written output
 
   if (args.values['public-traces']) {
     // Load from bundled public traces
@@ -109,7 +408,7 @@ async function main() {
       // Files may already exist, continue
     }
 
-    for await (const record of loadPublicTraces()) {
+    for await (const record of loadPublicTraces({ errorBudget })) {
       records.push(record);
       if (prometheus) {
         prometheus.updateFromTsv(record);
@@ -148,52 +447,231 @@ async function main() {
     // Ingest real data
     const clusterDir = args.values['cluster-dir'];
     const powerDir = args.values['power-dir'];
-    const normalizer = new TsvNormalizer({ windowSizeUs });
+    const slurmDir = args.values['slurm-dir'];
+    const bmcDir = args.values['bmc-dir'];
+    const gpuDir = args.values['gpu-dir'];
+
+    if (!clusterDir && !powerDir && !slurmDir && !bmcDir && !gpuDir) {
+      console.error('Error: Specify --cluster-dir, --power-dir, --slurm-dir, --bmc-dir, --gpu-dir, --synthetic, or --public-traces');
+      printUsage();
+      process.exit(1);
+    }
+
+    // In streaming mode each windowed stage gets its own watermark; late records
+    // from any stage share one side output
+    let watermarkFor = () => null;
+    let lateStream = null;
+    let lateCount = 0;
+    const latePath = args.values['late-output'] || `${outputBase}.late.ndjson`;
+
+    if (streaming) {
+      const allowedLatenessUs = parseFloat(args.values['allowed-lateness'] || '0') * 1_000_000;
+      await mkdir(dirname(latePath), { recursive: true });
+      const onLate = (entry) => {
+        lateStream ??= createWriteStream(latePath);
+        lateStream.write(JSON.stringify(entry) + '\n');
+        lateCount++;
+      };
+      watermarkFor = () => new Watermark({ allowedLatenessUs, onLate });
+    }
+
+    const conflicts = [];
+    const normalizerOptions = {
+      windowSizeUs,
+      rollup,
+      mergeStrategies: parseMergeStrategies(args.values.merge),
+      conflictTolerance: parseFloat(args.values['merge-tolerance'] || '0.05'),
+      onConflict: conflict => conflicts.push(conflict)
+    };
+
+    let powerProfile = null;
+    try {
+      powerProfile = await loadPowerProfile(args.values['power-profile']);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+
+    // Per-source clocks; null when a source keeps the default UTC parsing.
+    // A power profile's zone and format apply unless set for power on the command line
+    const timezones = parseSourceSettings(args.values.timezone);
+    const formats = parseSourceSettings(args.values['timestamp-format']);
+    const offsets = parseSourceSettings(args.values['clock-offset']);
+    const clocks = {};
+    for (const source of CLOCK_SOURCES) {
+      const offsetS = parseFloat(offsets[source] ?? offsets['*'] ?? '0');
+      if (isNaN(offsetS)) {
+        console.error(`Error: Invalid clock-offset for ${source}: ${offsets[source] ?? offsets['*']}`);
+        process.exit(1);
+      }
+      const profile = source === 'power' ? powerProfile : null;
+      const clock = new SourceClock({
+        timezone: timezones[source] ?? profile?.timezone ?? timezones['*'],
+        format: formats[source] ?? profile?.format ?? formats['*'],
+        offsetUs: offsetS * 1_000_000
+      });
+      clocks[source] = clock.isIdentity ? null : clock;
+    }
+
+    if (args.values['estimate-skew'] && streaming) {
+      console.error('Error: --estimate-skew needs the batch path (drop --streaming)');
+      process.exit(1);
+    }
+
+    // Batch-only ingesters are buffered and time-ordered before a streaming merge
+    const ordered = (source) => (streaming ? sortByEventTime(source, windowTime) : source);
+    const buffered = [['--slurm-dir', slurmDir], ['--bmc-dir', bmcDir], ['--gpu-dir', gpuDir]]
+      .filter(([, dir]) => dir)
+      .map(([option]) => option);
+    if (streaming && buffered.length > 0) {
+      console.error(`Warning: --streaming reads ${buffered.join(', ')} fully into memory; ` +
+        'only --cluster-dir and --power-dir are streamed with bounded memory');
+    }
+    let usageSources = [];
+    const powerSources = [];
 
     if (clusterDir) {
       console.error(`Ingesting cluster data from: ${clusterDir}`);
-      for await (const record of ingestGoogleClusterdata(clusterDir, { windowSizeUs, siteId })) {
-        normalizer.addUsageRecord(record);
+      usageSources.push(ingestGoogleClusterdata(clusterDir, {
+        windowSizeUs, siteId, clusterId, aggregation, watermark: watermarkFor(), errorBudget
+      }));
+    }
+
+    if (slurmDir) {
+      console.error(`Ingesting Slurm accounting from: ${slurmDir}`);
+      const coresTotal = args.values['slurm-cores'] ? parseInt(args.values['slurm-cores'], 10) : null;
+      const gpusTotal = args.values['slurm-gpus'] ? parseInt(args.values['slurm-gpus'], 10) : null;
+      usageSources.push(ordered(ingestSlurm(slurmDir, {
+        windowSizeUs, siteId, coresTotal, gpusTotal, clock: clocks.slurm, errorBudget
+      })));
+    }
+
+    if (args.values['estimate-skew'] && (powerDir || bmcDir)) {
+      // Utilization windows are the trusted clock; power clocks are shifted onto them
+      const usage = [];
+      for (const source of usageSources) {
+        for await (const record of source) {
+          usage.push(record);
+        }
+      }
+      usageSources = [usage];
+      const reference = usage.map(r => ({ ts_start: r.ts_start, ts_end: r.ts_end, value: r.cpu_util }));
+
+      const targets = [
+        ['power', powerDir, () => readPowerSeries(powerDir, { clock: clocks.power, profile: powerProfile })],
+        ['bmc', bmcDir, () => readBmcPowerSeries(bmcDir, { mappingFile: args.values['bmc-mapping'], clock: clocks.bmc })]
+      ];
+      for (const [source, dir, readSeries] of targets) {
+        if (!dir) continue;
+        const estimate = estimateClockSkew(reference, await readSeries());
+        if (!estimate) {
+          console.error(`Clock skew (${source}): inconclusive, keeping configured offset`);
+          continue;
+        }
+        // The series was read with the configured offset, so the estimate is what remains
+        const clock = clocks[source] || new SourceClock();
+        clock.offsetUs += estimate.offsetUs;
+        clocks[source] = clock;
+        console.error(`Clock skew (${source}): ${(estimate.offsetUs / 1_000_000).toFixed(0)}s ` +
+          `(r=${estimate.correlation.toFixed(3)}, ${estimate.overlap} samples)`);
       }
     }
 
     if (powerDir) {
       console.error(`Ingesting power data from: ${powerDir}`);
-      for await (const record of ingestPowerdata(powerDir, { windowSizeUs, siteId })) {
-        normalizer.addPowerRecord(record);
-      }
+      powerSources.push(ingestPowerdata(powerDir, {
+        windowSizeUs, siteId, watermark: watermarkFor(), clock: clocks.power, profile: powerProfile, errorBudget
+      }));
     }
 
-    if (!clusterDir && !powerDir) {
-      console.error('Error: Specify --cluster-dir, --power-dir, --synthetic, or --public-traces');
-      printUsage();
-      process.exit(1);
+    if (bmcDir) {
+      console.error(`Ingesting BMC power data from: ${bmcDir}`);
+      const mappingFile = args.values['bmc-mapping'] || null;
+      powerSources.push(ordered(ingestBmcPower(bmcDir, {
+        windowSizeUs, siteId, mappingFile, level: rollup, clock: clocks.bmc
+      })));
     }
 
-    for (const record of normalizer.emit()) {
-      records.push(record);
-      if (prometheus) {
-        prometheus.updateFromTsv(record);
+    if (gpuDir) {
+      console.error(`Ingesting GPU telemetry from: ${gpuDir}`);
+      const gpu = await ingestGpuTelemetry(gpuDir, {
+        windowSizeUs, siteId, clusterId, level: rollup, clock: clocks.gpu
+      });
+      usageSources.push(ordered(gpu.usage));
+      powerSources.push(ordered(gpu.power));
+    }
+
+    const gapFiller = new PowerGapFiller({ strategy: gapStrategy });
+
+    if (streaming) {
+      const tsv = normalizeTsvStream(usageSources, powerSources, { ...normalizerOptions, watermark: watermarkFor() });
+      exported = await writeTsv(outputPath, validated(fillPowerGaps(tsv, gapFiller)), prometheus, outputFormat, sharding);
+
+      if (lateStream) {
+        lateStream.end();
+        await once(lateStream, 'finish');
+        console.error(`Wrote ${lateCount} late records to: ${latePath}`);
+      }
+    } else {
+      const normalizer = new TsvNormalizer(normalizerOptions);
+
+      for (const source of usageSources) {
+        for await (const record of source) {
+          normalizer.addUsageRecord(record);
+        }
+      }
+
+      for (const source of powerSources) {
+        for await (const record of source) {
+          normalizer.addPowerRecord(record);
+        }
+      }
+
+      for await (const record of fillPowerGaps(normalizer.emit(), gapFiller)) {
+        records.push(record);
+        if (prometheus) {
+          prometheus.updateFromTsv(record);
+        }
       }
     }
-  }
 
-  // Write output
-  await mkdir(dirname(outputPath), { recursive: true });
-  const ws = createWriteStream(outputPath);
+    if (gapFiller.stats.gap_count > 0) {
+      const { gap_count: gaps, imputed_count: imputed, dropped_count: dropped } = gapFiller.stats;
+      console.error(`Power gaps: ${gaps} windows (${gapStrategy}: ${imputed} imputed, ${dropped} dropped)`);
+    }
 
-  for (const record of records) {
-    ws.write(JSON.stringify(record) + '\n');
+    if (conflicts.length > 0) {
+      console.error(`Warning: ${conflicts.length} merge conflicts beyond tolerance ${normalizerOptions.conflictTolerance}`);
+    }
+    if (args.values['conflict-report']) {
+      const reportPath = args.values['conflict-report'];
+      await mkdir(dirname(reportPath), { recursive: true });
+      await writeFile(reportPath, JSON.stringify({
+        tolerance: normalizerOptions.conflictTolerance,
+        conflict_count: conflicts.length,
+        conflicts
+      }, null, 2) + '\n');
+      console.error(`Wrote merge conflict report to: ${reportPath}`);
+    }
   }
 
-  ws.end();
+  // Write output
+  if (exported === null) {
+    exported = await writeTsv(outputPath, validated(records), null, outputFormat, sharding);
+  }
 
-  await new Promise((resolve, reject) => {
-    ws.on('finish', resolve);
-    ws.on('error', reject);
-  });
+  console.error(`Exported ${exported} TSV records to: ${outputPath === STDIO_PATH ? 'stdout' : outputPath}`);
+  if (errorBudget.summary()) {
+    console.error(errorBudget.summary());
+  }
 
-  console.error(`Exported ${records.length} TSV records to: ${outputPath}`);
+  if (validation) {
+    await validation.quarantine.close();
+    console.error(validation.validator.summary());
+    if (validation.quarantine.count > 0) {
+      console.error(`Wrote ${validation.quarantine.count} quarantined records to: ${validation.quarantine.filePath}`);
+    }
+  }
 
   // Keep process alive if Prometheus is running
   if (prometheus) {
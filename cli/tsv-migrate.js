@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * tsv-migrate CLI
+ *
+ * Upgrades TSV NDJSON files to a newer schema_version using the declarative
+ * migrations in src/migrate.
+ */
+
+import { parseArgs } from 'node:util';
+import { rename, rm } from 'node:fs/promises';
+import { join, dirname, basename } from 'node:path';
+
+import {
+  readRecords,
+  createRecordWriter,
+  ErrorBudget,
+  parseErrorBudget,
+  formatReadError,
+  STDIO_PATH
+} from '../src/io/index.js';
+import { compressionFromPath, requireCompression } from '../src/compression/index.js';
+import { migrateRecord, getSchemaVersion, TSV_SCHEMA_VERSION, MIGRATIONS } from '../src/migrate/index.js';
+
+const options = {
+  'input': { type: 'string', short: 'i' },
+  'output': { type: 'string', short: 'o' },
+  'to': { type: 'string', default: String(TSV_SCHEMA_VERSION) },
+  'error-budget': { type: 'string' },
+  'help': { type: 'boolean', short: 'h' }
+};
+
+function printUsage() {
+  console.log(`
+tsv-migrate - Upgrade TSV NDJSON files between schema versions
+
+Usage:
+  tsv-migrate -i <input> -o <output> [options]
+
+Options:
+  -i, --input <path>     Input TSV NDJSON file (plain, gzip or zstd; - for stdin)
+  -o, --output <path>    Output NDJSON file (.gz or .zst compresses; - for stdout)
+  --to <version>         Target schema_version (default: ${TSV_SCHEMA_VERSION}); a record newer
+                         than this fails the run, and a file output is only written once
+                         every record migrated
+  --error-budget <n|p%>  Fail once more than n malformed lines (or p% of lines) are
+                         skipped (default: unlimited)
+  -h, --help             Show this help message
+
+Migrations (records without schema_version are version 1):
+${MIGRATIONS.map(m => `  ${m.from} -> ${m.to}  ${m.description}`).join('\n')}
+
+Examples:
+  tsv-migrate -i ./old/tsv.ndjson -o ./outputs/tsv.ndjson
+  tsv-migrate -i ./old/tsv.ndjson -o ./outputs/tsv_v2.ndjson --to 2
+  tsv-migrate -i ./old/tsv.ndjson.gz -o - | enst -i -
+`);
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({ options, allowPositionals: true });
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    printUsage();
+    process.exit(1);
+  }
+
+  if (args.values.help) {
+    printUsage();
+    process.exit(0);
+  }
+
+  const inputPath = args.values.input;
+  const outputPath = args.values.output;
+  const targetVersion = parseInt(args.values.to, 10);
+
+  if (!inputPath || !outputPath) {
+    console.error('Error: Specify --input and --output');
+    printUsage();
+    process.exit(1);
+  }
+
+  if (!Number.isInteger(targetVersion) || targetVersion < 1 || targetVersion > TSV_SCHEMA_VERSION) {
+    console.error(`Error: Invalid --to. Must be between 1 and ${TSV_SCHEMA_VERSION}.`);
+    process.exit(1);
+  }
+
+  let errorBudget;
+  try {
+    errorBudget = new ErrorBudget(parseErrorBudget(args.values['error-budget']));
+    if (outputPath !== STDIO_PATH) requireCompression(compressionFromPath(outputPath));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  // File output goes to a temporary file renamed at the end, so a record that
+  // cannot be migrated leaves no partial output behind
+  const tempPath = outputPath === STDIO_PATH
+    ? null
+    : join(dirname(outputPath), `.${basename(outputPath)}.${process.pid}.tmp`);
+  const writer = tempPath
+    ? createRecordWriter(tempPath, { compression: compressionFromPath(outputPath) })
+    : createRecordWriter(outputPath);
+  const fromVersions = new Map();
+  let written = 0;
+
+  try {
+    const records = readRecords(inputPath, {
+      budget: errorBudget,
+      onMalformed: error => console.error(`Warning: ${formatReadError(error)}`)
+    });
+    for await (const record of records) {
+      const version = getSchemaVersion(record);
+      fromVersions.set(version, (fromVersions.get(version) || 0) + 1);
+
+      await writer.write(migrateRecord(record, targetVersion));
+      written++;
+    }
+
+    await writer.close();
+    if (tempPath) await rename(tempPath, outputPath);
+  } catch (e) {
+    if (tempPath) {
+      await writer.close().catch(() => {});
+      await rm(tempPath, { force: true });
+    }
+    throw e;
+  }
+
+  for (const [version, count] of [...fromVersions].sort((a, b) => a[0] - b[0])) {
+    console.error(`schema_version ${version}: ${count} records`);
+  }
+  if (errorBudget.summary()) {
+    console.error(errorBudget.summary());
+  }
+  console.error(`Migrated ${written} records to schema_version ${targetVersion}: ${outputPath === STDIO_PATH ? 'stdout' : outputPath}`);
+}
+
+main().catch(e => {
+  console.error(`Fatal: ${e.message}`);
+  process.exit(1);
+});
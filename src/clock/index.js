@@ -0,0 +1,382 @@
+/**
+ * Clock Module
+ *
+ * Timestamp parsing and per-source clock correction:
+ * - epoch numbers in s/ms/us/ns (explicit unit or guessed from magnitude)
+ * - ISO-8601 strings, with or without a zone offset
+ * - strftime patterns (%Y-%m-%d %H:%M:%S, %d/%b/%Y:%H:%M:%S %z, ...)
+ *
+ * Zone-less wall times are read in the source's IANA timezone (default UTC).
+ * A source's clock offset (how far its clock runs ahead) is subtracted after
+ * parsing; estimateClockSkew derives it by cross-correlating the source's power
+ * series with a utilization series on a trusted clock.
+ */
+
+/**
+ * Multipliers from epoch units to microseconds
+ */
+const EPOCH_UNITS = { s: 1_000_000, ms: 1_000, us: 1, ns: 0.001 };
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * strftime directives: regex fragment and the field each capture sets
+ */
+const STRFTIME_DIRECTIVES = {
+  Y: { pattern: '(\\d{4})', field: 'year' },
+  y: { pattern: '(\\d{2})', field: 'year2' },
+  m: { pattern: '(\\d{1,2})', field: 'month' },
+  d: { pattern: '(\\d{1,2})', field: 'day' },
+  e: { pattern: '\\s?(\\d{1,2})', field: 'day' },
+  j: { pattern: '(\\d{1,3})', field: 'yday' },
+  H: { pattern: '(\\d{1,2})', field: 'hour' },
+  I: { pattern: '(\\d{1,2})', field: 'hour12' },
+  p: { pattern: '([AaPp][Mm])', field: 'ampm' },
+  M: { pattern: '(\\d{1,2})', field: 'minute' },
+  S: { pattern: '(\\d{1,2})', field: 'second' },
+  f: { pattern: '(\\d{1,9})', field: 'fraction' },
+  b: { pattern: '([A-Za-z]{3,})', field: 'monthName' },
+  B: { pattern: '([A-Za-z]{3,})', field: 'monthName' },
+  a: { pattern: '[A-Za-z]{3,}', field: null },
+  A: { pattern: '[A-Za-z]{3,}', field: null },
+  z: { pattern: '(Z|[+-]\\d{2}:?\\d{2})', field: 'offset' },
+  Z: { pattern: '([A-Za-z]{1,5})', field: 'zoneName' },
+  s: { pattern: '(\\d+(?:\\.\\d+)?)', field: 'epoch' },
+  '%': { pattern: '%', field: null }
+};
+
+const compiledFormats = new Map(); // format -> { regex, fields }
+const zoneFormatters = new Map(); // timezone -> Intl.DateTimeFormat
+
+/**
+ * Converts an epoch number to microseconds
+ * @param {number} num - Epoch value
+ * @param {string|null} unit - s, ms, us or ns; guessed from magnitude when null
+ * @returns {number} Timestamp in microseconds
+ */
+export function epochToMicros(num, unit = null) {
+  if (unit) {
+    if (!(unit in EPOCH_UNITS)) {
+      throw new Error(`Unknown epoch unit: ${unit} (expected ${Object.keys(EPOCH_UNITS).join(', ')})`);
+    }
+    return num * EPOCH_UNITS[unit];
+  }
+  if (num < 1e10) return num * 1_000_000; // seconds
+  if (num < 1e13) return num * 1_000; // milliseconds
+  if (num < 1e16) return num; // microseconds
+  return num / 1_000; // nanoseconds
+}
+
+/**
+ * Parses a fixed offset such as "Z", "+05:30" or "-0800"
+ * @param {string} value - Offset string
+ * @returns {number|null} Offset east of UTC in milliseconds
+ */
+export function parseUtcOffset(value) {
+  if (/^(Z|UTC|GMT)$/i.test(value)) return 0;
+  const match = String(value).match(/^([+-])(\d{2}):?(\d{2})$/);
+  if (!match) return null;
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return (match[1] === '-' ? -minutes : minutes) * 60_000;
+}
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @param {string} timezone - IANA name (e.g. "America/Denver") or fixed offset
+ * @param {number} utcMs - Instant in epoch milliseconds
+ * @returns {number} Offset east of UTC in milliseconds
+ */
+export function timezoneOffsetMs(timezone, utcMs) {
+  const fixed = parseUtcOffset(timezone);
+  if (fixed !== null) return fixed;
+
+  if (!zoneFormatters.has(timezone)) {
+    zoneFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of zoneFormatters.get(timezone).formatToParts(new Date(utcMs))) {
+    parts[type] = Number(value);
+  }
+  const wallMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallMs - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock time in a timezone to UTC
+ * @param {number} wallMs - Wall time encoded as if it were UTC, in milliseconds
+ * @param {string} timezone - IANA name or fixed offset
+ * @returns {number} Epoch milliseconds
+ */
+export function wallTimeToUtc(wallMs, timezone = 'UTC') {
+  const guess = wallMs - timezoneOffsetMs(timezone, wallMs);
+  // Re-evaluate at the guess so wall times near a DST change use the right offset
+  return wallMs - timezoneOffsetMs(timezone, guess);
+}
+
+function compileFormat(format) {
+  if (!compiledFormats.has(format)) {
+    const fields = [];
+    let source = '';
+    for (let i = 0; i < format.length; i++) {
+      const char = format[i];
+      if (char === '%' && i + 1 < format.length) {
+        const directive = STRFTIME_DIRECTIVES[format[++i]];
+        if (!directive) {
+          throw new Error(`Unsupported strftime directive: %${format[i]}`);
+        }
+        source += directive.pattern;
+        if (directive.field) fields.push(directive.field);
+      } else if (/\s/.test(char)) {
+        source += '\\s+';
+      } else {
+        source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    compiledFormats.set(format, { regex: new RegExp(`^${source}$`), fields });
+  }
+  return compiledFormats.get(format);
+}
+
+/**
+ * Parses a string with a strftime pattern
+ * @param {string} value - Timestamp string
+ * @param {string} format - strftime pattern
+ * @returns {{wallMs: number, offsetMs: number|null, epochUs: number|null}|null} Parsed time
+ */
+export function parseStrftime(value, format) {
+  const { regex, fields } = compileFormat(format);
+  const match = String(value).trim().match(regex);
+  if (!match) return null;
+
+  const f = {};
+  fields.forEach((field, i) => { f[field] = match[i + 1]; });
+
+  if (f.epoch !== undefined) {
+    return { wallMs: null, offsetMs: 0, epochUs: Number(f.epoch) * 1_000_000 };
+  }
+
+  const year = f.year !== undefined ? Number(f.year) : f.year2 !== undefined ? 2000 + Number(f.year2) : 1970;
+  let month = f.month !== undefined ? Number(f.month) - 1 : 0;
+  if (f.monthName !== undefined) {
+    month = MONTHS.indexOf(f.monthName.slice(0, 3).toLowerCase());
+    if (month < 0) return null;
+  }
+  let day = f.day !== undefined ? Number(f.day) : 1;
+  if (f.yday !== undefined) {
+    month = 0;
+    day = Number(f.yday);
+  }
+
+  let hour = f.hour !== undefined ? Number(f.hour) : 0;
+  if (f.hour12 !== undefined) {
+    hour = Number(f.hour12) % 12 + (f.ampm && f.ampm.toLowerCase() === 'pm' ? 12 : 0);
+  }
+  const fractionMs = f.fraction !== undefined ? Number(`0.${f.fraction}`) * 1000 : 0;
+
+  const wallMs = Date.UTC(year, month, day, hour, Number(f.minute ?? 0), Number(f.second ?? 0)) + fractionMs;
+  let offsetMs = f.offset !== undefined ? parseUtcOffset(f.offset) : null;
+  if (offsetMs === null && f.zoneName !== undefined) {
+    offsetMs = parseUtcOffset(f.zoneName);
+  }
+  return { wallMs, offsetMs, epochUs: null };
+}
+
+/**
+ * Parses a timestamp into microseconds
+ * @param {string|number} value - Epoch number, ISO-8601 string or formatted string
+ * @param {object} options - {timezone, format, unit}
+ * @returns {number|null} Timestamp in microseconds, null if unparseable
+ */
+export function parseTimestamp(value, options = {}) {
+  const { timezone = 'UTC', format = null, unit = null } = options;
+  if (value === null || value === undefined || value === '') return null;
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? epochToMicros(value, unit) : null;
+  }
+
+  const str = String(value).trim();
+  if (/^-?\d+(\.\d+)?$/.test(str)) {
+    return epochToMicros(Number(str), unit);
+  }
+
+  if (format) {
+    const parsed = parseStrftime(str, format);
+    if (!parsed) return null;
+    if (parsed.epochUs !== null) return parsed.epochUs;
+    const utcMs = parsed.offsetMs !== null
+      ? parsed.wallMs - parsed.offsetMs
+      : wallTimeToUtc(parsed.wallMs, timezone);
+    return utcMs * 1000;
+  }
+
+  const iso = str.replace(/^(\d{4})\/(\d{2})\/(\d{2})/, '$1-$2-$3');
+  const hasZone = /(Z|[+-]\d{2}:?\d{2}|UTC|GMT)$/i.test(iso);
+  if (hasZone) {
+    const ms = Date.parse(iso);
+    return isNaN(ms) ? null : ms * 1000;
+  }
+
+  // Zone-less: read the wall time as UTC, then shift it out of the source zone
+  const isoWall = /^\d{4}-\d{2}-\d{2}[T ]\d/.test(iso) ? `${iso.replace(' ', 'T')}Z` : `${iso} UTC`;
+  const wallMs = Date.parse(isoWall);
+  if (isNaN(wallMs)) return null;
+  return wallTimeToUtc(wallMs, timezone) * 1000;
+}
+
+/**
+ * Timestamp parsing and correction settings for one data source
+ */
+export class SourceClock {
+  constructor(options = {}) {
+    this.timezone = options.timezone || 'UTC';
+    this.format = options.format || null;
+    this.unit = options.unit || null;
+    this.offsetUs = options.offsetUs ?? 0; // how far the source clock runs ahead
+
+    // Fail fast on a bad zone or unit rather than on the first record
+    timezoneOffsetMs(this.timezone, 0);
+    if (this.unit) epochToMicros(0, this.unit);
+  }
+
+  /**
+   * Parses and corrects a raw timestamp
+   * @param {string|number} value - Raw timestamp
+   * @returns {number|null} Corrected timestamp in microseconds
+   */
+  parse(value) {
+    const ts = parseTimestamp(value, this);
+    return ts === null ? null : ts - this.offsetUs;
+  }
+
+  /**
+   * Corrects an absolute (already zone-resolved) timestamp
+   * @param {number} us - Timestamp in microseconds
+   * @returns {number} Corrected timestamp in microseconds
+   */
+  epoch(us) {
+    return us - this.offsetUs;
+  }
+
+  /**
+   * Resolves and corrects a zone-less wall time that was read as UTC
+   * @param {number} wallUs - Wall time in microseconds
+   * @returns {number} Corrected timestamp in microseconds
+   */
+  wall(wallUs) {
+    return wallTimeToUtc(wallUs / 1000, this.timezone) * 1000 - this.offsetUs;
+  }
+
+  /**
+   * Whether the clock changes anything
+   * @returns {boolean} True unless UTC with no format, unit or offset
+   */
+  get isIdentity() {
+    return this.timezone === 'UTC' && !this.format && !this.unit && this.offsetUs === 0;
+  }
+}
+
+/**
+ * Resamples points or windows onto a fixed grid
+ * Points are {ts, value}; windows ({ts_start, ts_end, value}) fill every step
+ * they cover. Each grid step holds the mean of its values.
+ * @param {Iterable<object>} points - Samples
+ * @param {number} stepUs - Grid step in microseconds
+ * @returns {Map<number, number>} Step index -> mean value
+ */
+export function resampleSeries(points, stepUs) {
+  const bins = new Map(); // step -> { sum, count }
+  const add = (step, value) => {
+    const bin = bins.get(step) || { sum: 0, count: 0 };
+    bin.sum += value;
+    bin.count++;
+    bins.set(step, bin);
+  };
+
+  for (const point of points) {
+    if (point.value === null || point.value === undefined || !Number.isFinite(point.value)) continue;
+    if (point.ts_end !== undefined && point.ts_start !== undefined) {
+      const first = Math.floor(point.ts_start / stepUs);
+      const last = Math.ceil(point.ts_end / stepUs);
+      for (let step = first; step < last; step++) {
+        add(step, point.value);
+      }
+    } else {
+      add(Math.floor(point.ts / stepUs), point.value);
+    }
+  }
+
+  const series = new Map();
+  for (const [step, { sum, count }] of bins) {
+    series.set(step, sum / count);
+  }
+  return series;
+}
+
+function pearson(pairs) {
+  const n = pairs.length;
+  let sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0;
+  for (const [x, y] of pairs) {
+    sx += x; sy += y; sxx += x * x; syy += y * y; sxy += x * y;
+  }
+  const cov = sxy - (sx * sy) / n;
+  const vx = sxx - (sx * sx) / n;
+  const vy = syy - (sy * sy) / n;
+  if (vx <= 0 || vy <= 0) return null;
+  return cov / Math.sqrt(vx * vy);
+}
+
+/**
+ * Estimates how far a target clock runs ahead of a reference clock
+ * The target series is shifted step by step within ±maxLagUs; the lag with
+ * the highest Pearson correlation wins.
+ * @param {Iterable<object>} reference - Trusted-clock samples (e.g. cpu_util windows)
+ * @param {Iterable<object>} target - Samples to realign (e.g. raw power readings)
+ * @param {object} options - {stepUs, maxLagUs, minOverlap, minCorrelation}
+ * @returns {{offsetUs: number, correlation: number, overlap: number}|null} Estimate, null if inconclusive
+ */
+export function estimateClockSkew(reference, target, options = {}) {
+  const {
+    stepUs = 10_000_000,
+    maxLagUs = 900_000_000,
+    minOverlap = 10,
+    minCorrelation = 0.5
+  } = options;
+
+  const ref = resampleSeries(reference, stepUs);
+  const tgt = resampleSeries(target, stepUs);
+  const maxLagSteps = Math.floor(maxLagUs / stepUs);
+  let best = null;
+
+  for (let lag = -maxLagSteps; lag <= maxLagSteps; lag++) {
+    const pairs = [];
+    for (const [step, value] of ref) {
+      const shifted = tgt.get(step + lag);
+      if (shifted !== undefined) pairs.push([value, shifted]);
+    }
+    if (pairs.length < minOverlap) continue;
+
+    const correlation = pearson(pairs);
+    if (correlation === null) continue;
+    // Prefer the smaller shift when correlations tie
+    if (!best || correlation > best.correlation + 1e-12 ||
+        (Math.abs(correlation - best.correlation) <= 1e-12 && Math.abs(lag) < Math.abs(best.lag))) {
+      best = { lag, correlation, overlap: pairs.length };
+    }
+  }
+
+  if (!best || best.correlation < minCorrelation) return null;
+  return { offsetUs: best.lag * stepUs, correlation: best.correlation, overlap: best.overlap };
+}
+
+export { EPOCH_UNITS, STRFTIME_DIRECTIVES };
@@ -0,0 +1,384 @@
+/**
+ * Columnar TSV Storage Module
+ *
+ * Compact binary storage for TSV records (.tsvc) that readers can seek by time
+ * range or site without parsing the whole file.
+ *
+ * Layout:
+ *   header  "TSVC" + format version (uint8) + 3 reserved bytes
+ *   blocks  up to blockSize records each, stored column by column and
+ *           deflate-compressed
+ *   footer  JSON index {version, row_count, dictionary, blocks}
+ *           + footer length (uint32 LE) + "TSVC"
+ *
+ * Each block's index entry holds its byte range, row count, min/max ts_start
+ * and the dictionary ids of its sites. Columns are typed per block:
+ * - f64: numbers (Float64 LE)
+ * - str: strings as uint32 ids into the file dictionary (site_id, cluster_id, ...)
+ * - bool: uint8
+ * - json: anything else (arrays, mixed types) as dictionary ids of JSON text
+ * - null: no values
+ * A column stores a presence byte per row (0 absent, 1 null, 2 value) only
+ * when some row lacks a value; values are stored densely.
+ */
+
+import { open, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { deflateRawSync, inflateRawSync } from 'node:zlib';
+
+const MAGIC = Buffer.from('TSVC');
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = 8;
+const TRAILER_SIZE = 8;
+const DEFAULT_BLOCK_SIZE = 4096;
+
+const ABSENT = 0;
+const NULL = 1;
+const PRESENT = 2;
+
+/**
+ * Reads a record's event time for block statistics and range filters
+ */
+function recordTs(record) {
+  const ts = record.ts_start ?? record.ts;
+  return typeof ts === 'number' ? ts : null;
+}
+
+function columnType(kinds) {
+  if (kinds.size === 0) return 'null';
+  if (kinds.size > 1) return 'json';
+  const [kind] = kinds;
+  if (kind === 'number') return 'f64';
+  if (kind === 'string') return 'str';
+  if (kind === 'boolean') return 'bool';
+  return 'json';
+}
+
+/**
+ * Streams TSV records into a columnar file
+ */
+export class ColumnarWriter {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.blockSize = options.blockSize ?? DEFAULT_BLOCK_SIZE;
+    this.handle = null;
+    this.offset = HEADER_SIZE;
+    this.pending = [];
+    this.blocks = [];
+    this.dictionary = new Map(); // string -> id
+    this.rowCount = 0;
+  }
+
+  async open() {
+    await mkdir(dirname(this.filePath), { recursive: true });
+    this.handle = await open(this.filePath, 'w');
+    const header = Buffer.alloc(HEADER_SIZE);
+    MAGIC.copy(header, 0);
+    header.writeUInt8(FORMAT_VERSION, 4);
+    await this.handle.write(header, 0, HEADER_SIZE, 0);
+  }
+
+  intern(value) {
+    if (!this.dictionary.has(value)) {
+      this.dictionary.set(value, this.dictionary.size);
+    }
+    return this.dictionary.get(value);
+  }
+
+  async write(record) {
+    if (!this.handle) await this.open();
+    this.pending.push(record);
+    if (this.pending.length >= this.blockSize) {
+      await this.flushBlock();
+    }
+  }
+
+  /**
+   * Encodes buffered records as one block
+   */
+  async flushBlock() {
+    const records = this.pending;
+    this.pending = [];
+    if (records.length === 0) return;
+
+    const columns = new Map(); // name -> kinds seen
+    for (const record of records) {
+      for (const [name, value] of Object.entries(record)) {
+        if (value === undefined) continue;
+        if (!columns.has(name)) columns.set(name, new Set());
+        if (value !== null) {
+          columns.get(name).add(Array.isArray(value) ? 'array' : typeof value);
+        }
+      }
+    }
+
+    const parts = [];
+    const layout = [];
+    for (const [name, kinds] of columns) {
+      const type = columnType(kinds);
+      layout.push({ name, type });
+
+      const states = records.map(r => (r[name] === undefined ? ABSENT : r[name] === null ? NULL : PRESENT));
+      const values = records.map(r => r[name]).filter(v => v !== undefined && v !== null);
+
+      if (states.every(state => state === PRESENT)) {
+        parts.push(Buffer.from([0]));
+      } else {
+        parts.push(Buffer.from([1]), Buffer.from(states));
+      }
+
+      if (type === 'f64') {
+        const buf = Buffer.alloc(values.length * 8);
+        values.forEach((v, i) => buf.writeDoubleLE(v, i * 8));
+        parts.push(buf);
+      } else if (type === 'bool') {
+        parts.push(Buffer.from(values.map(v => (v ? 1 : 0))));
+      } else if (type === 'str' || type === 'json') {
+        const buf = Buffer.alloc(values.length * 4);
+        values.forEach((v, i) => buf.writeUInt32LE(this.intern(type === 'str' ? v : JSON.stringify(v)), i * 4));
+        parts.push(buf);
+      }
+    }
+
+    const timestamps = records.map(recordTs).filter(ts => ts !== null);
+    const sites = new Set(records.filter(r => typeof r.site_id === 'string').map(r => this.intern(r.site_id)));
+    const encoded = deflateRawSync(Buffer.concat(parts));
+
+    await this.handle.write(encoded, 0, encoded.length, this.offset);
+    this.blocks.push({
+      offset: this.offset,
+      length: encoded.length,
+      rows: records.length,
+      ts_min: timestamps.length > 0 ? Math.min(...timestamps) : null,
+      ts_max: timestamps.length > 0 ? Math.max(...timestamps) : null,
+      sites: [...sites],
+      columns: layout
+    });
+    this.offset += encoded.length;
+    this.rowCount += records.length;
+  }
+
+  /**
+   * Flushes the last block and writes the footer index
+   */
+  async close() {
+    if (!this.handle) await this.open();
+    await this.flushBlock();
+
+    const footer = Buffer.from(JSON.stringify({
+      version: FORMAT_VERSION,
+      row_count: this.rowCount,
+      dictionary: [...this.dictionary.keys()],
+      blocks: this.blocks
+    }));
+    const trailer = Buffer.alloc(TRAILER_SIZE);
+    trailer.writeUInt32LE(footer.length, 0);
+    MAGIC.copy(trailer, 4);
+
+    await this.handle.write(Buffer.concat([footer, trailer]), 0, footer.length + TRAILER_SIZE, this.offset);
+    await this.handle.close();
+    this.handle = null;
+  }
+}
+
+/**
+ * Writes records to a columnar file
+ * @param {string} filePath - Output path
+ * @param {AsyncIterable<object>|Iterable<object>} records - TSV records
+ * @param {object} options - {blockSize}
+ * @returns {Promise<number>} Number of records written
+ */
+export async function writeColumnar(filePath, records, options = {}) {
+  const writer = new ColumnarWriter(filePath, options);
+  for await (const record of records) {
+    await writer.write(record);
+  }
+  await writer.close();
+  return writer.rowCount;
+}
+
+/**
+ * Random-access reader for columnar files
+ */
+export class ColumnarReader {
+  constructor(handle, index) {
+    this.handle = handle;
+    this.index = index;
+    this.dictionary = index.dictionary;
+    this.stats = { blocks_read: 0, blocks_skipped: 0 };
+  }
+
+  /**
+   * Opens a file and loads its footer index
+   * @param {string} filePath - Columnar file
+   * @returns {Promise<ColumnarReader>} Reader
+   */
+  static async open(filePath) {
+    const handle = await open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      if (size < HEADER_SIZE + TRAILER_SIZE) {
+        throw new Error(`Not a columnar TSV file: ${filePath}`);
+      }
+      const trailer = Buffer.alloc(TRAILER_SIZE);
+      await handle.read(trailer, 0, TRAILER_SIZE, size - TRAILER_SIZE);
+      if (!trailer.subarray(4).equals(MAGIC)) {
+        throw new Error(`Not a columnar TSV file (missing footer): ${filePath}`);
+      }
+      const footerLength = trailer.readUInt32LE(0);
+      if (footerLength > size - HEADER_SIZE - TRAILER_SIZE) {
+        throw new Error(`Corrupt columnar footer (length ${footerLength} exceeds file): ${filePath}`);
+      }
+      const footer = Buffer.alloc(footerLength);
+      await handle.read(footer, 0, footerLength, size - TRAILER_SIZE - footerLength);
+      let index;
+      try {
+        index = JSON.parse(footer.toString('utf8'));
+      } catch (err) {
+        throw new Error(`Corrupt columnar footer (${err.message}): ${filePath}`);
+      }
+      if (!Array.isArray(index?.blocks) || !Array.isArray(index.dictionary)) {
+        throw new Error(`Corrupt columnar footer (missing block index): ${filePath}`);
+      }
+      if (index.version > FORMAT_VERSION) {
+        throw new Error(`Unsupported columnar format version ${index.version}: ${filePath}`);
+      }
+      return new ColumnarReader(handle, index);
+    } catch (err) {
+      await handle.close();
+      throw err;
+    }
+  }
+
+  get rowCount() {
+    return this.index.row_count;
+  }
+
+  /**
+   * Selects the blocks that can hold matching records
+   * @param {object} filter - {siteId, startTs, endTs} (ts_start bounds, inclusive)
+   * @returns {Array<object>} Block index entries
+   */
+  selectBlocks(filter = {}) {
+    const { siteId = null, startTs = null, endTs = null } = filter;
+    const siteRef = siteId !== null ? this.dictionary.indexOf(siteId) : null;
+
+    return this.index.blocks.filter(block => {
+      if (siteRef === -1 || (siteRef !== null && !block.sites.includes(siteRef))) return false;
+      if (startTs !== null && block.ts_max !== null && block.ts_max < startTs) return false;
+      if (endTs !== null && block.ts_min !== null && block.ts_min > endTs) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Decodes one block
+   * @param {object} block - Block index entry
+   * @returns {Promise<Array<object>>} Records
+   */
+  async readBlock(block) {
+    const encoded = Buffer.alloc(block.length);
+    await this.handle.read(encoded, 0, block.length, block.offset);
+    const raw = inflateRawSync(encoded);
+    const records = Array.from({ length: block.rows }, () => ({}));
+    let pos = 0;
+
+    for (const { name, type } of block.columns) {
+      let states = null;
+      if (raw[pos++] === 1) {
+        states = raw.subarray(pos, pos + block.rows);
+        pos += block.rows;
+      }
+
+      for (let i = 0; i < block.rows; i++) {
+        const state = states ? states[i] : PRESENT;
+        if (state === ABSENT) continue;
+        if (state === NULL) {
+          records[i][name] = null;
+          continue;
+        }
+        switch (type) {
+          case 'f64':
+            records[i][name] = raw.readDoubleLE(pos);
+            pos += 8;
+            break;
+          case 'bool':
+            records[i][name] = raw[pos] === 1;
+            pos += 1;
+            break;
+          case 'str':
+            records[i][name] = this.dictionary[raw.readUInt32LE(pos)];
+            pos += 4;
+            break;
+          case 'json':
+            records[i][name] = JSON.parse(this.dictionary[raw.readUInt32LE(pos)]);
+            pos += 4;
+            break;
+          default:
+            throw new Error(`Unknown column type ${type} for ${name}`);
+        }
+      }
+    }
+
+    this.stats.blocks_read++;
+    return records;
+  }
+
+  /**
+   * Reads records, skipping blocks outside the filter
+   * @param {object} filter - {siteId, startTs, endTs}
+   * @yields {object} Matching TSV records
+   */
+  async* read(filter = {}) {
+    const { siteId = null, startTs = null, endTs = null } = filter;
+    const blocks = this.selectBlocks(filter);
+    this.stats.blocks_skipped += this.index.blocks.length - blocks.length;
+
+    for (const block of blocks) {
+      for (const record of await this.readBlock(block)) {
+        const ts = recordTs(record);
+        if (siteId !== null && record.site_id !== siteId) continue;
+        if (startTs !== null && ts !== null && ts < startTs) continue;
+        if (endTs !== null && ts !== null && ts > endTs) continue;
+        yield record;
+      }
+    }
+  }
+
+  async close() {
+    await this.handle.close();
+  }
+}
+
+/**
+ * Reads records from a columnar file
+ * @param {string} filePath - Columnar file
+ * @param {object} filter - {siteId, startTs, endTs}
+ * @yields {object} Matching TSV records
+ */
+export async function* readColumnar(filePath, filter = {}) {
+  const reader = await ColumnarReader.open(filePath);
+  try {
+    yield* reader.read(filter);
+  } finally {
+    await reader.close();
+  }
+}
+
+/**
+ * Checks whether a file is in columnar format (by its leading magic bytes)
+ * @param {string} filePath - File path
+ * @returns {Promise<boolean>} True for columnar TSV files
+ */
+export async function isColumnarFile(filePath) {
+  const handle = await open(filePath, 'r');
+  try {
+    const head = Buffer.alloc(MAGIC.length);
+    const { bytesRead } = await handle.read(head, 0, MAGIC.length, 0);
+    return bytesRead === MAGIC.length && head.equals(MAGIC);
+  } finally {
+    await handle.close();
+  }
+}
+
+export { DEFAULT_BLOCK_SIZE };
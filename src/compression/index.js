@@ -0,0 +1,246 @@
+/**
+ * Compression Module
+ *
+ * Compressed NDJSON input and output shared by the ingesters and CLIs:
+ * - gzip (.gz) and zstd (.zst, .zstd) framed streams
+ * - on read, the codec is detected from the leading magic bytes, so plain and
+ *   compressed files are accepted under any name; on write it follows the
+ *   file extension
+ * - zstd needs a Node.js whose zlib provides it (22.15+); elsewhere .zst
+ *   output and zstd input fail with an error instead of passing through
+ * - NdjsonWriter rotates output into shards bounded by size or by event time
+ */
+
+import { createReadStream, createWriteStream } from 'node:fs';
+import { open, mkdir } from 'node:fs/promises';
+import { createInterface } from 'node:readline';
+import { dirname } from 'node:path';
+import { once } from 'node:events';
+import { pipeline, finished } from 'node:stream/promises';
+import zlib from 'node:zlib';
+
+/**
+ * Supported codecs with their file extensions, frame magic bytes and whether
+ * this Node.js can run them
+ */
+const COMPRESSIONS = {
+  gzip: { extensions: ['.gz'], magic: Buffer.from([0x1f, 0x8b]), available: true },
+  zstd: {
+    extensions: ['.zst', '.zstd'],
+    magic: Buffer.from([0x28, 0xb5, 0x2f, 0xfd]),
+    available: typeof zlib.createZstdCompress === 'function' && typeof zlib.createZstdDecompress === 'function'
+  }
+};
+
+/**
+ * Shard file names: <base>-<index>.<ext>, index zero-padded to this width
+ */
+const SHARD_INDEX_WIDTH = 5;
+
+/**
+ * Picks a codec from a file extension
+ * @param {string} filePath - File path
+ * @returns {string|null} Codec name, null for uncompressed
+ */
+export function compressionFromPath(filePath) {
+  const lower = filePath.toLowerCase();
+  for (const [name, codec] of Object.entries(COMPRESSIONS)) {
+    if (codec.extensions.some(ext => lower.endsWith(ext))) return name;
+  }
+  return null;
+}
+
+/**
+ * Detects a file's codec from its leading magic bytes
+ * @param {string} filePath - File path
+ * @returns {Promise<string|null>} Codec name, null for uncompressed
+ */
+export async function detectCompression(filePath) {
+  const handle = await open(filePath, 'r');
+  try {
+    const head = Buffer.alloc(4);
+    const { bytesRead } = await handle.read(head, 0, head.length, 0);
+    for (const [name, codec] of Object.entries(COMPRESSIONS)) {
+      if (bytesRead >= codec.magic.length && head.subarray(0, codec.magic.length).equals(codec.magic)) {
+        return name;
+      }
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Checks that this Node.js can compress and decompress a codec
+ * @param {string|null} compression - Codec name, null for uncompressed
+ * @throws {Error} When the codec is unknown or unavailable
+ */
+export function requireCompression(compression) {
+  if (compression === null) return;
+  const codec = COMPRESSIONS[compression];
+  if (!codec) {
+    throw new Error(`Unknown compression: ${compression}`);
+  }
+  if (!codec.available) {
+    throw new Error(`${compression} needs a Node.js whose zlib supports it (22.15+); running ${process.version}`);
+  }
+}
+
+/**
+ * Creates a decompression transform
+ * @param {string} compression - gzip or zstd
+ * @returns {import('node:stream').Transform} Transform stream
+ */
+export function createDecompressor(compression) {
+  requireCompression(compression);
+  return compression === 'gzip' ? zlib.createGunzip() : zlib.createZstdDecompress();
+}
+
+/**
+ * Creates a compression transform
+ * @param {string} compression - gzip or zstd
+ * @returns {import('node:stream').Transform} Transform stream
+ */
+export function createCompressor(compression) {
+  requireCompression(compression);
+  return compression === 'gzip' ? zlib.createGzip() : zlib.createZstdCompress();
+}
+
+/**
+ * Opens a file for reading, decompressing it when its magic bytes say so
+ * @param {string} filePath - File path
+ * @returns {Promise<import('node:stream').Readable>} Decompressed byte stream
+ */
+export async function openInputStream(filePath) {
+  const compression = await detectCompression(filePath);
+  const stream = createReadStream(filePath);
+  if (!compression) return stream;
+
+  const decompressor = createDecompressor(compression);
+  stream.on('error', err => decompressor.destroy(err));
+  return stream.pipe(decompressor);
+}
+
+/**
+ * Reads a plain or compressed text file line by line
+ * @param {string} filePath - File path
+ * @yields {string} Lines without line endings
+ */
+export async function* readLines(filePath) {
+  const stream = await openInputStream(filePath);
+  stream.setEncoding('utf8');
+  yield* createInterface({ input: stream, crlfDelay: Infinity });
+}
+
+/**
+ * Inserts a shard index before the NDJSON and compression extensions
+ * (outputs/tsv.ndjson.gz -> outputs/tsv-00003.ndjson.gz)
+ * @param {string} filePath - Output path
+ * @param {number} index - Shard index
+ * @returns {string} Shard path
+ */
+export function shardPath(filePath, index) {
+  const match = filePath.match(/(\.(ndjson|jsonl|json))?(\.(gz|zst|zstd))?$/i);
+  const cut = match[0] ? match.index : filePath.length;
+  return `${filePath.slice(0, cut)}-${String(index).padStart(SHARD_INDEX_WIDTH, '0')}${filePath.slice(cut)}`;
+}
+
+/**
+ * Streams NDJSON records to a file, compressed by extension
+ *
+ * With shardBytes or shardIntervalUs the output rotates into numbered shards:
+ * a shard is closed before a line would push it past shardBytes (counted
+ * before compression), or when a record's ts_start (or ts) falls in a later
+ * shardIntervalUs-aligned interval than the shard's first record.
+ */
+export class NdjsonWriter {
+  /**
+   * @param {string} filePath - Output path
+   * @param {object} options - {compression, shardBytes, shardIntervalUs}
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.compression = options.compression !== undefined ? options.compression : compressionFromPath(filePath);
+    this.shardBytes = options.shardBytes ?? null;
+    this.shardIntervalUs = options.shardIntervalUs ?? null;
+    this.sharded = this.shardBytes !== null || this.shardIntervalUs !== null;
+    this.shards = []; // paths written
+    this.count = 0;
+    this.current = null; // {head, done, bytes, interval}
+  }
+
+  async openShard(interval) {
+    const path = this.sharded ? shardPath(this.filePath, this.shards.length) : this.filePath;
+    await mkdir(dirname(path), { recursive: true });
+
+    const file = createWriteStream(path);
+    const head = this.compression ? createCompressor(this.compression) : file;
+    const done = this.compression ? pipeline(head, file) : finished(file);
+    done.catch(() => {}); // surfaced by close()
+
+    this.current = { head, done, bytes: 0, interval };
+    this.shards.push(path);
+  }
+
+  async closeShard() {
+    if (!this.current) return;
+    const { head, done } = this.current;
+    this.current = null;
+    head.end();
+    await done;
+  }
+
+  /**
+   * Writes one record, rotating shards as needed
+   * @param {object} record - Record
+   */
+  async write(record) {
+    const line = JSON.stringify(record) + '\n';
+    const bytes = Buffer.byteLength(line);
+    const ts = record.ts_start ?? record.ts;
+    const interval = this.shardIntervalUs !== null && typeof ts === 'number'
+      ? Math.floor(ts / this.shardIntervalUs)
+      : null;
+
+    if (this.current && this.current.bytes > 0) {
+      const full = this.shardBytes !== null && this.current.bytes + bytes > this.shardBytes;
+      const nextInterval = interval !== null && this.current.interval !== null && interval > this.current.interval;
+      if (full || nextInterval) await this.closeShard();
+    }
+    if (!this.current) await this.openShard(interval);
+    if (this.current.interval === null) this.current.interval = interval;
+
+    this.current.bytes += bytes;
+    this.count++;
+    if (!this.current.head.write(line)) {
+      await once(this.current.head, 'drain');
+    }
+  }
+
+  /**
+   * Finishes the open shard (an empty output still gets one file)
+   */
+  async close() {
+    if (this.shards.length === 0) await this.openShard(null);
+    await this.closeShard();
+  }
+}
+
+/**
+ * Writes records as (possibly compressed, possibly sharded) NDJSON
+ * @param {string} filePath - Output path
+ * @param {AsyncIterable<object>|Iterable<object>} records - Records
+ * @param {object} options - NdjsonWriter options
+ * @returns {Promise<{count: number, shards: string[]}>} Records and files written
+ */
+export async function writeNdjsonFile(filePath, records, options = {}) {
+  const writer = new NdjsonWriter(filePath, options);
+  for await (const record of records) {
+    await writer.write(record);
+  }
+  await writer.close();
+  return { count: writer.count, shards: writer.shards };
+}
+
+export { COMPRESSIONS };
@@ -140,9 +140,17 @@ export function buildNotes(options) {
     parts.push('missing_price_defaulted');
   }
 
+  if (options.pueDefaulted) {
+    parts.push('missing_pue_defaulted');
+  }
+
   if (options.dataSource) {
     parts.push(`data_source=${options.dataSource}`);
   }
 
+  if (options.hardwareProfile) {
+    parts.push(`hardware_profile=${options.hardwareProfile}`);
+  }
+
   return parts.join(';') || '';
 }
@@ -0,0 +1,203 @@
+/**
+ * CSV Module
+ *
+ * RFC 4180 CSV parsing for vendor exports:
+ * - quoted fields with embedded delimiters, quotes ("") and line breaks
+ * - CRLF or LF line endings, UTF-8 byte order mark
+ * - comma, semicolon, tab or pipe delimiters, sniffed from the header line
+ * - decimal commas in semicolon-delimited (European) exports
+ */
+
+import { createReadStream } from 'node:fs';
+
+/**
+ * Delimiters considered when sniffing a header line
+ */
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Picks the delimiter occurring most often outside quotes in a header line
+ * @param {string} line - First line of the file
+ * @returns {string} Delimiter (comma when none occurs)
+ */
+export function sniffDelimiter(line) {
+  const counts = new Map(CSV_DELIMITERS.map(d => [d, 0]));
+  let quoted = false;
+
+  for (const ch of line) {
+    if (ch === '"') {
+      quoted = !quoted;
+    } else if (!quoted && counts.has(ch)) {
+      counts.set(ch, counts.get(ch) + 1);
+    }
+  }
+
+  let best = ',';
+  for (const [delimiter, count] of counts) {
+    if (count > counts.get(best)) best = delimiter;
+  }
+  return best;
+}
+
+/**
+ * Incremental RFC 4180 parser; text is pushed in arbitrary chunks
+ */
+export class CsvParser {
+  constructor(options = {}) {
+    this.delimiter = options.delimiter || null; // sniffed from the first line when null
+    this.buffer = '';
+    this.row = [];
+    this.field = '';
+    this.quoted = false; // inside a quoted field
+    this.afterQuote = false; // a quote just closed (or is the first half of "")
+    this.started = false;
+  }
+
+  /**
+   * Parses a chunk of text
+   * @param {string} chunk - CSV text
+   * @yields {string[]} Complete rows
+   */
+  *push(chunk) {
+    let text = this.buffer + chunk;
+    this.buffer = '';
+
+    if (!this.started) {
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+      if (!this.delimiter) {
+        const newline = text.search(/\r|\n/);
+        if (newline === -1) {
+          this.buffer = text; // wait for the whole header line
+          return;
+        }
+        this.delimiter = sniffDelimiter(text.slice(0, newline));
+      }
+      this.started = true;
+    }
+
+    yield* this.scan(text);
+  }
+
+  *scan(text) {
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (this.quoted) {
+        if (ch === '"') {
+          this.quoted = false;
+          this.afterQuote = true;
+        } else {
+          this.field += ch;
+        }
+        continue;
+      }
+
+      if (ch === '"') {
+        // "" inside a quoted field is a literal quote
+        if (this.afterQuote) this.field += '"';
+        this.quoted = true;
+        this.afterQuote = false;
+        continue;
+      }
+      this.afterQuote = false;
+
+      if (ch === this.delimiter) {
+        this.row.push(this.field);
+        this.field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && i === text.length - 1) {
+          this.buffer = '\r'; // may be the first half of CRLF
+          return;
+        }
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        yield* this.endRow();
+      } else {
+        this.field += ch;
+      }
+    }
+  }
+
+  *endRow() {
+    this.row.push(this.field);
+    this.field = '';
+    const row = this.row;
+    this.row = [];
+    // Blank lines carry no record
+    if (row.length > 1 || row[0].trim() !== '') {
+      yield row;
+    }
+  }
+
+  /**
+   * Flushes the last row when the input does not end with a newline
+   * @yields {string[]} Remaining row
+   */
+  *end() {
+    if (!this.started) {
+      this.delimiter ||= sniffDelimiter(this.buffer);
+      this.started = true;
+    }
+    const rest = this.buffer;
+    this.buffer = '';
+    if (rest) yield* this.scan(rest.replace(/\r$/, '\n'));
+    if (this.row.length > 0 || this.field !== '') {
+      yield* this.endRow();
+    }
+  }
+}
+
+/**
+ * Parses CSV text into rows
+ * @param {string} text - CSV text
+ * @param {object} options - {delimiter}
+ * @returns {string[][]} Rows, header included
+ */
+export function parseCsv(text, options = {}) {
+  const parser = new CsvParser(options);
+  return [...parser.push(text), ...parser.end()];
+}
+
+/**
+ * Reads a CSV file as header-keyed rows
+ * @param {string} filePath - Path to CSV file
+ * @param {object} options - {delimiter}
+ * @yields {{headers: string[], values: string[], delimiter: string}} Data rows
+ */
+export async function* readCsvRows(filePath, options = {}) {
+  const parser = new CsvParser(options);
+  let headers = null;
+
+  const emit = function* (rows) {
+    for (const values of rows) {
+      if (!headers) {
+        headers = values.map(h => h.trim());
+        continue;
+      }
+      yield { headers, values, delimiter: parser.delimiter };
+    }
+  };
+
+  for await (const chunk of createReadStream(filePath, { encoding: 'utf8' })) {
+    yield* emit(parser.push(chunk));
+  }
+  yield* emit(parser.end());
+}
+
+/**
+ * Parses a numeric cell
+ * With decimal ',' a '.' is a thousands separator only when the cell also has
+ * a decimal comma ("1.234,5"); otherwise it stays a decimal point ("230.5").
+ * @param {string} value - Cell text
+ * @param {string} decimal - Decimal separator ('.' or ',')
+ * @returns {number} Parsed number, NaN when the cell is not numeric
+ */
+export function parseCsvNumber(value, decimal = '.') {
+  let text = String(value).trim();
+  if (decimal === ',' && text.includes(',')) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  }
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return NaN;
+  return Number(text);
+}
+
+export { CSV_DELIMITERS };
@@ -3,34 +3,110 @@
  *
  * Computes Energy-Normalized System Throughput:
  *   ENST = work_units / energy_j
+ * on an IT basis (energy_j) and a facility basis (facility_energy_j when
+ * metered, else energy_j * pue).
  *
- * Supports dual-mode work unit computation:
- *   - infra: cpu_core_seconds + gpu_seconds * gpu_weight
+ * Work units come from a registry of modes (see registerWorkUnitsMode);
+ * plugins can add more. Built in:
+ *   - infra: cpu_core_seconds * cpu_weight + gpu_seconds * gpu_weight, with
+ *     weights and core/GPU counts from a hardware profile when one matches
  *   - domain: validated_steps or timesteps
+ *   - flops: hardware-counter FLOPs weighted by precision, estimated from
+ *     peak FLOP/s at one precision x busy seconds when a window has no
+ *     counters (flops_estimated)
+ *   - tokens: AI training/inference tokens weighted by token class
+ * domain and tokens fall back to infra (work_units_mode: infra_fallback).
  */
 
 import { createWriteStream } from 'node:fs';
 import { mkdir } from 'node:fs/promises';
-import { dirname } from 'node:path';
+import { dirname, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
 import {
   computeCostUsd,
   resolvePrice,
   buildNotes,
   DEFAULT_PRICE_USD_PER_MWH
 } from '../cost/index.js';
+import { resolveIdentity, truncateIdentity, identityKey, validateIdentityLevel } from '../identity/index.js';
+import { loadHardwareInventory, DEFAULT_CPU_CORES, DEFAULT_GPU_COUNT } from '../hardware/index.js';
+
+/**
+ * Floating-point precisions counted by flops mode, one TSV field each
+ */
+const FLOPS_PRECISIONS = ['fp64', 'fp32', 'tensor'];
+
+/**
+ * Default per-precision weights: raw FLOPs
+ */
+const DEFAULT_FLOPS_WEIGHTS = { fp64: 1, fp32: 1, tensor: 1 };
+
+/**
+ * Token classes counted by tokens mode, one TSV field each (tokens_<class>);
+ * prefill/decode split inference serving, train/infer split mixed fleets
+ */
+const TOKEN_CLASSES = ['prefill', 'decode', 'train', 'infer'];
+
+/**
+ * Default per-class weights: raw tokens
+ */
+const DEFAULT_TOKEN_WEIGHTS = { prefill: 1, decode: 1, train: 1, infer: 1 };
+
+/**
+ * Peak FLOP/s per CPU core and per GPU by model and precision, used to
+ * estimate FLOPs for windows without hardware counter data. The generic CPU
+ * is a 2 GHz core with 256-bit FMA (16 FP64 / 32 FP32 FLOP per cycle).
+ */
+const HARDWARE_CATALOG = {
+  cpu: {
+    'generic': { fp64: 32e9, fp32: 64e9, tensor: 64e9 },
+    'epyc-7763': { fp64: 39.2e9, fp32: 78.4e9, tensor: 78.4e9 },
+    'epyc-9654': { fp64: 59.2e9, fp32: 118.4e9, tensor: 118.4e9 },
+    'xeon-8480': { fp64: 64e9, fp32: 128e9, tensor: 2048e9 }
+  },
+  gpu: {
+    'v100': { fp64: 7.8e12, fp32: 15.7e12, tensor: 125e12 },
+    'a100': { fp64: 9.7e12, fp32: 19.5e12, tensor: 312e12 },
+    'h100': { fp64: 34e12, fp32: 67e12, tensor: 989e12 },
+    'mi250x': { fp64: 47.9e12, fp32: 47.9e12, tensor: 383e12 }
+  }
+};
+
+/**
+ * Catalog models used when none is given: there is no generic GPU, so
+ * estimates assume A100s
+ */
+const DEFAULT_HARDWARE_MODELS = { cpu: 'generic', gpu: 'a100' };
+
+/**
+ * Precision flops_estimated assumes when none is given
+ */
+const DEFAULT_ESTIMATE_PRECISION = 'fp64';
+
+/**
+ * Busy core-seconds and GPU-seconds of a window, estimated from utilization
+ * (the hardware profile's cores and gpus, else 100 cores and 8 GPUs) when the
+ * record does not carry them
+ */
+function busySeconds(tsv, profile = null) {
+  const cpuCoreSeconds = tsv.cpu_core_seconds ??
+    ((tsv.cpu_util || 0) * (tsv.window_duration_s || 300) * (profile?.cores ?? DEFAULT_CPU_CORES));
+  const gpuSeconds = tsv.gpu_seconds ??
+    ((tsv.gpu_util || 0) * (tsv.window_duration_s || 300) * (profile?.gpus ?? DEFAULT_GPU_COUNT));
+  return { cpuCoreSeconds, gpuSeconds };
+}
 
 /**
  * Computes work units in infrastructure mode
  * @param {object} tsv - TSV record
  * @param {number} gpuWeight - Weight for GPU seconds (default: 1)
+ * @param {object|null} profile - Hardware profile (see src/hardware): its cores/gpus
+ *   size the utilization fallback, its cpu_weight/gpu_weight override 1/gpuWeight
  * @returns {number} Work units
  */
-export function computeWorkUnitsInfra(tsv, gpuWeight = 1) {
-  const cpuCoreSeconds = tsv.cpu_core_seconds ??
-    ((tsv.cpu_util || 0) * (tsv.window_duration_s || 300) * 100);
-  const gpuSeconds = tsv.gpu_seconds ??
-    ((tsv.gpu_util || 0) * (tsv.window_duration_s || 300) * 8);
-  return cpuCoreSeconds + (gpuSeconds * gpuWeight);
+export function computeWorkUnitsInfra(tsv, gpuWeight = 1, profile = null) {
+  const { cpuCoreSeconds, gpuSeconds } = busySeconds(tsv, profile);
+  return cpuCoreSeconds * (profile?.cpu_weight ?? 1) + gpuSeconds * (profile?.gpu_weight ?? gpuWeight);
 }
 
 /**
@@ -39,37 +115,462 @@ export function computeWorkUnitsInfra(tsv, gpuWeight = 1) {
  * @returns {{value: number, mode: string}} Work units and actual mode used
  */
 export function computeWorkUnitsDomain(tsv) {
-  if (tsv.validated_steps !== null && tsv.validated_steps !== undefined) {
-    return { value: tsv.validated_steps, mode: 'domain' };
+  return computeWorkUnits(tsv, 'domain');
+}
+
+/**
+ * Looks up a hardware catalog entry
+ * @param {string} kind - 'cpu' or 'gpu'
+ * @param {string} model - Model name (default: DEFAULT_HARDWARE_MODELS[kind])
+ * @returns {object} Peak FLOP/s by precision
+ * @throws {Error} For models not in the catalog
+ */
+export function resolveHardware(kind, model = DEFAULT_HARDWARE_MODELS[kind]) {
+  const entry = HARDWARE_CATALOG[kind]?.[model];
+  if (!entry) {
+    throw new Error(`Unknown ${kind} model: ${model} (known: ${Object.keys(HARDWARE_CATALOG[kind] || {}).join(', ')})`);
+  }
+  return entry;
+}
+
+/**
+ * Parses "name=weight" pairs over defaults
+ */
+function parseWeights(text, defaults, label) {
+  const weights = { ...defaults };
+  for (const pair of (text || '').split(',').map(p => p.trim()).filter(Boolean)) {
+    const [name, value] = pair.split('=').map(p => p.trim());
+    const weight = Number(value);
+    if (!Object.hasOwn(defaults, name) || value === undefined || value === '' ||
+        !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid ${label} weight: ${pair} (use name=weight with name one of ${Object.keys(defaults).join(', ')})`);
+    }
+    weights[name] = weight;
+  }
+  return weights;
+}
+
+/**
+ * Parses per-precision FLOPs weights ("fp64=1,fp32=0.5,tensor=0.125");
+ * precisions not listed keep their default weight
+ * @param {string} text - Comma-separated precision=weight pairs
+ * @returns {object} Weights by precision
+ */
+export function parseFlopsWeights(text) {
+  return parseWeights(text, DEFAULT_FLOPS_WEIGHTS, 'FLOPs');
+}
+
+/**
+ * Builds flops mode options from CLI values, checking them up front
+ * @param {object} values - {weights (precision=weight text), cpuModel, gpuModel,
+ *   estimatePrecision}; unset values take their defaults
+ * @returns {object} computeWorkUnitsFlops options
+ * @throws {Error} For bad weights, models not in the catalog and unknown precisions
+ */
+export function parseFlopsOptions(values = {}) {
+  const options = {
+    weights: parseFlopsWeights(values.weights),
+    cpuModel: values.cpuModel || DEFAULT_HARDWARE_MODELS.cpu,
+    gpuModel: values.gpuModel || DEFAULT_HARDWARE_MODELS.gpu,
+    estimatePrecision: values.estimatePrecision || DEFAULT_ESTIMATE_PRECISION
+  };
+  resolveHardware('cpu', options.cpuModel);
+  resolveHardware('gpu', options.gpuModel);
+  if (!FLOPS_PRECISIONS.includes(options.estimatePrecision)) {
+    throw new Error(`Unknown FLOPs precision: ${options.estimatePrecision} (expected ${FLOPS_PRECISIONS.join(', ')})`);
+  }
+  return options;
+}
+
+/**
+ * Parses per-class token weights ("prefill=0.25,decode=1"); classes not
+ * listed keep their default weight
+ * @param {string} text - Comma-separated class=weight pairs
+ * @returns {object} Weights by token class
+ */
+export function parseTokenWeights(text) {
+  return parseWeights(text, DEFAULT_TOKEN_WEIGHTS, 'token');
+}
+
+/**
+ * Weighted sum of hardware FLOPs counters
+ */
+function measuredFlops(tsv, options = {}) {
+  const weights = { ...DEFAULT_FLOPS_WEIGHTS, ...options.weights };
+  return FLOPS_PRECISIONS
+    .filter(p => typeof tsv[`flops_${p}`] === 'number')
+    .reduce((sum, p) => sum + tsv[`flops_${p}`] * weights[p], 0);
+}
+
+/**
+ * Busy core- and GPU-seconds times catalog peak FLOP/s at estimatePrecision,
+ * weighted; a hardware profile's gpu_model wins when it is in the catalog
+ */
+function estimatedFlops(tsv, options = {}, profile = null) {
+  const weights = { ...DEFAULT_FLOPS_WEIGHTS, ...options.weights };
+  const precision = options.estimatePrecision || DEFAULT_ESTIMATE_PRECISION;
+  if (!FLOPS_PRECISIONS.includes(precision)) {
+    throw new Error(`Unknown FLOPs precision: ${precision} (expected ${FLOPS_PRECISIONS.join(', ')})`);
+  }
+  const cpuPeak = resolveHardware('cpu', options.cpuModel)[precision];
+  const gpuModel = Object.hasOwn(HARDWARE_CATALOG.gpu, profile?.gpu_model ?? '') ? profile.gpu_model : options.gpuModel;
+  const gpuPeak = resolveHardware('gpu', gpuModel)[precision];
+  const { cpuCoreSeconds, gpuSeconds } = busySeconds(tsv, profile);
+  return (cpuCoreSeconds * cpuPeak + gpuSeconds * gpuPeak) * weights[precision];
+}
+
+/**
+ * Computes work units in flops mode
+ *
+ * Windows with any of flops_fp64, flops_fp32, flops_tensor use the weighted
+ * sum of the counters. Otherwise the busy core- and GPU-seconds are
+ * multiplied by the catalog peak FLOP/s at estimatePrecision and weighted
+ * the same way; the leaderboard reports the share of such estimates.
+ * @param {object} tsv - TSV record
+ * @param {object} options - {weights, cpuModel, gpuModel, estimatePrecision (fp64, fp32
+ *   or tensor; default: fp64)}
+ * @returns {{value: number, mode: string}} Work units and actual mode used
+ */
+export function computeWorkUnitsFlops(tsv, options = {}) {
+  return computeWorkUnits(tsv, 'flops', 1, { flops: options });
+}
+
+/**
+ * Sums a record's token counts: the tokens_<class> fields, each times
+ * weightOf(class), else tokens_processed unweighted
+ * @returns {number|null} Token sum, null when the record has no token counts
+ */
+function sumTokens(tsv, weightOf) {
+  const classes = TOKEN_CLASSES.filter(c => typeof tsv[`tokens_${c}`] === 'number');
+  if (classes.length > 0) {
+    return classes.reduce((sum, c) => sum + tsv[`tokens_${c}`] * weightOf(c), 0);
+  }
+  return typeof tsv.tokens_processed === 'number' ? tsv.tokens_processed : null;
+}
+
+/**
+ * Counts the tokens a record processed
+ * @param {object} tsv - TSV record
+ * @returns {number|null} Sum of the tokens_<class> fields, else tokens_processed,
+ *   null when the record has no token counts
+ */
+export function countTokens(tsv) {
+  return sumTokens(tsv, () => 1);
+}
+
+/**
+ * Computes work units in tokens mode
+ *
+ * Windows with tokens_prefill/decode/train/infer use the weighted sum of the
+ * classes; windows with only tokens_processed count it unweighted.
+ * @param {object} tsv - TSV record
+ * @param {object} options - {weights}
+ * @returns {{value: number, mode: string}} Work units and actual mode used
+ */
+export function computeWorkUnitsTokens(tsv, options = {}) {
+  return computeWorkUnits(tsv, 'tokens', 1, { tokens: options });
+}
+
+/**
+ * Registered work units modes by name
+ */
+const WORK_UNITS_MODES = new Map();
+
+/**
+ * Registers a work units mode
+ *
+ * A mode definition (built in, or the exports of a plugin file) has:
+ * - name: work_units_mode value (lowercase letters, digits, underscores)
+ * - compute(tsv, options): work units, or null when the record has none;
+ *   options are {gpuWeight, flops, tokens, ...} as given to computeWorkUnits
+ * - requiredFields: fields the record must carry (non-null) for the mode to
+ *   apply; an entry that is an array is satisfied by any one of its fields
+ * - unitLabel: unit of the work units, printed on the leaderboard
+ * - fallback: modes tried in order when a record lacks the required fields
+ * - fallbackLabel: work_units_mode reported when the mode is reached as a
+ *   fallback (default: <name>_fallback)
+ * - fallbackOnly: the mode is only reached through another mode's fallback
+ *   chain and cannot be selected itself
+ * - usesHardware: compute applies options.hardware profiles, so records
+ *   computed by the mode are tagged with hardware_profile
+ * - description: one line for help texts
+ * @param {object} definition - Mode definition
+ * @returns {object} Registered definition
+ * @throws {Error} For invalid definitions and names already registered
+ */
+export function registerWorkUnitsMode(definition) {
+  const { name, compute, requiredFields = [], unitLabel, fallback = [] } = definition || {};
+  const fail = message => {
+    throw new Error(`Work units mode ${name ?? '(unnamed)'}: ${message}`);
+  };
+
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(name)) {
+    fail('name must be lowercase letters, digits and underscores');
   }
-  if (tsv.timesteps !== null && tsv.timesteps !== undefined) {
-    return { value: tsv.timesteps, mode: 'domain' };
+  if (WORK_UNITS_MODES.has(name)) fail('already registered');
+  if (typeof compute !== 'function') fail('compute must be a function');
+  if (typeof unitLabel !== 'string' || unitLabel === '') fail('unitLabel must be a non-empty string');
+  if (!Array.isArray(requiredFields) ||
+      !requiredFields.every(f => typeof f === 'string' || (Array.isArray(f) && f.every(g => typeof g === 'string')))) {
+    fail('requiredFields must list field names or arrays of alternative field names');
   }
-  // Fallback to infra
-  return { value: computeWorkUnitsInfra(tsv), mode: 'infra_fallback' };
+  if (!Array.isArray(fallback)) fail('fallback must be an array of mode names');
+  for (const next of fallback) {
+    if (!WORK_UNITS_MODES.has(next)) fail(`unknown fallback mode ${next}`);
+  }
+
+  const registered = {
+    name,
+    compute,
+    requiredFields,
+    unitLabel,
+    fallback,
+    fallbackLabel: definition.fallbackLabel ?? `${name}_fallback`,
+    fallbackOnly: definition.fallbackOnly === true,
+    usesHardware: definition.usesHardware === true,
+    description: definition.description ?? ''
+  };
+  WORK_UNITS_MODES.set(name, registered);
+  return registered;
 }
 
+/**
+ * Looks up a registered work units mode
+ * @param {string} name - Mode name
+ * @returns {object} Mode definition
+ * @throws {Error} For modes not registered
+ */
+export function getWorkUnitsMode(name) {
+  const definition = WORK_UNITS_MODES.get(name);
+  if (!definition) {
+    throw new Error(`Unknown work units mode: ${name} (registered: ${[...WORK_UNITS_MODES.keys()].join(', ')})`);
+  }
+  return definition;
+}
+
+/**
+ * @returns {Array<object>} Selectable mode definitions (fallback-only modes left out)
+ *   in registration order
+ */
+export function listWorkUnitsModes() {
+  return [...WORK_UNITS_MODES.values()].filter(definition => !definition.fallbackOnly);
+}
+
+/**
+ * Finds the mode behind a work_units_mode value, fallback labels included
+ */
+function modeForLabel(mode) {
+  for (const definition of WORK_UNITS_MODES.values()) {
+    if (definition.name === mode || definition.fallbackLabel === mode) return definition;
+  }
+  return null;
+}
+
+/**
+ * Unit label for a work_units_mode value, fallback labels included
+ * @param {string|null} mode - work_units_mode of a record or leaderboard entry
+ * @returns {string} Unit label ("units" for unknown modes)
+ */
+export function workUnitsUnitLabel(mode) {
+  return modeForLabel(mode)?.unitLabel ?? 'units';
+}
+
+/**
+ * Loads a work units mode from a JS module and registers it
+ *
+ * The module exports the definition fields (see registerWorkUnitsMode) as
+ * named exports or as its default export.
+ * @param {string} filePath - Path to the plugin module
+ * @returns {Promise<object>} Registered definition
+ */
+export async function loadWorkUnitsPlugin(filePath) {
+  let plugin;
+  try {
+    plugin = await import(pathToFileURL(resolve(filePath)).href);
+  } catch (err) {
+    throw new Error(`Cannot load work units plugin ${filePath}: ${err.message}`);
+  }
+  return registerWorkUnitsMode(plugin.default ?? { ...plugin });
+}
+
+/**
+ * parseArgs options choosing and tuning work units, shared by the enst and
+ * replay CLIs so both compute the same work units from the same flags
+ */
+const WORK_UNITS_CLI_OPTIONS = {
+  'work-units-mode': { type: 'string', short: 'm', default: 'infra' },
+  'work-units-plugin': { type: 'string', multiple: true },
+  'gpu-weight': { type: 'string', default: '1' },
+  'hardware-inventory': { type: 'string' },
+  'flops-weights': { type: 'string' },
+  'cpu-model': { type: 'string', default: DEFAULT_HARDWARE_MODELS.cpu },
+  'gpu-model': { type: 'string', default: DEFAULT_HARDWARE_MODELS.gpu },
+  'estimate-precision': { type: 'string', default: DEFAULT_ESTIMATE_PRECISION },
+  'token-weights': { type: 'string' }
+};
+
+/**
+ * Builds computeEnstStream work units options from WORK_UNITS_CLI_OPTIONS
+ * values, checking them up front; --work-units-plugin modules must already be
+ * loaded (loadWorkUnitsPlugin)
+ * @param {object} values - parseArgs values
+ * @returns {Promise<{workUnitsMode: string, gpuWeight: number, flops: object, tokens: object,
+ *   hardware: HardwareInventory|null}>} computeEnstStream options
+ * @throws {Error} For unknown modes, bad weights, catalog models or inventories
+ */
+export async function parseWorkUnitsOptions(values = {}) {
+  const workUnitsMode = values['work-units-mode'] || 'infra';
+  const modeNames = listWorkUnitsModes().map(mode => mode.name);
+  if (!modeNames.includes(workUnitsMode)) {
+    throw new Error(`Invalid work-units-mode. Must be one of: ${modeNames.join(', ')}.`);
+  }
+
+  const gpuWeight = parseFloat(values['gpu-weight'] || '1');
+  if (!Number.isFinite(gpuWeight) || gpuWeight < 0) {
+    throw new Error('Invalid gpu-weight. Must be a non-negative number.');
+  }
+
+  return {
+    workUnitsMode,
+    gpuWeight,
+    flops: parseFlopsOptions({
+      weights: values['flops-weights'],
+      cpuModel: values['cpu-model'],
+      gpuModel: values['gpu-model'],
+      estimatePrecision: values['estimate-precision']
+    }),
+    tokens: { weights: parseTokenWeights(values['token-weights']) },
+    hardware: await loadHardwareInventory(values['hardware-inventory'])
+  };
+}
+
+function hasRequiredFields(tsv, requiredFields) {
+  const present = field => tsv[field] !== null && tsv[field] !== undefined;
+  return requiredFields.every(field => Array.isArray(field) ? field.some(present) : present(field));
+}
+
+registerWorkUnitsMode({
+  name: 'infra',
+  description: 'cpu_core_seconds * cpu_weight + gpu_seconds * gpu_weight',
+  unitLabel: 'core-s',
+  fallbackLabel: 'infra_fallback',
+  usesHardware: true,
+  compute: (tsv, options) => computeWorkUnitsInfra(tsv, options.gpuWeight, options.hardware?.resolve(tsv) ?? null)
+});
+
+registerWorkUnitsMode({
+  name: 'domain',
+  description: 'validated_steps or timesteps',
+  unitLabel: 'steps',
+  requiredFields: [['validated_steps', 'timesteps']],
+  fallback: ['infra'],
+  compute: tsv => tsv.validated_steps ?? tsv.timesteps
+});
+
+registerWorkUnitsMode({
+  name: 'flops_estimated',
+  description: 'busy core/GPU-seconds * catalog peak FLOP/s at the estimate precision',
+  unitLabel: 'FLOPs',
+  fallbackLabel: 'flops_estimated',
+  fallbackOnly: true,
+  usesHardware: true,
+  compute: (tsv, options) => estimatedFlops(tsv, options.flops, options.hardware?.resolve(tsv) ?? null)
+});
+
+registerWorkUnitsMode({
+  name: 'flops',
+  description: 'flops_fp64 + flops_fp32 + flops_tensor, weighted per precision',
+  unitLabel: 'FLOPs',
+  requiredFields: [FLOPS_PRECISIONS.map(p => `flops_${p}`)],
+  fallback: ['flops_estimated'],
+  compute: (tsv, options) => measuredFlops(tsv, options.flops)
+});
+
+registerWorkUnitsMode({
+  name: 'tokens',
+  description: 'tokens_prefill/decode/train/infer weighted per class, or tokens_processed',
+  unitLabel: 'tokens',
+  requiredFields: [[...TOKEN_CLASSES.map(c => `tokens_${c}`), 'tokens_processed']],
+  fallback: ['infra'],
+  compute: (tsv, options) => {
+    const weights = { ...DEFAULT_TOKEN_WEIGHTS, ...options.tokens?.weights };
+    return sumTokens(tsv, c => weights[c]);
+  }
+});
+
 /**
  * Computes work units based on mode
+ *
+ * The mode's fallback chain is tried in order when a record lacks the
+ * mode's required fields or its compute returns null. gpuWeight only applies
+ * when infra is the selected mode: infra reached as a fallback (domain,
+ * tokens) weighs GPU-seconds 1, unless a hardware profile sets gpu_weight.
  * @param {object} tsv - TSV record
- * @param {string} mode - 'infra' or 'domain'
+ * @param {string} mode - Selectable mode name (infra, domain, flops, tokens, ...)
  * @param {number} gpuWeight - GPU weight for infra mode
- * @returns {{value: number, mode: string}} Work units and mode
+ * @param {object} options - Per-mode options: {flops: computeWorkUnitsFlops options,
+ *   tokens: computeWorkUnitsTokens options, hardware: HardwareInventory, ...}
+ * @returns {{value: number|null, mode: string|null}} Work units and mode
+ *   (null when no mode in the chain applies)
+ */
+export function computeWorkUnits(tsv, mode = 'infra', gpuWeight = 1, options = {}) {
+  const definition = getWorkUnitsMode(mode);
+  if (definition.fallbackOnly) {
+    throw new Error(`Work units mode ${mode} is only used as a fallback`);
+  }
+
+  for (const name of [definition.name, ...definition.fallback]) {
+    const candidate = getWorkUnitsMode(name);
+    if (!hasRequiredFields(tsv, candidate.requiredFields)) continue;
+
+    const value = candidate.compute(tsv, { ...options, gpuWeight: candidate === definition ? gpuWeight : 1 });
+    if (value === null || value === undefined) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Work units mode ${name} returned ${value} instead of a number`);
+    }
+    return { value, mode: candidate === definition ? name : candidate.fallbackLabel };
+  }
+  return { value: null, mode: null };
+}
+
+/**
+ * Energy bases ENST and cost can be computed on
+ */
+const ENERGY_BASES = ['it', 'facility'];
+
+/**
+ * PUE assumed for the facility energy of windows with neither pue nor
+ * facility_energy_j, per record and on the leaderboard alike
+ */
+const DEFAULT_PUE = 1;
+
+/**
+ * Computes a record's facility energy
+ * @param {object} tsv - TSV record
+ * @param {number} defaultPue - PUE for records without pue (default: DEFAULT_PUE)
+ * @returns {number|null} Metered facility_energy_j, else energy_j * (pue or
+ *   defaultPue), null without energy_j
  */
-export function computeWorkUnits(tsv, mode = 'infra', gpuWeight = 1) {
-  if (mode === 'domain') {
-    return computeWorkUnitsDomain(tsv);
+export function computeFacilityEnergy(tsv, defaultPue = DEFAULT_PUE) {
+  if (tsv.facility_energy_j !== null && tsv.facility_energy_j !== undefined) {
+    return tsv.facility_energy_j;
   }
-  return { value: computeWorkUnitsInfra(tsv, gpuWeight), mode: 'infra' };
+  if (tsv.energy_j === null || tsv.energy_j === undefined) {
+    return null;
+  }
+  return tsv.energy_j * (tsv.pue ?? defaultPue);
 }
 
 /**
  * Computes ENST for a single TSV record
  * @param {object} tsv - TSV record with energy_j and work_units
+ * @param {string} basis - 'it' (energy_j) or 'facility' (see computeFacilityEnergy)
+ * @param {number} defaultPue - PUE for facility energy of records without pue
+ *   (default: DEFAULT_PUE)
  * @returns {number|null} ENST value or null if not computable
  */
-export function computeEnst(tsv) {
-  const energy = tsv.energy_j;
+export function computeEnst(tsv, basis = 'it', defaultPue = DEFAULT_PUE) {
+  const energy = basis === 'facility' ? computeFacilityEnergy(tsv, defaultPue) : tsv.energy_j;
   const work = tsv.work_units;
 
   if (energy === null || energy === undefined || energy <= 0) {
@@ -96,11 +597,14 @@ export function estimateWorkUnits(tsv) {
 /**
  * Processes TSV records and computes ENST
  * @param {AsyncIterable|Iterable} tsvRecords - TSV records
- * @param {object} options - Computation options
+ * @param {object} options - Computation options {workUnitsMode, gpuWeight, flops, tokens,
+ *   hardware (HardwareInventory, records it applies to get hardware_profile),
+ *   defaultPue (PUE for enst_facility of records without pue, default: DEFAULT_PUE as
+ *   on the leaderboard)}
  * @yields {object} TSV records with ENST computed
  */
 export async function* computeEnstStream(tsvRecords, options = {}) {
-  const { workUnitsMode = 'infra', gpuWeight = 1 } = options;
+  const { workUnitsMode = 'infra', gpuWeight = 1, flops = {}, tokens = {}, hardware = null, defaultPue = DEFAULT_PUE } = options;
 
   for await (const tsv of tsvRecords) {
     const record = { ...tsv };
@@ -109,10 +613,14 @@ export async function* computeEnstStream(tsvRecords, options = {}) {
     const { value: workUnits, mode: actualMode } = computeWorkUnits(
       record,
       workUnitsMode,
-      gpuWeight
+      gpuWeight,
+      { flops, tokens, hardware }
     );
     record.work_units = workUnits;
     record.work_units_mode = actualMode;
+    if (hardware && modeForLabel(actualMode)?.usesHardware) {
+      record.hardware_profile = hardware.resolve(record)?.name ?? null;
+    }
 
     // Legacy field for compatibility
     if (record.validated_work_units === null || record.validated_work_units === undefined) {
@@ -121,6 +629,8 @@ export async function* computeEnstStream(tsvRecords, options = {}) {
 
     // Compute ENST
     record.enst = computeEnst(record);
+    record.enst_it = record.enst;
+    record.enst_facility = computeEnst(record, 'facility', defaultPue);
 
     yield record;
   }
@@ -128,25 +638,53 @@ export async function* computeEnstStream(tsvRecords, options = {}) {
 
 /**
  * Aggregates ENST by site for leaderboard with extended schema including cost
+ * Entries are grouped at options.groupBy in the site → cluster → partition →
+ * node hierarchy (default: cluster).
+ *
+ * ENST and cost are reported on both the IT and the facility energy basis;
+ * options.rankBy ('it' or 'facility', default: it) picks the one entries are
+ * ranked by. Windows without pue or facility_energy_j use options.defaultPue
+ * (default: DEFAULT_PUE) for facility energy. Each cost is priced at the average price
+ * weighted by the energy of its own basis.
+ *
+ * Work units computed by a fallback of options.workUnitsMode (flops_estimated,
+ * infra_fallback, ...) are summed with the rest and reported as
+ * fallback_work_units_share, so estimated totals are not mistaken for measured ones.
  */
 export class EnstLeaderboard {
   constructor(options = {}) {
     this.sites = new Map();
     this.workUnitsMode = options.workUnitsMode || 'infra';
     this.defaultPriceUsdPerMwh = options.defaultPriceUsdPerMwh || DEFAULT_PRICE_USD_PER_MWH;
+    this.groupBy = validateIdentityLevel(options.groupBy || 'cluster');
+    this.rankBy = options.rankBy || 'it';
+    this.defaultPue = options.defaultPue ?? DEFAULT_PUE;
+    if (!ENERGY_BASES.includes(this.rankBy)) {
+      throw new Error(`Unknown energy basis: ${this.rankBy} (expected ${ENERGY_BASES.join(', ')})`);
+    }
   }
 
   addRecord(record) {
-    const siteId = record.site_id;
-    const clusterId = record.cluster_id || 'default';
-    const key = `${siteId}:${clusterId}`;
+    const identity = truncateIdentity(
+      { ...resolveIdentity(record), site_id: record.site_id },
+      this.groupBy
+    );
+    const key = identityKey(identity);
 
     if (!this.sites.has(key)) {
       this.sites.set(key, {
-        site_id: siteId,
-        cluster_id: clusterId,
+        site_id: identity.site_id,
+        cluster_id: identity.cluster_id || 'default',
+        partition_id: identity.partition_id,
+        node_id: identity.node_id,
         total_energy_j: 0,
+        total_facility_energy_j: 0,
+        pue_defaulted_count: 0,
+        imputed_energy_j: 0,
         total_work_units: 0,
+        fallback_work_units: 0,
+        total_tokens: 0,
+        token_energy_j: 0,
         window_count: 0,
         windows: [],
         pue_samples: [],
@@ -155,6 +693,7 @@ export class EnstLeaderboard {
         price_samples: [],
         price_defaulted_count: 0,
         data_sources: new Set(),
+        hardware_profiles: new Set(),
         work_units_mode: record.work_units_mode || this.workUnitsMode
       });
     }
@@ -164,10 +703,32 @@ export class EnstLeaderboard {
 
     if (record.energy_j !== null && record.energy_j !== undefined) {
       site.total_energy_j += record.energy_j;
+      if (record.imputed_fields?.includes('energy_j')) {
+        site.imputed_energy_j += record.energy_j;
+      }
+    }
+
+    const facilityEnergy = computeFacilityEnergy(record, this.defaultPue);
+    if (facilityEnergy !== null) {
+      site.total_facility_energy_j += facilityEnergy;
+      if ((record.facility_energy_j ?? null) === null && (record.pue ?? null) === null) {
+        site.pue_defaulted_count++;
+      }
     }
 
     if (record.work_units !== null && record.work_units !== undefined) {
       site.total_work_units += record.work_units;
+      if (record.work_units_mode && record.work_units_mode !== this.workUnitsMode) {
+        site.fallback_work_units += record.work_units;
+      }
+    }
+
+    // tokens_per_j pairs tokens and energy of the same windows: windows that
+    // counted tokens but metered no energy are left out of both
+    const tokens = countTokens(record);
+    if (tokens !== null && record.energy_j !== null && record.energy_j !== undefined) {
+      site.total_tokens += tokens;
+      site.token_energy_j += record.energy_j;
     }
 
     // Track window data for output
@@ -191,9 +752,9 @@ export class EnstLeaderboard {
       site.grid_stress_samples.push(record.grid_stress_index);
     }
 
-    // Track price (weighted by energy for averaging)
+    // Track price (weighted by IT and by facility energy for averaging)
     const { price, defaulted } = resolvePrice(record, this.defaultPriceUsdPerMwh);
-    site.price_samples.push({ price, energy: record.energy_j || 0 });
+    site.price_samples.push({ price, energy: record.energy_j || 0, facilityEnergy: facilityEnergy || 0 });
     if (defaulted) {
       site.price_defaulted_count++;
     }
@@ -202,6 +763,9 @@ export class EnstLeaderboard {
     if (record.data_source) {
       site.data_sources.add(record.data_source);
     }
+    if (record.hardware_profile) {
+      site.hardware_profiles.add(record.hardware_profile);
+    }
   }
 
   getLeaderboard() {
@@ -224,19 +788,28 @@ export class EnstLeaderboard {
         ? site.grid_stress_samples.reduce((a, b) => a + b, 0) / site.grid_stress_samples.length
         : null;
 
-      // Compute weighted average price
+      // Compute weighted average prices; a window's facility energy can be a
+      // different share of the total than its IT energy (pue varies by window)
       let totalPriceEnergy = 0;
       let weightedPriceSum = 0;
-      for (const { price, energy } of site.price_samples) {
+      let totalPriceFacilityEnergy = 0;
+      let weightedFacilityPriceSum = 0;
+      for (const { price, energy, facilityEnergy } of site.price_samples) {
         totalPriceEnergy += energy;
         weightedPriceSum += price * energy;
+        totalPriceFacilityEnergy += facilityEnergy;
+        weightedFacilityPriceSum += price * facilityEnergy;
       }
       const avgPrice = totalPriceEnergy > 0
         ? weightedPriceSum / totalPriceEnergy
         : this.defaultPriceUsdPerMwh;
+      const avgFacilityPrice = totalPriceFacilityEnergy > 0
+        ? weightedFacilityPriceSum / totalPriceFacilityEnergy
+        : avgPrice;
 
       // Compute cost
       const costUsd = computeCostUsd(site.total_energy_j, avgPrice);
+      const costFacilityUsd = computeCostUsd(site.total_facility_energy_j, avgFacilityPrice);
 
       // Build notes
       const dataSourceStr = site.data_sources.size > 0
@@ -244,7 +817,9 @@ export class EnstLeaderboard {
         : null;
       const notes = buildNotes({
         priceDefaulted: site.price_defaulted_count > 0,
-        dataSource: dataSourceStr
+        pueDefaulted: site.pue_defaulted_count > 0,
+        dataSource: dataSourceStr,
+        hardwareProfile: site.hardware_profiles.size > 0 ? Array.from(site.hardware_profiles).join('+') : null
       });
 
       // Get time range from windows
@@ -257,29 +832,54 @@ export class EnstLeaderboard {
         window_end: windowEnd,
         site_id: site.site_id,
         cluster_id: site.cluster_id,
+        partition_id: site.partition_id,
+        node_id: site.node_id,
         energy_j: site.total_energy_j,
+        imputed_energy_share: site.total_energy_j > 0 ? site.imputed_energy_j / site.total_energy_j : 0,
         work_units: site.total_work_units,
         work_units_mode: site.work_units_mode,
+        work_units_unit: workUnitsUnitLabel(site.work_units_mode),
+        fallback_work_units_share: site.total_work_units > 0 ? site.fallback_work_units / site.total_work_units : 0,
         enst_units_per_j: enst,
+        facility_energy_j: site.total_facility_energy_j,
+        enst_facility_units_per_j: site.total_facility_energy_j > 0
+          ? site.total_work_units / site.total_facility_energy_j
+          : 0,
+        tokens: site.total_tokens,
+        token_energy_j: site.token_energy_j,
+        tokens_per_j: site.token_energy_j > 0 ? site.total_tokens / site.token_energy_j : 0,
         pue: meanPue,
         thermal_headroom_w: meanThermalHeadroom,
         grid_stress_index: meanGridStress,
         price_usd_per_mwh: avgPrice,
         cost_usd: costUsd,
+        cost_facility_usd: costFacilityUsd,
         notes: notes
       });
     }
 
-    return entries.sort((a, b) => b.enst_units_per_j - a.enst_units_per_j);
+    const rankKey = this.rankBy === 'facility' ? 'enst_facility_units_per_j' : 'enst_units_per_j';
+    return entries.sort((a, b) => b[rankKey] - a[rankKey]);
   }
 
   toCsv() {
     const leaderboard = this.getLeaderboard();
+    const identityHeaders = ['site_id', 'cluster_id'];
+    if (this.groupBy === 'partition' || this.groupBy === 'node') {
+      identityHeaders.push('partition_id');
+    }
+    if (this.groupBy === 'node') {
+      identityHeaders.push('node_id');
+    }
+    // Tokens mode also ranks raw tokens per joule next to the weighted ENST
+    const tokenHeaders = this.workUnitsMode === 'tokens' ? ['tokens', 'tokens_per_j'] : [];
     const headers = [
-      'window_start', 'window_end', 'site_id', 'cluster_id',
-      'energy_j', 'work_units', 'work_units_mode', 'enst_units_per_j',
+      'window_start', 'window_end', ...identityHeaders,
+      'energy_j', 'work_units', 'work_units_mode', 'work_units_unit', 'enst_units_per_j', ...tokenHeaders,
+      'facility_energy_j', 'enst_facility_units_per_j',
       'pue', 'thermal_headroom_w', 'grid_stress_index',
-      'price_usd_per_mwh', 'cost_usd', 'notes'
+      'price_usd_per_mwh', 'cost_usd', 'cost_facility_usd', 'imputed_energy_share',
+      'fallback_work_units_share', 'notes'
     ];
 
     const lines = [headers.join(',')];
@@ -288,17 +888,23 @@ export class EnstLeaderboard {
       lines.push([
         entry.window_start,
         entry.window_end,
-        entry.site_id,
-        entry.cluster_id,
+        ...identityHeaders.map(field => entry[field] ?? ''),
         entry.energy_j.toFixed(2),
         entry.work_units.toFixed(2),
         entry.work_units_mode,
+        entry.work_units_unit,
         entry.enst_units_per_j.toFixed(6),
+        ...(tokenHeaders.length > 0 ? [entry.tokens.toFixed(0), entry.tokens_per_j.toFixed(6)] : []),
+        entry.facility_energy_j.toFixed(2),
+        entry.enst_facility_units_per_j.toFixed(6),
         entry.pue !== null ? entry.pue.toFixed(3) : '',
         entry.thermal_headroom_w !== null ? entry.thermal_headroom_w.toFixed(2) : '',
         entry.grid_stress_index !== null ? entry.grid_stress_index.toFixed(4) : '',
         entry.price_usd_per_mwh.toFixed(2),
         entry.cost_usd.toFixed(2),
+        entry.cost_facility_usd.toFixed(2),
+        entry.imputed_energy_share.toFixed(4),
+        entry.fallback_work_units_share.toFixed(4),
         entry.notes
       ].join(','));
     }
@@ -335,9 +941,22 @@ export function computeSummaryStats(leaderboard) {
   const totalWork = entries.reduce((sum, e) => sum + e.work_units, 0);
   const globalEnst = totalEnergy > 0 ? totalWork / totalEnergy : 0;
   const totalCostUsd = entries.reduce((sum, e) => sum + e.cost_usd, 0);
+  const totalFacilityEnergy = entries.reduce((sum, e) => sum + e.facility_energy_j, 0);
+  const totalCostFacilityUsd = entries.reduce((sum, e) => sum + e.cost_facility_usd, 0);
+  const imputedEnergy = entries.reduce((sum, e) => sum + e.imputed_energy_share * e.energy_j, 0);
+  const fallbackWork = entries.reduce((sum, e) => sum + e.fallback_work_units_share * e.work_units, 0);
 
   const enstValues = entries.map(e => e.enst_units_per_j).filter(v => v > 0);
   enstValues.sort((a, b) => a - b);
+  const facilityEnstValues = entries.map(e => e.enst_facility_units_per_j).filter(v => v > 0);
+  facilityEnstValues.sort((a, b) => a - b);
+
+  const tokenStats = {};
+  if (leaderboard.workUnitsMode === 'tokens') {
+    tokenStats.total_tokens = entries.reduce((sum, e) => sum + e.tokens, 0);
+    const tokenEnergy = entries.reduce((sum, e) => sum + e.token_energy_j, 0);
+    tokenStats.tokens_per_j = tokenEnergy > 0 ? tokenStats.total_tokens / tokenEnergy : 0;
+  }
 
   return {
     site_count: entries.length,
@@ -345,9 +964,37 @@ export function computeSummaryStats(leaderboard) {
     total_work_units: totalWork,
     global_enst: globalEnst,
     total_cost_usd: totalCostUsd,
+    total_facility_energy_j: totalFacilityEnergy,
+    global_enst_facility: totalFacilityEnergy > 0 ? totalWork / totalFacilityEnergy : 0,
+    total_cost_facility_usd: totalCostFacilityUsd,
+    ranking_basis: leaderboard.rankBy,
+    imputed_energy_share: totalEnergy > 0 ? imputedEnergy / totalEnergy : 0,
+    fallback_work_units_share: totalWork > 0 ? fallbackWork / totalWork : 0,
     min_enst: enstValues.length > 0 ? enstValues[0] : 0,
     max_enst: enstValues.length > 0 ? enstValues[enstValues.length - 1] : 0,
     median_enst: enstValues.length > 0 ? enstValues[Math.floor(enstValues.length / 2)] : 0,
-    p90_enst: enstValues.length > 0 ? enstValues[Math.floor(enstValues.length * 0.9)] : 0
+    p90_enst: enstValues.length > 0 ? enstValues[Math.floor(enstValues.length * 0.9)] : 0,
+    min_enst_facility: facilityEnstValues.length > 0 ? facilityEnstValues[0] : 0,
+    max_enst_facility: facilityEnstValues.length > 0 ? facilityEnstValues[facilityEnstValues.length - 1] : 0,
+    median_enst_facility: facilityEnstValues.length > 0
+      ? facilityEnstValues[Math.floor(facilityEnstValues.length / 2)]
+      : 0,
+    p90_enst_facility: facilityEnstValues.length > 0
+      ? facilityEnstValues[Math.floor(facilityEnstValues.length * 0.9)]
+      : 0,
+    ...tokenStats
   };
 }
+
+export {
+  FLOPS_PRECISIONS,
+  DEFAULT_FLOPS_WEIGHTS,
+  TOKEN_CLASSES,
+  DEFAULT_TOKEN_WEIGHTS,
+  HARDWARE_CATALOG,
+  DEFAULT_HARDWARE_MODELS,
+  DEFAULT_ESTIMATE_PRECISION,
+  ENERGY_BASES,
+  DEFAULT_PUE,
+  WORK_UNITS_CLI_OPTIONS
+};
@@ -0,0 +1,259 @@
+/**
+ * Power Gap Filling Module
+ *
+ * Detects TSV windows that have usage but no power (energy_j null) and applies
+ * a gap policy:
+ * - none: leave the gap (energy_j stays null)
+ * - drop: remove gap windows from the output
+ * - carry-forward: repeat the entity's last measured power
+ * - linear: interpolate power between the measured windows around the gap
+ * - regression: estimate power from cpu_util/gpu_util with a least-squares fit
+ *   of the entity's earlier measured windows
+ *
+ * Entities are tracked by hierarchical identity and records are expected in
+ * time order per entity. Every record passed through carries imputed_fields,
+ * listing the fields that were filled in (empty for measured windows).
+ */
+
+import { resolveIdentity, identityKey } from '../identity/index.js';
+
+/**
+ * Supported gap strategies
+ */
+const GAP_STRATEGIES = ['none', 'drop', 'carry-forward', 'linear', 'regression'];
+
+/**
+ * Fields written when a window's power is imputed
+ */
+const IMPUTED_POWER_FIELDS = ['power_w', 'energy_j'];
+
+/**
+ * Ridge term keeping the regression solvable when a feature never varies
+ * (e.g. gpu_util on a CPU-only site)
+ */
+const RIDGE_LAMBDA = 1e-9;
+
+/**
+ * Checks whether a TSV record is missing power
+ * @param {object} record - TSV record
+ * @returns {boolean} True if the window has no energy or power
+ */
+export function isPowerGap(record) {
+  return (record.energy_j === null || record.energy_j === undefined) &&
+    (record.power_w === null || record.power_w === undefined);
+}
+
+/**
+ * Online least-squares fit of power_w = b0 + b1 * cpu_util + b2 * gpu_util
+ */
+export class PowerRegression {
+  constructor() {
+    this.xtx = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    this.xty = [0, 0, 0];
+    this.count = 0;
+  }
+
+  static features(record) {
+    return [1, record.cpu_util ?? 0, record.gpu_util ?? 0];
+  }
+
+  observe(record) {
+    const x = PowerRegression.features(record);
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        this.xtx[i][j] += x[i] * x[j];
+      }
+      this.xty[i] += x[i] * record.power_w;
+    }
+    this.count++;
+  }
+
+  /**
+   * Solves the normal equations by Gaussian elimination
+   * @returns {number[]|null} Coefficients, or null if the system is singular
+   */
+  coefficients() {
+    const a = this.xtx.map((row, i) => [...row, this.xty[i]]);
+    for (let i = 1; i < 3; i++) {
+      a[i][i] += RIDGE_LAMBDA * this.count;
+    }
+
+    for (let col = 0; col < 3; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < 3; row++) {
+        if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+      }
+      if (Math.abs(a[pivot][col]) < 1e-12) return null;
+      [a[col], a[pivot]] = [a[pivot], a[col]];
+
+      for (let row = 0; row < 3; row++) {
+        if (row === col) continue;
+        const factor = a[row][col] / a[col][col];
+        for (let k = col; k < 4; k++) {
+          a[row][k] -= factor * a[col][k];
+        }
+      }
+    }
+
+    return a.map((row, i) => row[3] / row[i]);
+  }
+
+  /**
+   * Predicts power for a window
+   * @param {object} record - TSV record with cpu_util/gpu_util
+   * @returns {number|null} Estimated power in watts (never negative)
+   */
+  predict(record) {
+    const coefficients = this.coefficients();
+    if (!coefficients) return null;
+    const x = PowerRegression.features(record);
+    const powerW = coefficients.reduce((sum, b, i) => sum + b * x[i], 0);
+    return Math.max(0, powerW);
+  }
+}
+
+/**
+ * Applies a gap strategy to a time-ordered TSV record stream
+ *
+ * Linear interpolation holds an entity's gap windows until its next measured
+ * window arrives; gaps with no measurement on one side are passed through
+ * unfilled.
+ */
+export class PowerGapFiller {
+  constructor(options = {}) {
+    this.strategy = options.strategy || 'none';
+    this.minHistory = options.minHistory ?? 3; // regression: measured windows before estimating
+    this.series = new Map(); // identity key -> { last, pending, model }
+    this.stats = { gap_count: 0, imputed_count: 0, dropped_count: 0 };
+
+    if (!GAP_STRATEGIES.includes(this.strategy)) {
+      throw new Error(`Unknown gap strategy: ${this.strategy} (expected ${GAP_STRATEGIES.join(', ')})`);
+    }
+  }
+
+  getSeries(record) {
+    const key = identityKey(resolveIdentity(record));
+    if (!this.series.has(key)) {
+      this.series.set(key, { last: null, pending: [], model: new PowerRegression() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Builds the filled copy of a gap window
+   * @param {object} record - Gap window
+   * @param {number|null} powerW - Imputed power, null to leave the gap
+   * @returns {object} TSV record
+   */
+  impute(record, powerW) {
+    if (powerW === null || !Number.isFinite(powerW)) {
+      return { ...record, imputed_fields: [] };
+    }
+
+    const durationS = record.window_duration_s ?? (record.ts_end - record.ts_start) / 1_000_000;
+    this.stats.imputed_count++;
+    return {
+      ...record,
+      power_w: powerW,
+      energy_j: powerW * durationS,
+      imputed_fields: [...IMPUTED_POWER_FIELDS]
+    };
+  }
+
+  /**
+   * Adds a record
+   * @param {object} record - TSV record
+   * @yields {object} Records ready for output
+   */
+  *add(record) {
+    const series = this.getSeries(record);
+
+    if (!isPowerGap(record)) {
+      if (series.pending.length > 0) {
+        yield* this.interpolate(series, record);
+      }
+      series.last = record;
+      if (record.power_w !== null && record.power_w !== undefined) {
+        series.model.observe(record);
+      }
+      yield { ...record, imputed_fields: [] };
+      return;
+    }
+
+    this.stats.gap_count++;
+
+    switch (this.strategy) {
+      case 'drop':
+        this.stats.dropped_count++;
+        return;
+      case 'carry-forward':
+        yield this.impute(record, series.last?.power_w ?? null);
+        return;
+      case 'linear':
+        if (series.last?.power_w !== null && series.last?.power_w !== undefined) {
+          series.pending.push(record);
+        } else {
+          yield this.impute(record, null);
+        }
+        return;
+      case 'regression':
+        yield this.impute(record, series.model.count >= this.minHistory
+          ? series.model.predict(record)
+          : null);
+        return;
+      default:
+        yield this.impute(record, null);
+    }
+  }
+
+  /**
+   * Fills held gap windows between the last and next measured windows
+   * @param {object} series - Entity state
+   * @param {object} next - Measured window closing the gap
+   * @yields {object} Filled gap windows
+   */
+  *interpolate(series, next) {
+    const prev = series.last;
+    const span = next.ts_start - prev.ts_start;
+
+    for (const record of series.pending) {
+      if (next.power_w === null || next.power_w === undefined || span <= 0) {
+        yield this.impute(record, null);
+        continue;
+      }
+      const fraction = (record.ts_start - prev.ts_start) / span;
+      yield this.impute(record, prev.power_w + (next.power_w - prev.power_w) * fraction);
+    }
+    series.pending = [];
+  }
+
+  /**
+   * Releases gap windows still waiting for a closing measurement (unfilled)
+   * @yields {object} Remaining records
+   */
+  *finish() {
+    for (const series of this.series.values()) {
+      for (const record of series.pending) {
+        yield this.impute(record, null);
+      }
+      series.pending = [];
+    }
+  }
+}
+
+/**
+ * Applies a gap strategy to a TSV record stream
+ * @param {AsyncIterable<object>|Iterable<object>} records - TSV records in time order
+ * @param {object|PowerGapFiller} options - PowerGapFiller options, or a filler to reuse
+ * @yields {object} TSV records with imputed_fields
+ */
+export async function* fillPowerGaps(records, options = {}) {
+  const filler = options instanceof PowerGapFiller ? options : new PowerGapFiller(options);
+
+  for await (const record of records) {
+    yield* filler.add(record);
+  }
+  yield* filler.finish();
+}
+
+export { GAP_STRATEGIES, IMPUTED_POWER_FIELDS };
@@ -0,0 +1,151 @@
+/**
+ * Hardware Inventory Module
+ *
+ * Per-site / per-cluster hardware profiles for infra work units:
+ * - cores and gpus size the utilization fallback (cpu_util x window x cores)
+ * - gpu_model picks a relative GPU weight from the inventory's
+ *   gpu_model_weights, so an H100 second outweighs a V100 second
+ * - cpu_weight / gpu_weight set relative performance weights directly
+ *
+ * A record uses the most specific profile (the one with the most identity
+ * fields) whose identity fields (site_id, cluster_id, partition_id, node_id)
+ * all match it; a profile without identity fields matches every record.
+ * Between equally specific matches (say one keyed by cluster_id, one by
+ * partition_id) the profile listed first wins. Two profiles with the same
+ * identity fields and values are rejected when the inventory is loaded.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { join, basename, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { IDENTITY_FIELDS } from '../identity/index.js';
+
+const INVENTORY_DIR = join(dirname(fileURLToPath(import.meta.url)), '../../profiles/hardware');
+
+/**
+ * Cores and GPUs assumed per window when no profile gives them
+ */
+const DEFAULT_CPU_CORES = 100;
+const DEFAULT_GPU_COUNT = 8;
+
+/**
+ * Fields a profile can set besides its identity fields
+ */
+const PROFILE_FIELDS = ['name', 'cores', 'gpus', 'gpu_model', 'cpu_weight', 'gpu_weight'];
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Resolves records to hardware profiles
+ */
+export class HardwareInventory {
+  /**
+   * @param {object} inventory - {name, gpu_model_weights: {model: weight}, profiles: [...]}
+   *   as in a hardware inventory file (validated by loadHardwareInventory)
+   */
+  constructor(inventory = {}) {
+    this.name = inventory.name ?? null;
+    this.gpuModelWeights = inventory.gpu_model_weights ?? {};
+    this.profiles = (inventory.profiles ?? []).map((profile, index) => {
+      const match = IDENTITY_FIELDS.filter(field => profile[field] !== undefined && profile[field] !== null);
+      return {
+        name: profile.name ?? (match.map(field => profile[field]).join('/') || `profile-${index}`),
+        match: match.map(field => [field, profile[field]]),
+        cores: profile.cores ?? null,
+        gpus: profile.gpus ?? null,
+        gpu_model: profile.gpu_model ?? null,
+        cpu_weight: profile.cpu_weight ?? null,
+        gpu_weight: profile.gpu_weight ?? this.gpuModelWeights[profile.gpu_model] ?? null
+      };
+    });
+    this.cache = new Map(); // identity key -> profile or null
+  }
+
+  /**
+   * Finds the profile for a record
+   * @param {object} record - TSV record
+   * @returns {object|null} {name, cores, gpus, gpu_model, cpu_weight, gpu_weight} (unset
+   *   values null), null when no profile matches
+   */
+  resolve(record) {
+    const key = IDENTITY_FIELDS.map(field => record[field] ?? '').join('|');
+    if (!this.cache.has(key)) {
+      let best = null;
+      for (const profile of this.profiles) {
+        if (!profile.match.every(([field, value]) => record[field] === value)) continue;
+        if (!best || profile.match.length > best.match.length) best = profile;
+      }
+      this.cache.set(key, best);
+    }
+    return this.cache.get(key);
+  }
+}
+
+/**
+ * Loads a hardware inventory by built-in name or JSON file path
+ *
+ *   {"gpu_model_weights": {"v100": 0.4, "a100": 1, "h100": 2.2},
+ *    "profiles": [{"site_id": "ornl-frontier", "cores": 64, "gpu_model": "mi250x", "gpus": 8},
+ *                 {"site_id": "anl-polaris", "cluster_id": "polaris-gpu", "gpu_weight": 1.5}]}
+ * @param {string} nameOrPath - Inventory name in profiles/hardware or path to a JSON file
+ * @returns {Promise<HardwareInventory|null>} Inventory, null when none is given
+ */
+export async function loadHardwareInventory(nameOrPath) {
+  if (!nameOrPath) return null;
+
+  const filePath = /[/\\]|\.json$/.test(nameOrPath) ? nameOrPath : join(INVENTORY_DIR, `${nameOrPath}.json`);
+  let parsed;
+  try {
+    parsed = JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot load hardware inventory ${nameOrPath}: ${err.message}`);
+  }
+
+  const fail = message => {
+    throw new Error(`Hardware inventory ${nameOrPath}: ${message}`);
+  };
+
+  const gpuModelWeights = parsed.gpu_model_weights ?? {};
+  for (const [model, weight] of Object.entries(gpuModelWeights)) {
+    if (!isNonNegativeNumber(weight)) fail(`gpu_model_weights.${model} must be a non-negative number`);
+  }
+  if (!Array.isArray(parsed.profiles)) fail('profiles must be an array');
+
+  const matchers = new Map(); // identity fields and values -> profile index
+  parsed.profiles.forEach((profile, index) => {
+    if (profile === null || typeof profile !== 'object' || Array.isArray(profile)) {
+      fail(`profile ${index} must be an object`);
+    }
+    for (const [field, value] of Object.entries(profile)) {
+      if (IDENTITY_FIELDS.includes(field) || field === 'name' || field === 'gpu_model') {
+        if (typeof value !== 'string') fail(`profile ${index}: ${field} must be a string`);
+      } else if (PROFILE_FIELDS.includes(field)) {
+        if (!isNonNegativeNumber(value)) fail(`profile ${index}: ${field} must be a non-negative number`);
+      } else {
+        fail(`profile ${index}: unknown field ${field} (expected ${[...IDENTITY_FIELDS, ...PROFILE_FIELDS].join(', ')})`);
+      }
+    }
+
+    if (profile.gpu_model !== undefined && profile.gpu_weight === undefined &&
+        !Object.hasOwn(gpuModelWeights, profile.gpu_model)) {
+      fail(`profile ${index}: gpu_model ${profile.gpu_model} is not in gpu_model_weights (add it or set gpu_weight)`);
+    }
+
+    const matcher = IDENTITY_FIELDS.filter(field => field in profile).map(field => `${field}=${profile[field]}`).join(',');
+    if (matchers.has(matcher)) {
+      fail(`profiles ${matchers.get(matcher)} and ${index} both match ${matcher || 'every record'}`);
+    }
+    matchers.set(matcher, index);
+  });
+
+  return new HardwareInventory({
+    name: parsed.name ?? basename(filePath, '.json'),
+    gpu_model_weights: gpuModelWeights,
+    profiles: parsed.profiles
+  });
+}
+
+export { DEFAULT_CPU_CORES, DEFAULT_GPU_COUNT };
@@ -0,0 +1,74 @@
+/**
+ * Identity Module
+ *
+ * Hierarchical window identity: site → cluster → partition → node.
+ *
+ * Ingesters tag windows with the finest level they know; the normalizer and
+ * the leaderboard truncate identities to roll windows up to a coarser level.
+ */
+
+/**
+ * Hierarchy levels, coarsest first
+ */
+const IDENTITY_LEVELS = ['site', 'cluster', 'partition', 'node'];
+
+/**
+ * Record field for each level
+ */
+const IDENTITY_FIELDS = ['site_id', 'cluster_id', 'partition_id', 'node_id'];
+
+/**
+ * Validates a hierarchy level name
+ * @param {string} level - Level name
+ * @returns {string} The level
+ */
+export function validateIdentityLevel(level) {
+  if (!IDENTITY_LEVELS.includes(level)) {
+    throw new Error(`Unknown identity level: ${level} (expected ${IDENTITY_LEVELS.join(', ')})`);
+  }
+  return level;
+}
+
+/**
+ * Reads a record's hierarchical identity
+ *
+ * Usage and power ingesters share these rules so their windows join: a
+ * missing site is 'unknown' and a Google trace machine_id stands for the node.
+ * @param {object} record - Window record
+ * @returns {{site_id: string, cluster_id: string|null, partition_id: string|null, node_id: string|null}} Identity
+ */
+export function resolveIdentity(record) {
+  const machineId = record.machine_id !== null && record.machine_id !== undefined ? String(record.machine_id) : null;
+  return {
+    site_id: record.site_id ?? 'unknown',
+    cluster_id: record.cluster_id ?? null,
+    partition_id: record.partition_id ?? null,
+    node_id: record.node_id ?? machineId
+  };
+}
+
+/**
+ * Drops identity levels finer than the given level
+ * @param {object} identity - Identity
+ * @param {string} level - Level to keep down to
+ * @returns {object} Truncated identity
+ */
+export function truncateIdentity(identity, level) {
+  const depth = IDENTITY_LEVELS.indexOf(validateIdentityLevel(level));
+  const truncated = {};
+  IDENTITY_FIELDS.forEach((field, i) => {
+    truncated[field] = i <= depth ? identity[field] ?? null : null;
+  });
+  return truncated;
+}
+
+/**
+ * Builds a map key for an identity
+ * @param {object} identity - Identity
+ * @returns {string} Key
+ */
+export function identityKey(identity) {
+  return IDENTITY_FIELDS.map(field => identity[field] ?? '').join('|');
+}
+
+export { IDENTITY_LEVELS, IDENTITY_FIELDS };
@@ -0,0 +1,374 @@
+/**
+ * BMC Power Ingestion Module
+ *
+ * Reads baseboard management controller power readings:
+ * - saved Redfish Chassis Power / PowerSubsystem JSON responses
+ * - ipmitool "dcmi power reading" text dumps
+ *
+ * Readings are integrated per node by PowerAggregator, then rolled up to
+ * site/cluster/partition via a chassis/node mapping file.
+ *
+ * Emits normalized power records:
+ * {ts, site_id, cluster_id, partition_id, node_id, power_w, energy_j_window, node_count}
+ */
+
+import { createReadStream } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { join, basename, resolve } from 'node:path';
+
+import { PowerAggregator, rollupNodePower } from '../ingest_powerdata/index.js';
+
+/**
+ * Parses a BMC timestamp into microseconds
+ * @param {string|number} value - ISO string, ipmitool date, or epoch number
+ * @param {SourceClock|null} clock - BMC clock zone/format/offset
+ * @returns {number|null} Timestamp in microseconds
+ */
+export function parseBmcTimestamp(value, clock = null) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    const num = Number(value);
+    // Epoch seconds, milliseconds or microseconds by magnitude
+    const us = num < 1e10 ? num * 1_000_000 : num < 1e13 ? num * 1_000 : num;
+    return clock ? clock.epoch(us) : us;
+  }
+
+  if (clock?.format) {
+    return clock.parse(value);
+  }
+
+  // ipmitool prints BMC time without a zone; BMC clocks are read as UTC unless
+  // the clock names a zone
+  const str = String(value).trim().replace(/\s+/g, ' ');
+  const hasZone = /(Z|[+-]\d{2}:?\d{2}|UTC|GMT)$/i.test(str);
+  const ms = Date.parse(hasZone ? str : `${str} UTC`);
+  if (isNaN(ms)) return null;
+  if (!clock) return ms * 1000;
+  return hasZone ? clock.epoch(ms * 1000) : clock.wall(ms * 1000);
+}
+
+/**
+ * Extracts the chassis id from a Redfish @odata.id
+ * @param {string} odataId - e.g. "/redfish/v1/Chassis/1U/Power"
+ * @returns {string|null} Chassis id
+ */
+export function chassisIdFromOdata(odataId) {
+  if (!odataId) return null;
+  const match = String(odataId).match(/\/Chassis\/([^/]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Reads a Redfish reading value, which may be a number or {Reading: n}
+ */
+function redfishReading(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') return redfishReading(value.Reading);
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+}
+
+/**
+ * Extracts total watts from a Redfish Power or PowerSubsystem resource
+ * Power: first PowerControl entry with PowerConsumedWatts (the chassis total).
+ * PowerSubsystem: sum of expanded PowerSupplies' Metrics.InputPowerWatts, or a
+ * PowerWatts reading when EnvironmentMetrics is embedded.
+ * @param {object} resource - Redfish resource body
+ * @returns {number|null} Watts
+ */
+export function extractRedfishWatts(resource) {
+  if (!resource || typeof resource !== 'object') return null;
+
+  if (Array.isArray(resource.PowerControl)) {
+    for (const control of resource.PowerControl) {
+      const watts = redfishReading(control.PowerConsumedWatts) ??
+        redfishReading(control.PowerMetrics?.AverageConsumedWatts);
+      if (watts !== null) return watts;
+    }
+  }
+
+  const supplies = resource.PowerSupplies?.Members ?? resource.PowerSupplies;
+  if (Array.isArray(supplies)) {
+    let total = 0;
+    let found = false;
+    for (const supply of supplies) {
+      const watts = redfishReading(supply.Metrics?.InputPowerWatts) ??
+        redfishReading(supply.PowerInputWatts) ??
+        redfishReading(supply.LastPowerOutputWatts);
+      if (watts !== null) {
+        total += watts;
+        found = true;
+      }
+    }
+    if (found) return total;
+  }
+
+  return redfishReading(resource.PowerWatts) ??
+    redfishReading(resource.EnvironmentMetrics?.PowerWatts);
+}
+
+/**
+ * Converts one saved Redfish response into a power reading
+ * Responses may be bare resources or wrapped as {timestamp, chassis_id, response}.
+ * @param {object} saved - Saved response
+ * @param {number|null} fallbackTs - Timestamp (µs) used when the response has none
+ * @param {SourceClock|null} clock - BMC clock zone/format/offset
+ * @returns {object|null} Reading {ts, node_id, power_w, source}
+ */
+export function parseRedfishResponse(saved, fallbackTs = null, clock = null) {
+  if (!saved || typeof saved !== 'object') return null;
+
+  const body = saved.response ?? saved.body ?? saved.data ?? saved;
+  const powerW = extractRedfishWatts(body);
+  if (powerW === null) return null;
+
+  const ts = parseBmcTimestamp(
+    saved.timestamp ?? saved.ts ?? saved.time ?? saved.collected_at ?? saved.Date ?? null,
+    clock
+  ) ?? fallbackTs;
+  if (ts === null) return null;
+
+  const nodeId = saved.chassis_id ?? saved.node_id ?? saved.host ??
+    chassisIdFromOdata(body['@odata.id']) ?? body.Id ?? 'unknown';
+
+  return { ts, node_id: String(nodeId), power_w: powerW, source: 'redfish' };
+}
+
+/**
+ * Reads saved Redfish responses (JSON document, JSON array, or NDJSON)
+ * @param {string} filePath - Path to response file
+ * @param {SourceClock|null} clock - BMC clock zone/format/offset
+ * @yields {object} Power readings
+ */
+export async function* readRedfishPower(filePath, clock = null) {
+  const content = await readFile(filePath, 'utf8');
+  const fallbackTs = Math.floor((await stat(filePath)).mtimeMs * 1000);
+
+  let documents;
+  try {
+    const parsed = JSON.parse(content);
+    documents = Array.isArray(parsed) ? parsed : [parsed];
+  } catch (e) {
+    documents = [];
+    for (const line of content.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      try {
+        documents.push(JSON.parse(line));
+      } catch (e2) {
+        continue;
+      }
+    }
+  }
+
+  for (const doc of documents) {
+    const reading = parseRedfishResponse(doc, fallbackTs, clock);
+    if (reading) {
+      yield reading;
+    }
+  }
+}
+
+/**
+ * Reads ipmitool "dcmi power reading" dumps
+ * A dump holds one or more reading blocks; the node id comes from a
+ * "Host:"/"# host=" line when present, otherwise from the file name.
+ * @param {string} filePath - Path to text dump
+ * @param {SourceClock|null} clock - BMC clock zone/format/offset
+ * @yields {object} Power readings
+ */
+export async function* readIpmiDcmiPower(filePath, clock = null) {
+  const stream = createReadStream(filePath, { encoding: 'utf8' });
+  const rl = createInterface({ input: stream, crlfDelay: Infinity });
+
+  let nodeId = basename(filePath).split('.')[0];
+  let current = null;
+
+  const finish = () => {
+    const block = current;
+    current = null;
+    if (!block || block.ts === null) return null;
+    const powerW = !isNaN(block.average) ? block.average : block.instantaneous;
+    if (isNaN(powerW)) return null;
+    return { ts: block.ts, node_id: block.node_id, power_w: powerW, source: 'ipmi-dcmi' };
+  };
+
+  for await (const line of rl) {
+    const text = line.trim();
+    if (!text) continue;
+
+    const host = text.match(/^#?\s*host\s*[:=]\s*(\S+)/i);
+    if (host) {
+      const reading = finish();
+      if (reading) yield reading;
+      nodeId = host[1];
+      continue;
+    }
+
+    const [label, ...rest] = text.split(':');
+    const value = rest.join(':').trim();
+    const key = label.trim().toLowerCase();
+
+    if (key.startsWith('instantaneous power reading')) {
+      const reading = finish();
+      if (reading) yield reading;
+      current = { node_id: nodeId, ts: null, instantaneous: parseFloat(value), average: NaN };
+    } else if (current && key.startsWith('average power reading')) {
+      current.average = parseFloat(value);
+    } else if (current && key.startsWith('ipmi timestamp')) {
+      current.ts = parseBmcTimestamp(value, clock);
+    }
+  }
+
+  const reading = finish();
+  if (reading) yield reading;
+}
+
+/**
+ * Loads a chassis/node -> site/cluster/partition mapping file
+ * Accepts {"<id>": {"site_id", "cluster_id", "partition_id"}} or
+ * [{"id"|"match", "site_id", "cluster_id", "partition_id"}]; "match" may use * wildcards.
+ * @param {string|null} filePath - Path to mapping JSON
+ * @returns {Promise<function(string): ({site_id: string, cluster_id: string|null, partition_id?: string}|null)>} Resolver
+ */
+export async function loadBmcMapping(filePath) {
+  if (!filePath) {
+    return () => null;
+  }
+
+  const parsed = JSON.parse(await readFile(filePath, 'utf8'));
+  const exact = new Map();
+  const patterns = [];
+
+  const entries = Array.isArray(parsed)
+    ? parsed
+    : Object.entries(parsed).map(([id, value]) => (
+      typeof value === 'string' ? { id, site_id: value } : { id, ...value }
+    ));
+
+  for (const entry of entries) {
+    const target = { site_id: entry.site_id, cluster_id: entry.cluster_id ?? null };
+    if (entry.partition_id !== undefined && entry.partition_id !== null) {
+      target.partition_id = entry.partition_id;
+    }
+    const key = entry.match ?? entry.id;
+    if (key === undefined || !target.site_id) continue;
+
+    if (String(key).includes('*')) {
+      const escaped = String(key).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+      patterns.push({ regex: new RegExp(`^${escaped}$`), target });
+    } else {
+      exact.set(String(key), target);
+    }
+  }
+
+  return (id) => {
+    if (exact.has(id)) return exact.get(id);
+    const pattern = patterns.find(p => p.regex.test(id));
+    return pattern ? pattern.target : null;
+  };
+}
+
+/**
+ * Discovers BMC dump files in a directory
+ * @param {string} dir - Directory to scan
+ * @returns {Promise<{redfish: string[], dcmi: string[]}>} File paths by format
+ */
+export async function discoverBmcFiles(dir) {
+  const files = { redfish: [], dcmi: [] };
+
+  try {
+    const entries = await readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        const sub = await discoverBmcFiles(fullPath);
+        files.redfish.push(...sub.redfish);
+        files.dcmi.push(...sub.dcmi);
+      } else if (entry.isFile()) {
+        const name = entry.name.toLowerCase();
+        if (name.endsWith('.json') || name.endsWith('.ndjson')) {
+          files.redfish.push(fullPath);
+        } else if (name.endsWith('.txt') || name.endsWith('.log') || name.endsWith('.dcmi')) {
+          files.dcmi.push(fullPath);
+        }
+      }
+    }
+  } catch (e) {
+    // Directory doesn't exist or not accessible
+  }
+
+  files.redfish.sort();
+  files.dcmi.sort();
+  return files;
+}
+
+/**
+ * Lists the readers for a BMC dump directory, skipping the mapping file
+ * @param {string} inputDir - Directory containing Redfish/DCMI dumps
+ * @param {string|null} mappingFile - Mapping file that may live in the same directory
+ * @param {SourceClock|null} clock - BMC clock zone/format/offset
+ * @returns {Promise<AsyncIterable<object>[]>} Reading sources
+ */
+async function openBmcReaders(inputDir, mappingFile, clock) {
+  const mappingPath = mappingFile ? resolve(mappingFile) : null;
+  const files = await discoverBmcFiles(inputDir);
+  return [
+    ...files.redfish
+      .filter(file => resolve(file) !== mappingPath)
+      .map(file => readRedfishPower(file, clock)),
+    ...files.dcmi.map(file => readIpmiDcmiPower(file, clock))
+  ];
+}
+
+/**
+ * Reads BMC power readings as a {ts, value} series for skew estimation
+ * Timestamps are corrected by the clock, offset included, so an estimate on
+ * the series is the skew left on top of the configured offset.
+ * @param {string} inputDir - Directory containing Redfish/DCMI dumps
+ * @param {object} options - {mappingFile, clock}
+ * @returns {Promise<Array<{ts: number, value: number}>>} Power series
+ */
+export async function readBmcPowerSeries(inputDir, options = {}) {
+  const { mappingFile = null, clock = null } = options;
+  const series = [];
+
+  for (const reader of await openBmcReaders(inputDir, mappingFile, clock)) {
+    for await (const reading of reader) {
+      series.push({ ts: reading.ts, value: reading.power_w });
+    }
+  }
+  return series;
+}
+
+/**
+ * Main ingestion function for BMC power data
+ * @param {string} inputDir - Directory containing Redfish/DCMI dumps
+ * @param {object} options - Configuration options
+ * @yields {object} Normalized power records
+ */
+export async function* ingestBmcPower(inputDir, options = {}) {
+  const {
+    windowSizeUs = 300_000_000,
+    siteId = null,
+    mappingFile = null,
+    level = 'cluster',
+    clock = null
+  } = options;
+  const resolveNode = await loadBmcMapping(mappingFile);
+  const aggregator = new PowerAggregator(windowSizeUs);
+
+  for (const reader of await openBmcReaders(inputDir, mappingFile, clock)) {
+    for await (const reading of reader) {
+      // Integrate per node; site/cluster come from the mapping at rollup
+      aggregator.addPowerRecord({ ts: reading.ts, site_id: reading.node_id, power_w: reading.power_w });
+    }
+  }
+
+  for (const record of rollupNodePower(aggregator.emit(), resolveNode, siteId, level)) {
+    yield record;
+  }
+}
@@ -1,22 +1,27 @@
 /**
  * Google Clusterdata Ingestion Module
  *
- * Reads sharded json.gz tables from Google cluster trace format:
+ * Reads sharded json / json.gz / json.zst tables from Google cluster trace format:
  * - collection_events
  * - instance_events
  * - instance_usage
  * - machine_events
  * - machine_attributes
  *
- * Emits normalized usage records: {ts, site_id, cpu_util, gpu_util, job_queue_depth, resource_seconds_window}
+ * Emits normalized usage records: {ts, site_id, cluster_id, node_id, cpu_util, gpu_util, job_queue_depth,
+ * jobs_submitted, jobs_scheduled, jobs_evicted, jobs_failed, resource_seconds_window}
+ *
+ * machine_events and machine_attributes are replayed into a MachineRegistry so
+ * utilization is computed against machine capacity and offline windows are flagged.
  */
 
-import { createReadStream } from 'node:fs';
-import { createGunzip } from 'node:zlib';
-import { createInterface } from 'node:readline';
 import { readdir, stat } from 'node:fs/promises';
 import { join, basename } from 'node:path';
 
+import { mergeByEventTime } from '../streaming/index.js';
+import { identityKey, resolveIdentity } from '../identity/index.js';
+import { readRecords, ErrorBudget } from '../io/index.js';
+
 const TABLE_TYPES = [
   'collection_events',
   'instance_events',
@@ -26,53 +31,84 @@ const TABLE_TYPES = [
 ];
 
 /**
- * Reads a single json.gz shard file as async generator
- * @param {string} filePath - Path to .json.gz file
- * @yields {object} Parsed JSON records
+ * Google machine_events event types
  */
-export async function* readShardedGzip(filePath) {
-  const gunzip = createGunzip();
-  const stream = createReadStream(filePath).pipe(gunzip);
+const MACHINE_EVENT_TYPES = {
+  ADD: 0,
+  REMOVE: 1,
+  UPDATE: 2
+};
 
-  const rl = createInterface({
-    input: stream,
-    crlfDelay: Infinity
-  });
+/**
+ * Google collection_events / instance_events lifecycle event types
+ */
+const COLLECTION_EVENT_TYPES = {
+  SUBMIT: 0,
+  QUEUE: 1,
+  ENABLE: 2,
+  SCHEDULE: 3,
+  EVICT: 4,
+  FAIL: 5,
+  FINISH: 6,
+  KILL: 7,
+  LOST: 8,
+  UPDATE_PENDING: 9,
+  UPDATE_RUNNING: 10
+};
 
-  for await (const line of rl) {
-    if (line.trim()) {
-      try {
-        yield JSON.parse(line);
-      } catch (e) {
-        // Skip malformed lines
-        continue;
-      }
-    }
+/**
+ * Resolves a trace event type given as enum name or integer
+ * @param {string|number} type - Event type from the trace
+ * @param {object} types - Enum map of name -> integer
+ * @returns {number|null} Integer type or null if unrecognized
+ */
+function parseEventType(type, types) {
+  if (typeof type === 'string' && type.toUpperCase() in types) {
+    return types[type.toUpperCase()];
+  }
+  if (type === null || type === undefined || type === '') {
+    return null;
   }
+  const num = Number(type);
+  return Object.values(types).includes(num) ? num : null;
 }
 
 /**
- * Reads plain JSON file (newline-delimited)
- * @param {string} filePath - Path to .json file
- * @yields {object} Parsed JSON records
+ * Resolves a machine event type given as enum name or integer
+ * @param {string|number} type - Event type from the trace
+ * @returns {number|null} One of MACHINE_EVENT_TYPES or null if unrecognized
  */
-export async function* readNdjson(filePath) {
-  const stream = createReadStream(filePath, { encoding: 'utf8' });
+export function parseMachineEventType(type) {
+  return parseEventType(type, MACHINE_EVENT_TYPES);
+}
 
-  const rl = createInterface({
-    input: stream,
-    crlfDelay: Infinity
-  });
+/**
+ * Resolves a collection/instance event type given as enum name or integer
+ * @param {string|number} type - Event type from the trace
+ * @returns {number|null} One of COLLECTION_EVENT_TYPES or null if unrecognized
+ */
+export function parseCollectionEventType(type) {
+  return parseEventType(type, COLLECTION_EVENT_TYPES);
+}
 
-  for await (const line of rl) {
-    if (line.trim()) {
-      try {
-        yield JSON.parse(line);
-      } catch (e) {
-        continue;
-      }
-    }
-  }
+/**
+ * Reads a single compressed (gzip or zstd) json shard file as async generator
+ * @param {string} filePath - Path to .json.gz / .json.zst file
+ * @param {object} options - src/io readRecords options {budget, onMalformed}
+ * @returns {AsyncGenerator<object>} Parsed JSON records
+ */
+export function readShardedGzip(filePath, options = {}) {
+  return readNdjson(filePath, options);
+}
+
+/**
+ * Reads a newline-delimited JSON file, plain or compressed (detected by magic bytes)
+ * @param {string} filePath - Path to .json / .json.gz / .json.zst file
+ * @param {object} options - src/io readRecords options {budget, onMalformed}
+ * @returns {AsyncGenerator<object>} Parsed JSON records
+ */
+export function readNdjson(filePath, options = {}) {
+  return readRecords(filePath, options);
 }
 
 /**
@@ -96,7 +132,7 @@ export async function discoverShards(dir, tableType) {
         files.push(...subFiles);
       } else if (entry.isFile()) {
         const name = entry.name.toLowerCase();
-        if (name.includes(tableType) && (name.endsWith('.json.gz') || name.endsWith('.json'))) {
+        if (name.includes(tableType) && (name.endsWith('.json.gz') || name.endsWith('.json.zst') || name.endsWith('.json'))) {
           files.push(fullPath);
         }
       }
@@ -108,51 +144,476 @@ export async function discoverShards(dir, tableType) {
   return files.sort();
 }
 
+/**
+ * Tracks machine lifecycle, capacity and attributes from machine_events/machine_attributes
+ */
+export class MachineRegistry {
+  constructor() {
+    this.machines = new Map(); // machine_id -> { events, attributes, sorted, states, attributesByName }
+  }
+
+  getMachine(machineId) {
+    const id = String(machineId);
+    if (!this.machines.has(id)) {
+      this.machines.set(id, { events: [], attributes: [], sorted: true });
+    }
+    return this.machines.get(id);
+  }
+
+  addMachineEvent(record) {
+    if (record.machine_id === undefined || record.machine_id === null) return;
+    const type = parseMachineEventType(record.type ?? record.event_type);
+    if (type === null) return;
+
+    const machine = this.getMachine(record.machine_id);
+    machine.events.push({
+      time: Number(record.time ?? record.ts ?? 0),
+      type,
+      capacity_cpus: record.capacity?.cpus ?? record.cpus ?? null,
+      capacity_memory: record.capacity?.memory ?? record.memory ?? null,
+      platform_id: record.platform_id ?? null
+    });
+    machine.sorted = false;
+  }
+
+  addMachineAttribute(record) {
+    if (record.machine_id === undefined || record.machine_id === null || !record.name) return;
+
+    const machine = this.getMachine(record.machine_id);
+    machine.attributes.push({
+      time: Number(record.time ?? record.ts ?? 0),
+      name: record.name,
+      value: record.value ?? null,
+      deleted: Boolean(record.deleted)
+    });
+    machine.sorted = false;
+  }
+
+  /**
+   * Sorts a machine's events and attributes and indexes them for getStateAt:
+   * states[i] is the state carried forward through events[i], and
+   * attributesByName holds each attribute's changes in time order
+   */
+  sortMachine(machine) {
+    if (!machine.sorted) {
+      machine.events.sort((a, b) => a.time - b.time);
+      machine.attributes.sort((a, b) => a.time - b.time);
+
+      machine.states = [];
+      let previous = { online: false, capacity_cpus: null, capacity_memory: null, platform_id: null };
+      for (const event of machine.events) {
+        previous = {
+          online: event.type !== MACHINE_EVENT_TYPES.REMOVE,
+          capacity_cpus: event.capacity_cpus ?? previous.capacity_cpus,
+          capacity_memory: event.capacity_memory ?? previous.capacity_memory,
+          platform_id: event.platform_id ?? previous.platform_id
+        };
+        machine.states.push(previous);
+      }
+
+      machine.attributesByName = new Map();
+      for (const attr of machine.attributes) {
+        if (!machine.attributesByName.has(attr.name)) machine.attributesByName.set(attr.name, []);
+        machine.attributesByName.get(attr.name).push(attr);
+      }
+      machine.sorted = true;
+    }
+    return machine;
+  }
+
+  has(machineId) {
+    return machineId !== undefined && machineId !== null && this.machines.has(String(machineId));
+  }
+
+  /**
+   * Resolves machine state as of a timestamp, carrying capacity forward across UPDATEs
+   * @param {string|number} machineId - Machine identifier
+   * @param {number} ts - Timestamp in microseconds
+   * @returns {object|null} State or null if the machine has no events
+   */
+  getStateAt(machineId, ts) {
+    if (!this.has(machineId)) return null;
+    const machine = this.sortMachine(this.machines.get(String(machineId)));
+    if (machine.events.length === 0) return null;
+
+    const eventCount = countAtOrBefore(machine.events, ts);
+    const state = eventCount > 0
+      ? { ...machine.states[eventCount - 1], attributes: {} }
+      : { online: false, capacity_cpus: null, capacity_memory: null, platform_id: null, attributes: {} };
+
+    for (const [name, changes] of machine.attributesByName) {
+      const changeCount = countAtOrBefore(changes, ts);
+      if (changeCount === 0) continue;
+      const attr = changes[changeCount - 1];
+      if (!attr.deleted) state.attributes[name] = attr.value;
+    }
+
+    return state;
+  }
+
+  /**
+   * Computes the fraction of [start, end) during which the machine was online
+   * @param {string|number} machineId - Machine identifier
+   * @param {number} start - Range start in microseconds
+   * @param {number} end - Range end in microseconds
+   * @returns {number|null} Ratio in [0,1] or null if the machine has no events
+   */
+  getOnlineRatio(machineId, start, end) {
+    if (!this.has(machineId) || end <= start) return null;
+    const machine = this.sortMachine(this.machines.get(String(machineId)));
+    if (machine.events.length === 0) return null;
+
+    const first = countAtOrBefore(machine.events, start);
+    let online = first > 0 && machine.states[first - 1].online;
+    let cursor = start;
+    let onlineUs = 0;
+
+    for (let i = first; i < machine.events.length; i++) {
+      const event = machine.events[i];
+      const eventOnline = event.type !== MACHINE_EVENT_TYPES.REMOVE;
+      if (event.time >= end) break;
+      if (online) onlineUs += event.time - cursor;
+      cursor = event.time;
+      online = eventOnline;
+    }
+
+    if (online) onlineUs += end - cursor;
+    return onlineUs / (end - start);
+  }
+
+  clear() {
+    this.machines.clear();
+  }
+}
+
+/**
+ * Binary search: number of time-sorted entries with time <= ts
+ */
+function countAtOrBefore(sorted, ts) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (sorted[mid].time <= ts) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Whether an event time lies within a trace. Google traces stamp events after
+ * the end of the trace with 2^63-1; those, and negative or unparsable times,
+ * are out of the trace.
+ */
+function isTraceTime(time) {
+  return Number.isFinite(time) && time >= 0 && time <= Number.MAX_SAFE_INTEGER;
+}
+
+/**
+ * Counts a lifecycle window carries; summed when windows are folded together
+ */
+const LIFECYCLE_COUNTS = ['pending', 'submitted', 'scheduled', 'evicted', 'failed'];
+
+/**
+ * Replays the collection/instance lifecycle to derive per-window queue signals
+ *
+ * SUBMIT/QUEUE/ENABLE make an entity pending, SCHEDULE makes it running and
+ * EVICT/FAIL/FINISH/KILL/LOST make it dead until it is resubmitted.
+ *
+ * Collections (collection_events) and instances (instance_events, which carry
+ * instance_index) are replayed separately within a site/cluster. Queue counts
+ * (pending, submitted) come from collections, or from instances when the
+ * site/cluster has no collection events; placement counts (scheduled,
+ * evicted, failed) come from instances, or from collections when it has no
+ * instance events. Events on a machine (their machine_id, or the machine the
+ * entity was scheduled on) are counted on that node, as usage is; the rest,
+ * including the pending snapshot, are counted at the site/cluster level.
+ * Events out of the trace (at the 2^63-1 end-of-trace sentinel) are ignored, so
+ * an entity whose end is not in the trace keeps its last state.
+ */
+export class CollectionLifecycleTracker {
+  constructor(windowSizeUs = 300_000_000, options = {}) {
+    this.windowSizeUs = windowSizeUs;
+    this.watermark = options.watermark || null; // optional streaming Watermark
+    this.sites = new Map(); // site|cluster -> { site_id, cluster_id, events, states, pending, submitted, nextWindow, ... }
+  }
+
+  addEvent(record) {
+    const type = parseCollectionEventType(record.type ?? record.event_type);
+    const collectionId = record.collection_id ?? record.job_id ?? null;
+    if (type === null || collectionId === null) return;
+
+    const time = Number(record.time ?? record.ts ?? 0);
+    if (!isTraceTime(time)) return;
+    if (this.watermark) {
+      const windowEnd = Math.floor(time / this.windowSizeUs) * this.windowSizeUs + this.windowSizeUs;
+      if (this.watermark.isClosed(windowEnd)) {
+        this.watermark.rejectLate('lifecycle', record);
+        return;
+      }
+      this.watermark.observe(time);
+    }
+
+    const { site_id: siteId, cluster_id: clusterId } = resolveIdentity(record);
+    const scope = `${siteId}|${clusterId ?? ''}`;
+    const instance = record.instance_index !== undefined && record.instance_index !== null;
+    const entity = instance ? `${collectionId}/${record.instance_index}` : String(collectionId);
+
+    if (!this.sites.has(scope)) {
+      this.sites.set(scope, {
+        site_id: siteId,
+        cluster_id: clusterId,
+        events: [],
+        states: new Map(), // entity -> { state, machineId }
+        pending: { collection: 0, instance: 0 },
+        hasCollections: false,
+        hasInstances: false,
+        nextWindow: null
+      });
+    }
+    const site = this.sites.get(scope);
+    if (instance) {
+      site.hasInstances = true;
+    } else {
+      site.hasCollections = true;
+    }
+    site.events.push({ time, type, entity, instance, machineId: record.machine_id ?? null });
+  }
+
+  /**
+   * Replays events per site and yields one site/cluster-level entry per
+   * window, including windows with no events of their own, plus one node-level
+   * entry per machine with events in the window. Replay state is kept between
+   * calls, so a streaming caller can pass untilUs to yield only windows ending
+   * by then; without it the replay runs to the window of the last event.
+   * @param {number} [untilUs] - Only yield windows with ts_end <= untilUs
+   * @yields {{site_id: string, cluster_id: string|null, node_id: *, ts_start: number, pending: number,
+   *   submitted: number, scheduled: number, evicted: number, failed: number}} node_id is null for the
+   *   site/cluster-level entry, whose pending is a snapshot at window start (0 on node entries)
+   */
+  *windows(untilUs = Infinity) {
+    const T = COLLECTION_EVENT_TYPES;
+
+    for (const site of this.sites.values()) {
+      const events = site.events;
+      if (site.nextWindow === null && events.length === 0) continue;
+
+      events.sort((a, b) => a.time - b.time || a.type - b.type);
+      if (site.nextWindow === null) {
+        site.nextWindow = Math.floor(events[0].time / this.windowSizeUs) * this.windowSizeUs;
+      }
+
+      const lastTime = events.length > 0 ? events[events.length - 1].time : -Infinity;
+      const inRange = (ws) => (untilUs === Infinity
+        ? ws <= lastTime
+        : ws + this.windowSizeUs <= untilUs);
+      const queueKind = site.hasCollections ? 'collection' : 'instance';
+      const placementKind = site.hasInstances ? 'instance' : 'collection';
+      let idx = 0;
+
+      try {
+        for (let ws = site.nextWindow; inRange(ws); ws += this.windowSizeUs) {
+          const entry = (nodeId, pending) => ({
+            site_id: site.site_id,
+            cluster_id: site.cluster_id,
+            node_id: nodeId,
+            ts_start: ws,
+            pending,
+            submitted: 0,
+            scheduled: 0,
+            evicted: 0,
+            failed: 0
+          });
+          const stats = entry(null, site.pending[queueKind]); // snapshot at window start
+          const nodes = new Map(); // machine_id -> node-level entry
+
+          while (idx < events.length && events[idx].time < ws + this.windowSizeUs) {
+            const { type, entity, instance, machineId } = events[idx++];
+            const kind = instance ? 'instance' : 'collection';
+            const prev = site.states.get(entity);
+            let next = prev?.state;
+
+            switch (type) {
+              case T.SUBMIT:
+              case T.QUEUE:
+              case T.ENABLE:
+                next = 'pending';
+                break;
+              case T.SCHEDULE:
+                next = 'running';
+                break;
+              case T.EVICT:
+              case T.FAIL:
+              case T.FINISH:
+              case T.KILL:
+              case T.LOST:
+                next = 'dead';
+                break;
+              default:
+                break;
+            }
+
+            const machine = machineId ?? prev?.machineId ?? null;
+            let target = stats;
+            if (machine !== null) {
+              if (!nodes.has(machine)) nodes.set(machine, entry(machine, 0));
+              target = nodes.get(machine);
+            }
+
+            if (kind === queueKind && type === T.SUBMIT) target.submitted++;
+            if (kind === placementKind) {
+              if (type === T.SCHEDULE) target.scheduled++;
+              if (type === T.EVICT) target.evicted++;
+              if (type === T.FAIL) target.failed++;
+            }
+
+            if (prev?.state === 'pending' && next !== 'pending') site.pending[kind]--;
+            if (prev?.state !== 'pending' && next === 'pending') site.pending[kind]++;
+
+            // Dead entities behave like unseen ones; dropping them bounds replay state
+            if (next === 'dead' || next === undefined) {
+              site.states.delete(entity);
+            } else {
+              site.states.set(entity, { state: next, machineId: next === 'running' ? machine : null });
+            }
+          }
+
+          site.nextWindow = ws + this.windowSizeUs;
+          yield stats;
+          yield* nodes.values();
+        }
+      } finally {
+        // Consumed events are dropped even if the caller stops early
+        site.events = events.slice(idx);
+      }
+    }
+  }
+
+  clear() {
+    this.sites.clear();
+  }
+}
+
+/**
+ * Usage aggregation modes:
+ * - mean: plain mean of per-record utilization samples in the window
+ * - machine: sum of concurrent instance usage weighted by time overlap with the
+ *   window, normalized by machine capacity
+ */
+const AGGREGATION_MODES = ['mean', 'machine'];
+
 /**
  * Ingests instance_usage records and aggregates to windows
  */
 export class UsageAggregator {
-  constructor(windowSizeUs = 300_000_000) { // 5 minute default
+  constructor(windowSizeUs = 300_000_000, options = {}) { // 5 minute default
     this.windowSizeUs = windowSizeUs;
     this.windows = new Map(); // windowKey -> aggregated data
+    this.machines = options.machines || null; // optional MachineRegistry
+    this.aggregation = options.aggregation || 'mean';
+    this.lifecycle = options.lifecycle || null; // optional CollectionLifecycleTracker
+    this.watermark = options.watermark || null; // optional streaming Watermark
+    this.flushedUntilUs = -Infinity;
+
+    if (!AGGREGATION_MODES.includes(this.aggregation)) {
+      throw new Error(`Unknown usage aggregation mode: ${this.aggregation}`);
+    }
   }
 
-  getWindowKey(ts, siteId) {
+  getWindowKey(ts, identity) {
     const windowStart = Math.floor(ts / this.windowSizeUs) * this.windowSizeUs;
-    return `${siteId}:${windowStart}`;
+    return `${identityKey(identity)}:${windowStart}`;
   }
 
-  addUsageRecord(record) {
-    const ts = record.start_time || record.time || record.ts || 0;
-    const siteId = record.machine_id || record.site_id || 'unknown';
-    const key = this.getWindowKey(ts, siteId);
+  /**
+   * Gets the window for a site/cluster and machine (the node level)
+   * @param {number} ts - Timestamp in the window
+   * @param {{site_id: string, cluster_id: string|null}} scope - Site and cluster
+   * @param {*} machineId - Machine id, null for site-level windows
+   * @returns {object} Aggregated window
+   */
+  getOrCreateWindow(ts, scope, machineId) {
+    const identity = {
+      site_id: scope.site_id,
+      cluster_id: scope.cluster_id ?? null,
+      node_id: machineId ?? null
+    };
+    const key = this.getWindowKey(ts, identity);
 
     if (!this.windows.has(key)) {
       const windowStart = Math.floor(ts / this.windowSizeUs) * this.windowSizeUs;
       this.windows.set(key, {
         ts_start: windowStart,
         ts_end: windowStart + this.windowSizeUs,
-        site_id: siteId,
+        site_id: identity.site_id,
+        cluster_id: identity.cluster_id,
+        machine_id: machineId ?? null,
         cpu_samples: [],
         gpu_samples: [],
         mem_samples: [],
+        cpu_usage_us: 0, // capacity-normalized usage x overlap (machine mode)
+        mem_usage_us: 0,
+        gpu_usage_us: 0,
+        has_mem: false,
+        has_gpu: false,
+        instance_count: 0,
+        offline_samples: 0,
         job_count: 0,
+        lifecycle: null,
         resource_seconds: 0
       });
     }
 
-    const window = this.windows.get(key);
+    return this.windows.get(key);
+  }
+
+  getMachineState(record, ts) {
+    return this.machines && record.machine_id !== undefined
+      ? this.machines.getStateAt(record.machine_id, ts)
+      : null;
+  }
+
+  addUsageRecord(record) {
+    const ts = record.start_time || record.time || record.ts || 0;
+    const { site_id, cluster_id } = resolveIdentity(record);
+    const scope = { site_id, cluster_id };
+
+    if (this.watermark) {
+      const windowEnd = Math.floor(ts / this.windowSizeUs) * this.windowSizeUs + this.windowSizeUs;
+      if (this.watermark.isClosed(windowEnd)) {
+        this.watermark.rejectLate('usage', record);
+        return;
+      }
+      this.watermark.observe(ts);
+    }
+
+    if (this.aggregation === 'machine') {
+      this.addMachineUsage(record, ts, scope);
+      return;
+    }
+
+    const window = this.getOrCreateWindow(ts, scope, record.machine_id);
+
+    // Machine state at sample time; samples from a removed machine are counted, not averaged
+    const machineState = this.getMachineState(record, ts);
+    if (machineState && !machineState.online) {
+      window.offline_samples++;
+      return;
+    }
 
     // Extract CPU utilization (Google format uses average_usage.cpus)
     const cpuUtil = record.average_usage?.cpus ?? record.cpu_util ?? record.assigned_memory ?? null;
     if (cpuUtil !== null) {
-      window.cpu_samples.push(Number(cpuUtil));
+      const capacity = machineState?.capacity_cpus;
+      window.cpu_samples.push(capacity > 0 ? Number(cpuUtil) / capacity : Number(cpuUtil));
+      window.instance_count++;
     }
 
     // Extract memory utilization
     const memUtil = record.average_usage?.memory ?? record.mem_util ?? null;
     if (memUtil !== null) {
-      window.mem_samples.push(Number(memUtil));
+      const capacity = machineState?.capacity_memory;
+      window.mem_samples.push(capacity > 0 ? Number(memUtil) / capacity : Number(memUtil));
     }
 
     // GPU if present
@@ -172,84 +633,378 @@ export class UsageAggregator {
     window.resource_seconds += (cpuUtil || 0) * durationSec;
   }
 
+  /**
+   * Adds a record in machine mode, apportioning its usage across every window
+   * its [start_time, end_time) interval overlaps
+   * @param {object} record - Usage record
+   * @param {number} ts - Record start in microseconds
+   * @param {{site_id: string, cluster_id: string|null}} scope - Window site and cluster
+   */
+  addMachineUsage(record, ts, scope) {
+    const cpus = record.average_usage?.cpus ?? record.cpu_util ?? null;
+    const memory = record.average_usage?.memory ?? record.mem_util ?? null;
+    const gpus = record.gpu_util ?? null;
+
+    // Without an end_time the sample is taken to cover the rest of its window
+    const firstWindowStart = Math.floor(ts / this.windowSizeUs) * this.windowSizeUs;
+    const end = record.end_time || firstWindowStart + this.windowSizeUs;
+
+    if (record.type !== undefined || record.event_type !== undefined) {
+      this.getOrCreateWindow(ts, scope, record.machine_id).job_count++;
+    }
+
+    if (cpus === null && memory === null && gpus === null) {
+      return;
+    }
+
+    for (let windowStart = firstWindowStart; windowStart < end; windowStart += this.windowSizeUs) {
+      const overlapStart = Math.max(ts, windowStart);
+      const overlapUs = Math.min(end, windowStart + this.windowSizeUs) - overlapStart;
+      if (overlapUs <= 0) continue;
+
+      const window = this.getOrCreateWindow(windowStart, scope, record.machine_id);
+      const machineState = this.getMachineState(record, overlapStart);
+      if (machineState && !machineState.online) {
+        window.offline_samples++;
+        continue;
+      }
+
+      if (cpus !== null) {
+        const capacity = machineState?.capacity_cpus > 0 ? machineState.capacity_cpus : 1;
+        window.cpu_usage_us += (Number(cpus) / capacity) * overlapUs;
+        window.resource_seconds += Number(cpus) * overlapUs / 1_000_000;
+        window.instance_count++;
+      }
+
+      if (memory !== null) {
+        const capacity = machineState?.capacity_memory > 0 ? machineState.capacity_memory : 1;
+        window.mem_usage_us += (Number(memory) / capacity) * overlapUs;
+        window.has_mem = true;
+      }
+
+      if (gpus !== null) {
+        window.gpu_usage_us += Number(gpus) * overlapUs;
+        window.has_gpu = true;
+      }
+    }
+  }
+
+  /**
+   * Computes raw (unclamped) utilization for a window in the active mode
+   * @param {object} window - Aggregated window
+   * @param {number|null} onlineRatio - Fraction of the window the machine was online
+   * @returns {{cpu: number, gpu: number|null, mem: number|null}} Raw utilization
+   */
+  computeRawUtilization(window, onlineRatio) {
+    if (this.aggregation === 'machine') {
+      // Normalize by the span the machine was actually available
+      const spanUs = this.windowSizeUs * (onlineRatio > 0 ? onlineRatio : 1);
+      return {
+        cpu: window.cpu_usage_us / spanUs,
+        gpu: window.has_gpu ? window.gpu_usage_us / spanUs : null,
+        mem: window.has_mem ? window.mem_usage_us / spanUs : null
+      };
+    }
+
+    const mean = (samples) => samples.reduce((a, b) => a + b, 0) / samples.length;
+    return {
+      cpu: window.cpu_samples.length > 0 ? mean(window.cpu_samples) : 0,
+      gpu: window.gpu_samples.length > 0 ? mean(window.gpu_samples) : null,
+      mem: window.mem_samples.length > 0 ? mean(window.mem_samples) : null
+    };
+  }
+
+  /**
+   * Attaches lifecycle replay results to windows of the same identity. Entries
+   * without a usage window of their own (the site/cluster-level queue, machines
+   * with events but no usage) are folded into a usage window of the same
+   * site/cluster, the site-level one if there is one, so rollups count them
+   * once; only when the site/cluster has no usage in the window is a queue-only
+   * window created.
+   * @param {number} [untilUs] - Only merge windows ending by then (streaming)
+   */
+  mergeLifecycle(untilUs = Infinity) {
+    if (!this.lifecycle) return;
+
+    let byScope = null; // site|cluster:ts_start -> usage window, built on first use
+    for (const stats of this.lifecycle.windows(untilUs)) {
+      let window = this.windows.get(this.getWindowKey(stats.ts_start, stats));
+      if (!window) {
+        byScope ??= this.indexWindowsByScope();
+        const scopeKey = this.getWindowKey(stats.ts_start, { site_id: stats.site_id, cluster_id: stats.cluster_id });
+        window = byScope.get(scopeKey);
+        if (!window) {
+          window = this.getOrCreateWindow(stats.ts_start, stats, null);
+          byScope.set(scopeKey, window);
+        }
+      }
+
+      window.lifecycle ??= Object.fromEntries(LIFECYCLE_COUNTS.map(field => [field, 0]));
+      for (const field of LIFECYCLE_COUNTS) {
+        window.lifecycle[field] += stats[field];
+      }
+    }
+  }
+
+  /**
+   * Indexes open windows by site/cluster and window start, preferring the
+   * site-level window over node windows
+   * @returns {Map<string, object>} Window key without node -> window
+   */
+  indexWindowsByScope() {
+    const index = new Map();
+    for (const window of this.windows.values()) {
+      const key = this.getWindowKey(window.ts_start, { site_id: window.site_id, cluster_id: window.cluster_id });
+      if (!index.has(key) || window.machine_id === null) {
+        index.set(key, window);
+      }
+    }
+    return index;
+  }
+
   /**
    * Emits finalized normalized usage records
    * @yields {object} Normalized usage record
    */
   *emit() {
+    this.mergeLifecycle();
+
     for (const window of this.windows.values()) {
-      const cpuUtil = window.cpu_samples.length > 0
-        ? window.cpu_samples.reduce((a, b) => a + b, 0) / window.cpu_samples.length
-        : 0;
-
-      const gpuUtil = window.gpu_samples.length > 0
-        ? window.gpu_samples.reduce((a, b) => a + b, 0) / window.gpu_samples.length
-        : null;
-
-      const memUtil = window.mem_samples.length > 0
-        ? window.mem_samples.reduce((a, b) => a + b, 0) / window.mem_samples.length
-        : null;
-
-      yield {
-        ts: window.ts_start,
-        ts_start: window.ts_start,
-        ts_end: window.ts_end,
-        site_id: window.site_id,
-        cpu_util: Math.min(1, Math.max(0, cpuUtil)),
-        gpu_util: gpuUtil !== null ? Math.min(1, Math.max(0, gpuUtil)) : null,
-        mem_util: memUtil !== null ? Math.min(1, Math.max(0, memUtil)) : null,
-        job_queue_depth: window.job_count,
-        resource_seconds_window: window.resource_seconds
-      };
+      yield this.finalizeWindow(window);
     }
   }
 
+  /**
+   * Emits and drops windows the watermark has finalized, in time order
+   * @param {number} [untilUs] - Finalize windows ending by then instead of the watermark
+   * @yields {object} Normalized usage record
+   */
+  *flush(untilUs = null) {
+    const bound = untilUs ?? Math.floor(this.watermark.closedBeforeUs / this.windowSizeUs) * this.windowSizeUs;
+    if (bound <= this.flushedUntilUs) return;
+    this.flushedUntilUs = bound;
+
+    this.mergeLifecycle(bound);
+
+    const ready = [];
+    for (const [key, window] of this.windows) {
+      if (window.ts_end <= bound) {
+        ready.push(window);
+        this.windows.delete(key);
+      }
+    }
+    ready.sort((a, b) => a.ts_start - b.ts_start);
+
+    for (const window of ready) {
+      yield this.finalizeWindow(window);
+    }
+  }
+
+  /**
+   * Builds the normalized usage record for an aggregated window
+   * @param {object} window - Aggregated window
+   * @returns {object} Normalized usage record
+   */
+  finalizeWindow(window) {
+    const machine = this.emitMachineFields(window);
+    const raw = this.computeRawUtilization(window, machine.machine_online_ratio ?? null);
+    const clamp = (v) => Math.min(1, Math.max(0, v));
+    // Queue-only windows (no usage at the site/cluster in the window) have no utilization
+    const queueOnly = window.lifecycle !== null && window.machine_id === null &&
+      window.instance_count === 0 && window.cpu_samples.length === 0;
+
+    return {
+      ts: window.ts_start,
+      ts_start: window.ts_start,
+      ts_end: window.ts_end,
+      site_id: window.site_id,
+      cluster_id: window.cluster_id,
+      node_id: window.machine_id !== null && window.machine_id !== undefined ? String(window.machine_id) : null,
+      cpu_util: queueOnly ? null : clamp(raw.cpu),
+      gpu_util: raw.gpu !== null ? clamp(raw.gpu) : null,
+      mem_util: raw.mem !== null ? clamp(raw.mem) : null,
+      job_queue_depth: window.lifecycle ? window.lifecycle.pending : window.job_count,
+      jobs_submitted: window.lifecycle ? window.lifecycle.submitted : null,
+      jobs_scheduled: window.lifecycle ? window.lifecycle.scheduled : null,
+      jobs_evicted: window.lifecycle ? window.lifecycle.evicted : null,
+      jobs_failed: window.lifecycle ? window.lifecycle.failed : null,
+      resource_seconds_window: window.resource_seconds,
+      cpu_util_raw: queueOnly ? null : raw.cpu,
+      mem_util_raw: raw.mem,
+      oversubscribed: raw.cpu > 1 || (raw.mem !== null && raw.mem > 1),
+      instance_count: window.instance_count,
+      usage_aggregation: this.aggregation,
+      ...machine
+    };
+  }
+
+  /**
+   * Resolves joined machine fields for a window
+   * @param {object} window - Aggregated window
+   * @returns {object} Machine capacity, platform and online fields (empty without a registry)
+   */
+  emitMachineFields(window) {
+    if (!this.machines || window.machine_id === null) {
+      return {};
+    }
+
+    const state = this.machines.getStateAt(window.machine_id, window.ts_start);
+    const onlineRatio = this.machines.getOnlineRatio(
+      window.machine_id,
+      window.ts_start,
+      window.ts_end
+    );
+
+    return {
+      machine_id: window.machine_id,
+      platform_id: state?.platform_id ?? null,
+      cpu_capacity: state?.capacity_cpus ?? null,
+      mem_capacity: state?.capacity_memory ?? null,
+      machine_attributes: state ? state.attributes : null,
+      machine_online_ratio: onlineRatio,
+      machine_offline: onlineRatio === 0 ||
+        (window.offline_samples > 0 && window.instance_count === 0),
+      offline_sample_count: window.offline_samples
+    };
+  }
+
   clear() {
     this.windows.clear();
   }
 }
 
+/**
+ * Opens a shard reader (compression is detected from the file content)
+ * @param {string} file - Shard path
+ * @param {ErrorBudget} budget - Malformed line budget shared by all shards
+ * @returns {AsyncGenerator<object>} Record reader
+ */
+function openShard(file, budget) {
+  return readNdjson(file, { budget });
+}
+
+/**
+ * Tags each record of a reader with its table
+ * @param {AsyncIterable<object>} reader - Record reader
+ * @param {string} table - Table type
+ * @yields {{table: string, record: object}} Tagged records
+ */
+async function* tagTable(reader, table) {
+  for await (const record of reader) {
+    yield { table, record };
+  }
+}
+
+/**
+ * Event time of a tagged instance_usage / lifecycle event record
+ */
+function taggedEventTime({ table, record }) {
+  return table === 'instance_usage'
+    ? record.start_time || record.time || record.ts || 0
+    : Number(record.time ?? record.ts ?? 0);
+}
+
 /**
  * Main ingestion function for Google clusterdata
+ *
+ * With options.watermark (a streaming Watermark) instance_usage,
+ * collection_events and instance_events shards are merged by event time and
+ * windows are yielded as soon as the watermark finalizes them; late records go
+ * to the watermark's side output.
  * @param {string} inputDir - Directory containing cluster trace data
  * @param {object} options - Configuration options
  * @yields {object} Normalized usage records
  */
 export async function* ingestGoogleClusterdata(inputDir, options = {}) {
-  const { windowSizeUs = 300_000_000, siteId = null } = options;
-  const aggregator = new UsageAggregator(windowSizeUs);
-
-  // Discover and process instance_usage files (primary usage data)
-  const usageFiles = await discoverShards(inputDir, 'instance_usage');
+  const {
+    windowSizeUs = 300_000_000,
+    siteId = null,
+    clusterId = null,
+    aggregation = 'mean',
+    watermark = null,
+    errorBudget = new ErrorBudget()
+  } = options;
+  const machines = new MachineRegistry();
+
+  // Machines are nodes; the site/cluster they belong to comes from options
+  const setScope = (record) => {
+    if (siteId) {
+      record.site_id = siteId;
+    }
+    if (clusterId) {
+      record.cluster_id = clusterId;
+    }
+  };
 
-  for (const file of usageFiles) {
-    const reader = file.endsWith('.gz') ? readShardedGzip(file) : readNdjson(file);
+  // Replay machine lifecycle and attributes first so usage can be joined against them
+  const machineEventFiles = await discoverShards(inputDir, 'machine_events');
+  for (const file of machineEventFiles) {
+    for await (const record of openShard(file, errorBudget)) {
+      machines.addMachineEvent(record);
+    }
+  }
 
-    for await (const record of reader) {
-      if (siteId) {
-        record.site_id = siteId;
-      }
-      aggregator.addUsageRecord(record);
+  const machineAttributeFiles = await discoverShards(inputDir, 'machine_attributes');
+  for (const file of machineAttributeFiles) {
+    for await (const record of openShard(file, errorBudget)) {
+      machines.addMachineAttribute(record);
     }
   }
 
-  // Also process collection_events for job queue depth
-  const collectionFiles = await discoverShards(inputDir, 'collection_events');
-  for (const file of collectionFiles) {
-    const reader = file.endsWith('.gz') ? readShardedGzip(file) : readNdjson(file);
+  const lifecycle = new CollectionLifecycleTracker(windowSizeUs, { watermark });
+  const aggregator = new UsageAggregator(windowSizeUs, {
+    machines: machines.machines.size > 0 ? machines : null,
+    aggregation,
+    lifecycle,
+    watermark
+  });
 
-    for await (const record of reader) {
-      if (siteId) {
-        record.site_id = siteId;
+  // Discover instance_usage files (primary usage data) and collection/instance events (job lifecycle)
+  const usageFiles = await discoverShards(inputDir, 'instance_usage');
+  const eventFiles = [
+    ...await discoverShards(inputDir, 'collection_events'),
+    ...await discoverShards(inputDir, 'instance_events')
+  ];
+
+  if (watermark) {
+    const tables = mergeByEventTime([
+      ...usageFiles.map(file => tagTable(openShard(file, errorBudget), 'instance_usage')),
+      ...eventFiles.map(file => tagTable(openShard(file, errorBudget), 'lifecycle'))
+    ], taggedEventTime);
+
+    for await (const { table, record } of tables) {
+      setScope(record);
+      if (table === 'instance_usage') {
+        aggregator.addUsageRecord(record);
+      } else {
+        lifecycle.addEvent(record);
       }
+      yield* aggregator.flush();
+    }
+
+    yield* aggregator.flush(Infinity);
+    return;
+  }
+
+  for (const file of usageFiles) {
+    for await (const record of openShard(file, errorBudget)) {
+      setScope(record);
       aggregator.addUsageRecord(record);
     }
   }
 
+  // Replay the collection/instance lifecycle for job queue depth
+  for (const file of eventFiles) {
+    for await (const record of openShard(file, errorBudget)) {
+      setScope(record);
+      lifecycle.addEvent(record);
+    }
+  }
+
   // Emit aggregated windows
   for (const record of aggregator.emit()) {
     yield record;
   }
 }
 
-export { TABLE_TYPES };
+export { TABLE_TYPES, MACHINE_EVENT_TYPES, COLLECTION_EVENT_TYPES, AGGREGATION_MODES };
@@ -0,0 +1,376 @@
+/**
+ * GPU Telemetry Ingestion Module
+ *
+ * Reads per-device GPU telemetry:
+ * - nvidia-smi --query-gpu=timestamp,index,power.draw,utilization.gpu --format=csv logs
+ * - DCGM exporter scrapes saved as Prometheus text exposition
+ *
+ * Emits both normalized usage records {ts, site_id, gpu_util, gpu_seconds, gpu_count}
+ * and normalized power records {ts, site_id, gpu_power_w, gpu_energy_j_window},
+ * summed over devices at the requested identity level (the host is the node).
+ *
+ * GPU board power is part of what a BMC or PDU meters for the node, so it is
+ * kept out of power_w / energy_j_window; the normalizer falls back to it only
+ * for windows without node power or job accounting energy.
+ */
+
+import { createReadStream } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { readdir, stat } from 'node:fs/promises';
+import { join, basename } from 'node:path';
+
+import { PowerAggregator, rollupNodePower } from '../ingest_powerdata/index.js';
+import { truncateIdentity, identityKey } from '../identity/index.js';
+
+/**
+ * DCGM exporter field names mapped to sample fields
+ */
+const DCGM_FIELDS = {
+  DCGM_FI_DEV_POWER_USAGE: 'power_w',
+  DCGM_FI_DEV_GPU_UTIL: 'util_pct'
+};
+
+/**
+ * Parses a GPU telemetry timestamp into microseconds
+ * nvidia-smi prints local "YYYY/MM/DD HH:MM:SS.mmm" without a zone; it is read
+ * as UTC unless the clock names the host's zone.
+ * @param {string|number} value - Timestamp
+ * @param {SourceClock|null} clock - Host clock zone/format/offset
+ * @returns {number|null} Timestamp in microseconds
+ */
+export function parseGpuTimestamp(value, clock = null) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const str = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(str)) {
+    const num = Number(str);
+    // Epoch seconds, milliseconds or microseconds by magnitude
+    const us = num < 1e10 ? num * 1_000_000 : num < 1e13 ? num * 1_000 : num;
+    return clock ? clock.epoch(us) : us;
+  }
+
+  if (clock?.format) {
+    return clock.parse(str);
+  }
+
+  const iso = str.replace(/^(\d{4})\/(\d{2})\/(\d{2})[ T]/, '$1-$2-$3T');
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(iso);
+  const ms = Date.parse(hasZone ? iso : `${iso}Z`);
+  if (isNaN(ms)) return null;
+  if (!clock) return ms * 1000;
+  return hasZone ? clock.epoch(ms * 1000) : clock.wall(ms * 1000);
+}
+
+/**
+ * Parses an nvidia-smi CSV value such as "250.12 W", "87 %" or "[N/A]"
+ * @param {string} value - Raw field
+ * @returns {number|null} Numeric value
+ */
+function parseSmiNumber(value) {
+  if (value === undefined) return null;
+  const num = parseFloat(String(value).replace(/[^0-9.eE+-]/g, ''));
+  return isNaN(num) ? null : num;
+}
+
+/**
+ * Reads nvidia-smi CSV query logs
+ * The host comes from a hostname/host column when queried, otherwise from the file name.
+ * @param {string} filePath - Path to CSV log
+ * @param {SourceClock|null} clock - Host clock zone/format/offset
+ * @yields {object} Samples {ts, host, gpu, power_w, util}
+ */
+export async function* readNvidiaSmiCsv(filePath, clock = null) {
+  const stream = createReadStream(filePath, { encoding: 'utf8' });
+  const rl = createInterface({ input: stream, crlfDelay: Infinity });
+
+  const fileHost = basename(filePath).split('.')[0];
+  let headers = null;
+
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+
+    const parts = line.split(',').map(p => p.trim());
+
+    // Header lines repeat when nvidia-smi is restarted into the same log
+    if (parts[0].toLowerCase() === 'timestamp') {
+      headers = parts.map(h => h.replace(/\s*\[.*\]$/, '').toLowerCase());
+      continue;
+    }
+    if (!headers) continue;
+
+    const row = {};
+    for (let i = 0; i < headers.length; i++) {
+      row[headers[i]] = parts[i];
+    }
+
+    const ts = parseGpuTimestamp(row.timestamp, clock);
+    if (ts === null) continue;
+
+    const utilPct = parseSmiNumber(row['utilization.gpu']);
+    yield {
+      ts,
+      host: row.hostname || row.host || fileHost,
+      gpu: row.index ?? row['pci.bus_id'] ?? '0',
+      power_w: parseSmiNumber(row['power.draw']),
+      util: utilPct !== null ? utilPct / 100 : null
+    };
+  }
+}
+
+/**
+ * Parses Prometheus label text: key="value",key2="value2"
+ * @param {string} text - Label block contents without braces
+ * @returns {object} Labels
+ */
+export function parsePrometheusLabels(text) {
+  const labels = {};
+  const re = /(\w+)\s*=\s*"((?:[^"\\]|\\.)*)"/g;
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    labels[match[1]] = match[2].replace(/\\(.)/g, '$1');
+  }
+  return labels;
+}
+
+/**
+ * Reads DCGM exporter scrapes saved as Prometheus text
+ * Sample timestamps come from the exposition line, a preceding "# ts=<epoch>"
+ * comment, or the file modification time.
+ * @param {string} filePath - Path to scrape file
+ * @param {SourceClock|null} clock - Host clock zone/format/offset
+ * @yields {object} Samples {ts, host, gpu, power_w, util}
+ */
+export async function* readDcgmScrape(filePath, clock = null) {
+  const stream = createReadStream(filePath, { encoding: 'utf8' });
+  const rl = createInterface({ input: stream, crlfDelay: Infinity });
+
+  const fileHost = basename(filePath).split('.')[0];
+  let scrapeTs = Math.floor((await stat(filePath)).mtimeMs * 1000);
+  const pending = new Map(); // host/gpu/ts -> sample
+
+  for await (const line of rl) {
+    const text = line.trim();
+    if (!text) continue;
+
+    if (text.startsWith('#')) {
+      const marker = text.match(/^#\s*(?:ts|timestamp|scrape_time)\s*[=:]\s*(\S+)/i);
+      if (marker) {
+        scrapeTs = parseGpuTimestamp(marker[1], clock) ?? scrapeTs;
+      }
+      continue;
+    }
+
+    const match = text.match(/^([A-Za-z_:][\w:]*)(?:\{(.*)\})?\s+(\S+)(?:\s+(\d+))?$/);
+    if (!match) continue;
+
+    const [, name, labelText, valueText, tsText] = match;
+    const field = DCGM_FIELDS[name];
+    if (!field) continue;
+
+    const value = Number(valueText);
+    if (isNaN(value)) continue;
+
+    const labels = parsePrometheusLabels(labelText || '');
+    let ts = scrapeTs;
+    if (tsText) {
+      ts = Number(tsText) * 1000; // exposition timestamps are ms
+      if (clock) ts = clock.epoch(ts);
+    }
+    const host = labels.Hostname || labels.hostname || labels.instance || fileHost;
+    const gpu = labels.gpu ?? labels.UUID ?? '0';
+    const key = `${host}/${gpu}/${ts}`;
+
+    if (!pending.has(key)) {
+      pending.set(key, { ts, host, gpu, power_w: null, util: null });
+    }
+    const sample = pending.get(key);
+    if (field === 'power_w') sample.power_w = value;
+    if (field === 'util_pct') sample.util = value / 100;
+  }
+
+  yield* pending.values();
+}
+
+/**
+ * Discovers GPU telemetry files in a directory
+ * @param {string} dir - Directory to scan
+ * @returns {Promise<{smi: string[], dcgm: string[]}>} File paths by format
+ */
+export async function discoverGpuFiles(dir) {
+  const files = { smi: [], dcgm: [] };
+
+  try {
+    const entries = await readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        const sub = await discoverGpuFiles(fullPath);
+        files.smi.push(...sub.smi);
+        files.dcgm.push(...sub.dcgm);
+      } else if (entry.isFile()) {
+        const name = entry.name.toLowerCase();
+        if (name.endsWith('.csv')) {
+          files.smi.push(fullPath);
+        } else if (name.endsWith('.prom') || name.endsWith('.txt') || name.includes('dcgm')) {
+          files.dcgm.push(fullPath);
+        }
+      }
+    }
+  } catch (e) {
+    // Directory doesn't exist or not accessible
+  }
+
+  files.smi.sort();
+  files.dcgm.sort();
+  return files;
+}
+
+/**
+ * Aggregates per-device GPU samples into site (or cluster/node) windows
+ */
+export class GpuAggregator {
+  constructor(windowSizeUs = 300_000_000, options = {}) { // 5 minute default
+    this.windowSizeUs = windowSizeUs;
+    this.siteId = options.siteId || null;
+    this.clusterId = options.clusterId || null;
+    this.level = options.level || 'site';
+    this.windows = new Map(); // identity:window -> { devices: Map(device -> util samples) }
+    this.power = new PowerAggregator(windowSizeUs); // keyed per device
+    this.deviceIdentities = new Map(); // device key -> node identity
+  }
+
+  getWindowKey(ts, identity) {
+    const windowStart = Math.floor(ts / this.windowSizeUs) * this.windowSizeUs;
+    return `${identityKey(identity)}:${windowStart}`;
+  }
+
+  addSample(sample) {
+    const nodeIdentity = {
+      site_id: this.siteId || sample.host || 'unknown',
+      cluster_id: this.clusterId,
+      partition_id: null,
+      node_id: sample.host ?? null
+    };
+    const identity = truncateIdentity(nodeIdentity, this.level);
+    const device = `${sample.host}/${sample.gpu}`;
+    this.deviceIdentities.set(device, nodeIdentity);
+
+    if (sample.power_w !== null && sample.power_w !== undefined) {
+      this.power.addPowerRecord({ ts: sample.ts, site_id: device, power_w: sample.power_w });
+    }
+
+    if (sample.util === null || sample.util === undefined) return;
+
+    const key = this.getWindowKey(sample.ts, identity);
+    if (!this.windows.has(key)) {
+      const windowStart = Math.floor(sample.ts / this.windowSizeUs) * this.windowSizeUs;
+      this.windows.set(key, {
+        ts_start: windowStart,
+        ts_end: windowStart + this.windowSizeUs,
+        ...identity,
+        devices: new Map()
+      });
+    }
+
+    const window = this.windows.get(key);
+    if (!window.devices.has(device)) {
+      window.devices.set(device, []);
+    }
+    window.devices.get(device).push(Math.min(1, Math.max(0, sample.util)));
+  }
+
+  /**
+   * Emits usage records with measured GPU-seconds (utilization-weighted device time)
+   * @yields {object} Normalized usage record
+   */
+  *emitUsage() {
+    const windowDurationS = this.windowSizeUs / 1_000_000;
+
+    for (const window of this.windows.values()) {
+      let gpuSeconds = 0;
+      for (const samples of window.devices.values()) {
+        const meanUtil = samples.reduce((a, b) => a + b, 0) / samples.length;
+        gpuSeconds += meanUtil * windowDurationS;
+      }
+      const gpuCount = window.devices.size;
+
+      yield {
+        ts: window.ts_start,
+        ts_start: window.ts_start,
+        ts_end: window.ts_end,
+        site_id: window.site_id,
+        cluster_id: window.cluster_id,
+        partition_id: window.partition_id,
+        node_id: window.node_id,
+        gpu_util: gpuCount > 0 ? gpuSeconds / (gpuCount * windowDurationS) : null,
+        gpu_seconds: gpuSeconds,
+        gpu_count: gpuCount
+      };
+    }
+  }
+
+  /**
+   * Emits GPU board power summed over devices at the aggregator's level
+   * @yields {object} Normalized power record with gpu_power_w and gpu_energy_j_window
+   */
+  *emitPower() {
+    const resolveDevice = (device) => this.deviceIdentities.get(device) ?? null;
+    for (const record of rollupNodePower(this.power.emit(), resolveDevice, null, this.level)) {
+      yield {
+        ts: record.ts,
+        ts_start: record.ts_start,
+        ts_end: record.ts_end,
+        site_id: record.site_id,
+        cluster_id: record.cluster_id,
+        partition_id: record.partition_id,
+        node_id: record.node_id,
+        gpu_power_w: record.power_w,
+        gpu_energy_j_window: record.energy_j_window
+      };
+    }
+  }
+
+  clear() {
+    this.windows.clear();
+    this.power.clear();
+    this.deviceIdentities.clear();
+  }
+}
+
+/**
+ * Main ingestion function for GPU telemetry
+ * @param {string} inputDir - Directory containing nvidia-smi CSV / DCGM scrapes
+ * @param {object} options - Configuration options
+ * @returns {Promise<{usage: object[], power: object[]}>} Usage and power records
+ */
+export async function ingestGpuTelemetry(inputDir, options = {}) {
+  const {
+    windowSizeUs = 300_000_000,
+    siteId = null,
+    clusterId = null,
+    level = 'site',
+    clock = null
+  } = options;
+  const aggregator = new GpuAggregator(windowSizeUs, { siteId, clusterId, level });
+
+  const files = await discoverGpuFiles(inputDir);
+  const readers = [
+    ...files.smi.map(file => readNvidiaSmiCsv(file, clock)),
+    ...files.dcgm.map(file => readDcgmScrape(file, clock))
+  ];
+
+  for (const reader of readers) {
+    for await (const sample of reader) {
+      aggregator.addSample(sample);
+    }
+  }
+
+  return {
+    usage: Array.from(aggregator.emitUsage()),
+    power: Array.from(aggregator.emitPower())
+  };
+}
+
+export { DCGM_FIELDS };
@@ -2,105 +2,290 @@
  * Power Data Ingestion Module
  *
  * Reads power utilization traces from various formats:
- * - CSV (timestamp, power_w)
+ * - CSV (timestamp, power_w; vendor exports via column mapping profiles)
  * - NDJSON (ts, power_w, site_id)
- * - json.gz shards
+ * - json.gz / json.zst shards
+ * - RAPL / powercap energy_uj snapshot dumps (cumulative counters)
  *
  * Emits normalized power records: {ts, site_id, power_w, energy_j_window}
  */
 
 import { createReadStream } from 'node:fs';
-import { createGunzip } from 'node:zlib';
 import { createInterface } from 'node:readline';
-import { readdir } from 'node:fs/promises';
-import { join } from 'node:path';
+import { readdir, readFile } from 'node:fs/promises';
+import { join, basename, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { mergeByEventTime } from '../streaming/index.js';
+import { readCsvRows, parseCsvNumber } from '../csv/index.js';
+import { parseTimestamp } from '../clock/index.js';
+import { resolveIdentity, truncateIdentity, identityKey } from '../identity/index.js';
+import { readRecords, ErrorBudget } from '../io/index.js';
 
 /**
- * Reads CSV power traces
- * @param {string} filePath - Path to CSV file
- * @yields {object} Parsed power records
+ * Values that parseFloat would truncate to a number (2024-01-01, 12:00:00)
  */
-export async function* readPowerCsv(filePath) {
-  const stream = createReadStream(filePath, { encoding: 'utf8' });
+const DATE_TIME_PATTERN = /^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}|\d:\d{2}/;
 
-  const rl = createInterface({
-    input: stream,
-    crlfDelay: Infinity
-  });
+/**
+ * Power and energy units accepted in headers and profiles, scaled to W and J
+ * (lower-case spellings are accepted where they are unambiguous)
+ */
+const POWER_UNITS = { mW: 1e-3, W: 1, kW: 1e3, MW: 1e6, w: 1, kw: 1e3, watts: 1 };
+const ENERGY_UNITS = { J: 1, kJ: 1e3, MJ: 1e6, Wh: 3600, kWh: 3.6e6, MWh: 3.6e9, j: 1, kj: 1e3, wh: 3600, kwh: 3.6e6 };
 
-  let headerParsed = false;
-  let headers = [];
+/**
+ * Fields a column mapping profile can fill
+ */
+const PROFILE_FIELDS = [
+  'ts', 'power_w', 'energy_counter_j', 'site_id', 'cluster_id', 'partition_id', 'node_id', 'host', 'counter_id'
+];
 
-  for await (const line of rl) {
-    if (!line.trim()) continue;
+const PROFILE_DIR = join(dirname(fileURLToPath(import.meta.url)), '../../profiles/power');
 
-    const parts = line.split(',').map(p => p.trim());
+/**
+ * Resolves a unit to the record field it feeds and its scale
+ * @param {string} unit - Unit label (kW, Wh, ...)
+ * @returns {{field: string, scale: number}|null} Target field and factor, null if unknown
+ */
+export function resolvePowerUnit(unit) {
+  const label = String(unit).trim();
+  if (POWER_UNITS[label] !== undefined) return { field: 'power_w', scale: POWER_UNITS[label] };
+  if (ENERGY_UNITS[label] !== undefined) return { field: 'energy_counter_j', scale: ENERGY_UNITS[label] };
+  return null;
+}
 
-    if (!headerParsed) {
-      headers = parts.map(h => h.toLowerCase().replace(/[^a-z0-9_]/g, '_'));
-      headerParsed = true;
-      continue;
-    }
+/**
+ * Loads a column mapping profile by built-in name or JSON file path
+ *
+ * A profile maps vendor headers onto power record fields:
+ *   {"delimiter": ";", "decimal": ",", "timezone": "Europe/Berlin",
+ *    "timestamp_format": "%d.%m.%Y %H:%M",
+ *    "columns": {"ts": "Zeit", "energy_counter_j": {"header": "Zähler (kWh)", "unit": "kWh"}}}
+ * A column is a header name, a list of alternative names, or {header, unit}.
+ * timezone/timestamp_format are defaults for the caller's power SourceClock.
+ * @param {string} nameOrPath - Profile name in profiles/power or path to a JSON file
+ * @returns {Promise<object|null>} Validated profile, null when none is given
+ */
+export async function loadPowerProfile(nameOrPath) {
+  if (!nameOrPath) return null;
 
-    const record = {};
-    for (let i = 0; i < headers.length && i < parts.length; i++) {
-      const val = parts[i];
-      // Try to parse as number
-      const num = parseFloat(val);
-      record[headers[i]] = isNaN(num) ? val : num;
+  const filePath = /[/\\]|\.json$/.test(nameOrPath) ? nameOrPath : join(PROFILE_DIR, `${nameOrPath}.json`);
+  let parsed;
+  try {
+    parsed = JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot load power profile ${nameOrPath}: ${err.message}`);
+  }
+
+  const columns = {};
+  for (const [field, spec] of Object.entries(parsed.columns || {})) {
+    if (!PROFILE_FIELDS.includes(field)) {
+      throw new Error(`Power profile ${nameOrPath}: unknown field ${field} (expected ${PROFILE_FIELDS.join(', ')})`);
+    }
+    const column = typeof spec === 'string' || Array.isArray(spec) ? { header: spec } : { ...spec };
+    column.headers = [].concat(column.header ?? []).map(h => String(h).trim().toLowerCase());
+    if (column.headers.length === 0) {
+      throw new Error(`Power profile ${nameOrPath}: no header for ${field}`);
+    }
+    if (column.unit !== undefined) {
+      const unit = resolvePowerUnit(column.unit);
+      if (!unit || unit.field !== field) {
+        throw new Error(`Power profile ${nameOrPath}: unit ${column.unit} does not fit ${field}`);
+      }
+      column.scale = unit.scale;
     }
+    columns[field] = column;
+  }
 
-    yield record;
+  if (!columns.ts || (!columns.power_w && !columns.energy_counter_j)) {
+    throw new Error(`Power profile ${nameOrPath}: columns must map ts and power_w or energy_counter_j`);
   }
+  if (parsed.decimal !== undefined && parsed.decimal !== '.' && parsed.decimal !== ',') {
+    throw new Error(`Power profile ${nameOrPath}: decimal must be "." or ","`);
+  }
+
+  return {
+    name: parsed.name ?? basename(filePath, '.json'),
+    delimiter: parsed.delimiter ?? null,
+    decimal: parsed.decimal ?? null,
+    timezone: parsed.timezone ?? null,
+    format: parsed.timestamp_format ?? null,
+    defaults: parsed.defaults ?? {},
+    columns
+  };
 }
 
 /**
- * Reads NDJSON power traces
- * @param {string} filePath - Path to NDJSON file
- * @yields {object} Parsed power records
+ * Builds the cell → record mapping for a header row
+ * Without a profile headers are normalized to snake_case and a unit suffix
+ * (`Power (kW)`, `Energy [Wh]`) is converted to watts or a joule counter.
+ * @param {string[]} headers - Header row
+ * @param {object|null} profile - Column mapping profile
+ * @returns {Array<{index: number, field: string, scale: number|null}>} Column mapping
  */
-export async function* readPowerNdjson(filePath) {
-  const stream = createReadStream(filePath, { encoding: 'utf8' });
+function mapCsvHeaders(headers, profile) {
+  if (profile) {
+    const lower = headers.map(h => h.toLowerCase());
+    const mapping = [];
+    for (const [field, column] of Object.entries(profile.columns)) {
+      const index = lower.findIndex(h => column.headers.includes(h));
+      if (index !== -1) mapping.push({ index, field, scale: column.scale ?? null });
+    }
+    return mapping;
+  }
 
-  const rl = createInterface({
-    input: stream,
-    crlfDelay: Infinity
+  let counterMapped = false;
+  return headers.map((header, index) => {
+    const match = header.match(/^(.*?)\s*[([]\s*([^)\]]+?)\s*[)\]]$/);
+    const unit = match ? resolvePowerUnit(match[2]) : null;
+    const name = (unit ? match[1] : header).toLowerCase().replace(/[^a-z0-9_]/g, '_');
+
+    if (unit?.field === 'energy_counter_j' && !counterMapped) {
+      counterMapped = true;
+      return { index, field: 'energy_counter_j', scale: unit.scale };
+    }
+    return { index, field: name, scale: unit?.field === 'power_w' ? unit.scale : null };
   });
+}
 
-  for await (const line of rl) {
-    if (line.trim()) {
-      try {
-        yield JSON.parse(line);
-      } catch (e) {
-        continue;
+/**
+ * Reads CSV power traces (RFC 4180; the delimiter is sniffed from the header)
+ * Numbers use decimal points; decimal commas need a profile with decimal ','
+ * rather than being guessed from the delimiter.
+ * @param {string} filePath - Path to CSV file
+ * @param {object|null} profile - Column mapping profile from loadPowerProfile
+ * @yields {object} Parsed power records
+ */
+export async function* readPowerCsv(filePath, profile = null) {
+  let mapping = null;
+  const decimal = profile?.decimal ?? '.';
+
+  for await (const { headers, values } of readCsvRows(filePath, { delimiter: profile?.delimiter })) {
+    if (!mapping) mapping = mapCsvHeaders(headers, profile);
+
+    const record = profile ? { ...profile.defaults } : {};
+    for (const { index, field, scale } of mapping) {
+      if (index >= values.length) continue;
+      const val = values[index].trim();
+      // Dates and times stay strings for the timestamp parser
+      const num = DATE_TIME_PATTERN.test(val) ? NaN : parseCsvNumber(val, decimal);
+      if (isNaN(num)) {
+        record[field] = val;
+      } else {
+        record[field] = scale !== null ? num * scale : num;
       }
     }
+
+    yield record;
   }
 }
 
 /**
- * Reads gzipped NDJSON power traces
- * @param {string} filePath - Path to .json.gz file
- * @yields {object} Parsed power records
+ * Reads NDJSON power traces, plain or compressed (detected by magic bytes)
+ * @param {string} filePath - Path to NDJSON file
+ * @param {object} options - src/io readRecords options {budget, onMalformed}
+ * @returns {AsyncGenerator<object>} Parsed power records
  */
-export async function* readPowerGzip(filePath) {
-  const gunzip = createGunzip();
-  const stream = createReadStream(filePath).pipe(gunzip);
+export function readPowerNdjson(filePath, options = {}) {
+  return readRecords(filePath, options);
+}
+
+/**
+ * Reads compressed (gzip or zstd) NDJSON power traces
+ * @param {string} filePath - Path to .json.gz / .json.zst file
+ * @param {object} options - src/io readRecords options {budget, onMalformed}
+ * @returns {AsyncGenerator<object>} Parsed power records
+ */
+export function readPowerGzip(filePath, options = {}) {
+  return readPowerNdjson(filePath, options);
+}
+
+/**
+ * Reads powercap sysfs snapshot dumps (`grep .` over /sys/class/powercap/intel-rapl:N files)
+ * Each snapshot starts with a "# ts=<epoch>" marker and may carry a "# host=<name>"
+ * marker; lines are "<sysfs path>:<value>" or "<sysfs path> <value>".
+ * @param {string} filePath - Path to snapshot dump
+ * @yields {object} Counter records {ts, node_id, host, domain, name, energy_uj, max_energy_range_uj}
+ */
+export async function* readRaplSnapshots(filePath) {
+  const stream = createReadStream(filePath, { encoding: 'utf8' });
 
   const rl = createInterface({
     input: stream,
     crlfDelay: Infinity
   });
 
+  let ts = null;
+  let host = basename(filePath).split('.')[0];
+  let zones = new Map(); // zone -> partial record
+
+  const flush = function* () {
+    for (const zone of zones.values()) {
+      if (ts !== null && zone.energy_uj !== undefined) {
+        yield zone;
+      }
+    }
+    zones = new Map();
+  };
+
   for await (const line of rl) {
-    if (line.trim()) {
-      try {
-        yield JSON.parse(line);
-      } catch (e) {
-        continue;
+    const text = line.trim();
+    if (!text) continue;
+
+    if (text.startsWith('#')) {
+      const tsMarker = text.match(/^#\s*(?:ts|timestamp)\s*[=:]\s*(\S+)/i);
+      const hostMarker = text.match(/^#\s*host\s*[=:]\s*(\S+)/i);
+      if (tsMarker) {
+        yield* flush();
+        ts = Number(tsMarker[1]);
+        if (isNaN(ts)) ts = null;
+      } else if (hostMarker) {
+        yield* flush();
+        host = hostMarker[1];
       }
+      continue;
+    }
+
+    const match = text.match(/([\w-]+rapl(?::\d+)+)\/(energy_uj|max_energy_range_uj|name)\s*[:\s]\s*(\S+)$/);
+    if (!match) continue;
+
+    const [, zone, field, value] = match;
+    if (!zones.has(zone)) {
+      zones.set(zone, { ts, node_id: host, host, domain: zone, name: null });
     }
+    const record = zones.get(zone);
+    record[field] = field === 'name' ? value : Number(value);
   }
+
+  yield* flush();
+}
+
+/**
+ * Decides whether a RAPL zone should be counted toward node energy
+ * Package and DRAM domains are summed; core/uncore subzones are already
+ * included in their package and psys overlaps everything.
+ * @param {object} record - Counter record with domain and optional name
+ * @returns {boolean} True if the zone is a top-level package or DRAM domain
+ */
+export function isCountedRaplDomain(record) {
+  const name = record.name ? String(record.name).toLowerCase() : null;
+  if (name) {
+    return /^package-\d+$/.test(name) || name === 'dram';
+  }
+  // Without a name only top-level zones (intel-rapl:N) are known to be packages
+  const domain = String(record.domain ?? record.zone ?? '');
+  return domain === '' || /^[\w-]*rapl:\d+$/.test(domain);
+}
+
+/**
+ * Checks whether a file name looks like a powercap snapshot dump
+ * @param {string} name - Lower-cased file name
+ * @returns {boolean} True for rapl/powercap .txt/.log dumps
+ */
+function isRaplSnapshotFile(name) {
+  return (name.includes('rapl') || name.includes('powercap')) &&
+    (name.endsWith('.txt') || name.endsWith('.log'));
 }
 
 /**
@@ -122,7 +307,9 @@ export async function discoverPowerFiles(dir) {
         files.push(...subFiles);
       } else if (entry.isFile()) {
         const name = entry.name.toLowerCase();
-        if (
+        if (isRaplSnapshotFile(name)) {
+          files.push(fullPath);
+        } else if (
           name.includes('power') ||
           name.includes('energy') ||
           name.includes('pdu') ||
@@ -132,6 +319,7 @@ export async function discoverPowerFiles(dir) {
             name.endsWith('.csv') ||
             name.endsWith('.json') ||
             name.endsWith('.json.gz') ||
+            name.endsWith('.json.zst') ||
             name.endsWith('.ndjson')
           ) {
             files.push(fullPath);
@@ -148,55 +336,102 @@ export async function discoverPowerFiles(dir) {
 
 /**
  * Power record aggregator into time windows
+ *
+ * Accepts instantaneous power samples (addPowerRecord) and cumulative energy
+ * counters such as RAPL energy_uj (addEnergyCounterRecord). Counter windows
+ * report measured energy and derive power_w from it.
  */
 export class PowerAggregator {
-  constructor(windowSizeUs = 300_000_000) { // 5 minute default
+  constructor(windowSizeUs = 300_000_000, options = {}) { // 5 minute default
     this.windowSizeUs = windowSizeUs;
     this.windows = new Map();
+    this.counters = new Map(); // counter key -> last reading
+    this.maxCounterPowerW = options.maxCounterPowerW ?? null;
+    this.counterResets = 0;
+    this.counterWraps = 0;
+    this.watermark = options.watermark || null; // optional streaming Watermark
+    this.flushedUntilUs = -Infinity;
+    this.clock = options.clock || null; // optional SourceClock (zone, format, offset)
+    this.maxSampleGapUs = options.maxSampleGapUs ?? windowSizeUs; // longer sample gaps are unobserved
+    this.lastSamples = new Map(); // identity key -> last sample of the latest flushed window
   }
 
-  getWindowKey(ts, siteId) {
+  getWindowKey(ts, identity) {
     const windowStart = Math.floor(ts / this.windowSizeUs) * this.windowSizeUs;
-    return `${siteId}:${windowStart}`;
+    return `${identityKey(identity)}:${windowStart}`;
   }
 
   /**
-   * Normalizes timestamp to microseconds
-   * @param {number} ts - Timestamp in unknown unit
-   * @returns {number} Timestamp in microseconds
+   * Reads a power record's identity with the same rules as usage records
+   * (see resolveIdentity), so a machine's power joins its usage window
+   * @param {object} record - Power or counter record
+   * @returns {object} Identity
    */
-  normalizeTimestamp(ts) {
-    if (ts < 1e10) {
-      // Likely seconds
-      return ts * 1_000_000;
-    } else if (ts < 1e13) {
-      // Likely milliseconds
-      return ts * 1_000;
-    }
-    // Already microseconds
-    return ts;
+  getRecordIdentity(record) {
+    return resolveIdentity(record);
   }
 
-  addPowerRecord(record) {
-    // Extract timestamp (various field names)
-    let ts = record.ts ?? record.timestamp ?? record.time ?? record.t ?? 0;
-    ts = this.normalizeTimestamp(ts);
-
-    const siteId = record.site_id ?? record.machine_id ?? record.node_id ?? 'unknown';
-    const key = this.getWindowKey(ts, siteId);
+  getOrCreateWindow(ts, identity) {
+    const key = this.getWindowKey(ts, identity);
 
     if (!this.windows.has(key)) {
       const windowStart = Math.floor(ts / this.windowSizeUs) * this.windowSizeUs;
       this.windows.set(key, {
         ts_start: windowStart,
         ts_end: windowStart + this.windowSizeUs,
-        site_id: siteId,
+        ...identity,
         power_samples: [],
+        counters: new Map(), // counter key -> { energy_j, covered_us, intervals }
         last_ts: windowStart
       });
     }
 
-    const window = this.windows.get(key);
+    return this.windows.get(key);
+  }
+
+  /**
+   * Normalizes timestamp to microseconds
+   * Numbers are read as s/ms/us/ns by magnitude; strings as ISO-8601 (UTC when
+   * zone-less). A configured clock supplies the unit, zone, format and offset.
+   * @param {number|string} ts - Raw timestamp
+   * @returns {number|null} Timestamp in microseconds, null if unparseable
+   */
+  normalizeTimestamp(ts) {
+    return this.clock ? this.clock.parse(ts) : parseTimestamp(ts);
+  }
+
+  /**
+   * Extracts a record's timestamp (various field names) in microseconds
+   * @param {object} record - Power or counter record
+   * @returns {number|null} Timestamp in microseconds
+   */
+  getRecordTs(record) {
+    return this.normalizeTimestamp(record.ts ?? record.timestamp ?? record.time ?? record.t ?? 0);
+  }
+
+  /**
+   * Checks a record against the streaming watermark and advances it
+   * @param {object} record - Incoming record
+   * @param {number} ts - Record timestamp in microseconds
+   * @returns {boolean} True if the record is late and was sent to the side output
+   */
+  rejectIfLate(record, ts) {
+    if (!this.watermark) return false;
+
+    const windowEnd = Math.floor(ts / this.windowSizeUs) * this.windowSizeUs + this.windowSizeUs;
+    if (this.watermark.isClosed(windowEnd)) {
+      this.watermark.rejectLate('power', record);
+      return true;
+    }
+    this.watermark.observe(ts);
+    return false;
+  }
+
+  addPowerRecord(record) {
+    const ts = this.getRecordTs(record);
+    if (ts === null || this.rejectIfLate(record, ts)) return;
+
+    const window = this.getOrCreateWindow(ts, this.getRecordIdentity(record));
 
     // Extract power value (various field names)
     const powerW =
@@ -218,33 +453,128 @@ export class PowerAggregator {
   }
 
   /**
-   * Computes energy in joules from power samples
-   * Uses trapezoidal integration
-   * @param {Array} samples - Power samples with timestamps
-   * @returns {number} Energy in joules
+   * Adds a cumulative energy counter snapshot (e.g. RAPL energy_uj)
+   * Consecutive snapshots of the same counter are differenced; a decrease is a
+   * wraparound when max_energy_range is known, otherwise a counter reset and the
+   * interval is dropped. The difference is apportioned across the windows the
+   * interval overlaps.
+   * @param {object} record - {ts, site_id, host?, domain?, energy_uj|energy_counter_j, max_energy_range_uj?}
    */
-  computeEnergy(samples) {
-    if (samples.length < 2) {
-      // If only one sample, assume constant power over window
-      if (samples.length === 1) {
-        const windowDurationS = this.windowSizeUs / 1_000_000;
-        return samples[0].power * windowDurationS;
+  addEnergyCounterRecord(record) {
+    const ts = this.getRecordTs(record);
+    if (ts === null || this.rejectIfLate(record, ts)) return;
+
+    const identity = this.getRecordIdentity(record);
+    const counterId = record.counter_id ?? record.domain ?? record.zone ?? 'default';
+    const host = record.host ?? record.node_id ?? '';
+    const key = `${identityKey(identity)}|${host}|${counterId}`;
+
+    const energyJ = record.energy_uj !== undefined && record.energy_uj !== null
+      ? Number(record.energy_uj) / 1_000_000
+      : Number(record.energy_counter_j);
+    if (isNaN(energyJ)) return;
+
+    const maxRangeJ = record.max_energy_range_uj !== undefined && record.max_energy_range_uj !== null
+      ? Number(record.max_energy_range_uj) / 1_000_000
+      : (record.max_energy_range_j ?? null);
+
+    const prev = this.counters.get(key);
+    this.counters.set(key, { ts, energyJ, maxRangeJ: maxRangeJ ?? prev?.maxRangeJ ?? null });
+
+    if (!prev || ts <= prev.ts) return;
+
+    let deltaJ = energyJ - prev.energyJ;
+    if (deltaJ < 0) {
+      const rangeJ = maxRangeJ ?? prev.maxRangeJ;
+      if (!rangeJ) {
+        this.counterResets++;
+        return;
       }
-      return 0;
+      deltaJ = rangeJ - prev.energyJ + energyJ;
+      this.counterWraps++;
+    }
+
+    // A wrapped delta implying implausible power is really a reset
+    const intervalS = (ts - prev.ts) / 1_000_000;
+    if (this.maxCounterPowerW !== null && deltaJ / intervalS > this.maxCounterPowerW) {
+      this.counterResets++;
+      return;
     }
 
-    // Sort by timestamp
+    this.apportionCounterEnergy(key, identity, prev.ts, ts, deltaJ);
+  }
+
+  apportionCounterEnergy(counterKey, identity, startTs, endTs, energyJ) {
+    const firstWindow = Math.floor(startTs / this.windowSizeUs) * this.windowSizeUs;
+
+    for (let ws = firstWindow; ws < endTs; ws += this.windowSizeUs) {
+      const overlapUs = Math.min(endTs, ws + this.windowSizeUs) - Math.max(startTs, ws);
+      if (overlapUs <= 0) continue;
+      // The part of an interval that falls in an already emitted window is dropped
+      if (ws + this.windowSizeUs <= this.flushedUntilUs) continue;
+
+      const window = this.getOrCreateWindow(ws, identity);
+      if (!window.counters.has(counterKey)) {
+        window.counters.set(counterKey, { energy_j: 0, covered_us: 0, intervals: 0 });
+      }
+      const counter = window.counters.get(counterKey);
+      counter.energy_j += energyJ * (overlapUs / (endTs - startTs));
+      counter.covered_us += overlapUs;
+      counter.intervals++;
+    }
+  }
+
+  /**
+   * Finds the sample just outside a window in the same series
+   * @param {object} window - Aggregated window
+   * @param {number} direction - -1 for the previous window's last sample, 1 for the next window's first
+   * @returns {object|null} Power sample
+   */
+  neighborSample(window, direction) {
+    const neighbor = this.windows.get(this.getWindowKey(window.ts_start + direction * this.windowSizeUs, window));
+    if (neighbor && neighbor.power_samples.length > 0) {
+      const times = neighbor.power_samples.map(sample => sample.ts);
+      const ts = direction < 0 ? Math.max(...times) : Math.min(...times);
+      return neighbor.power_samples.find(sample => sample.ts === ts);
+    }
+    return direction < 0 ? this.lastSamples.get(identityKey(window)) ?? null : null;
+  }
+
+  /**
+   * Computes energy in joules from power samples
+   * Trapezoids between consecutive samples (including the neighbouring windows'
+   * edge samples) are split at the window edges; spans longer than
+   * maxSampleGapUs count as unobserved.
+   * @param {Array} samples - Power samples with timestamps
+   * @param {number} windowStart - Window start in microseconds
+   * @param {number} windowEnd - Window end in microseconds
+   * @param {object|null} prev - Last sample before the window
+   * @param {object|null} next - First sample after the window
+   * @returns {{energyJ: number, coveredUs: number}} Energy and observed span
+   */
+  computeEnergy(samples, windowStart, windowEnd, prev = null, next = null) {
     samples.sort((a, b) => a.ts - b.ts);
+    const points = [prev, ...samples, next].filter(Boolean);
 
     let energyJ = 0;
+    let coveredUs = 0;
+
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      const spanUs = b.ts - a.ts;
+      if (spanUs <= 0 || spanUs > this.maxSampleGapUs) continue;
+
+      const from = Math.max(a.ts, windowStart);
+      const to = Math.min(b.ts, windowEnd);
+      if (to <= from) continue;
 
-    for (let i = 1; i < samples.length; i++) {
-      const dt = (samples[i].ts - samples[i - 1].ts) / 1_000_000; // Convert to seconds
-      const avgPower = (samples[i].power + samples[i - 1].power) / 2;
-      energyJ += avgPower * dt;
+      const powerAt = (t) => a.power + (b.power - a.power) * ((t - a.ts) / spanUs);
+      energyJ += ((powerAt(from) + powerAt(to)) / 2) * ((to - from) / 1_000_000);
+      coveredUs += to - from;
     }
 
-    return energyJ;
+    return { energyJ, coveredUs };
   }
 
   /**
@@ -253,65 +583,269 @@ export class PowerAggregator {
    */
   *emit() {
     for (const window of this.windows.values()) {
-      const meanPower = window.power_samples.length > 0
-        ? window.power_samples.reduce((sum, s) => sum + s.power, 0) / window.power_samples.length
-        : 0;
+      yield this.finalizeWindow(window);
+    }
+  }
+
+  /**
+   * Emits and drops windows the watermark has finalized, in time order
+   * @param {number} [untilUs] - Finalize windows ending by then instead of the watermark
+   * @yields {object} Normalized power record
+   */
+  *flush(untilUs = null) {
+    const bound = untilUs ?? Math.floor(this.watermark.closedBeforeUs / this.windowSizeUs) * this.windowSizeUs;
+    if (bound <= this.flushedUntilUs) return;
+    this.flushedUntilUs = bound;
+
+    const ready = [];
+    for (const [key, window] of this.windows) {
+      if (window.ts_end <= bound) {
+        ready.push({ key, window });
+      }
+    }
+    ready.sort((a, b) => a.window.ts_start - b.window.ts_start);
 
-      const energyJ = this.computeEnergy(window.power_samples);
+    // Finalize before dropping so neighbouring windows can lend edge samples
+    const records = ready.map(({ window }) => this.finalizeWindow(window));
+    for (const { key, window } of ready) {
+      if (window.power_samples.length > 0) {
+        this.lastSamples.set(identityKey(window), window.power_samples[window.power_samples.length - 1]);
+      }
+      this.windows.delete(key);
+    }
+    yield* records;
+  }
+
+  /**
+   * Builds the normalized power record for an aggregated window
+   * @param {object} window - Aggregated window
+   * @returns {object} Normalized power record
+   */
+  finalizeWindow(window) {
+    if (window.counters.size > 0) {
+      // Counter energy is measured; power is derived from it per observed span
+      let energyJ = 0;
+      let powerW = 0;
+      let intervals = 0;
+      let coverage = 0;
+      for (const counter of window.counters.values()) {
+        energyJ += counter.energy_j;
+        powerW += counter.energy_j / (counter.covered_us / 1_000_000);
+        intervals += counter.intervals;
+        coverage += Math.min(1, counter.covered_us / this.windowSizeUs);
+      }
 
-      yield {
+      return {
         ts: window.ts_start,
         ts_start: window.ts_start,
         ts_end: window.ts_end,
         site_id: window.site_id,
-        power_w: meanPower,
+        cluster_id: window.cluster_id,
+        partition_id: window.partition_id,
+        node_id: window.node_id,
+        power_w: powerW,
         energy_j_window: energyJ,
-        sample_count: window.power_samples.length
+        coverage_ratio: coverage / window.counters.size,
+        sample_count: intervals,
+        energy_source: 'counter'
       };
     }
+
+    const { energyJ: observedJ, coveredUs } = this.computeEnergy(
+      window.power_samples,
+      window.ts_start,
+      window.ts_end,
+      this.neighborSample(window, -1),
+      this.neighborSample(window, 1)
+    );
+
+    // Time-weighted over the observed span. Samples with no neighbour within
+    // maxSampleGapUs are held for half that gap either side, clipped to the
+    // window, and count as observed for that span only
+    let meanPower = 0;
+    let energyJ = observedJ;
+    let heldUs = coveredUs;
+    if (coveredUs > 0) {
+      meanPower = observedJ / (coveredUs / 1_000_000);
+    } else if (window.power_samples.length > 0) {
+      const halfGapUs = this.maxSampleGapUs / 2;
+      const first = window.power_samples[0].ts;
+      const last = window.power_samples[window.power_samples.length - 1].ts;
+      heldUs = Math.min(window.ts_end, last + halfGapUs) - Math.max(window.ts_start, first - halfGapUs);
+      meanPower = window.power_samples.reduce((sum, s) => sum + s.power, 0) / window.power_samples.length;
+      energyJ = meanPower * (heldUs / 1_000_000);
+    }
+
+    return {
+      ts: window.ts_start,
+      ts_start: window.ts_start,
+      ts_end: window.ts_end,
+      site_id: window.site_id,
+      cluster_id: window.cluster_id,
+      partition_id: window.partition_id,
+      node_id: window.node_id,
+      power_w: meanPower,
+      energy_j_window: energyJ,
+      coverage_ratio: heldUs / this.windowSizeUs,
+      sample_count: window.power_samples.length,
+      energy_source: 'power'
+    };
   }
 
   clear() {
     this.windows.clear();
+    this.counters.clear();
+    this.lastSamples.clear();
   }
 }
 
+/**
+ * Sums per-node (or per-device) power windows into site/cluster windows
+ * The resolver may also supply partition_id and node_id (the node key is used
+ * otherwise); windows are summed at the given identity level.
+ * @param {Iterable<object>} nodeRecords - PowerAggregator output keyed by node
+ * @param {function(string): object|null} resolveNode - Mapping resolver
+ * @param {string|null} siteId - Site for every node, overriding the mapping (--site-id)
+ * @param {string} level - Identity level to sum to (default: cluster)
+ * @returns {object[]} Rolled-up power records
+ */
+export function rollupNodePower(nodeRecords, resolveNode, siteId = null, level = 'cluster') {
+  const windows = new Map();
+
+  for (const record of nodeRecords) {
+    const nodeKey = String(record.site_id);
+    const mapped = resolveNode(nodeKey);
+    const identity = truncateIdentity({
+      site_id: siteId ?? mapped?.site_id ?? 'unknown',
+      cluster_id: mapped?.cluster_id ?? null,
+      partition_id: mapped?.partition_id ?? null,
+      node_id: mapped?.node_id ?? nodeKey
+    }, level);
+    const key = `${identityKey(identity)}:${record.ts_start}`;
+
+    if (!windows.has(key)) {
+      windows.set(key, {
+        ts: record.ts_start,
+        ts_start: record.ts_start,
+        ts_end: record.ts_end,
+        ...identity,
+        power_w: 0,
+        energy_j_window: 0,
+        coverage_ratio: 0,
+        sample_count: 0,
+        node_count: 0
+      });
+    }
+
+    const window = windows.get(key);
+    window.power_w += record.power_w;
+    window.energy_j_window += record.energy_j_window;
+    window.coverage_ratio += record.coverage_ratio ?? 0;
+    window.sample_count += record.sample_count;
+    window.node_count++;
+  }
+
+  // Coverage of a rollup is the mean over its nodes
+  for (const window of windows.values()) {
+    window.coverage_ratio /= window.node_count;
+  }
+
+  return Array.from(windows.values());
+}
+
+/**
+ * Opens a power trace reader by file name
+ * @param {string} file - Trace path
+ * @param {object|null} profile - CSV column mapping profile
+ * @param {ErrorBudget|null} budget - Malformed NDJSON line budget
+ * @returns {AsyncGenerator<object>} Record reader
+ */
+function openPowerFile(file, profile = null, budget = null) {
+  if (isRaplSnapshotFile(basename(file).toLowerCase())) {
+    return readRaplSnapshots(file);
+  } else if (file.endsWith('.csv')) {
+    return readPowerCsv(file, profile);
+  }
+  return readPowerNdjson(file, { budget: budget ?? new ErrorBudget() });
+}
+
 /**
  * Main ingestion function for power data
+ *
+ * With options.watermark (a streaming Watermark) files are merged by event time
+ * and windows are yielded as soon as the watermark finalizes them.
  * @param {string} inputDir - Directory containing power trace data
  * @param {object} options - Configuration options
  * @yields {object} Normalized power records
  */
 export async function* ingestPowerdata(inputDir, options = {}) {
-  const { windowSizeUs = 300_000_000, siteId = null } = options;
-  const aggregator = new PowerAggregator(windowSizeUs);
+  const {
+    windowSizeUs = 300_000_000,
+    siteId = null,
+    maxCounterPowerW = null,
+    watermark = null,
+    clock = null,
+    profile = null,
+    errorBudget = new ErrorBudget()
+  } = options;
+  const aggregator = new PowerAggregator(windowSizeUs, { maxCounterPowerW, watermark, clock });
 
   const files = await discoverPowerFiles(inputDir);
+  const open = file => openPowerFile(file, profile, errorBudget);
+  const readers = watermark
+    ? [mergeByEventTime(files.map(open), record => aggregator.getRecordTs(record))]
+    : files.map(open);
 
-  for (const file of files) {
-    let reader;
-
-    if (file.endsWith('.json.gz')) {
-      reader = readPowerGzip(file);
-    } else if (file.endsWith('.csv')) {
-      reader = readPowerCsv(file);
-    } else {
-      reader = readPowerNdjson(file);
-    }
-
+  for (const reader of readers) {
     for await (const record of reader) {
       if (siteId) {
         record.site_id = siteId;
       }
-      aggregator.addPowerRecord(record);
+      if (record.energy_uj !== undefined || record.energy_counter_j !== undefined) {
+        if (isCountedRaplDomain(record)) {
+          aggregator.addEnergyCounterRecord(record);
+        }
+      } else {
+        aggregator.addPowerRecord(record);
+      }
+
+      if (watermark) {
+        yield* aggregator.flush();
+      }
     }
   }
 
-  for (const record of aggregator.emit()) {
+  const remaining = watermark ? aggregator.flush(Infinity) : aggregator.emit();
+  for (const record of remaining) {
     yield record;
   }
 }
 
+/**
+ * Reads instantaneous power readings as a {ts, value} series for skew estimation
+ * Timestamps are corrected by the clock, offset included, so an estimate on
+ * the series is the skew left on top of the configured offset.
+ * @param {string} inputDir - Directory containing power traces
+ * @param {object} options - {clock, profile, errorBudget}
+ * @returns {Promise<Array<{ts: number, value: number}>>} Power series
+ */
+export async function readPowerSeries(inputDir, options = {}) {
+  const { clock = null, profile = null, errorBudget = null } = options;
+  const parser = new PowerAggregator(300_000_000, { clock });
+  const series = [];
+
+  for (const file of await discoverPowerFiles(inputDir)) {
+    for await (const record of openPowerFile(file, profile, errorBudget)) {
+      const powerW = Number(record.power_w ?? record.power ?? record.watts ?? NaN);
+      const ts = parser.getRecordTs(record);
+      if (ts !== null && Number.isFinite(powerW)) {
+        series.push({ ts, value: powerW });
+      }
+    }
+  }
+  return series;
+}
+
 /**
  * Generate synthetic power data for testing
  * @param {object} options - Generation options
@@ -0,0 +1,581 @@
+/**
+ * Slurm Job Accounting Ingestion Module
+ *
+ * Reads Slurm accounting exports:
+ * - sacct --parsable2 (pipe-delimited with header line)
+ * - sacct --json
+ *
+ * Exports are found by name (see discoverSlurmFiles). Files that turn out not
+ * to be sacct output (invalid JSON, no jobs array, no JobID column) are
+ * reported and charged to the src/io error budget.
+ *
+ * Each job's elapsed time, allocated CPUs/GPUs (TRES) and ConsumedEnergyRaw are
+ * apportioned across the windows the job overlaps.
+ *
+ * Emits normalized usage records: {ts, site_id, cluster_id, cpu_util, gpu_util, job_queue_depth,
+ * resource_seconds_window, cpu_core_seconds, gpu_seconds, energy_j_window}
+ */
+
+import { createReadStream } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { readdir, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+import { identityKey } from '../identity/index.js';
+import { ErrorBudget } from '../io/index.js';
+
+/**
+ * Parses a Slurm TRES string (e.g. "billing=4,cpu=4,gres/gpu=2,mem=16G,node=1")
+ * @param {string} tres - TRES string
+ * @returns {{cpu: number, gpu: number, node: number, energy: number|null}} Parsed counts
+ */
+export function parseTres(tres) {
+  const result = { cpu: 0, gpu: 0, node: 0, energy: null };
+  if (!tres) return result;
+
+  for (const part of String(tres).split(',')) {
+    const [key, value] = part.split('=');
+    if (value === undefined) continue;
+    const name = key.trim().toLowerCase();
+    const num = parseFloat(value);
+    if (isNaN(num)) continue;
+
+    if (name === 'cpu') {
+      result.cpu = num;
+    } else if (name === 'gres/gpu' || name.startsWith('gres/gpu:')) {
+      // gres/gpu is the total; typed entries (gres/gpu:a100) only count if no total was given
+      if (name === 'gres/gpu' || result.gpu === 0) result.gpu = num;
+    } else if (name === 'node') {
+      result.node = num;
+    } else if (name === 'energy') {
+      result.energy = num;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parses a Slurm duration ("[D-]HH:MM:SS", "MM:SS" or "MM:SS.mmm") into seconds
+ * @param {string} value - Duration string
+ * @returns {number|null} Seconds or null if unparseable
+ */
+export function parseSlurmDuration(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const match = String(value).trim().match(/^(?:(\d+)-)?(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+
+  const [, days, hours, minutes, seconds] = match;
+  return (Number(days || 0) * 86400) +
+    (Number(hours || 0) * 3600) +
+    (Number(minutes) * 60) +
+    Number(seconds);
+}
+
+/**
+ * Parses a Slurm timestamp into microseconds
+ * sacct prints controller-local time without an offset; it is read as UTC
+ * unless the clock names the controller's zone.
+ * @param {string|number} value - "YYYY-MM-DDTHH:MM:SS", epoch seconds, or "Unknown"/"None"
+ * @param {SourceClock|null} clock - Controller clock zone/format/offset
+ * @returns {number|null} Timestamp in microseconds
+ */
+export function parseSlurmTime(value, clock = null) {
+  if (value === null || value === undefined) return null;
+
+  const fromEpoch = (num) => {
+    if (!(num > 0)) return null;
+    return clock ? clock.epoch(num * 1_000_000) : num * 1_000_000;
+  };
+
+  if (typeof value === 'number') {
+    return fromEpoch(value);
+  }
+
+  const str = String(value).trim();
+  if (!str || /^(unknown|none|invalid)$/i.test(str)) return null;
+  if (/^\d+$/.test(str)) {
+    return fromEpoch(Number(str));
+  }
+
+  if (clock?.format) {
+    return clock.parse(str);
+  }
+
+  const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/.test(str);
+  const ms = Date.parse(hasOffset ? str : `${str}Z`);
+  if (isNaN(ms)) return null;
+  if (!clock) return ms * 1000;
+  return hasOffset ? clock.epoch(ms * 1000) : clock.wall(ms * 1000);
+}
+
+/**
+ * Unwraps numeric fields from sacct --json, which newer Slurm releases emit
+ * as {set, infinite, number} objects
+ * @param {*} value - Raw JSON value
+ * @returns {number|null} Number or null when unset
+ */
+function slurmNumber(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') {
+    if (value.set === false || value.infinite === true) return null;
+    return slurmNumber(value.number);
+  }
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+}
+
+/**
+ * Splits a sacct JobID into its base job id and step suffix
+ * @param {string} jobId - e.g. "1234", "1234.batch", "1234_7.0"
+ * @returns {{jobId: string, step: string|null}}
+ */
+export function splitJobId(jobId) {
+  const str = String(jobId);
+  const dot = str.indexOf('.');
+  if (dot === -1) return { jobId: str, step: null };
+  return { jobId: str.slice(0, dot), step: str.slice(dot + 1) };
+}
+
+/**
+ * Reports a malformed input and charges it to the error budget
+ * @param {ErrorBudget} budget - Error budget
+ * @param {Function|null} onMalformed - Callback receiving the error
+ * @param {object} error - {source, line, raw, message}
+ */
+function reportMalformed(budget, onMalformed, error) {
+  onMalformed?.(error);
+  budget.charge(error);
+}
+
+/**
+ * Reads sacct --parsable2 output as raw row objects keyed by header
+ *
+ * A file whose header has no JobID column is charged to the error budget and
+ * yields nothing.
+ * @param {string} filePath - Path to export file
+ * @param {object} options - {budget (ErrorBudget, default unlimited),
+ *   onMalformed({source, line, raw, message})}
+ * @yields {object} Row with header names as keys
+ */
+export async function* readSacctParsable(filePath, options = {}) {
+  const { budget = new ErrorBudget(), onMalformed = null } = options;
+  const stream = createReadStream(filePath, { encoding: 'utf8' });
+  const rl = createInterface({ input: stream, crlfDelay: Infinity });
+
+  let headers = null;
+  let lineNumber = 0;
+
+  for await (const line of rl) {
+    lineNumber++;
+    if (!line.trim()) continue;
+    budget.lines++;
+
+    const parts = line.split('|');
+
+    if (!headers) {
+      headers = parts.map(h => h.trim());
+      if (!headers.includes('JobID')) {
+        rl.close();
+        stream.destroy();
+        reportMalformed(budget, onMalformed, {
+          source: filePath,
+          line: lineNumber,
+          raw: line,
+          message: 'not sacct --parsable2 output (header has no JobID column)'
+        });
+        break;
+      }
+      continue;
+    }
+
+    const row = {};
+    for (let i = 0; i < headers.length; i++) {
+      row[headers[i]] = parts[i] !== undefined ? parts[i].trim() : '';
+    }
+    yield row;
+  }
+
+  budget.check(filePath);
+}
+
+/**
+ * Reads sacct --json output
+ *
+ * The document counts as one line of the error budget; a file that is not
+ * JSON or has no jobs array is charged to it and yields nothing.
+ * @param {string} filePath - Path to JSON file
+ * @param {object} options - {budget (ErrorBudget, default unlimited),
+ *   onMalformed({source, line, raw, message})}
+ * @yields {object} Raw job objects
+ */
+export async function* readSacctJson(filePath, options = {}) {
+  const { budget = new ErrorBudget(), onMalformed = null } = options;
+  const content = await readFile(filePath, 'utf8');
+  budget.lines++;
+
+  let jobs = null;
+  let message = null;
+  let line = 1;
+  try {
+    const parsed = JSON.parse(content);
+    jobs = Array.isArray(parsed) ? parsed : parsed?.jobs;
+    if (!Array.isArray(jobs)) {
+      message = 'not sacct --json output (expected a jobs array)';
+    }
+  } catch (e) {
+    message = e.message;
+    const position = /at position (\d+)/.exec(e.message);
+    if (position) {
+      line = content.slice(0, Number(position[1])).split('\n').length;
+    }
+  }
+
+  if (message !== null) {
+    reportMalformed(budget, onMalformed, { source: filePath, line, raw: null, message });
+  } else {
+    yield* jobs;
+  }
+  budget.check(filePath);
+}
+
+/**
+ * Converts parsable2 rows into job records, folding step energy into the parent job
+ * @param {AsyncIterable<object>} rows - Rows from readSacctParsable
+ * @param {SourceClock|null} clock - Controller clock zone/format/offset
+ * @returns {Promise<object[]>} Normalized job records
+ */
+export async function collectParsableJobs(rows, clock = null) {
+  const jobs = new Map();
+  const stepEnergy = new Map();
+
+  for await (const row of rows) {
+    if (!row.JobID) continue;
+    const { jobId, step } = splitJobId(row.JobID);
+    const energy = row.ConsumedEnergyRaw !== undefined && row.ConsumedEnergyRaw !== ''
+      ? parseFloat(row.ConsumedEnergyRaw)
+      : null;
+
+    if (step !== null) {
+      if (energy !== null && !isNaN(energy)) {
+        stepEnergy.set(jobId, (stepEnergy.get(jobId) || 0) + energy);
+      }
+      continue;
+    }
+
+    const tres = parseTres(row.AllocTRES);
+    const startTs = parseSlurmTime(row.Start, clock);
+    const elapsedS = row.ElapsedRaw !== undefined && row.ElapsedRaw !== ''
+      ? Number(row.ElapsedRaw)
+      : parseSlurmDuration(row.Elapsed);
+    const endTs = parseSlurmTime(row.End, clock) ??
+      (startTs !== null && elapsedS !== null ? startTs + elapsedS * 1_000_000 : null);
+
+    jobs.set(jobId, {
+      job_id: jobId,
+      cluster: row.Cluster || null,
+      partition: row.Partition || null,
+      state: row.State || null,
+      submit_ts: parseSlurmTime(row.Submit, clock),
+      start_ts: startTs,
+      end_ts: endTs,
+      alloc_cpus: row.AllocCPUS ? Number(row.AllocCPUS) : tres.cpu,
+      alloc_gpus: tres.gpu,
+      energy_j: energy !== null && !isNaN(energy) && energy > 0 ? energy : null
+    });
+  }
+
+  for (const [jobId, energy] of stepEnergy) {
+    const job = jobs.get(jobId);
+    if (job && job.energy_j === null) {
+      job.energy_j = energy;
+    }
+  }
+
+  return Array.from(jobs.values());
+}
+
+/**
+ * Converts a sacct --json job object into a job record
+ * @param {object} raw - Job object from sacct --json
+ * @param {SourceClock|null} clock - Controller clock offset
+ * @returns {object} Normalized job record
+ */
+export function normalizeSacctJsonJob(raw, clock = null) {
+  const time = raw.time || {};
+  const allocated = raw.tres?.allocated || [];
+
+  let cpus = 0;
+  let gpus = 0;
+  for (const tres of allocated) {
+    const count = slurmNumber(tres.count) || 0;
+    if (tres.type === 'cpu') cpus = count;
+    if (tres.type === 'gres' && String(tres.name).split(':')[0] === 'gpu') gpus += count;
+  }
+
+  let energy = 0;
+  for (const step of raw.steps || []) {
+    for (const tres of step.tres?.consumed?.total || []) {
+      if (tres.type === 'energy') energy += slurmNumber(tres.count) || 0;
+    }
+  }
+
+  const startTs = parseSlurmTime(slurmNumber(time.start), clock);
+  const elapsedS = slurmNumber(time.elapsed);
+  const endTs = parseSlurmTime(slurmNumber(time.end), clock) ??
+    (startTs !== null && elapsedS !== null ? startTs + elapsedS * 1_000_000 : null);
+  const state = raw.state?.current ?? raw.state ?? null;
+
+  return {
+    job_id: String(raw.job_id),
+    cluster: raw.cluster || null,
+    partition: raw.partition || null,
+    state: Array.isArray(state) ? state.join(',') : state,
+    submit_ts: parseSlurmTime(slurmNumber(time.submission), clock),
+    start_ts: startTs,
+    end_ts: endTs,
+    alloc_cpus: cpus || slurmNumber(raw.required?.CPUs) || 0,
+    alloc_gpus: gpus,
+    energy_j: energy > 0 ? energy : null
+  };
+}
+
+/**
+ * Extensions that mark a file as sacct output whatever its name
+ */
+const SACCT_EXTENSIONS = ['.sacct', '.psv'];
+
+/**
+ * Extensions read only from files whose name contains "sacct"
+ * (sacct.txt, sacct-2024-06.json), so unrelated logs and JSON are left alone
+ */
+const SACCT_NAMED_EXTENSIONS = ['.txt', '.log', '.json'];
+
+/**
+ * Discovers sacct export files in a directory
+ * @param {string} dir - Directory to scan
+ * @returns {Promise<string[]>} List of file paths
+ */
+export async function discoverSlurmFiles(dir) {
+  const files = [];
+
+  try {
+    const entries = await readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        const subFiles = await discoverSlurmFiles(fullPath);
+        files.push(...subFiles);
+      } else if (entry.isFile()) {
+        const name = entry.name.toLowerCase();
+        if (
+          SACCT_EXTENSIONS.some(ext => name.endsWith(ext)) ||
+          (name.includes('sacct') && SACCT_NAMED_EXTENSIONS.some(ext => name.endsWith(ext)))
+        ) {
+          files.push(fullPath);
+        }
+      }
+    }
+  } catch (e) {
+    // Directory doesn't exist or not accessible
+  }
+
+  return files.sort();
+}
+
+/**
+ * Apportions Slurm jobs into usage windows
+ */
+export class SlurmJobAggregator {
+  constructor(windowSizeUs = 300_000_000, options = {}) { // 5 minute default
+    this.windowSizeUs = windowSizeUs;
+    this.coresTotal = options.coresTotal || null;
+    this.gpusTotal = options.gpusTotal || null;
+    this.windows = new Map();
+    this.submitsBySite = new Map(); // siteId -> Map(clusterId -> { submits: [], starts: [] }), starts = queue exits
+  }
+
+  getWindowKey(ts, identity) {
+    const windowStart = Math.floor(ts / this.windowSizeUs) * this.windowSizeUs;
+    return `${identityKey(identity)}:${windowStart}`;
+  }
+
+  addJob(job, siteId = null) {
+    // Not split by partition: utilization is measured against cluster totals
+    const identity = {
+      site_id: siteId || job.cluster || 'unknown',
+      cluster_id: job.cluster ?? null
+    };
+
+    if (job.submit_ts !== null && job.submit_ts !== undefined) {
+      if (!this.submitsBySite.has(identity.site_id)) {
+        this.submitsBySite.set(identity.site_id, new Map());
+      }
+      const clusters = this.submitsBySite.get(identity.site_id);
+      if (!clusters.has(identity.cluster_id)) {
+        clusters.set(identity.cluster_id, { submits: [], starts: [] });
+      }
+      const queue = clusters.get(identity.cluster_id);
+      queue.submits.push(job.submit_ts);
+      // A job leaves the queue when it starts; one that never started (cancelled
+      // while pending) leaves it when it ends, or at submit when no end is known
+      const leftQueue = job.start_ts ?? job.end_ts ?? job.submit_ts;
+      queue.starts.push(Math.max(leftQueue, job.submit_ts));
+      queue.sorted = false;
+    }
+
+    if (job.start_ts === null || job.end_ts === null || job.end_ts <= job.start_ts) {
+      return;
+    }
+
+    const durationUs = job.end_ts - job.start_ts;
+    const firstWindow = Math.floor(job.start_ts / this.windowSizeUs) * this.windowSizeUs;
+
+    for (let ws = firstWindow; ws < job.end_ts; ws += this.windowSizeUs) {
+      const overlapUs = Math.min(job.end_ts, ws + this.windowSizeUs) - Math.max(job.start_ts, ws);
+      if (overlapUs <= 0) continue;
+
+      const key = this.getWindowKey(ws, identity);
+      if (!this.windows.has(key)) {
+        this.windows.set(key, {
+          ts_start: ws,
+          ts_end: ws + this.windowSizeUs,
+          site_id: identity.site_id,
+          cluster_id: identity.cluster_id,
+          cpu_core_seconds: 0,
+          gpu_seconds: 0,
+          energy_j: 0,
+          has_energy: false,
+          job_ids: new Set()
+        });
+      }
+
+      const window = this.windows.get(key);
+      const overlapS = overlapUs / 1_000_000;
+      window.cpu_core_seconds += (job.alloc_cpus || 0) * overlapS;
+      window.gpu_seconds += (job.alloc_gpus || 0) * overlapS;
+      window.job_ids.add(job.job_id);
+
+      if (job.energy_j !== null && job.energy_j !== undefined) {
+        window.energy_j += job.energy_j * (overlapUs / durationUs);
+        window.has_energy = true;
+      }
+    }
+  }
+
+  /**
+   * Counts jobs submitted but not yet started (or ended without starting) at a timestamp
+   * @param {string} siteId - Site identifier
+   * @param {number} ts - Timestamp in microseconds
+   * @param {string|null} [clusterId] - Cluster identifier (omit to count the whole site)
+   * @returns {number} Pending job count
+   */
+  pendingAt(siteId, ts, clusterId) {
+    const clusters = this.submitsBySite.get(siteId);
+    if (!clusters) return 0;
+
+    let pending = 0;
+    for (const [cluster, queue] of clusters) {
+      if (clusterId !== undefined && cluster !== clusterId) continue;
+      if (!queue.sorted) {
+        queue.submits.sort((a, b) => a - b);
+        queue.starts.sort((a, b) => a - b);
+        queue.sorted = true;
+      }
+      pending += countAtOrBefore(queue.submits, ts) - countAtOrBefore(queue.starts, ts);
+    }
+    return pending;
+  }
+
+  /**
+   * Emits finalized normalized usage records
+   * @yields {object} Normalized usage record
+   */
+  *emit() {
+    const windowDurationS = this.windowSizeUs / 1_000_000;
+
+    for (const window of this.windows.values()) {
+      const cpuUtil = this.coresTotal
+        ? window.cpu_core_seconds / (this.coresTotal * windowDurationS)
+        : null;
+      const gpuUtil = this.gpusTotal
+        ? window.gpu_seconds / (this.gpusTotal * windowDurationS)
+        : null;
+
+      yield {
+        ts: window.ts_start,
+        ts_start: window.ts_start,
+        ts_end: window.ts_end,
+        site_id: window.site_id,
+        cluster_id: window.cluster_id,
+        cpu_util: cpuUtil !== null ? Math.min(1, Math.max(0, cpuUtil)) : null,
+        gpu_util: gpuUtil !== null ? Math.min(1, Math.max(0, gpuUtil)) : null,
+        mem_util: null,
+        job_queue_depth: this.pendingAt(window.site_id, window.ts_start, window.cluster_id),
+        resource_seconds_window: window.cpu_core_seconds + window.gpu_seconds,
+        cpu_core_seconds: window.cpu_core_seconds,
+        gpu_seconds: window.gpu_seconds > 0 ? window.gpu_seconds : null,
+        energy_j_window: window.has_energy ? window.energy_j : null,
+        job_count: window.job_ids.size
+      };
+    }
+  }
+
+  clear() {
+    this.windows.clear();
+    this.submitsBySite.clear();
+  }
+}
+
+/**
+ * Binary search: number of sorted values <= ts
+ */
+function countAtOrBefore(sorted, ts) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (sorted[mid] <= ts) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Main ingestion function for Slurm accounting data
+ * @param {string} inputDir - Directory containing sacct exports
+ * @param {object} options - Configuration options
+ * @yields {object} Normalized usage records
+ */
+export async function* ingestSlurm(inputDir, options = {}) {
+  const {
+    windowSizeUs = 300_000_000,
+    siteId = null,
+    coresTotal = null,
+    gpusTotal = null,
+    clock = null,
+    errorBudget = new ErrorBudget()
+  } = options;
+  const aggregator = new SlurmJobAggregator(windowSizeUs, { coresTotal, gpusTotal });
+
+  const files = await discoverSlurmFiles(inputDir);
+
+  for (const file of files) {
+    if (file.toLowerCase().endsWith('.json')) {
+      for await (const raw of readSacctJson(file, { budget: errorBudget })) {
+        aggregator.addJob(normalizeSacctJsonJob(raw, clock), siteId);
+      }
+    } else {
+      for (const job of await collectParsableJobs(readSacctParsable(file, { budget: errorBudget }), clock)) {
+        aggregator.addJob(job, siteId);
+      }
+    }
+  }
+
+  for (const record of aggregator.emit()) {
+    yield record;
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * Record I/O Module
+ *
+ * Shared NDJSON record reading and writing for the ingesters and CLIs:
+ * - "-" reads stdin / writes stdout, so CLIs can be piped together
+ *   (tsv-export ... -o - | enst -i -)
+ * - plain, gzip or zstd input, detected by magic bytes (stdin included)
+ * - malformed lines are reported with source and line number and charged to
+ *   an error budget: a number of lines, or a percentage of the lines read
+ */
+
+import { Readable } from 'node:stream';
+import { createInterface } from 'node:readline';
+import { once } from 'node:events';
+
+import { readLines, createDecompressor, NdjsonWriter, COMPRESSIONS } from '../compression/index.js';
+
+/**
+ * Path that stands for stdin (input) or stdout (output)
+ */
+const STDIO_PATH = '-';
+
+/**
+ * Parses an error budget option
+ * @param {string|number|null|undefined} value - Line count ("10") or percentage ("0.5%");
+ *   unset means unlimited
+ * @returns {{maxErrors: number, maxErrorRate: number|null}} Budget limits
+ */
+export function parseErrorBudget(value) {
+  if (value === null || value === undefined || value === '') {
+    return { maxErrors: Infinity, maxErrorRate: null };
+  }
+
+  const text = String(value).trim();
+  const percent = text.endsWith('%');
+  const number = Number(percent ? text.slice(0, -1) : text);
+  if (!Number.isFinite(number) || number < 0 || (percent && number > 100) || (!percent && !Number.isInteger(number))) {
+    throw new Error(`Invalid error budget: ${value} (use a line count such as 10 or a percentage such as 1%)`);
+  }
+  return percent
+    ? { maxErrors: Infinity, maxErrorRate: number / 100 }
+    : { maxErrors: number, maxErrorRate: null };
+}
+
+/**
+ * Formats a read error as "<source>:<line>: <message>"
+ * @param {object} error - {source, line, message}
+ * @returns {string} Message
+ */
+export function formatReadError(error) {
+  return `${error.source}:${error.line}: ${error.message}`;
+}
+
+/**
+ * Counts lines and malformed lines across one or more inputs
+ *
+ * A count budget fails on the first error past maxErrors; a rate budget is
+ * checked when an input has been read completely.
+ */
+export class ErrorBudget {
+  /**
+   * @param {object} options - {maxErrors, maxErrorRate} (see parseErrorBudget)
+   */
+  constructor(options = {}) {
+    this.maxErrors = options.maxErrors ?? Infinity;
+    this.maxErrorRate = options.maxErrorRate ?? null;
+    this.lines = 0;
+    this.errors = 0;
+    this.first = null;
+  }
+
+  /**
+   * Records a malformed line
+   * @param {object} error - {source, line, message}
+   * @throws {Error} When the count budget is exceeded
+   */
+  charge(error) {
+    this.errors++;
+    this.first ??= error;
+    if (this.errors > this.maxErrors) {
+      throw new Error(`${formatReadError(error)} (error budget of ${this.maxErrors} malformed lines exceeded)`);
+    }
+  }
+
+  /**
+   * Checks the rate budget after an input has been read
+   * @param {string} source - Input name for the message
+   * @throws {Error} When the share of malformed lines exceeds maxErrorRate
+   */
+  check(source) {
+    if (this.maxErrorRate !== null && this.errors > this.maxErrorRate * this.lines) {
+      throw new Error(
+        `${source}: ${this.errors} of ${this.lines} lines malformed, over the ` +
+        `${+(this.maxErrorRate * 100).toFixed(4)}% error budget (first at ${formatReadError(this.first)})`
+      );
+    }
+  }
+
+  /**
+   * @returns {string|null} One-line report, null when nothing was skipped
+   */
+  summary() {
+    if (this.errors === 0) return null;
+    return `Skipped ${this.errors} malformed of ${this.lines} lines (first at ${formatReadError(this.first)})`;
+  }
+}
+
+/**
+ * Reads stdin line by line, decompressing it when it starts with a gzip/zstd frame
+ * @yields {string} Lines
+ */
+async function* readStdinLines() {
+  const chunks = process.stdin[Symbol.asyncIterator]();
+  const first = await chunks.next();
+  if (first.done) return;
+
+  const head = first.value;
+  const compression = Object.keys(COMPRESSIONS).find(name => {
+    const { magic } = COMPRESSIONS[name];
+    return head.length >= magic.length && head.subarray(0, magic.length).equals(magic);
+  });
+
+  let input = Readable.from((async function* () {
+    yield head;
+    for (let next = await chunks.next(); !next.done; next = await chunks.next()) {
+      yield next.value;
+    }
+  })());
+  if (compression) {
+    input = input.pipe(createDecompressor(compression));
+  }
+  input.setEncoding('utf8');
+  yield* createInterface({ input, crlfDelay: Infinity });
+}
+
+/**
+ * Reads a file (or stdin for "-") line by line
+ * @param {string} source - File path or "-"
+ * @yields {string} Lines
+ */
+export function readInputLines(source) {
+  return source === STDIO_PATH ? readStdinLines() : readLines(source);
+}
+
+/**
+ * Reads NDJSON records
+ *
+ * Lines that are not JSON objects are skipped, passed to onMalformed and
+ * charged to the budget; blank lines are ignored.
+ * @param {string} source - File path or "-" for stdin
+ * @param {object} options - {budget (ErrorBudget, default unlimited),
+ *   onMalformed({source, line, raw, message})}
+ * @yields {object} Parsed records
+ */
+export async function* readRecords(source, options = {}) {
+  const { budget = new ErrorBudget(), onMalformed = null } = options;
+  const name = source === STDIO_PATH ? 'stdin' : source;
+  let lineNumber = 0;
+
+  for await (const line of readInputLines(source)) {
+    lineNumber++;
+    if (!line.trim()) continue;
+    budget.lines++;
+
+    let record;
+    let message = null;
+    try {
+      record = JSON.parse(line);
+      if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+        message = 'expected a JSON object';
+      }
+    } catch (e) {
+      message = e.message;
+    }
+
+    if (message !== null) {
+      const error = { source: name, line: lineNumber, raw: line, message };
+      onMalformed?.(error);
+      budget.charge(error);
+      continue;
+    }
+    yield record;
+  }
+
+  budget.check(name);
+}
+
+/**
+ * Writes NDJSON records to a stream (stdout for "-")
+ */
+export class StreamRecordWriter {
+  constructor(stream = process.stdout) {
+    this.stream = stream;
+    this.count = 0;
+    this.shards = [];
+    this.sharded = false;
+  }
+
+  async write(record) {
+    this.count++;
+    if (!this.stream.write(JSON.stringify(record) + '\n')) {
+      await once(this.stream, 'drain');
+    }
+  }
+
+  async close() {
+    // stdout stays open for the process' other output
+  }
+}
+
+/**
+ * Creates an NDJSON record writer
+ * @param {string} target - File path (compressed by extension, see src/compression) or "-" for stdout
+ * @param {object} options - NdjsonWriter options {compression, shardBytes, shardIntervalUs}
+ * @returns {NdjsonWriter|StreamRecordWriter} Writer with write(record), close(), count, shards
+ */
+export function createRecordWriter(target, options = {}) {
+  if (target === STDIO_PATH) {
+    if (options.shardBytes || options.shardIntervalUs) {
+      throw new Error('Sharded output needs a file path, not stdout');
+    }
+    return new StreamRecordWriter(process.stdout);
+  }
+  return new NdjsonWriter(target, options);
+}
+
+/**
+ * Writes NDJSON records to a file or stdout
+ * @param {string} target - File path or "-"
+ * @param {AsyncIterable<object>|Iterable<object>} records - Records
+ * @param {object} options - Writer options
+ * @returns {Promise<number>} Records written
+ */
+export async function writeRecords(target, records, options = {}) {
+  const writer = createRecordWriter(target, options);
+  for await (const record of records) {
+    await writer.write(record);
+  }
+  await writer.close();
+  return writer.count;
+}
+
+export { STDIO_PATH };
@@ -0,0 +1,152 @@
+/**
+ * TSV Schema Versioning Module
+ *
+ * Every TSV record carries schema_version. Older records are upgraded by
+ * declarative migrations, each a list of field operations:
+ * - rename {from, to}: move a field (an existing non-null target wins)
+ * - copy {from, to}: fill a field from another when it is missing
+ * - default {field, value}: set a field when it is missing
+ * - drop {field}: remove a field
+ *
+ * Records without schema_version are version 1.
+ */
+
+/**
+ * Schema version written by this tree
+ */
+const TSV_SCHEMA_VERSION = 3;
+
+/**
+ * Migrations from each version to the next
+ */
+const MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    description: 'Window-suffixed source fields renamed to TSV fields',
+    operations: [
+      { op: 'rename', from: 'resource_seconds_window', to: 'resource_seconds' },
+      { op: 'rename', from: 'energy_j_window', to: 'energy_j' }
+    ]
+  },
+  {
+    from: 2,
+    to: 3,
+    description: 'work_units replaces validated_work_units; cost and provenance fields added',
+    operations: [
+      { op: 'copy', from: 'validated_work_units', to: 'work_units' },
+      { op: 'default', field: 'price_usd_per_mwh', value: null },
+      { op: 'default', field: 'data_source', value: null }
+    ]
+  }
+];
+
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+/**
+ * Applies migration operations to a record copy
+ * @param {object} record - Record to migrate (not modified)
+ * @param {Array<object>} operations - Field operations
+ * @returns {object} Migrated record
+ */
+export function applyMigrationOperations(record, operations) {
+  const out = { ...record };
+
+  for (const operation of operations) {
+    switch (operation.op) {
+      case 'rename':
+        if (operation.from in out) {
+          if (isMissing(out[operation.to])) out[operation.to] = out[operation.from];
+          delete out[operation.from];
+        }
+        break;
+      case 'copy':
+        if (!isMissing(out[operation.from]) && isMissing(out[operation.to])) {
+          out[operation.to] = out[operation.from];
+        }
+        break;
+      case 'default':
+        if (out[operation.field] === undefined) out[operation.field] = operation.value;
+        break;
+      case 'drop':
+        delete out[operation.field];
+        break;
+      default:
+        throw new Error(`Unknown migration operation: ${operation.op}`);
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Reads a record's schema version
+ * @param {object} record - TSV record
+ * @returns {number} Version (1 when absent)
+ */
+export function getSchemaVersion(record) {
+  return record.schema_version ?? 1;
+}
+
+/**
+ * Upgrades a record to a schema version
+ * @param {object} record - TSV record
+ * @param {number} targetVersion - Version to reach (default: current)
+ * @returns {object} Migrated record with schema_version set
+ */
+export function migrateRecord(record, targetVersion = TSV_SCHEMA_VERSION) {
+  let version = getSchemaVersion(record);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid schema_version: ${JSON.stringify(record.schema_version)}`);
+  }
+  if (version > targetVersion) {
+    throw new Error(`Cannot downgrade schema_version ${version} to ${targetVersion}`);
+  }
+
+  let migrated = record;
+  while (version < targetVersion) {
+    const migration = MIGRATIONS.find(m => m.from === version);
+    if (!migration) {
+      throw new Error(`No migration from schema_version ${version}`);
+    }
+    migrated = applyMigrationOperations(migrated, migration.operations);
+    version = migration.to;
+  }
+
+  const out = { schema_version: version, ...migrated };
+  out.schema_version = version;
+  return out;
+}
+
+/**
+ * Checks input records against the current schema version
+ *
+ * A mismatched record is upgraded when options.migrate is set; otherwise the
+ * stream fails. Records newer than this tree always fail.
+ * @param {AsyncIterable<object>|Iterable<object>} records - TSV records
+ * @param {object} options - {migrate, onMigrated(fromVersion)}
+ * @yields {object} Records at TSV_SCHEMA_VERSION
+ */
+export async function* checkSchemaVersion(records, options = {}) {
+  const { migrate = false, onMigrated = null } = options;
+
+  for await (const record of records) {
+    const version = getSchemaVersion(record);
+    if (version === TSV_SCHEMA_VERSION) {
+      yield record;
+      continue;
+    }
+    if (!migrate || version > TSV_SCHEMA_VERSION) {
+      throw new Error(
+        `Input has schema_version ${version}, expected ${TSV_SCHEMA_VERSION}` +
+        (version > TSV_SCHEMA_VERSION ? '' : ' (upgrade with tsv-migrate or pass --migrate)')
+      );
+    }
+    onMigrated?.(version);
+    yield migrateRecord(record);
+  }
+}
+
+export { TSV_SCHEMA_VERSION, MIGRATIONS };
@@ -0,0 +1,1108 @@
+/**
+ * Parquet Module
+ *
+ * Pure-JS Apache Parquet writer and reader for TSV and ENST records.
+ *
+ * Writing: the column schema is derived from spec/tsv.schema.json (integer →
+ * INT64, number → DOUBLE, string → UTF8 BYTE_ARRAY, array of strings → LIST,
+ * ts_start/ts_end → TIMESTAMP_MICROS). Columns are OPTIONAL unless the schema
+ * requires them and disallows null. Each row group holds one PLAIN-encoded
+ * data page per column (GZIP or uncompressed) with min/max/null_count
+ * statistics (strings ordered by UTF-8 bytes, as parquet defines). Record
+ * fields outside the schema are not written.
+ *
+ * Reading: flat columns and single-level lists, PLAIN and dictionary
+ * encodings, data pages v1/v2, UNCOMPRESSED/SNAPPY/GZIP/BROTLI (and ZSTD when
+ * node:zlib provides it). Timestamps are returned in microseconds. Row groups
+ * whose site_id/ts_start statistics exclude a filter are skipped. A null in a
+ * column the JSON schema does not allow to be null is read as an absent field.
+ */
+
+import zlib from 'node:zlib';
+import { open, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+import { loadSchema } from '../schema/index.js';
+import { TSV_SCHEMA_VERSION } from '../migrate/index.js';
+
+const MAGIC = Buffer.from('PAR1');
+const DEFAULT_ROW_GROUP_SIZE = 10_000;
+const CREATED_BY = 'tsv-enst parquet writer';
+
+// Parquet enums (parquet.thrift)
+const TYPE = { BOOLEAN: 0, INT32: 1, INT64: 2, INT96: 3, FLOAT: 4, DOUBLE: 5, BYTE_ARRAY: 6, FIXED_LEN_BYTE_ARRAY: 7 };
+const REPETITION = { REQUIRED: 0, OPTIONAL: 1, REPEATED: 2 };
+const CONVERTED = { UTF8: 0, LIST: 3, TIMESTAMP_MILLIS: 9, TIMESTAMP_MICROS: 10 };
+const ENCODING = { PLAIN: 0, PLAIN_DICTIONARY: 2, RLE: 3, RLE_DICTIONARY: 8 };
+const CODEC = { UNCOMPRESSED: 0, SNAPPY: 1, GZIP: 2, BROTLI: 4, ZSTD: 6 };
+const PAGE = { DATA_PAGE: 0, DICTIONARY_PAGE: 2, DATA_PAGE_V2: 3 };
+
+/**
+ * Columns stored as timestamps rather than plain integers
+ */
+const TIMESTAMP_COLUMNS = ['ts_start', 'ts_end'];
+
+// ============================================
+// Thrift compact protocol
+// ============================================
+
+const CT = { TRUE: 1, FALSE: 2, BYTE: 3, I16: 4, I32: 5, I64: 6, DOUBLE: 7, BINARY: 8, LIST: 9, SET: 10, MAP: 11, STRUCT: 12 };
+const WIRE_TYPES = { i32: CT.I32, i64: CT.I64, double: CT.DOUBLE, binary: CT.BINARY, string: CT.BINARY, struct: CT.STRUCT };
+
+/**
+ * Serializes structs given as [[fieldId, type, value], ...]; null/undefined
+ * fields are omitted. Types: bool, i32, i64, double, binary, string, struct,
+ * list<elementType>.
+ */
+class ThriftWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  varint(n) {
+    let v = BigInt(n);
+    while (v >= 0x80n) {
+      this.bytes.push(Number(v & 0x7fn) | 0x80);
+      v >>= 7n;
+    }
+    this.bytes.push(Number(v));
+  }
+
+  zigzag(n) {
+    const v = BigInt(n);
+    this.varint(v >= 0n ? v << 1n : ((-v) << 1n) - 1n);
+  }
+
+  value(type, value) {
+    if (type.startsWith('list<')) {
+      const elementType = type.slice(5, -1);
+      const wire = WIRE_TYPES[elementType];
+      if (value.length < 15) {
+        this.bytes.push((value.length << 4) | wire);
+      } else {
+        this.bytes.push(0xf0 | wire);
+        this.varint(value.length);
+      }
+      for (const element of value) this.value(elementType, element);
+      return;
+    }
+
+    switch (type) {
+      case 'i32':
+      case 'i64':
+        this.zigzag(value);
+        break;
+      case 'double': {
+        const buf = Buffer.alloc(8);
+        buf.writeDoubleLE(value);
+        this.bytes.push(...buf);
+        break;
+      }
+      case 'string':
+      case 'binary': {
+        const buf = typeof value === 'string' ? Buffer.from(value, 'utf8') : value;
+        this.varint(buf.length);
+        for (const b of buf) this.bytes.push(b);
+        break;
+      }
+      case 'struct':
+        this.struct(value);
+        break;
+      default:
+        throw new Error(`Unsupported thrift type: ${type}`);
+    }
+  }
+
+  struct(fields) {
+    let last = 0;
+    for (const [id, type, value] of fields) {
+      if (value === undefined || value === null) continue;
+      const wire = type === 'bool' ? (value ? CT.TRUE : CT.FALSE) : (type.startsWith('list<') ? CT.LIST : WIRE_TYPES[type]);
+      const delta = id - last;
+      if (delta > 0 && delta <= 15) {
+        this.bytes.push((delta << 4) | wire);
+      } else {
+        this.bytes.push(wire);
+        this.zigzag(id);
+      }
+      last = id;
+      if (type !== 'bool') this.value(type, value);
+    }
+    this.bytes.push(0);
+  }
+
+  toBuffer() {
+    return Buffer.from(this.bytes);
+  }
+}
+
+/**
+ * Parses compact-protocol structs into {fieldId: value} objects
+ */
+class ThriftReader {
+  constructor(buffer, pos = 0) {
+    this.buffer = buffer;
+    this.pos = pos;
+  }
+
+  varint() {
+    let result = 0n;
+    let shift = 0n;
+    for (;;) {
+      const b = this.buffer[this.pos++];
+      result |= BigInt(b & 0x7f) << shift;
+      if (!(b & 0x80)) return result;
+      shift += 7n;
+    }
+  }
+
+  zigzag() {
+    const v = this.varint();
+    return Number((v >> 1n) ^ -(v & 1n));
+  }
+
+  value(type) {
+    switch (type) {
+      case CT.TRUE:
+        return true;
+      case CT.FALSE:
+        return false;
+      case CT.BYTE:
+        return this.buffer.readInt8(this.pos++);
+      case CT.I16:
+      case CT.I32:
+      case CT.I64:
+        return this.zigzag();
+      case CT.DOUBLE: {
+        const v = this.buffer.readDoubleLE(this.pos);
+        this.pos += 8;
+        return v;
+      }
+      case CT.BINARY: {
+        const length = Number(this.varint());
+        const v = this.buffer.subarray(this.pos, this.pos + length);
+        this.pos += length;
+        return v;
+      }
+      case CT.LIST:
+      case CT.SET: {
+        const header = this.buffer[this.pos++];
+        let size = header >> 4;
+        if (size === 15) size = Number(this.varint());
+        const elementType = header & 0x0f;
+        const list = [];
+        for (let i = 0; i < size; i++) {
+          // Booleans in collections are one byte each
+          list.push(elementType === CT.TRUE || elementType === CT.FALSE
+            ? this.buffer[this.pos++] === CT.TRUE
+            : this.value(elementType));
+        }
+        return list;
+      }
+      case CT.MAP: {
+        const size = Number(this.varint());
+        const map = new Map();
+        if (size === 0) return map;
+        const types = this.buffer[this.pos++];
+        for (let i = 0; i < size; i++) {
+          map.set(this.value(types >> 4), this.value(types & 0x0f));
+        }
+        return map;
+      }
+      case CT.STRUCT:
+        return this.struct();
+      default:
+        throw new Error(`Corrupt thrift data: unknown type ${type}`);
+    }
+  }
+
+  struct() {
+    const fields = {};
+    let last = 0;
+    for (;;) {
+      const header = this.buffer[this.pos++];
+      if (header === 0) return fields;
+      const delta = header >> 4;
+      const id = delta === 0 ? this.zigzag() : last + delta;
+      fields[id] = this.value(header & 0x0f);
+      last = id;
+    }
+  }
+}
+
+// ============================================
+// Encodings
+// ============================================
+
+function bitWidth(maxValue) {
+  return maxValue === 0 ? 0 : Math.ceil(Math.log2(maxValue + 1));
+}
+
+/**
+ * RLE/bit-packed hybrid encoding (written as RLE runs only)
+ */
+function encodeHybrid(values, width) {
+  const out = new ThriftWriter();
+  const byteWidth = Math.ceil(width / 8);
+  for (let i = 0; i < values.length;) {
+    let j = i;
+    while (j < values.length && values[j] === values[i]) j++;
+    out.varint((j - i) << 1);
+    for (let b = 0; b < byteWidth; b++) out.bytes.push((values[i] >> (8 * b)) & 0xff);
+    i = j;
+  }
+  return out.toBuffer();
+}
+
+function decodeHybrid(buffer, width, count) {
+  const reader = new ThriftReader(buffer);
+  const byteWidth = Math.ceil(width / 8);
+  const out = [];
+
+  while (out.length < count && reader.pos < buffer.length) {
+    const header = Number(reader.varint());
+    if (header & 1) {
+      const groups = header >> 1;
+      const start = reader.pos;
+      for (let i = 0; i < groups * 8; i++) {
+        let value = 0;
+        for (let bit = 0; bit < width; bit++) {
+          const offset = i * width + bit;
+          if (buffer[start + (offset >> 3)] & (1 << (offset & 7))) value |= 1 << bit;
+        }
+        out.push(value);
+      }
+      reader.pos += groups * width;
+    } else {
+      let value = 0;
+      for (let b = 0; b < byteWidth; b++) value |= buffer[reader.pos++] << (8 * b);
+      for (let i = 0; i < header >> 1; i++) out.push(value);
+    }
+  }
+  return out.slice(0, count);
+}
+
+function encodePlain(type, values) {
+  switch (type) {
+    case TYPE.DOUBLE: {
+      const buf = Buffer.alloc(values.length * 8);
+      values.forEach((v, i) => buf.writeDoubleLE(v, i * 8));
+      return buf;
+    }
+    case TYPE.INT64: {
+      const buf = Buffer.alloc(values.length * 8);
+      values.forEach((v, i) => buf.writeBigInt64LE(BigInt(Math.round(v)), i * 8));
+      return buf;
+    }
+    case TYPE.BYTE_ARRAY:
+      return Buffer.concat(values.flatMap(v => {
+        const bytes = Buffer.from(v, 'utf8');
+        const length = Buffer.alloc(4);
+        length.writeUInt32LE(bytes.length);
+        return [length, bytes];
+      }));
+    default:
+      throw new Error(`Unsupported parquet type for writing: ${type}`);
+  }
+}
+
+function decodePlain(type, buffer, count, typeLength) {
+  const values = [];
+  let pos = 0;
+  for (let i = 0; i < count; i++) {
+    switch (type) {
+      case TYPE.BOOLEAN:
+        values.push(Boolean(buffer[i >> 3] & (1 << (i & 7))));
+        break;
+      case TYPE.INT32:
+        values.push(buffer.readInt32LE(pos));
+        pos += 4;
+        break;
+      case TYPE.INT64:
+        values.push(Number(buffer.readBigInt64LE(pos)));
+        pos += 8;
+        break;
+      case TYPE.FLOAT:
+        values.push(buffer.readFloatLE(pos));
+        pos += 4;
+        break;
+      case TYPE.DOUBLE:
+        values.push(buffer.readDoubleLE(pos));
+        pos += 8;
+        break;
+      case TYPE.BYTE_ARRAY: {
+        const length = buffer.readUInt32LE(pos);
+        values.push(buffer.toString('utf8', pos + 4, pos + 4 + length));
+        pos += 4 + length;
+        break;
+      }
+      case TYPE.FIXED_LEN_BYTE_ARRAY:
+        values.push(buffer.toString('utf8', pos, pos + typeLength));
+        pos += typeLength;
+        break;
+      default:
+        throw new Error(`Unsupported parquet type: ${type}`);
+    }
+  }
+  return values;
+}
+
+/**
+ * Decompresses a Snappy block (raw format, as used by Parquet)
+ */
+function snappyDecompress(buffer) {
+  const reader = new ThriftReader(buffer);
+  const out = Buffer.alloc(Number(reader.varint()));
+  let pos = reader.pos;
+  let op = 0;
+
+  while (pos < buffer.length) {
+    const tag = buffer[pos++];
+    if ((tag & 3) === 0) {
+      let length = tag >> 2;
+      if (length >= 60) {
+        const bytes = length - 59;
+        length = 0;
+        for (let i = 0; i < bytes; i++) length |= buffer[pos++] << (8 * i);
+      }
+      length += 1;
+      buffer.copy(out, op, pos, pos + length);
+      pos += length;
+      op += length;
+      continue;
+    }
+
+    let length;
+    let offset;
+    if ((tag & 3) === 1) {
+      length = ((tag >> 2) & 7) + 4;
+      offset = ((tag >> 5) << 8) | buffer[pos++];
+    } else if ((tag & 3) === 2) {
+      length = (tag >> 2) + 1;
+      offset = buffer.readUInt16LE(pos);
+      pos += 2;
+    } else {
+      length = (tag >> 2) + 1;
+      offset = buffer.readUInt32LE(pos);
+      pos += 4;
+    }
+    for (let i = 0; i < length; i++, op++) out[op] = out[op - offset];
+  }
+  return out;
+}
+
+function decompress(codec, buffer) {
+  switch (codec) {
+    case CODEC.UNCOMPRESSED:
+      return buffer;
+    case CODEC.SNAPPY:
+      return snappyDecompress(buffer);
+    case CODEC.GZIP:
+      return zlib.gunzipSync(buffer);
+    case CODEC.BROTLI:
+      return zlib.brotliDecompressSync(buffer);
+    case CODEC.ZSTD:
+      if (typeof zlib.zstdDecompressSync === 'function') return zlib.zstdDecompressSync(buffer);
+      throw new Error('ZSTD parquet pages need a Node.js with zlib zstd support');
+    default:
+      throw new Error(`Unsupported parquet codec: ${codec}`);
+  }
+}
+
+/**
+ * Min/max of numeric or boolean values
+ * @param {Array<number|boolean>} values - Non-null values
+ * @returns {{min, max}|null} Bounds, null when there are no values
+ */
+function numericBounds(values) {
+  let bounds = null;
+  for (const value of values) {
+    if (!bounds) bounds = { min: value, max: value };
+    else if (value < bounds.min) bounds.min = value;
+    else if (value > bounds.max) bounds.max = value;
+  }
+  return bounds;
+}
+
+/**
+ * Compares strings by their UTF-8 bytes, the order of parquet UTF8 statistics
+ */
+function compareUtf8(a, b) {
+  return Buffer.compare(Buffer.from(a, 'utf8'), Buffer.from(b, 'utf8'));
+}
+
+/**
+ * Min/max of strings in the unsigned byte order parquet defines for UTF8
+ * (JS `<` compares UTF-16 code units, which orders astral characters wrongly)
+ * @param {Array<string>} values - Non-null values
+ * @returns {{min: string, max: string}|null} Bounds, null when there are no values
+ */
+function byteArrayBounds(values) {
+  let bounds = null;
+  for (const value of values) {
+    const bytes = Buffer.from(value, 'utf8');
+    if (!bounds) bounds = { min: value, minBytes: bytes, max: value, maxBytes: bytes };
+    else if (Buffer.compare(bytes, bounds.minBytes) < 0) Object.assign(bounds, { min: value, minBytes: bytes });
+    else if (Buffer.compare(bytes, bounds.maxBytes) > 0) Object.assign(bounds, { max: value, maxBytes: bytes });
+  }
+  return bounds && { min: bounds.min, max: bounds.max };
+}
+
+// ============================================
+// Schema
+// ============================================
+
+/**
+ * Derives parquet columns from a JSON schema
+ * @param {object} jsonSchema - TSV JSON schema
+ * @returns {Array<object>} Columns {name, type, optional, list, converted}
+ */
+export function parquetColumnsFromSchema(jsonSchema) {
+  const required = new Set(jsonSchema.required || []);
+  const columns = [];
+
+  for (const [name, property] of Object.entries(jsonSchema.properties || {})) {
+    const types = [].concat(property.type ?? []);
+    const nullable = types.includes('null');
+    const base = types.find(t => t !== 'null');
+    const optional = nullable || !required.has(name);
+
+    if (base === 'integer') {
+      const timestamp = TIMESTAMP_COLUMNS.includes(name);
+      columns.push({ name, type: TYPE.INT64, optional, converted: timestamp ? CONVERTED.TIMESTAMP_MICROS : null });
+    } else if (base === 'number') {
+      columns.push({ name, type: TYPE.DOUBLE, optional, converted: null });
+    } else if (base === 'string') {
+      columns.push({ name, type: TYPE.BYTE_ARRAY, optional, converted: CONVERTED.UTF8 });
+    } else if (base === 'array' && [].concat(property.items?.type).includes('string')) {
+      columns.push({ name, type: TYPE.BYTE_ARRAY, optional, converted: CONVERTED.UTF8, list: true });
+    }
+  }
+  return columns;
+}
+
+function schemaElements(columns) {
+  const elements = [[[4, 'string', 'schema'], [5, 'i32', columns.length]]];
+  for (const column of columns) {
+    const repetition = column.optional ? REPETITION.OPTIONAL : REPETITION.REQUIRED;
+    const logical = column.converted === CONVERTED.UTF8
+      ? [[1, 'struct', []]]
+      : column.converted === CONVERTED.TIMESTAMP_MICROS
+        ? [[8, 'struct', [[1, 'bool', true], [2, 'struct', [[2, 'struct', []]]]]]]
+        : null;
+
+    if (column.list) {
+      elements.push(
+        [[3, 'i32', repetition], [4, 'string', column.name], [5, 'i32', 1], [6, 'i32', CONVERTED.LIST],
+          [10, 'struct', [[3, 'struct', []]]]],
+        [[3, 'i32', REPETITION.REPEATED], [4, 'string', 'list'], [5, 'i32', 1]],
+        [[1, 'i32', column.type], [3, 'i32', REPETITION.OPTIONAL], [4, 'string', 'element'],
+          [6, 'i32', column.converted], [10, 'struct', logical]]
+      );
+    } else {
+      elements.push([[1, 'i32', column.type], [3, 'i32', repetition], [4, 'string', column.name],
+        [6, 'i32', column.converted], [10, 'struct', logical]]);
+    }
+  }
+  return elements;
+}
+
+// ============================================
+// Writer
+// ============================================
+
+/**
+ * Streams records into a parquet file, one row group per rowGroupSize records
+ */
+export class ParquetWriter {
+  constructor(filePath, columns, options = {}) {
+    this.filePath = filePath;
+    this.columns = columns;
+    this.rowGroupSize = options.rowGroupSize ?? DEFAULT_ROW_GROUP_SIZE;
+    this.codec = options.compression === 'none' ? CODEC.UNCOMPRESSED : CODEC.GZIP;
+    this.metadata = options.metadata || {};
+    this.handle = null;
+    this.offset = MAGIC.length;
+    this.pending = [];
+    this.rowGroups = [];
+    this.rowCount = 0;
+    this.droppedFields = new Set(); // record fields without a column
+  }
+
+  async open() {
+    await mkdir(dirname(this.filePath), { recursive: true });
+    this.handle = await open(this.filePath, 'w');
+    await this.handle.write(MAGIC, 0, MAGIC.length, 0);
+  }
+
+  async write(record) {
+    if (!this.handle) await this.open();
+    this.pending.push(record);
+    if (this.pending.length >= this.rowGroupSize) {
+      await this.flushRowGroup();
+    }
+  }
+
+  /**
+   * Builds levels, values and statistics for one column of a row group
+   */
+  shred(column, records) {
+    const defs = [];
+    const reps = [];
+    const values = [];
+    let nullCount = 0;
+
+    records.forEach((record, row) => {
+      const value = record[column.name];
+      if (value === undefined || value === null) {
+        if (!column.optional) {
+          throw new Error(`Parquet column ${column.name} is required but missing in record ${this.rowCount + row}`);
+        }
+        defs.push(0);
+        reps.push(0);
+        nullCount++;
+        return;
+      }
+
+      const base = column.optional ? 1 : 0;
+      if (column.list) {
+        if (!Array.isArray(value)) {
+          throw new Error(`Parquet column ${column.name} expects an array in record ${this.rowCount + row}`);
+        }
+        if (value.length === 0) {
+          defs.push(base);
+          reps.push(0);
+        }
+        value.forEach((element, i) => {
+          reps.push(i === 0 ? 0 : 1);
+          if (element === null || element === undefined) {
+            defs.push(base + 1);
+            nullCount++;
+          } else {
+            defs.push(base + 2);
+            values.push(String(element));
+          }
+        });
+        return;
+      }
+
+      const expected = column.type === TYPE.BYTE_ARRAY ? 'string' : 'number';
+      if (typeof value !== expected) {
+        throw new Error(`Parquet column ${column.name} expects a ${expected}, got ${JSON.stringify(value)}`);
+      }
+      defs.push(base);
+      reps.push(0);
+      values.push(value);
+    });
+
+    return { defs, reps, values, nullCount };
+  }
+
+  encodeStatistic(column, value) {
+    return column.type === TYPE.BYTE_ARRAY ? Buffer.from(value, 'utf8') : encodePlain(column.type, [value]);
+  }
+
+  async writeColumnChunk(column, records) {
+    const { defs, reps, values, nullCount } = this.shred(column, records);
+    const maxDef = (column.optional ? 1 : 0) + (column.list ? 2 : 0);
+    const maxRep = column.list ? 1 : 0;
+
+    const parts = [];
+    for (const [levels, max] of [[reps, maxRep], [defs, maxDef]]) {
+      if (max === 0) continue;
+      const encoded = encodeHybrid(levels, bitWidth(max));
+      const length = Buffer.alloc(4);
+      length.writeUInt32LE(encoded.length);
+      parts.push(length, encoded);
+    }
+    parts.push(encodePlain(column.type, values));
+
+    const body = Buffer.concat(parts);
+    const page = this.codec === CODEC.GZIP ? zlib.gzipSync(body) : body;
+    const header = new ThriftWriter();
+    header.struct([
+      [1, 'i32', PAGE.DATA_PAGE],
+      [2, 'i32', body.length],
+      [3, 'i32', page.length],
+      [5, 'struct', [
+        [1, 'i32', defs.length],
+        [2, 'i32', ENCODING.PLAIN],
+        [3, 'i32', ENCODING.RLE],
+        [4, 'i32', ENCODING.RLE]
+      ]]
+    ]);
+    const headerBuf = header.toBuffer();
+
+    const statistics = [[3, 'i64', nullCount]];
+    const bounds = column.type === TYPE.BYTE_ARRAY ? byteArrayBounds(values) : numericBounds(values);
+    if (bounds) {
+      const minBuf = this.encodeStatistic(column, bounds.min);
+      const maxBuf = this.encodeStatistic(column, bounds.max);
+      // Legacy min/max are only well-defined for signed numeric orders
+      if (column.type !== TYPE.BYTE_ARRAY) statistics.push([1, 'binary', maxBuf], [2, 'binary', minBuf]);
+      statistics.push([5, 'binary', maxBuf], [6, 'binary', minBuf]);
+    }
+    statistics.sort((a, b) => a[0] - b[0]);
+
+    const pageOffset = this.offset;
+    const chunk = Buffer.concat([headerBuf, page]);
+    await this.handle.write(chunk, 0, chunk.length, this.offset);
+    this.offset += chunk.length;
+
+    return {
+      size: chunk.length,
+      fields: [
+        [2, 'i64', pageOffset],
+        [3, 'struct', [
+          [1, 'i32', column.type],
+          [2, 'list<i32>', [ENCODING.PLAIN, ENCODING.RLE]],
+          [3, 'list<string>', column.list ? [column.name, 'list', 'element'] : [column.name]],
+          [4, 'i32', this.codec],
+          [5, 'i64', defs.length],
+          [6, 'i64', headerBuf.length + body.length],
+          [7, 'i64', chunk.length],
+          [9, 'i64', pageOffset],
+          [12, 'struct', statistics]
+        ]]
+      ]
+    };
+  }
+
+  async flushRowGroup() {
+    const records = this.pending;
+    this.pending = [];
+    if (records.length === 0) return;
+
+    const known = new Set(this.columns.map(c => c.name));
+    for (const record of records) {
+      for (const key of Object.keys(record)) {
+        if (!known.has(key)) this.droppedFields.add(key);
+      }
+    }
+
+    const chunks = [];
+    let totalSize = 0;
+    for (const column of this.columns) {
+      const chunk = await this.writeColumnChunk(column, records);
+      chunks.push(chunk.fields);
+      totalSize += chunk.size;
+    }
+
+    this.rowGroups.push([
+      [1, 'list<struct>', chunks],
+      [2, 'i64', totalSize],
+      [3, 'i64', records.length]
+    ]);
+    this.rowCount += records.length;
+  }
+
+  async close() {
+    if (!this.handle) await this.open();
+    await this.flushRowGroup();
+
+    const footer = new ThriftWriter();
+    footer.struct([
+      [1, 'i32', 1],
+      [2, 'list<struct>', schemaElements(this.columns)],
+      [3, 'i64', this.rowCount],
+      [4, 'list<struct>', this.rowGroups],
+      [5, 'list<struct>', Object.entries(this.metadata).map(([key, value]) => [[1, 'string', key], [2, 'string', String(value)]])],
+      [6, 'string', CREATED_BY],
+      [7, 'list<struct>', this.columns.map(() => [[1, 'struct', []]])]
+    ]);
+    const footerBuf = footer.toBuffer();
+    const trailer = Buffer.alloc(8);
+    trailer.writeUInt32LE(footerBuf.length, 0);
+    MAGIC.copy(trailer, 4);
+
+    const tail = Buffer.concat([footerBuf, trailer]);
+    await this.handle.write(tail, 0, tail.length, this.offset);
+    await this.handle.close();
+    this.handle = null;
+  }
+}
+
+/**
+ * Writes TSV or ENST records to a parquet file
+ * @param {string} filePath - Output path
+ * @param {AsyncIterable<object>|Iterable<object>} records - Records
+ * @param {object} options - {jsonSchema, rowGroupSize, compression ('gzip'|'none')}
+ * @returns {Promise<{rowCount: number, droppedFields: string[]}>} Rows written and fields left out
+ */
+export async function writeParquet(filePath, records, options = {}) {
+  const jsonSchema = options.jsonSchema || await loadSchema();
+  const writer = new ParquetWriter(filePath, parquetColumnsFromSchema(jsonSchema), {
+    ...options,
+    metadata: { 'tsv.schema_version': TSV_SCHEMA_VERSION, ...options.metadata }
+  });
+  for await (const record of records) {
+    await writer.write(record);
+  }
+  await writer.close();
+  return { rowCount: writer.rowCount, droppedFields: [...writer.droppedFields] };
+}
+
+// ============================================
+// Reader
+// ============================================
+
+/**
+ * Rebuilds leaf column descriptions from the flattened schema list
+ */
+function leafColumns(elements) {
+  const leaves = [];
+  let index = 1;
+
+  const walk = (count, path) => {
+    for (let i = 0; i < count; i++) {
+      const element = elements[index++];
+      const node = {
+        name: element[4].toString('utf8'),
+        repetition: element[3] ?? REPETITION.REQUIRED,
+        type: element[1],
+        typeLength: element[2],
+        converted: element[6],
+        logical: element[10]
+      };
+      const nodePath = [...path, node];
+      if (element[5]) {
+        walk(element[5], nodePath);
+      } else {
+        leaves.push(describeLeaf(nodePath));
+      }
+    }
+  };
+  walk(elements[0][5] ?? 0, []);
+  return leaves;
+}
+
+function describeLeaf(path) {
+  let def = 0;
+  let rep = 0;
+  let listDef = null; // definition level at which the list itself is present
+  let repDef = null; // definition level of the repeated node
+
+  for (const node of path) {
+    if (node.repetition === REPETITION.REPEATED) {
+      if (rep > 0) {
+        throw new Error(`Unsupported nested parquet column: ${path.map(n => n.name).join('.')}`);
+      }
+      listDef = def;
+      rep++;
+      def++;
+      repDef = def;
+    } else if (node.repetition === REPETITION.OPTIONAL) {
+      def++;
+    }
+  }
+  if (rep === 0 && path.length > 1) {
+    throw new Error(`Unsupported nested parquet column: ${path.map(n => n.name).join('.')}`);
+  }
+
+  const leaf = path[path.length - 1];
+  const timestamp = leaf.logical?.[8];
+  const unit = timestamp ? Object.keys(timestamp[2] || {})[0] : null;
+  const scale = leaf.converted === CONVERTED.TIMESTAMP_MILLIS || unit === '1'
+    ? 1000
+    : unit === '3' ? 0.001 : 1;
+
+  return {
+    name: path[0].name,
+    path: path.map(n => n.name),
+    type: leaf.type,
+    typeLength: leaf.typeLength,
+    maxDef: def,
+    maxRep: rep,
+    listDef,
+    repDef,
+    scale
+  };
+}
+
+function readStatistic(column, buffer) {
+  if (!buffer) return null;
+  if (column.type === TYPE.BYTE_ARRAY) return buffer.toString('utf8');
+  const [value] = decodePlain(column.type, buffer, 1, column.typeLength);
+  return typeof value === 'number' ? value * column.scale : value;
+}
+
+/**
+ * Random-access parquet reader
+ */
+export class ParquetReader {
+  constructor(handle, metadata, options = {}) {
+    this.handle = handle;
+    this.metadata = metadata;
+    this.columns = leafColumns(metadata[2]);
+    this.stats = { row_groups_read: 0, row_groups_skipped: 0 };
+
+    // Fields the JSON schema never allows to be null are omitted instead
+    const properties = options.jsonSchema?.properties || {};
+    this.absentWhenNull = new Set(Object.keys(properties).filter(name => {
+      const types = [].concat(properties[name].type ?? []);
+      return types.length > 0 && !types.includes('null');
+    }));
+  }
+
+  /**
+   * Opens a file and parses its footer
+   * @param {string} filePath - Parquet file
+   * @param {object} options - {jsonSchema} used to tell absent fields from nulls
+   * @returns {Promise<ParquetReader>} Reader
+   */
+  static async open(filePath, options = {}) {
+    const handle = await open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      const trailer = Buffer.alloc(8);
+      await handle.read(trailer, 0, 8, size - 8);
+      if (size < 12 || !trailer.subarray(4).equals(MAGIC)) {
+        throw new Error(`Not a parquet file: ${filePath}`);
+      }
+      const footerLength = trailer.readUInt32LE(0);
+      const footer = Buffer.alloc(footerLength);
+      await handle.read(footer, 0, footerLength, size - 8 - footerLength);
+      return new ParquetReader(handle, new ThriftReader(footer).struct(), options);
+    } catch (err) {
+      await handle.close();
+      throw err;
+    }
+  }
+
+  get rowCount() {
+    return Number(this.metadata[3]);
+  }
+
+  get keyValueMetadata() {
+    return Object.fromEntries((this.metadata[5] || []).map(kv => [kv[1].toString('utf8'), kv[2]?.toString('utf8')]));
+  }
+
+  /**
+   * Reads a row group's min/max/null_count for a top-level column
+   * @param {object} rowGroup - Row group struct
+   * @param {string} name - Column name
+   * @returns {{min: *, max: *, nullCount: number|null}|null} Statistics if recorded
+   */
+  columnStatistics(rowGroup, name) {
+    const index = this.columns.findIndex(c => c.name === name && c.maxRep === 0);
+    if (index === -1) return null;
+    const stats = rowGroup[1][index]?.[3]?.[12];
+    if (!stats) return null;
+    const column = this.columns[index];
+    return {
+      min: readStatistic(column, stats[6] ?? stats[2]),
+      max: readStatistic(column, stats[5] ?? stats[1]),
+      nullCount: stats[3] ?? null
+    };
+  }
+
+  /**
+   * Checks row group statistics against a site/time filter
+   */
+  mayMatch(rowGroup, filter) {
+    const { siteId = null, startTs = null, endTs = null } = filter;
+    if (siteId !== null) {
+      const site = this.columnStatistics(rowGroup, 'site_id');
+      if (site?.min !== null && site?.min !== undefined &&
+          (compareUtf8(siteId, site.min) < 0 || compareUtf8(siteId, site.max) > 0)) return false;
+    }
+    if (startTs !== null || endTs !== null) {
+      const ts = this.columnStatistics(rowGroup, 'ts_start');
+      if (ts?.min !== null && ts?.min !== undefined) {
+        if (startTs !== null && ts.max < startTs) return false;
+        if (endTs !== null && ts.min > endTs) return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Decodes every page of a column chunk
+   * @returns {Promise<{defs: number[], reps: number[], values: Array}>} Levels and values
+   */
+  async readColumnChunk(column, chunk) {
+    const meta = chunk[3];
+    const start = Number(meta[11] ?? meta[9]);
+    const length = Number(meta[7]);
+    const totalValues = Number(meta[5]);
+    const codec = meta[4];
+    const buffer = Buffer.alloc(length);
+    await this.handle.read(buffer, 0, length, start);
+
+    const defs = [];
+    const reps = [];
+    const values = [];
+    let dictionary = null;
+    let pos = 0;
+
+    while (defs.length < totalValues && pos < buffer.length) {
+      const reader = new ThriftReader(buffer, pos);
+      const header = reader.struct();
+      const pageStart = reader.pos;
+      const compressedSize = header[3];
+      pos = pageStart + compressedSize;
+      const raw = buffer.subarray(pageStart, pos);
+
+      if (header[1] === PAGE.DICTIONARY_PAGE) {
+        dictionary = decodePlain(column.type, decompress(codec, raw), header[7][1], column.typeLength);
+        continue;
+      }
+
+      let count;
+      let encoding;
+      let body;
+      let pageReps = [];
+      let pageDefs = [];
+
+      if (header[1] === PAGE.DATA_PAGE) {
+        count = header[5][1];
+        encoding = header[5][2];
+        body = decompress(codec, raw);
+        let offset = 0;
+        for (const [max, target] of [[column.maxRep, 'reps'], [column.maxDef, 'defs']]) {
+          if (max === 0) continue;
+          const size = body.readUInt32LE(offset);
+          const levels = decodeHybrid(body.subarray(offset + 4, offset + 4 + size), bitWidth(max), count);
+          if (target === 'reps') pageReps = levels; else pageDefs = levels;
+          offset += 4 + size;
+        }
+        body = body.subarray(offset);
+      } else if (header[1] === PAGE.DATA_PAGE_V2) {
+        const v2 = header[8];
+        count = v2[1];
+        encoding = v2[4];
+        const defLength = v2[5];
+        const repLength = v2[6];
+        if (column.maxRep > 0) pageReps = decodeHybrid(raw.subarray(0, repLength), bitWidth(column.maxRep), count);
+        if (column.maxDef > 0) {
+          pageDefs = decodeHybrid(raw.subarray(repLength, repLength + defLength), bitWidth(column.maxDef), count);
+        }
+        const data = raw.subarray(repLength + defLength);
+        body = v2[7] === false ? data : decompress(codec, data);
+      } else {
+        continue; // index pages carry no values
+      }
+
+      if (column.maxRep === 0) pageReps = new Array(count).fill(0);
+      if (column.maxDef === 0) pageDefs = new Array(count).fill(0);
+      const present = pageDefs.filter(d => d === column.maxDef).length;
+
+      if (encoding === ENCODING.PLAIN) {
+        for (const value of decodePlain(column.type, body, present, column.typeLength)) values.push(value);
+      } else if (encoding === ENCODING.RLE_DICTIONARY || encoding === ENCODING.PLAIN_DICTIONARY) {
+        if (!dictionary) throw new Error(`Dictionary page missing for ${column.path.join('.')}`);
+        for (const id of decodeHybrid(body.subarray(1), body[0], present)) values.push(dictionary[id]);
+      } else {
+        throw new Error(`Unsupported parquet encoding ${encoding} for ${column.path.join('.')}`);
+      }
+      // Element-wise: spreading a large page into push() overflows the stack
+      for (const def of pageDefs) defs.push(def);
+      for (const rep of pageReps) reps.push(rep);
+    }
+
+    return { defs, reps, values: column.scale === 1 ? values : values.map(v => v * column.scale) };
+  }
+
+  /**
+   * Reassembles a column's values per row
+   */
+  assemble(column, { defs, reps, values }, rowCount) {
+    const rows = [];
+    let next = 0;
+
+    for (let i = 0; i < defs.length; i++) {
+      const def = defs[i];
+      if (column.maxRep === 0) {
+        rows.push(def === column.maxDef ? values[next++] : null);
+        continue;
+      }
+
+      if (reps[i] === 0) {
+        rows.push(def < column.listDef ? null : []);
+      }
+      if (def >= column.repDef) {
+        rows[rows.length - 1].push(def === column.maxDef ? values[next++] : null);
+      }
+    }
+
+    if (rows.length !== rowCount) {
+      throw new Error(`Corrupt parquet column ${column.path.join('.')}: ${rows.length} rows, expected ${rowCount}`);
+    }
+    return rows;
+  }
+
+  /**
+   * Reads records, skipping row groups excluded by their statistics
+   * @param {object} filter - {siteId, startTs, endTs} (ts_start bounds, inclusive)
+   * @yields {object} Records
+   */
+  async* read(filter = {}) {
+    const { siteId = null, startTs = null, endTs = null } = filter;
+
+    for (const rowGroup of this.metadata[4] || []) {
+      if (!this.mayMatch(rowGroup, filter)) {
+        this.stats.row_groups_skipped++;
+        continue;
+      }
+      this.stats.row_groups_read++;
+
+      const rowCount = Number(rowGroup[3]);
+      const columns = [];
+      for (let i = 0; i < this.columns.length; i++) {
+        const column = this.columns[i];
+        columns.push([column.name, this.assemble(column, await this.readColumnChunk(column, rowGroup[1][i]), rowCount)]);
+      }
+
+      for (let row = 0; row < rowCount; row++) {
+        const record = {};
+        for (const [name, rows] of columns) {
+          if (rows[row] === null && this.absentWhenNull.has(name)) continue;
+          record[name] = rows[row];
+        }
+        const ts = record.ts_start ?? record.ts;
+        if (siteId !== null && record.site_id !== siteId) continue;
+        if (startTs !== null && typeof ts === 'number' && ts < startTs) continue;
+        if (endTs !== null && typeof ts === 'number' && ts > endTs) continue;
+        yield record;
+      }
+    }
+  }
+
+  async close() {
+    await this.handle.close();
+  }
+}
+
+/**
+ * Reads TSV or ENST records from a parquet file
+ * @param {string} filePath - Parquet file
+ * @param {object} filter - {siteId, startTs, endTs}
+ * @param {object} options - {jsonSchema} (default: spec/tsv.schema.json)
+ * @yields {object} Records
+ */
+export async function* readParquet(filePath, filter = {}, options = {}) {
+  const reader = await ParquetReader.open(filePath, { jsonSchema: options.jsonSchema || await loadSchema() });
+  try {
+    yield* reader.read(filter);
+  } finally {
+    await reader.close();
+  }
+}
+
+/**
+ * Checks whether a file starts with the parquet magic bytes
+ * @param {string} filePath - File path
+ * @returns {Promise<boolean>} True for parquet files
+ */
+export async function isParquetFile(filePath) {
+  const handle = await open(filePath, 'r');
+  try {
+    const head = Buffer.alloc(MAGIC.length);
+    const { bytesRead } = await handle.read(head, 0, MAGIC.length, 0);
+    return bytesRead === MAGIC.length && head.equals(MAGIC);
+  } finally {
+    await handle.close();
+  }
+}
+
+export { DEFAULT_ROW_GROUP_SIZE };
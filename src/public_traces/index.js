@@ -5,12 +5,14 @@
  * Used for reproducible demo runs without external downloads.
  */
 
-import { createReadStream, createWriteStream } from 'node:fs';
-import { createInterface } from 'node:readline';
+import { createWriteStream } from 'node:fs';
 import { mkdir } from 'node:fs/promises';
 import { dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
 
+import { TSV_SCHEMA_VERSION } from '../migrate/index.js';
+import { readRecords } from '../io/index.js';
+
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = join(__dirname, '../../data/public_traces');
 
@@ -215,60 +217,42 @@ export async function writePublicTraces() {
 /**
  * Reads usage records from public traces file
  * @param {string} filePath - Path to usage.ndjson
- * @yields {object} Usage records
+ * @param {object} options - src/io readRecords options {budget, onMalformed}
+ * @returns {AsyncGenerator<object>} Usage records
  */
-export async function* readPublicUsage(filePath = join(DATA_DIR, 'usage.ndjson')) {
-  const stream = createReadStream(filePath, { encoding: 'utf8' });
-  const rl = createInterface({ input: stream, crlfDelay: Infinity });
-
-  for await (const line of rl) {
-    if (line.trim()) {
-      try {
-        yield JSON.parse(line);
-      } catch (e) {
-        continue;
-      }
-    }
-  }
+export function readPublicUsage(filePath = join(DATA_DIR, 'usage.ndjson'), options = {}) {
+  return readRecords(filePath, options);
 }
 
 /**
  * Reads power records from public traces file
  * @param {string} filePath - Path to power.ndjson
- * @yields {object} Power records
+ * @param {object} options - src/io readRecords options {budget, onMalformed}
+ * @returns {AsyncGenerator<object>} Power records
  */
-export async function* readPublicPower(filePath = join(DATA_DIR, 'power.ndjson')) {
-  const stream = createReadStream(filePath, { encoding: 'utf8' });
-  const rl = createInterface({ input: stream, crlfDelay: Infinity });
-
-  for await (const line of rl) {
-    if (line.trim()) {
-      try {
-        yield JSON.parse(line);
-      } catch (e) {
-        continue;
-      }
-    }
-  }
+export function readPublicPower(filePath = join(DATA_DIR, 'power.ndjson'), options = {}) {
+  return readRecords(filePath, options);
 }
 
 /**
  * Loads and normalizes public traces into TSV records
+ * @param {object} options - {errorBudget} for malformed trace lines
  * @yields {object} Normalized TSV records with data_source="real:public-traces"
  */
-export async function* loadPublicTraces() {
+export async function* loadPublicTraces(options = {}) {
+  const readOptions = options.errorBudget ? { budget: options.errorBudget } : {};
   const usageByKey = new Map();
   const powerByKey = new Map();
   const windowSizeUs = WINDOW_SIZE_S * 1_000_000;
 
   // Load usage records
-  for await (const record of readPublicUsage()) {
+  for await (const record of readPublicUsage(undefined, readOptions)) {
     const key = `${record.site_id}:${record.ts_start}`;
     usageByKey.set(key, record);
   }
 
   // Load power records
-  for await (const record of readPublicPower()) {
+  for await (const record of readPublicPower(undefined, readOptions)) {
     const key = `${record.site_id}:${record.ts_start}`;
     powerByKey.set(key, record);
   }
@@ -283,6 +267,7 @@ export async function* loadPublicTraces() {
     const tsStart = usage.ts_start || power.ts_start;
 
     yield {
+      schema_version: TSV_SCHEMA_VERSION,
       ts_start: tsStart,
       ts_end: usage.ts_end || power.ts_end || tsStart + windowSizeUs,
       site_id: siteId,
@@ -0,0 +1,387 @@
+/**
+ * Schema Validation Module
+ *
+ * Dependency-free JSON Schema (draft-07) validation for TSV records against
+ * spec/tsv.schema.json. Violations are reported with the JSON pointer of the
+ * offending value, the schema keyword (rule) that failed and a reason, so
+ * CLIs can quarantine bad records and summarize error counts by rule.
+ *
+ * Supported keywords: type, enum, const, minimum, maximum, exclusiveMinimum,
+ * exclusiveMaximum, multipleOf, minLength, maxLength, pattern, items,
+ * additionalItems, minItems, maxItems, uniqueItems, contains, required,
+ * properties, patternProperties, additionalProperties, minProperties,
+ * maxProperties, propertyNames, allOf, anyOf, oneOf, not, if/then/else and
+ * local $ref. Annotations (description, format, ...) are ignored.
+ */
+
+import { createWriteStream, mkdirSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { once } from 'node:events';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const TSV_SCHEMA_PATH = join(dirname(fileURLToPath(import.meta.url)), '../../spec/tsv.schema.json');
+
+/**
+ * Loads a JSON schema
+ * @param {string} filePath - Schema path (default: spec/tsv.schema.json)
+ * @returns {Promise<object>} Parsed schema
+ */
+export async function loadSchema(filePath = TSV_SCHEMA_PATH) {
+  return JSON.parse(await readFile(filePath, 'utf8'));
+}
+
+/**
+ * Escapes a property name for a JSON pointer (RFC 6901)
+ */
+function pointer(path, key) {
+  return `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Resolves a local reference such as "#/definitions/identity"
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+  let target = root;
+  for (const part of ref.slice(1).split('/').filter(Boolean)) {
+    const key = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+    target = target?.[key];
+  }
+  if (target === undefined) {
+    throw new Error(`Unresolved schema reference: ${ref}`);
+  }
+  return target;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b) || typeof a !== 'object') return false;
+  const keysA = Object.keys(a);
+  return keysA.length === Object.keys(b).length && keysA.every(k => deepEqual(a[k], b[k]));
+}
+
+/**
+ * Validates a value against a schema
+ * @param {*} value - Value to check
+ * @param {object|boolean} schema - Schema (or sub-schema)
+ * @param {object} root - Root schema for $ref resolution
+ * @param {string} path - JSON pointer of value
+ * @returns {Array<{path: string, rule: string, message: string}>} Violations (empty when valid)
+ */
+export function validateSchema(value, schema, root = schema, path = '') {
+  if (schema === true) return [];
+  if (schema === false) return [{ path, rule: 'false', message: 'no value is allowed here' }];
+
+  const errors = [];
+  const fail = (rule, message, at = path) => errors.push({ path: at, rule, message });
+
+  if (schema.$ref) {
+    // draft-07: siblings of $ref are ignored
+    return validateSchema(value, resolveRef(root, schema.$ref), root, path);
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      const actual = typeof value === 'number' && !Number.isFinite(value) ? String(value) : typeOf(value);
+      fail('type', `expected ${types.join(' or ')}, got ${actual}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some(option => deepEqual(option, value))) {
+    fail('enum', `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    fail('const', `must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `${value} is below minimum ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `${value} is above maximum ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `${value} must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `${value} must be less than ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined) {
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        fail('multipleOf', `${value} is not a multiple of ${schema.multipleOf}`);
+      }
+    }
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail('minLength', `shorter than ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail('maxLength', `longer than ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('pattern', `does not match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (Array.isArray(schema.items)) {
+      value.forEach((item, i) => {
+        const itemSchema = i < schema.items.length ? schema.items[i] : schema.additionalItems;
+        if (itemSchema !== undefined) {
+          errors.push(...validateSchema(item, itemSchema, root, pointer(path, i)));
+        }
+      });
+    } else if (schema.items !== undefined) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, root, pointer(path, i))));
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `fewer than ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `more than ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => deepEqual(other, item)) !== i)) {
+      fail('uniqueItems', 'items are not unique');
+    }
+    if (schema.contains !== undefined &&
+      !value.some(item => validateSchema(item, schema.contains, root).length === 0)) {
+      fail('contains', 'no item matches the contains schema');
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const keys = Object.keys(value);
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        fail('required', `missing required property ${key}`, pointer(path, key));
+      }
+    }
+
+    const patterns = Object.entries(schema.patternProperties || {}).map(([p, s]) => [new RegExp(p, 'u'), s]);
+    for (const key of keys) {
+      if (value[key] === undefined) continue;
+      const at = pointer(path, key);
+      let matched = false;
+
+      if (schema.properties && Object.hasOwn(schema.properties, key)) {
+        matched = true;
+        errors.push(...validateSchema(value[key], schema.properties[key], root, at));
+      }
+      for (const [regex, propertySchema] of patterns) {
+        if (regex.test(key)) {
+          matched = true;
+          errors.push(...validateSchema(value[key], propertySchema, root, at));
+        }
+      }
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          fail('additionalProperties', `unexpected property ${key}`, at);
+        } else {
+          errors.push(...validateSchema(value[key], schema.additionalProperties, root, at));
+        }
+      }
+      if (schema.propertyNames !== undefined && validateSchema(key, schema.propertyNames, root).length > 0) {
+        fail('propertyNames', `property name ${key} is not allowed`, at);
+      }
+    }
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      fail('minProperties', `fewer than ${schema.minProperties} properties`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      fail('maxProperties', `more than ${schema.maxProperties} properties`);
+    }
+  }
+
+  for (const sub of schema.allOf || []) {
+    errors.push(...validateSchema(value, sub, root, path));
+  }
+  if (schema.anyOf && !schema.anyOf.some(sub => validateSchema(value, sub, root, path).length === 0)) {
+    fail('anyOf', 'matches none of the anyOf schemas');
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(sub => validateSchema(value, sub, root, path).length === 0).length;
+    if (matches !== 1) {
+      fail('oneOf', `matches ${matches} of the oneOf schemas instead of exactly one`);
+    }
+  }
+  if (schema.not !== undefined && validateSchema(value, schema.not, root, path).length === 0) {
+    fail('not', 'matches a schema it must not match');
+  }
+  if (schema.if !== undefined) {
+    const branch = validateSchema(value, schema.if, root, path).length === 0 ? schema.then : schema.else;
+    if (branch !== undefined) {
+      errors.push(...validateSchema(value, branch, root, path));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates records, counting violations by rule
+ *
+ * Invalid records are handed to options.onInvalid as quarantine entries
+ * ({stage, line?, errors, record}); with options.strict the first violation
+ * throws instead.
+ */
+export class SchemaValidator {
+  constructor(schema, options = {}) {
+    this.schema = schema;
+    this.strict = options.strict ?? false;
+    this.onInvalid = options.onInvalid || null;
+    this.stats = { checked: 0, invalid: 0, by_rule: {} };
+  }
+
+  validate(record) {
+    return validateSchema(record, this.schema);
+  }
+
+  /**
+   * Checks a record
+   * @param {object} record - TSV record
+   * @param {object} context - Extra quarantine fields (e.g. {stage: 'input'})
+   * @returns {boolean} True if the record is valid
+   */
+  check(record, context = {}) {
+    this.stats.checked++;
+    const errors = this.validate(record);
+    if (errors.length === 0) return true;
+    this.reject({ ...context, record }, errors);
+    return false;
+  }
+
+  /**
+   * Records a rejected record
+   * @param {object} entry - Quarantine fields ({stage, line?, record?, raw?})
+   * @param {Array<object>} errors - Violations
+   */
+  reject(entry, errors) {
+    this.stats.invalid++;
+    for (const error of errors) {
+      this.stats.by_rule[error.rule] = (this.stats.by_rule[error.rule] || 0) + 1;
+    }
+
+    if (this.strict) {
+      const where = [entry.stage, entry.line !== undefined ? `line ${entry.line}` : null].filter(Boolean).join(' ');
+      const first = errors[0];
+      throw new Error(`Schema violation${where ? ` (${where})` : ''} at ${first.path || '/'}: ${first.message}`);
+    }
+    if (this.onInvalid) {
+      const { record, ...rest } = entry;
+      this.onInvalid({ ...rest, errors, ...(record !== undefined ? { record } : {}) });
+    }
+  }
+
+  /**
+   * Records an input line that is not valid JSON
+   * @param {object} entry - Quarantine fields ({stage, line, raw})
+   * @param {string} message - Parser error
+   */
+  rejectUnparsed(entry, message) {
+    this.stats.checked++;
+    this.reject(entry, [{ path: '', rule: 'json', message }]);
+  }
+
+  /**
+   * Formats violation counts by rule for a CLI summary
+   * @returns {string} One line per rule, or a single "valid" line
+   */
+  summary() {
+    const { checked, invalid, by_rule: byRule } = this.stats;
+    if (invalid === 0) {
+      return `Schema validation: ${checked} checks, all valid`;
+    }
+    const rules = Object.entries(byRule)
+      .sort((a, b) => b[1] - a[1])
+      .map(([rule, count]) => `  ${rule}: ${count}`);
+    return [`Schema validation: ${checked} checks, ${invalid} records quarantined`, ...rules].join('\n');
+  }
+}
+
+/**
+ * Passes valid records through and quarantines the rest
+ * @param {AsyncIterable<object>|Iterable<object>} records - TSV records
+ * @param {SchemaValidator|null} validator - Validator, null to pass everything through
+ * @param {object} context - Quarantine fields (e.g. {stage: 'output'})
+ * @yields {object} Valid records
+ */
+export async function* validateRecords(records, validator, context = {}) {
+  for await (const record of records) {
+    if (!validator || validator.check(record, context)) {
+      yield record;
+    }
+  }
+}
+
+/**
+ * NDJSON side output for rejected records; the file is only created once
+ * something is quarantined
+ */
+export class QuarantineWriter {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.stream = null;
+    this.count = 0;
+  }
+
+  write(entry) {
+    if (!this.stream) {
+      mkdirSync(dirname(this.filePath), { recursive: true });
+      this.stream = createWriteStream(this.filePath);
+    }
+    this.stream.write(JSON.stringify(entry) + '\n');
+    this.count++;
+  }
+
+  async close() {
+    if (!this.stream) return;
+    this.stream.end();
+    await once(this.stream, 'finish');
+  }
+}
+
+/**
+ * Sets up TSV validation for a CLI
+ * @param {object} options - {strict, quarantinePath, schemaPath}
+ * @returns {Promise<{validator: SchemaValidator, quarantine: QuarantineWriter}>} Validator writing to the quarantine file
+ */
+export async function createTsvValidator(options = {}) {
+  const { strict = false, quarantinePath, schemaPath = TSV_SCHEMA_PATH } = options;
+  const quarantine = new QuarantineWriter(quarantinePath);
+  const validator = new SchemaValidator(await loadSchema(schemaPath), {
+    strict,
+    onInvalid: entry => quarantine.write(entry)
+  });
+  return { validator, quarantine };
+}
+
+export { TSV_SCHEMA_PATH };
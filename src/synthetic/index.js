@@ -4,6 +4,8 @@
  * Generates multi-site synthetic TSV data for testing and validation.
  */
 
+import { TSV_SCHEMA_VERSION } from '../migrate/index.js';
+
 /**
  * Site configuration profiles with deterministic price_usd_per_mwh
  */
@@ -115,6 +117,7 @@ export function* generateMultiSiteSynthetic(options = {}) {
         (random() - 0.5) * 5000;
 
       yield {
+        schema_version: TSV_SCHEMA_VERSION,
         ts_start: ts,
         ts_end: ts + windowSizeUs,
         site_id: siteId,
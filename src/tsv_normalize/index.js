@@ -2,66 +2,425 @@
  * TSV Normalization Module
  *
  * Merges usage records and power records into unified TSV NDJSON windows.
+ * normalizeTsvStream does the same over time-ordered streams with bounded memory.
+ *
+ * Several sources may report the same site window (two PDU files, cluster usage
+ * plus GPU telemetry); their records are merged field by field, see
+ * DEFAULT_MERGE_STRATEGIES.
+ */
+
+import { mergeByEventTime, windowTime } from '../streaming/index.js';
+import {
+  resolveIdentity,
+  truncateIdentity,
+  identityKey,
+  validateIdentityLevel,
+  IDENTITY_FIELDS
+} from '../identity/index.js';
+import { TSV_SCHEMA_VERSION } from '../migrate/index.js';
+
+/**
+ * Per-field merge strategies:
+ * - sum: add values (disjoint sources of energy / work)
+ * - mean: energy-weighted mean; a source record is weighted by its
+ *   energy_j_window and, when rolling up, a usage window by the energy of the
+ *   power window joined to it. If any record merged into the field has no
+ *   energy, all of them get equal weights, since joules and a weight of one
+ *   do not mix
+ * - max / min: extreme value
+ * - first / last: keep the first / latest non-null value
+ */
+const MERGE_STRATEGIES = ['sum', 'mean', 'max', 'min', 'first', 'last'];
+
+/**
+ * Strategies for known source fields; other fields use 'last'
+ */
+const DEFAULT_MERGE_STRATEGIES = {
+  energy_j_window: 'sum',
+  power_w: 'sum',
+  gpu_energy_j_window: 'sum',
+  gpu_power_w: 'sum',
+  resource_seconds_window: 'sum',
+  cpu_core_seconds: 'sum',
+  gpu_seconds: 'sum',
+  sample_count: 'sum',
+  node_count: 'sum',
+  gpu_count: 'sum',
+  cpu_util: 'mean',
+  gpu_util: 'mean',
+  mem_util: 'mean',
+  coverage_ratio: 'mean',
+  job_queue_depth: 'max',
+  jobs_submitted: 'max',
+  jobs_scheduled: 'max',
+  jobs_evicted: 'max',
+  jobs_failed: 'max'
+};
+
+/**
+ * Strategies used when rolling windows of different entities up the identity
+ * hierarchy: counts add up across nodes/partitions instead of taking the max
  */
+const DEFAULT_ROLLUP_STRATEGIES = {
+  ...DEFAULT_MERGE_STRATEGIES,
+  job_queue_depth: 'sum',
+  jobs_submitted: 'sum',
+  jobs_scheduled: 'sum',
+  jobs_evicted: 'sum',
+  jobs_failed: 'sum',
+  job_count: 'sum',
+  instance_count: 'sum'
+};
 
 /**
  * Merges usage and power streams into TSV records
+ *
+ * Windows are keyed by hierarchical identity (site → cluster → partition →
+ * node). With options.rollup set to a level, finer windows are rolled up to it
+ * before usage and power are joined.
  */
 export class TsvNormalizer {
   constructor(options = {}) {
     this.windowSizeUs = options.windowSizeUs || 300_000_000;
-    this.usageByKey = new Map();
+    this.usageByKey = new Map(); // key -> merge accumulator
     this.powerByKey = new Map();
+    this.watermark = options.watermark || null; // optional streaming Watermark
+    this.flushedUntilUs = -Infinity;
+    this.rollup = options.rollup ? validateIdentityLevel(options.rollup) : null;
+    this.mergeStrategies = { ...DEFAULT_MERGE_STRATEGIES, ...(options.mergeStrategies || {}) };
+    this.rollupStrategies = { ...DEFAULT_ROLLUP_STRATEGIES, ...(options.rollupStrategies || {}) };
+    this.conflictTolerance = options.conflictTolerance ?? 0.05; // relative spread
+    this.conflicts = [];
+    this.onConflict = options.onConflict || (conflict => this.conflicts.push(conflict));
+
+    for (const strategies of [this.mergeStrategies, this.rollupStrategies]) {
+      for (const [field, strategy] of Object.entries(strategies)) {
+        if (!MERGE_STRATEGIES.includes(strategy)) {
+          throw new Error(`Unknown merge strategy for ${field}: ${strategy}`);
+        }
+      }
+    }
   }
 
-  getWindowKey(ts, siteId) {
+  getWindowKey(ts, identity) {
     const windowStart = Math.floor(ts / this.windowSizeUs) * this.windowSizeUs;
-    return `${siteId}:${windowStart}`;
+    return `${identityKey(identity)}:${windowStart}`;
+  }
+
+  /**
+   * Checks a window record against the streaming watermark and advances it
+   * @param {object} record - Usage or power window record
+   * @returns {boolean} True if the record is late and was sent to the side output
+   */
+  rejectIfLate(record) {
+    if (!this.watermark) return false;
+
+    const ts = record.ts_start || record.ts;
+    const windowEnd = Math.floor(ts / this.windowSizeUs) * this.windowSizeUs + this.windowSizeUs;
+    if (this.watermark.isClosed(windowEnd)) {
+      this.watermark.rejectLate('tsv', record);
+      return true;
+    }
+    this.watermark.observe(ts);
+    return false;
   }
 
   addUsageRecord(record) {
-    const key = this.getWindowKey(record.ts_start || record.ts, record.site_id);
-    this.usageByKey.set(key, record);
+    if (this.rejectIfLate(record)) return;
+    this.addToWindow(this.usageByKey, record);
   }
 
   addPowerRecord(record) {
-    const key = this.getWindowKey(record.ts_start || record.ts, record.site_id);
-    this.powerByKey.set(key, record);
+    if (this.rejectIfLate(record)) return;
+    this.addToWindow(this.powerByKey, record);
   }
 
-  *emit() {
-    const allKeys = new Set([...this.usageByKey.keys(), ...this.powerByKey.keys()]);
-
-    for (const key of allKeys) {
-      const usage = this.usageByKey.get(key) || {};
-      const power = this.powerByKey.get(key) || {};
-
-      const [siteId, tsStr] = key.split(':');
-      const tsStart = parseInt(tsStr, 10);
-      const windowDurationS = this.windowSizeUs / 1_000_000;
-
-      yield {
-        ts_start: usage.ts_start || power.ts_start || tsStart,
-        ts_end: usage.ts_end || power.ts_end || tsStart + this.windowSizeUs,
-        site_id: siteId,
-        cpu_util: usage.cpu_util ?? 0,
-        gpu_util: usage.gpu_util ?? null,
-        mem_util: usage.mem_util ?? null,
-        job_queue_depth: usage.job_queue_depth ?? 0,
-        resource_seconds: usage.resource_seconds_window ?? 0,
-        power_w: power.power_w ?? null,
-        energy_j: power.energy_j_window ?? null,
-        validated_work_units: null,
-        throughput_ops: null,
-        enst: null,
-        window_duration_s: windowDurationS
-      };
+  addToWindow(byKey, record) {
+    const ts = record.ts_start || record.ts;
+    const identity = resolveIdentity(record);
+    const tsStart = Math.floor(ts / this.windowSizeUs) * this.windowSizeUs;
+    this.mergeInto(byKey, this.getWindowKey(ts, identity), record, { identity, tsStart });
+  }
+
+  /**
+   * Merges a source record into the accumulator stored under key
+   * @param {Map} byKey - Accumulators by key
+   * @param {string} key - Window key
+   * @param {object} record - Source record
+   * @param {{identity: object, tsStart: number}} window - Window the key stands for
+   * @param {object} [strategies] - Field strategies (source merge by default)
+   * @param {number} [count] - Source records the merged record stands for
+   * @param {number|null} [weightEnergy] - Energy weighting 'mean' fields, the
+   *   record's energy_j_window by default
+   */
+  mergeInto(byKey, key, record, window, strategies = this.mergeStrategies, count = 1, weightEnergy = null) {
+    const energy = Number(weightEnergy ?? record.energy_j_window);
+    const hasEnergy = energy > 0;
+
+    if (!byKey.has(key)) {
+      byKey.set(key, { ...window, record: {}, count: 0, means: {}, ranges: {} });
+    }
+    const acc = byKey.get(key);
+    acc.count += count;
+
+    for (const [field, value] of Object.entries(record)) {
+      if (value === null || value === undefined) continue;
+
+      const strategy = strategies[field] ?? 'last';
+      const current = acc.record[field];
+      const numeric = typeof value === 'number' && !isNaN(value);
+
+      if (numeric) {
+        const range = acc.ranges[field];
+        acc.ranges[field] = range
+          ? { min: Math.min(range.min, value), max: Math.max(range.max, value), count: range.count + 1 }
+          : { min: value, max: value, count: 1 };
+      }
+
+      if (strategy === 'mean') {
+        // Both weightings are kept until it is known whether every record had energy
+        acc.means[field] ??= { sum: 0, count: 0, energySum: 0, energy: 0, allEnergy: true };
+        const mean = acc.means[field];
+        mean.sum += value;
+        mean.count++;
+        if (hasEnergy) {
+          mean.energySum += value * energy;
+          mean.energy += energy;
+        } else {
+          mean.allEnergy = false;
+        }
+        acc.record[field] = mean.allEnergy ? mean.energySum / mean.energy : mean.sum / mean.count;
+        continue;
+      }
+
+      if (current === null || current === undefined) {
+        acc.record[field] = value;
+        continue;
+      }
+
+      switch (strategy) {
+        case 'sum':
+          acc.record[field] = current + value;
+          break;
+        case 'max':
+          acc.record[field] = Math.max(current, value);
+          break;
+        case 'min':
+          acc.record[field] = Math.min(current, value);
+          break;
+        case 'first':
+          break;
+        default:
+          acc.record[field] = value;
+      }
+    }
+  }
+
+  /**
+   * Reports fields whose merged source values spread beyond the tolerance
+   * @param {object} acc - Merge accumulator
+   * @param {string} source - 'usage' or 'power'
+   */
+  reportConflicts(acc, source) {
+    if (acc.count < 2) return;
+
+    for (const [field, range] of Object.entries(acc.ranges)) {
+      if (range.count < 2) continue;
+      const scale = Math.max(Math.abs(range.min), Math.abs(range.max));
+      const spread = scale > 0 ? (range.max - range.min) / scale : 0;
+      if (spread > this.conflictTolerance) {
+        this.onConflict({
+          ...acc.identity,
+          ts_start: acc.tsStart,
+          source,
+          field,
+          min: range.min,
+          max: range.max,
+          spread,
+          merge_count: acc.count
+        });
+      }
+    }
+  }
+
+  /**
+   * Rolls source-merged accumulators up to the configured level
+   * @param {Iterable<object>} accs - Accumulators
+   * @param {string} source - 'usage' or 'power'
+   * @param {Map<string, number>} [joinedEnergy] - Energy of the other source's
+   *   window under the same key, weighting 'mean' fields
+   * @returns {Map} Rolled-up accumulators by key
+   */
+  rollupAccumulators(accs, source, joinedEnergy = new Map()) {
+    const rolled = new Map();
+
+    for (const acc of accs) {
+      this.reportConflicts(acc, source);
+
+      const sourceKey = this.getWindowKey(acc.tsStart, acc.identity);
+      if (!this.rollup) {
+        rolled.set(sourceKey, acc);
+        continue;
+      }
+
+      const identity = truncateIdentity(acc.identity, this.rollup);
+      const key = this.getWindowKey(acc.tsStart, identity);
+      this.mergeInto(
+        rolled, key, acc.record, { identity, tsStart: acc.tsStart }, this.rollupStrategies, acc.count,
+        joinedEnergy.get(sourceKey) ?? null
+      );
     }
+
+    return rolled;
+  }
+
+  /**
+   * Re-keys windows with a coarser identity than the other source (e.g.
+   * site-wide PDU power next to per-cluster Slurm usage) onto the one finer
+   * window they cover; a window covering several stays unjoined rather than
+   * being counted more than once
+   * @param {Map} coarse - Rolled-up accumulators that may be re-keyed
+   * @param {Map} fine - Rolled-up accumulators of the other source
+   */
+  attachCoarseWindows(coarse, fine) {
+    const unmatched = new Map(); // tsStart -> [{key, acc}]
+    for (const [key, acc] of fine) {
+      if (coarse.has(key)) continue;
+      if (!unmatched.has(acc.tsStart)) unmatched.set(acc.tsStart, []);
+      unmatched.get(acc.tsStart).push({ key, acc });
+    }
+
+    for (const [key, acc] of Array.from(coarse)) {
+      if (fine.has(key)) continue;
+      const covered = (unmatched.get(acc.tsStart) || []).filter(({ key: fineKey, acc: fineAcc }) => (
+        !coarse.has(fineKey) &&
+        IDENTITY_FIELDS.every(field => acc.identity[field] === null || acc.identity[field] === fineAcc.identity[field])
+      ));
+      if (covered.length !== 1) continue;
+
+      coarse.delete(key);
+      coarse.set(covered[0].key, { ...acc, identity: covered[0].acc.identity });
+    }
+  }
+
+  /**
+   * Joins usage and power accumulators into TSV records in time order
+   * @param {Iterable<object>} usageAccs - Usage accumulators
+   * @param {Iterable<object>} powerAccs - Power accumulators
+   * @yields {object} TSV record
+   */
+  *joinWindows(usageAccs, powerAccs) {
+    // Utilization of a node rolled up to its cluster weighs by the node's metered energy
+    const powerList = Array.from(powerAccs);
+    const powerEnergy = new Map();
+    for (const acc of powerList) {
+      if (acc.record.energy_j_window > 0) {
+        powerEnergy.set(this.getWindowKey(acc.tsStart, acc.identity), acc.record.energy_j_window);
+      }
+    }
+
+    const usage = this.rollupAccumulators(usageAccs, 'usage', powerEnergy);
+    const power = this.rollupAccumulators(powerList, 'power');
+    this.attachCoarseWindows(power, usage);
+    this.attachCoarseWindows(usage, power);
+
+    const windows = [];
+    for (const key of new Set([...usage.keys(), ...power.keys()])) {
+      const acc = usage.get(key) || power.get(key);
+      windows.push({ key, tsStart: acc.tsStart, identity: acc.identity });
+    }
+    windows.sort((a, b) => a.tsStart - b.tsStart);
+
+    for (const { key, tsStart, identity } of windows) {
+      yield this.buildRecord(identity, tsStart, usage.get(key), power.get(key));
+    }
+  }
+
+  *emit() {
+    yield* this.joinWindows(this.usageByKey.values(), this.powerByKey.values());
+  }
+
+  /**
+   * Emits and drops windows the watermark has finalized, in time order
+   * @param {number} [untilUs] - Finalize windows ending by then instead of the watermark
+   * @yields {object} TSV record
+   */
+  *flush(untilUs = null) {
+    const bound = untilUs ?? Math.floor(this.watermark.closedBeforeUs / this.windowSizeUs) * this.windowSizeUs;
+    if (bound <= this.flushedUntilUs) return;
+    this.flushedUntilUs = bound;
+
+    const take = (byKey) => {
+      const ready = [];
+      for (const [key, acc] of byKey) {
+        if (acc.tsStart + this.windowSizeUs <= bound) {
+          ready.push(acc);
+          byKey.delete(key);
+        }
+      }
+      return ready;
+    };
+
+    yield* this.joinWindows(take(this.usageByKey), take(this.powerByKey));
+  }
+
+  /**
+   * Builds a TSV record from the usage and power accumulators of one window
+   * @param {object} identity - Window identity
+   * @param {number} tsStart - Window start
+   * @param {object|undefined} usageAcc - Usage accumulator
+   * @param {object|undefined} powerAcc - Power accumulator
+   * @returns {object} TSV record
+   */
+  buildRecord(identity, tsStart, usageAcc, powerAcc) {
+    const usage = usageAcc?.record || {};
+    const power = powerAcc?.record || {};
+    const windowDurationS = this.windowSizeUs / 1_000_000;
+
+    // Job accounting energy (e.g. Slurm ConsumedEnergyRaw) backs up metered node
+    // power; GPU board power, a part of node power, is the last resort
+    const usageEnergyJ = usage.energy_j_window ?? null;
+    const gpuEnergyJ = power.gpu_energy_j_window ?? null;
+
+    return {
+      schema_version: TSV_SCHEMA_VERSION,
+      ts_start: usage.ts_start || power.ts_start || tsStart,
+      ts_end: usage.ts_end || power.ts_end || tsStart + this.windowSizeUs,
+      site_id: identity.site_id,
+      cluster_id: identity.cluster_id,
+      partition_id: identity.partition_id,
+      node_id: identity.node_id,
+      cpu_util: usage.cpu_util ?? 0,
+      gpu_util: usage.gpu_util ?? null,
+      mem_util: usage.mem_util ?? null,
+      job_queue_depth: usage.job_queue_depth ?? 0,
+      jobs_submitted: usage.jobs_submitted ?? null,
+      jobs_scheduled: usage.jobs_scheduled ?? null,
+      jobs_evicted: usage.jobs_evicted ?? null,
+      jobs_failed: usage.jobs_failed ?? null,
+      resource_seconds: usage.resource_seconds_window ?? 0,
+      cpu_core_seconds: usage.cpu_core_seconds ?? null,
+      gpu_seconds: usage.gpu_seconds ?? null,
+      power_w: power.power_w ?? (usageEnergyJ !== null ? usageEnergyJ / windowDurationS : null) ??
+        power.gpu_power_w ?? null,
+      energy_j: power.energy_j_window ?? usageEnergyJ ?? gpuEnergyJ,
+      gpu_power_w: power.gpu_power_w ?? null,
+      gpu_energy_j: gpuEnergyJ,
+      coverage_ratio: power.coverage_ratio ?? null,
+      validated_work_units: null,
+      throughput_ops: null,
+      enst: null,
+      window_duration_s: windowDurationS,
+      price_usd_per_mwh: null,
+      data_source: null,
+      merge_count: (usageAcc?.count ?? 0) + (powerAcc?.count ?? 0)
+    };
   }
 
   clear() {
     this.usageByKey.clear();
     this.powerByKey.clear();
+    this.conflicts = [];
   }
 }
 
@@ -78,3 +437,42 @@ export async function normalizeTsv(usageRecords, powerRecords, options = {}) {
 
   return Array.from(normalizer.emit());
 }
+
+/**
+ * Streams TSV records from time-ordered usage and power sources
+ * Sources are merged by window start; each TSV window is yielded once the
+ * watermark passes its end, so memory is bounded by the open windows.
+ * @param {Array<AsyncIterable<object>>} usageSources - Time-ordered usage window streams
+ * @param {Array<AsyncIterable<object>>} powerSources - Time-ordered power window streams
+ * @param {object} options - {windowSizeUs, watermark}
+ * @yields {object} TSV records
+ */
+export async function* normalizeTsvStream(usageSources, powerSources, options = {}) {
+  const normalizer = new TsvNormalizer(options);
+
+  const tag = async function* (source, kind) {
+    for await (const record of source) {
+      yield { kind, record };
+    }
+  };
+
+  const merged = mergeByEventTime([
+    ...usageSources.map(source => tag(source, 'usage')),
+    ...powerSources.map(source => tag(source, 'power'))
+  ], ({ record }) => windowTime(record));
+
+  for await (const { kind, record } of merged) {
+    if (kind === 'usage') {
+      normalizer.addUsageRecord(record);
+    } else {
+      normalizer.addPowerRecord(record);
+    }
+    if (normalizer.watermark) {
+      yield* normalizer.flush();
+    }
+  }
+
+  yield* normalizer.flush(Infinity);
+}
+
+export { MERGE_STRATEGIES, DEFAULT_MERGE_STRATEGIES, DEFAULT_ROLLUP_STRATEGIES };
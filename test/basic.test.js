@@ -6,19 +6,92 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
 
-import { UsageAggregator } from '../src/ingest_google_clusterdata/index.js';
-import { PowerAggregator } from '../src/ingest_powerdata/index.js';
-import { TsvNormalizer } from '../src/tsv_normalize/index.js';
+import { mkdtemp, writeFile, readFile, rm } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  UsageAggregator,
+  MachineRegistry,
+  CollectionLifecycleTracker,
+  ingestGoogleClusterdata
+} from '../src/ingest_google_clusterdata/index.js';
+import {
+  PowerAggregator,
+  rollupNodePower,
+  readRaplSnapshots,
+  isCountedRaplDomain,
+  readPowerCsv,
+  loadPowerProfile,
+  readPowerSeries,
+  ingestPowerdata
+} from '../src/ingest_powerdata/index.js';
+import { parseCsv, sniffDelimiter, CsvParser, parseCsvNumber } from '../src/csv/index.js';
+import {
+  extractRedfishWatts,
+  parseRedfishResponse,
+  readIpmiDcmiPower,
+  loadBmcMapping,
+  ingestBmcPower
+} from '../src/ingest_bmc/index.js';
+import {
+  readNvidiaSmiCsv,
+  readDcgmScrape,
+  parsePrometheusLabels,
+  GpuAggregator,
+  ingestGpuTelemetry
+} from '../src/ingest_gpu/index.js';
+import {
+  parseTres,
+  parseSlurmDuration,
+  parseSlurmTime,
+  normalizeSacctJsonJob,
+  SlurmJobAggregator,
+  discoverSlurmFiles,
+  ingestSlurm
+} from '../src/ingest_slurm/index.js';
+import { TsvNormalizer, normalizeTsv, normalizeTsvStream } from '../src/tsv_normalize/index.js';
+import { Watermark, mergeByEventTime } from '../src/streaming/index.js';
+import { PowerGapFiller, fillPowerGaps } from '../src/gap_fill/index.js';
+import { parseTimestamp, SourceClock, estimateClockSkew } from '../src/clock/index.js';
+import { loadSchema, validateSchema, SchemaValidator, validateRecords } from '../src/schema/index.js';
+import { migrateRecord, checkSchemaVersion, TSV_SCHEMA_VERSION } from '../src/migrate/index.js';
+import { writeColumnar, readColumnar, ColumnarReader, isColumnarFile } from '../src/columnar/index.js';
+import { writeParquet, readParquet, ParquetReader, isParquetFile } from '../src/parquet/index.js';
+import {
+  writeNdjsonFile,
+  readLines,
+  detectCompression,
+  compressionFromPath,
+  shardPath,
+  COMPRESSIONS
+} from '../src/compression/index.js';
+import { readRecords, ErrorBudget, parseErrorBudget } from '../src/io/index.js';
 import {
   computeEnst,
   computeWorkUnits,
   computeWorkUnitsInfra,
   computeWorkUnitsDomain,
+  computeWorkUnitsFlops,
+  computeWorkUnitsTokens,
+  parseFlopsWeights,
+  parseFlopsOptions,
+  parseTokenWeights,
+  countTokens,
+  registerWorkUnitsMode,
+  listWorkUnitsModes,
+  loadWorkUnitsPlugin,
+  parseWorkUnitsOptions,
   computeEnstStream,
   EnstLeaderboard,
+  computeSummaryStats,
+  computeFacilityEnergy,
+  DEFAULT_PUE,
   estimateWorkUnits
 } from '../src/enst_compute/index.js';
 import { generateMultiSiteSynthetic, SITE_PROFILES } from '../src/synthetic/index.js';
+import { loadHardwareInventory } from '../src/hardware/index.js';
 import { MetricsRegistry, updateMetricsFromTsv } from '../src/prometheus/index.js';
 import { evaluatePolicy, applyThrottle, computePolicyImpact } from '../src/policy/index.js';
 import {
@@ -55,6 +128,717 @@ describe('UsageAggregator', () => {
   });
 });
 
+describe('UsageAggregator - machine mode', () => {
+  test('sums concurrent instances instead of averaging', () => {
+    const agg = new UsageAggregator(1_000_000, { aggregation: 'machine' });
+    for (let i = 0; i < 4; i++) {
+      agg.addUsageRecord({ start_time: 0, end_time: 1_000_000, machine_id: 'm1', average_usage: { cpus: 0.1 } });
+    }
+    const [record] = Array.from(agg.emit());
+    assert.ok(Math.abs(record.cpu_util - 0.4) < 1e-9);
+    assert.strictEqual(record.instance_count, 4);
+    assert.strictEqual(record.oversubscribed, false);
+  });
+
+  test('weights usage by overlap and apportions across windows', () => {
+    const agg = new UsageAggregator(1_000_000, { aggregation: 'machine' });
+    agg.addUsageRecord({ start_time: 500_000, end_time: 1_500_000, machine_id: 'm1', average_usage: { cpus: 0.8 } });
+    const records = Array.from(agg.emit()).sort((a, b) => a.ts_start - b.ts_start);
+    assert.strictEqual(records.length, 2);
+    assert.ok(Math.abs(records[0].cpu_util - 0.4) < 1e-9);
+    assert.ok(Math.abs(records[1].cpu_util - 0.4) < 1e-9);
+    assert.ok(Math.abs(records[0].resource_seconds_window - 0.4) < 1e-9);
+  });
+
+  test('normalizes by machine capacity', () => {
+    const machines = new MachineRegistry();
+    machines.addMachineEvent({ time: 0, machine_id: 'm1', type: 'ADD', capacity: { cpus: 0.5 } });
+    const agg = new UsageAggregator(1_000_000, { aggregation: 'machine', machines });
+    agg.addUsageRecord({ start_time: 0, end_time: 1_000_000, machine_id: 'm1', average_usage: { cpus: 0.2 } });
+    agg.addUsageRecord({ start_time: 0, end_time: 1_000_000, machine_id: 'm1', average_usage: { cpus: 0.1 } });
+    const [record] = Array.from(agg.emit());
+    assert.ok(Math.abs(record.cpu_util - 0.6) < 1e-9);
+  });
+
+  test('clamps and flags over-subscription', () => {
+    const agg = new UsageAggregator(1_000_000, { aggregation: 'machine' });
+    agg.addUsageRecord({ start_time: 0, end_time: 1_000_000, machine_id: 'm1', average_usage: { cpus: 0.9 } });
+    agg.addUsageRecord({ start_time: 0, end_time: 1_000_000, machine_id: 'm1', average_usage: { cpus: 0.6 } });
+    const [record] = Array.from(agg.emit());
+    assert.strictEqual(record.cpu_util, 1);
+    assert.ok(Math.abs(record.cpu_util_raw - 1.5) < 1e-9);
+    assert.strictEqual(record.oversubscribed, true);
+  });
+
+  test('rejects unknown aggregation modes', () => {
+    assert.throws(() => new UsageAggregator(1_000_000, { aggregation: 'median' }));
+  });
+});
+
+// ============================================
+// MachineRegistry Tests
+// ============================================
+describe('MachineRegistry', () => {
+  test('normalizes usage by machine capacity', () => {
+    const machines = new MachineRegistry();
+    machines.addMachineEvent({ time: 0, machine_id: 7, type: 'ADD', platform_id: 'p1', capacity: { cpus: 0.5, memory: 0.25 } });
+    const agg = new UsageAggregator(1_000_000, { machines });
+    agg.addUsageRecord({ start_time: 0, machine_id: 7, average_usage: { cpus: 0.25, memory: 0.125 } });
+    const [record] = Array.from(agg.emit());
+    assert.strictEqual(record.cpu_util, 0.5);
+    assert.strictEqual(record.mem_util, 0.5);
+    assert.strictEqual(record.platform_id, 'p1');
+    assert.strictEqual(record.cpu_capacity, 0.5);
+    assert.strictEqual(record.machine_offline, false);
+  });
+
+  test('carries capacity forward and applies UPDATE events', () => {
+    const machines = new MachineRegistry();
+    machines.addMachineEvent({ time: 0, machine_id: 1, type: 0, capacity: { cpus: 0.5, memory: 0.5 } });
+    machines.addMachineEvent({ time: 100, machine_id: 1, type: 2, capacity: { cpus: 1 } });
+    const state = machines.getStateAt(1, 200);
+    assert.strictEqual(state.capacity_cpus, 1);
+    assert.strictEqual(state.capacity_memory, 0.5);
+    assert.strictEqual(state.online, true);
+  });
+
+  test('computes online ratio across REMOVE/ADD', () => {
+    const machines = new MachineRegistry();
+    machines.addMachineEvent({ time: 0, machine_id: 1, type: 'ADD' });
+    machines.addMachineEvent({ time: 250, machine_id: 1, type: 'REMOVE' });
+    machines.addMachineEvent({ time: 750, machine_id: 1, type: 'ADD' });
+    assert.strictEqual(machines.getOnlineRatio(1, 0, 1000), 0.5);
+    assert.strictEqual(machines.getOnlineRatio(2, 0, 1000), null);
+  });
+
+  test('marks offline windows instead of averaging their samples', () => {
+    const machines = new MachineRegistry();
+    machines.addMachineEvent({ time: 0, machine_id: 3, type: 'ADD', capacity: { cpus: 1 } });
+    machines.addMachineEvent({ time: 1_000_000, machine_id: 3, type: 'REMOVE' });
+    const agg = new UsageAggregator(1_000_000, { machines });
+    agg.addUsageRecord({ start_time: 1_500_000, machine_id: 3, average_usage: { cpus: 0.9 } });
+    const [record] = Array.from(agg.emit());
+    assert.strictEqual(record.machine_offline, true);
+    assert.strictEqual(record.machine_online_ratio, 0);
+    assert.strictEqual(record.offline_sample_count, 1);
+    assert.strictEqual(record.cpu_util, 0);
+  });
+
+  test('tracks machine attributes with deletions', () => {
+    const machines = new MachineRegistry();
+    machines.addMachineEvent({ time: 0, machine_id: 1, type: 'ADD' });
+    machines.addMachineAttribute({ time: 0, machine_id: 1, name: 'rack', value: 'r1' });
+    machines.addMachineAttribute({ time: 10, machine_id: 1, name: 'kernel', value: 'k2' });
+    machines.addMachineAttribute({ time: 20, machine_id: 1, name: 'kernel', deleted: true });
+    assert.deepStrictEqual(machines.getStateAt(1, 15).attributes, { rack: 'r1', kernel: 'k2' });
+    assert.deepStrictEqual(machines.getStateAt(1, 25).attributes, { rack: 'r1' });
+  });
+
+  test('resolves state from out-of-order events and events added after a lookup', () => {
+    const machines = new MachineRegistry();
+    machines.addMachineEvent({ time: 300, machine_id: 1, type: 'REMOVE' });
+    machines.addMachineEvent({ time: 0, machine_id: 1, type: 'ADD', capacity: { cpus: 0.5 } });
+    machines.addMachineEvent({ time: 100, machine_id: 1, type: 'UPDATE', capacity: { cpus: 1 } });
+    assert.strictEqual(machines.getStateAt(1, -1).online, false);
+    assert.strictEqual(machines.getStateAt(1, 0).capacity_cpus, 0.5);
+    assert.strictEqual(machines.getStateAt(1, 100).capacity_cpus, 1);
+    assert.strictEqual(machines.getStateAt(1, 300).online, false);
+    assert.strictEqual(machines.getStateAt(1, 300).capacity_cpus, 1);
+
+    machines.addMachineEvent({ time: 200, machine_id: 1, type: 'UPDATE', capacity: { cpus: 2 } });
+    machines.addMachineEvent({ time: 400, machine_id: 1, type: 'ADD' });
+    assert.strictEqual(machines.getStateAt(1, 250).capacity_cpus, 2);
+    assert.strictEqual(machines.getStateAt(1, 500).online, true);
+    assert.strictEqual(machines.getOnlineRatio(1, 250, 450), 0.5);
+  });
+});
+
+// ============================================
+// Collection Lifecycle Tests
+// ============================================
+describe('CollectionLifecycleTracker', () => {
+  test('tracks pending collections at window start', () => {
+    const tracker = new CollectionLifecycleTracker(1_000_000);
+    tracker.addEvent({ time: 100, collection_id: 1, type: 'SUBMIT', site_id: 's' });
+    tracker.addEvent({ time: 200, collection_id: 2, type: 'SUBMIT', site_id: 's' });
+    tracker.addEvent({ time: 1_100_000, collection_id: 1, type: 'SCHEDULE', site_id: 's' });
+    tracker.addEvent({ time: 2_100_000, collection_id: 2, type: 'KILL', site_id: 's' });
+    const windows = Array.from(tracker.windows());
+    assert.deepStrictEqual(windows.map(w => w.pending), [0, 2, 1]);
+    assert.strictEqual(windows[0].submitted, 2);
+    assert.strictEqual(windows[1].scheduled, 1);
+  });
+
+  test('counts evicted and failed and re-queues resubmissions', () => {
+    const tracker = new CollectionLifecycleTracker(1_000_000);
+    tracker.addEvent({ time: 0, collection_id: 1, type: 0 });
+    tracker.addEvent({ time: 10, collection_id: 1, type: 3 });
+    tracker.addEvent({ time: 20, collection_id: 1, type: 4 });
+    tracker.addEvent({ time: 30, collection_id: 1, type: 0 });
+    tracker.addEvent({ time: 40, collection_id: 3, type: 'SUBMIT' });
+    tracker.addEvent({ time: 50, collection_id: 3, type: 'FAIL' });
+    tracker.addEvent({ time: 1_000_000, collection_id: 9, type: 'FINISH' });
+    const windows = Array.from(tracker.windows());
+    assert.strictEqual(windows[0].evicted, 1);
+    assert.strictEqual(windows[0].failed, 1);
+    assert.strictEqual(windows[1].pending, 1);
+  });
+
+  test('ignores events at the end-of-trace sentinel', () => {
+    const watermark = new Watermark();
+    const tracker = new CollectionLifecycleTracker(1_000_000, { watermark });
+    tracker.addEvent({ time: 100, collection_id: 1, type: 'SUBMIT', site_id: 's' });
+    tracker.addEvent({ time: 9223372036854775807, collection_id: 1, type: 'FINISH', site_id: 's' });
+    tracker.addEvent({ time: '9223372036854775807', collection_id: 2, type: 'SUBMIT', site_id: 's' });
+    tracker.addEvent({ time: 1_500_000, collection_id: 3, type: 'SUBMIT', site_id: 's' });
+    assert.strictEqual(watermark.isClosed(2_000_000), false);
+    const windows = Array.from(tracker.windows());
+    assert.deepStrictEqual(windows.map(w => w.ts_start), [0, 1_000_000]);
+    assert.deepStrictEqual(windows.map(w => w.pending), [0, 1]);
+  });
+
+  test('attributes instance placement to machines and queue counts to collections', () => {
+    const tracker = new CollectionLifecycleTracker(1_000_000);
+    tracker.addEvent({ time: 0, collection_id: 1, type: 'SUBMIT', site_id: 's' });
+    tracker.addEvent({ time: 0, collection_id: 1, instance_index: 0, type: 'SUBMIT', site_id: 's' });
+    tracker.addEvent({ time: 10, collection_id: 1, type: 'SCHEDULE', site_id: 's' });
+    tracker.addEvent({ time: 10, collection_id: 1, instance_index: 0, type: 'SCHEDULE', site_id: 's', machine_id: 7 });
+    // Terminal events without machine_id land on the machine the instance ran on
+    tracker.addEvent({ time: 1_000_000, collection_id: 1, instance_index: 0, type: 'EVICT', site_id: 's' });
+    const windows = Array.from(tracker.windows());
+    assert.deepStrictEqual(windows.map(w => [w.ts_start, w.node_id]), [[0, null], [0, 7], [1_000_000, null], [1_000_000, 7]]);
+    assert.strictEqual(windows[0].submitted, 1);
+    assert.strictEqual(windows[0].scheduled, 0);
+    assert.strictEqual(windows[1].scheduled, 1);
+    assert.strictEqual(windows[1].pending, 0);
+    assert.strictEqual(windows[3].evicted, 1);
+  });
+
+  test('folds queue state into usage windows instead of emitting queue-only records', () => {
+    const lifecycle = new CollectionLifecycleTracker(1_000_000);
+    lifecycle.addEvent({ time: 0, collection_id: 1, type: 'SUBMIT', site_id: 's' });
+    lifecycle.addEvent({ time: 0, collection_id: 2, instance_index: 0, type: 'SCHEDULE', site_id: 's', machine_id: 'm2' });
+    lifecycle.addEvent({ time: 2_000_000, collection_id: 3, type: 'SUBMIT', site_id: 's' });
+    const agg = new UsageAggregator(1_000_000, { lifecycle });
+    agg.addUsageRecord({ start_time: 0, site_id: 's', machine_id: 'm1', average_usage: { cpus: 0.5 } });
+    const records = Array.from(agg.emit()).sort((a, b) => a.ts_start - b.ts_start);
+    assert.deepStrictEqual(records.map(r => [r.ts_start, r.node_id]), [[0, 'm1'], [1_000_000, null], [2_000_000, null]]);
+    assert.strictEqual(records[0].jobs_submitted, 1);
+    assert.strictEqual(records[0].jobs_scheduled, 1);
+    // No usage at the site in later windows: queue-only records without utilization
+    assert.strictEqual(records[1].job_queue_depth, 1);
+    assert.strictEqual(records[1].cpu_util, null);
+    assert.strictEqual(records[2].jobs_submitted, 1);
+  });
+
+  test('UsageAggregator reports lifecycle queue depth', () => {
+    const lifecycle = new CollectionLifecycleTracker(1_000_000);
+    lifecycle.addEvent({ time: 0, collection_id: 1, type: 'SUBMIT', site_id: 's' });
+    lifecycle.addEvent({ time: 1_500_000, collection_id: 2, type: 'SUBMIT', site_id: 's' });
+    const agg = new UsageAggregator(1_000_000, { lifecycle });
+    agg.addUsageRecord({ start_time: 1_000_000, site_id: 's', average_usage: { cpus: 0.5 } });
+    const records = Array.from(agg.emit()).sort((a, b) => a.ts_start - b.ts_start);
+    assert.strictEqual(records.length, 2);
+    assert.strictEqual(records[1].job_queue_depth, 1);
+    assert.strictEqual(records[1].jobs_submitted, 1);
+    assert.strictEqual(records[1].cpu_util, 0.5);
+  });
+
+  test('ingestGoogleClusterdata joins machines and lifecycle from a trace directory', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-google-'));
+    try {
+      const ndjson = (rows) => rows.map(r => JSON.stringify(r)).join('\n') + '\n';
+      await writeFile(join(dir, 'machine_events-000.json'), ndjson([
+        { time: 0, machine_id: 5, type: 'ADD', capacity: { cpus: 0.5, memory: 0.5 } }
+      ]));
+      await writeFile(join(dir, 'instance_usage-000.json'), ndjson([
+        { start_time: 0, end_time: 1_000_000, machine_id: 5, average_usage: { cpus: 0.25 } }
+      ]));
+      await writeFile(join(dir, 'collection_events-000.json'), ndjson([
+        { time: 0, collection_id: 1, type: 'SUBMIT' },
+        { time: 0, collection_id: 2, type: 'SUBMIT' }
+      ]));
+      await writeFile(join(dir, 'instance_events-000.json'), ndjson([
+        { time: 100, collection_id: 1, instance_index: 0, type: 'SCHEDULE', machine_id: 5 }
+      ]));
+
+      const records = [];
+      for await (const r of ingestGoogleClusterdata(dir, { windowSizeUs: 1_000_000 })) {
+        records.push(r);
+      }
+      // The site-level queue has no usage window of its own and rides on the machine's
+      assert.strictEqual(records.length, 1);
+      const machine = records[0];
+      assert.strictEqual(machine.node_id, '5');
+      assert.strictEqual(machine.site_id, 'unknown');
+      assert.strictEqual(machine.cpu_util, 0.5);
+      assert.strictEqual(machine.jobs_submitted, 2);
+      assert.strictEqual(machine.job_queue_depth, 0);
+      assert.strictEqual(machine.jobs_scheduled, 1);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// ============================================
+// Slurm Ingestion Tests
+// ============================================
+describe('Slurm Ingestion', () => {
+  test('parseTres extracts cpu and gpu counts', () => {
+    const tres = parseTres('billing=8,cpu=8,gres/gpu=2,mem=32G,node=1');
+    assert.strictEqual(tres.cpu, 8);
+    assert.strictEqual(tres.gpu, 2);
+    assert.strictEqual(tres.node, 1);
+  });
+
+  test('parses durations and timestamps', () => {
+    assert.strictEqual(parseSlurmDuration('1-02:00:10'), 93610);
+    assert.strictEqual(parseSlurmDuration('05:30'), 330);
+    assert.strictEqual(parseSlurmTime('2024-01-01T00:00:00'), 1704067200000000);
+    assert.strictEqual(parseSlurmTime('Unknown'), null);
+  });
+
+  test('apportions job core-seconds and energy across windows', () => {
+    const agg = new SlurmJobAggregator(1_000_000, { coresTotal: 8 });
+    agg.addJob({
+      job_id: '1', cluster: 'c', submit_ts: 0, start_ts: 500_000, end_ts: 1_500_000,
+      alloc_cpus: 4, alloc_gpus: 1, energy_j: 100
+    });
+    const records = Array.from(agg.emit()).sort((a, b) => a.ts_start - b.ts_start);
+    assert.strictEqual(records.length, 2);
+    assert.strictEqual(records[0].cpu_core_seconds, 2);
+    assert.strictEqual(records[0].gpu_seconds, 0.5);
+    assert.strictEqual(records[0].energy_j_window, 50);
+    assert.strictEqual(records[0].cpu_util, 0.25);
+  });
+
+  test('counts pending jobs at window start', () => {
+    const agg = new SlurmJobAggregator(1_000_000);
+    agg.addJob({ job_id: '1', cluster: 'c', submit_ts: 0, start_ts: 2_000_000, end_ts: 3_000_000, alloc_cpus: 1 });
+    agg.addJob({ job_id: '2', cluster: 'c', submit_ts: 0, start_ts: 0, end_ts: 1_000_000, alloc_cpus: 1 });
+    assert.strictEqual(agg.pendingAt('c', 1_000_000), 1);
+    assert.strictEqual(agg.pendingAt('c', 2_000_000), 0);
+  });
+
+  test('takes jobs cancelled while pending off the queue', () => {
+    const agg = new SlurmJobAggregator(1_000_000);
+    agg.addJob({ job_id: '1', cluster: 'c', state: 'CANCELLED', submit_ts: 0, start_ts: null, end_ts: 1_500_000, alloc_cpus: 1 });
+    agg.addJob({ job_id: '2', cluster: 'c', state: 'CANCELLED', submit_ts: 0, start_ts: null, end_ts: null, alloc_cpus: 1 });
+    assert.strictEqual(agg.pendingAt('c', 1_000_000), 1);
+    assert.strictEqual(agg.pendingAt('c', 2_000_000), 0);
+
+    // Jobs added after a lookup are still counted
+    agg.addJob({ job_id: '3', cluster: 'c', submit_ts: 2_500_000, start_ts: 4_000_000, end_ts: 5_000_000, alloc_cpus: 1 });
+    assert.strictEqual(agg.pendingAt('c', 3_000_000), 1);
+  });
+
+  test('normalizes sacct --json jobs', () => {
+    const job = normalizeSacctJsonJob({
+      job_id: 42,
+      cluster: 'frontier',
+      time: { submission: 1704067000, start: { set: true, number: 1704067200 }, end: 1704067500, elapsed: 300 },
+      tres: { allocated: [{ type: 'cpu', count: 16 }, { type: 'gres', name: 'gpu', count: 4 }] },
+      steps: [{ tres: { consumed: { total: [{ type: 'energy', count: 9000 }] } } }]
+    });
+    assert.strictEqual(job.alloc_cpus, 16);
+    assert.strictEqual(job.alloc_gpus, 4);
+    assert.strictEqual(job.energy_j, 9000);
+    assert.strictEqual(job.start_ts, 1704067200000000);
+  });
+
+  test('ingestSlurm reads parsable2 exports and folds step energy', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-slurm-'));
+    try {
+      await writeFile(join(dir, 'sacct.txt'), [
+        'JobID|Cluster|Submit|Start|End|ElapsedRaw|AllocCPUS|AllocTRES|ConsumedEnergyRaw',
+        '100|eagle|2024-01-01T00:00:00|2024-01-01T00:00:00|2024-01-01T00:05:00|300|4|cpu=4,gres/gpu=1|',
+        '100.batch|eagle||2024-01-01T00:00:00|2024-01-01T00:05:00|300|4||6000',
+        '100.extern|eagle||2024-01-01T00:00:00|2024-01-01T00:05:00|300|4||0'
+      ].join('\n') + '\n');
+
+      const records = [];
+      for await (const r of ingestSlurm(dir)) {
+        records.push(r);
+      }
+      assert.strictEqual(records.length, 1);
+      assert.strictEqual(records[0].site_id, 'eagle');
+      assert.strictEqual(records[0].cpu_core_seconds, 1200);
+      assert.strictEqual(records[0].gpu_seconds, 300);
+      assert.strictEqual(records[0].energy_j_window, 6000);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('discovers sacct exports by name and charges unreadable ones to the error budget', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-slurm-'));
+    try {
+      await writeFile(join(dir, 'sacct.txt'), [
+        'JobID|Cluster|Start|End|ElapsedRaw|AllocCPUS',
+        '100|eagle|2024-01-01T00:00:00|2024-01-01T00:05:00|300|4'
+      ].join('\n') + '\n');
+      await writeFile(join(dir, 'sacct-june.json'), '{"jobs": [\n{"job_id": 1,\n');
+      await writeFile(join(dir, 'nodes.psv'), 'NodeName|State\nn1|idle\n');
+      await writeFile(join(dir, 'slurmctld.log'), 'not accounting data\n');
+      await writeFile(join(dir, 'mapping.json'), '{}');
+
+      assert.deepStrictEqual(
+        (await discoverSlurmFiles(dir)).map(file => file.slice(dir.length + 1)),
+        ['nodes.psv', 'sacct-june.json', 'sacct.txt']
+      );
+
+      const errorBudget = new ErrorBudget();
+      const records = [];
+      for await (const r of ingestSlurm(dir, { errorBudget })) {
+        records.push(r);
+      }
+      assert.strictEqual(records.length, 1);
+      assert.strictEqual(errorBudget.errors, 2);
+      assert.match(errorBudget.summary(), /nodes\.psv:1: not sacct --parsable2 output/);
+
+      await assert.rejects(async () => {
+        for await (const r of ingestSlurm(dir, { errorBudget: new ErrorBudget(parseErrorBudget('0')) })) void r;
+      }, /nodes\.psv:1: .*error budget of 0/);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('TsvNormalizer falls back to usage energy when power is missing', () => {
+    const norm = new TsvNormalizer({ windowSizeUs: 1_000_000 });
+    norm.addUsageRecord({ ts_start: 0, site_id: 's', cpu_core_seconds: 10, energy_j_window: 500 });
+    const [record] = Array.from(norm.emit());
+    assert.strictEqual(record.energy_j, 500);
+    assert.strictEqual(record.power_w, 500);
+    assert.strictEqual(record.cpu_core_seconds, 10);
+  });
+});
+
+// ============================================
+// BMC Power Ingestion Tests
+// ============================================
+describe('BMC Power Ingestion', () => {
+  test('extracts watts from Redfish Power and PowerSubsystem', () => {
+    assert.strictEqual(extractRedfishWatts({ PowerControl: [{ PowerConsumedWatts: 344 }] }), 344);
+    assert.strictEqual(extractRedfishWatts({
+      PowerSupplies: { Members: [
+        { Metrics: { InputPowerWatts: { Reading: 200 } } },
+        { Metrics: { InputPowerWatts: { Reading: 150 } } }
+      ] }
+    }), 350);
+  });
+
+  test('parses wrapped Redfish responses with chassis id from @odata.id', () => {
+    const reading = parseRedfishResponse({
+      timestamp: '2024-01-01T00:00:00Z',
+      response: { '@odata.id': '/redfish/v1/Chassis/rack1-n01/Power', PowerControl: [{ PowerConsumedWatts: 410 }] }
+    });
+    assert.strictEqual(reading.node_id, 'rack1-n01');
+    assert.strictEqual(reading.ts, 1704067200000000);
+    assert.strictEqual(reading.power_w, 410);
+  });
+
+  test('reads ipmitool dcmi power reading dumps', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-dcmi-'));
+    try {
+      const file = join(dir, 'node07.dcmi.txt');
+      await writeFile(file, [
+        '    Instantaneous power reading:                   220 Watts',
+        '    Average power reading over sample period:      217 Watts',
+        '    IPMI timestamp:                           Mon Jan  1 00:00:00 2024',
+        '    Instantaneous power reading:                   230 Watts',
+        '    Average power reading over sample period:      225 Watts',
+        '    IPMI timestamp:                           Mon Jan  1 00:01:00 2024'
+      ].join('\n'));
+      const readings = [];
+      for await (const r of readIpmiDcmiPower(file)) {
+        readings.push(r);
+      }
+      assert.strictEqual(readings.length, 2);
+      assert.strictEqual(readings[0].node_id, 'node07');
+      assert.strictEqual(readings[0].power_w, 217);
+      assert.strictEqual(readings[1].ts, 1704067260000000);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('mapping resolves exact ids and wildcards', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-map-'));
+    try {
+      const file = join(dir, 'map.json');
+      await writeFile(file, JSON.stringify([
+        { id: 'chassis-1', site_id: 'alpha', cluster_id: 'a1' },
+        { match: 'rack2-*', site_id: 'beta' }
+      ]));
+      const resolveNode = await loadBmcMapping(file);
+      assert.deepStrictEqual(resolveNode('chassis-1'), { site_id: 'alpha', cluster_id: 'a1' });
+      assert.strictEqual(resolveNode('rack2-n09').site_id, 'beta');
+      assert.strictEqual(resolveNode('other'), null);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('rolls node windows up to site by summing power and energy', () => {
+    const records = rollupNodePower([
+      { site_id: 'n1', ts_start: 0, ts_end: 1, power_w: 100, energy_j_window: 1000, sample_count: 2 },
+      { site_id: 'n2', ts_start: 0, ts_end: 1, power_w: 150, energy_j_window: 1500, sample_count: 2 }
+    ], () => ({ site_id: 'rack', cluster_id: null }));
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].power_w, 250);
+    assert.strictEqual(records[0].energy_j_window, 2500);
+    assert.strictEqual(records[0].node_count, 2);
+  });
+
+  test('site id overrides the mapped site like the other ingesters', () => {
+    const nodes = [
+      { site_id: 'n1', ts_start: 0, ts_end: 1, power_w: 100, energy_j_window: 1000, sample_count: 1 },
+      { site_id: 'n2', ts_start: 0, ts_end: 1, power_w: 150, energy_j_window: 1500, sample_count: 1 }
+    ];
+    const resolve = (id) => (id === 'n1' ? { site_id: 'rack', cluster_id: 'c' } : null);
+    const records = rollupNodePower(nodes, resolve, 'override');
+    assert.deepStrictEqual(records.map(r => [r.site_id, r.cluster_id]).sort(), [['override', null], ['override', 'c']]);
+    assert.deepStrictEqual(rollupNodePower(nodes, resolve).map(r => r.site_id).sort(), ['rack', 'unknown']);
+  });
+
+  test('keeps mapped partitions and nodes at finer rollup levels', () => {
+    const nodes = [
+      { site_id: 'n1', ts_start: 0, ts_end: 1, power_w: 100, energy_j_window: 1000, sample_count: 1 },
+      { site_id: 'n2', ts_start: 0, ts_end: 1, power_w: 150, energy_j_window: 1500, sample_count: 1 }
+    ];
+    const resolve = (id) => ({ site_id: 'rack', cluster_id: 'c', partition_id: id === 'n1' ? 'gpu' : 'cpu' });
+    const partitions = rollupNodePower(nodes, resolve, null, 'partition');
+    assert.strictEqual(partitions.length, 2);
+    assert.strictEqual(partitions.find(r => r.partition_id === 'gpu').power_w, 100);
+    const byNode = rollupNodePower(nodes, resolve, null, 'node');
+    assert.deepStrictEqual(byNode.map(r => r.node_id).sort(), ['n1', 'n2']);
+  });
+
+  test('ingestBmcPower maps Redfish dumps to sites', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-bmc-'));
+    try {
+      const ndjson = [0, 60, 120].map(t => JSON.stringify({
+        timestamp: 1704067200 + t,
+        chassis_id: 'c1',
+        response: { PowerControl: [{ PowerConsumedWatts: 500 }] }
+      })).join('\n');
+      await writeFile(join(dir, 'redfish.ndjson'), ndjson);
+      const mapping = join(dir, 'mapping.json');
+      await writeFile(mapping, JSON.stringify({ c1: { site_id: 'alpha', cluster_id: 'a1' } }));
+
+      const records = [];
+      for await (const r of ingestBmcPower(dir, { mappingFile: mapping })) {
+        records.push(r);
+      }
+      assert.strictEqual(records.length, 1);
+      assert.strictEqual(records[0].site_id, 'alpha');
+      assert.strictEqual(records[0].cluster_id, 'a1');
+      assert.strictEqual(records[0].power_w, 500);
+      assert.strictEqual(records[0].energy_j_window, 60000);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// ============================================
+// GPU Telemetry Ingestion Tests
+// ============================================
+describe('GPU Telemetry Ingestion', () => {
+  test('reads nvidia-smi CSV logs with units', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-smi-'));
+    try {
+      const file = join(dir, 'gpu-node1.csv');
+      await writeFile(file, [
+        'timestamp, index, power.draw [W], utilization.gpu [%]',
+        '2024/01/01 00:00:00.000, 0, 250.50 W, 80 %',
+        '2024/01/01 00:00:00.000, 1, [N/A], 40 %'
+      ].join('\n'));
+      const samples = [];
+      for await (const s of readNvidiaSmiCsv(file)) {
+        samples.push(s);
+      }
+      assert.strictEqual(samples.length, 2);
+      assert.strictEqual(samples[0].host, 'gpu-node1');
+      assert.strictEqual(samples[0].ts, 1704067200000000);
+      assert.strictEqual(samples[0].power_w, 250.5);
+      assert.strictEqual(samples[0].util, 0.8);
+      assert.strictEqual(samples[1].power_w, null);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('reads DCGM exporter scrapes', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-dcgm-'));
+    try {
+      const file = join(dir, 'dcgm.prom');
+      await writeFile(file, [
+        '# ts=1704067200',
+        '# TYPE DCGM_FI_DEV_POWER_USAGE gauge',
+        'DCGM_FI_DEV_POWER_USAGE{gpu="0",modelName="NVIDIA A100 80GB",Hostname="n1"} 300',
+        'DCGM_FI_DEV_GPU_UTIL{gpu="0",modelName="NVIDIA A100 80GB",Hostname="n1"} 50',
+        'DCGM_FI_DEV_SM_CLOCK{gpu="0",Hostname="n1"} 1410'
+      ].join('\n'));
+      const samples = [];
+      for await (const s of readDcgmScrape(file)) {
+        samples.push(s);
+      }
+      assert.strictEqual(samples.length, 1);
+      assert.strictEqual(samples[0].host, 'n1');
+      assert.strictEqual(samples[0].power_w, 300);
+      assert.strictEqual(samples[0].util, 0.5);
+      assert.strictEqual(samples[0].ts, 1704067200000000);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('parsePrometheusLabels handles escaped quotes', () => {
+    const labels = parsePrometheusLabels('gpu="0",name="a \\"b\\""');
+    assert.strictEqual(labels.gpu, '0');
+    assert.strictEqual(labels.name, 'a "b"');
+  });
+
+  test('GpuAggregator computes measured gpu_seconds and summed power', () => {
+    const agg = new GpuAggregator(1_000_000, { siteId: 'gpu-site' });
+    agg.addSample({ ts: 0, host: 'n1', gpu: '0', power_w: 200, util: 1 });
+    agg.addSample({ ts: 500_000, host: 'n1', gpu: '0', power_w: 200, util: 0.5 });
+    agg.addSample({ ts: 0, host: 'n1', gpu: '1', power_w: 100, util: 0 });
+    const [usage] = Array.from(agg.emitUsage());
+    assert.strictEqual(usage.gpu_seconds, 0.75);
+    assert.strictEqual(usage.gpu_count, 2);
+    assert.strictEqual(usage.gpu_util, 0.375);
+    const [power] = Array.from(agg.emitPower());
+    assert.strictEqual(power.site_id, 'gpu-site');
+    assert.strictEqual(power.gpu_power_w, 300);
+    assert.strictEqual(power.power_w, undefined);
+  });
+
+  test('GPU board power backs up node power instead of adding to it', () => {
+    const agg = new GpuAggregator(1_000_000, { siteId: 's' });
+    agg.addSample({ ts: 0, host: 'n1', gpu: '0', power_w: 300, util: 1 });
+    const gpuPower = Array.from(agg.emitPower());
+
+    const metered = new TsvNormalizer({ windowSizeUs: 1_000_000 });
+    metered.addPowerRecord({ ts: 0, ts_start: 0, site_id: 's', power_w: 800, energy_j_window: 800 });
+    gpuPower.forEach(r => metered.addPowerRecord(r));
+    const [record] = Array.from(metered.emit());
+    assert.strictEqual(record.energy_j, 800);
+    assert.strictEqual(record.power_w, 800);
+    assert.strictEqual(record.gpu_energy_j, 150); // a lone sample at the window start is held for half of it
+
+    const gpuOnly = new TsvNormalizer({ windowSizeUs: 1_000_000 });
+    gpuPower.forEach(r => gpuOnly.addPowerRecord(r));
+    const [fallback] = Array.from(gpuOnly.emit());
+    assert.strictEqual(fallback.energy_j, 150);
+    assert.strictEqual(fallback.power_w, 300);
+  });
+
+  test('measured gpu_seconds reach computeWorkUnitsInfra through the normalizer', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-gpu-'));
+    try {
+      await writeFile(join(dir, 'n1.csv'), [
+        'timestamp, index, power.draw [W], utilization.gpu [%]',
+        '2024/01/01 00:00:00, 0, 300 W, 100 %',
+        '2024/01/01 00:02:30, 0, 300 W, 100 %'
+      ].join('\n'));
+      const gpu = await ingestGpuTelemetry(dir);
+      const norm = new TsvNormalizer();
+      gpu.usage.forEach(r => norm.addUsageRecord(r));
+      gpu.power.forEach(r => norm.addPowerRecord(r));
+      const [record] = Array.from(norm.emit());
+      assert.strictEqual(record.gpu_seconds, 300);
+      assert.strictEqual(computeWorkUnitsInfra({ ...record, cpu_core_seconds: 0 }, 1), 300);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// ============================================
+// CSV and Power Profile Tests
+// ============================================
+describe('CSV and Power Profiles', () => {
+  test('parses quoted fields with delimiters, quotes and line breaks', () => {
+    const rows = parseCsv('a,b,c\r\n"x, y","say ""hi""","two\nlines"\r\n\r\n1,,3');
+    assert.deepStrictEqual(rows, [
+      ['a', 'b', 'c'],
+      ['x, y', 'say "hi"', 'two\nlines'],
+      ['1', '', '3']
+    ]);
+  });
+
+  test('sniffs semicolons and keeps rows split across chunks', () => {
+    assert.strictEqual(sniffDelimiter('"Zeit;stempel";Wert;Ort'), ';');
+    const parser = new CsvParser();
+    const rows = [...parser.push('ts;power\n1;"2'), ...parser.push('5"\r'), ...parser.push('\n'), ...parser.end()];
+    assert.deepStrictEqual(rows, [['ts', 'power'], ['1', '25']]);
+    assert.strictEqual(parseCsvNumber('1.234,5', ','), 1234.5);
+    assert.strictEqual(parseCsvNumber('230.5', ','), 230.5);
+    assert.strictEqual(parseCsvNumber('1.234.567,5', ','), 1234567.5);
+  });
+
+  test('converts header units and keeps dot decimals in semicolon files without a profile', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-csv-'));
+    try {
+      const file = join(dir, 'pdu_power.csv');
+      await writeFile(file, '\ufefftimestamp;Power (kW);site_id\n2024-01-01 00:00:00;230.5;"rack;a"\n2024-01-01 00:01:00;1,5;"rack;a"\n');
+      const records = [];
+      for await (const r of readPowerCsv(file)) {
+        records.push(r);
+      }
+      const [record, comma] = records;
+      assert.strictEqual(record.power, 230500);
+      assert.strictEqual(record.timestamp, '2024-01-01 00:00:00');
+      assert.strictEqual(record.site_id, 'rack;a');
+      // Decimal commas are not guessed from the delimiter
+      assert.strictEqual(comma.power, '1,5');
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+
+  test('maps vendor headers and Wh counters through a profile', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-profile-'));
+    try {
+      await writeFile(join(dir, 'meter_energy.csv'), [
+        'Zeitstempel;Zählerstand (kWh);Standort',
+        '01.01.2024 01:00:00;100,0;hall-1',
+        '01.01.2024 01:05:00;100,5;hall-1',
+        '01.01.2024 01:10:00;101,0;hall-1'
+      ].join('\n'));
+      const profile = await loadPowerProfile('eu-meter-kwh');
+      const clock = new SourceClock({ timezone: profile.timezone, format: profile.format });
+      const records = [];
+      for await (const r of ingestPowerdata(dir, { profile, clock })) {
+        records.push(r);
+      }
+      assert.strictEqual(records.length, 2);
+      // 01:00 Berlin is 00:00 UTC; 0.5 kWh per 5-minute window
+      assert.strictEqual(records[0].ts_start, Date.UTC(2024, 0, 1) * 1000);
+      assert.strictEqual(records[0].site_id, 'hall-1');
+      assert.ok(Math.abs(records[0].energy_j_window - 1.8e6) < 1e-6);
+      assert.ok(Math.abs(records[0].power_w - 6000) < 1e-6);
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+
+  test('rejects profiles with mismatched units', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-profile-'));
+    try {
+      const file = join(dir, 'bad.json');
+      await writeFile(file, JSON.stringify({ columns: { ts: 'Time', power_w: { header: 'E', unit: 'kWh' } } }));
+      await assert.rejects(loadPowerProfile(file), /unit kWh does not fit power_w/);
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+});
+
 // ============================================
 // PowerAggregator Tests
 // ============================================
@@ -75,6 +859,137 @@ describe('PowerAggregator', () => {
     const records = Array.from(agg.emit());
     assert.strictEqual(records.length, 2);
   });
+
+  test('splits trapezoids at window boundaries', () => {
+    const t0 = 1_800_000_000; // epoch seconds, window-aligned
+    const agg = new PowerAggregator(300_000_000);
+    agg.addPowerRecord({ ts: t0 + 240, site_id: 'site-1', power_w: 100 });
+    agg.addPowerRecord({ ts: t0 + 360, site_id: 'site-1', power_w: 300 });
+
+    const records = Array.from(agg.emit()).sort((a, b) => a.ts_start - b.ts_start);
+    assert.strictEqual(records.length, 2);
+    // 100 W -> 300 W over 120 s is 24 kJ, split at the 200 W boundary midpoint
+    assert.strictEqual(records[0].energy_j_window, 9_000);
+    assert.strictEqual(records[1].energy_j_window, 15_000);
+    assert.strictEqual(records[0].power_w, 150);
+    assert.strictEqual(records[0].coverage_ratio, 0.2);
+    assert.strictEqual(records[1].coverage_ratio, 0.2);
+  });
+
+  test('carries the boundary sample across streaming flushes', () => {
+    const t0 = 1_800_000_000;
+    const agg = new PowerAggregator(300_000_000);
+    agg.addPowerRecord({ ts: t0 + 240, site_id: 'site-1', power_w: 100 });
+    agg.addPowerRecord({ ts: t0 + 360, site_id: 'site-1', power_w: 300 });
+
+    const first = Array.from(agg.flush((t0 + 300) * 1_000_000));
+    const second = Array.from(agg.flush((t0 + 600) * 1_000_000));
+    assert.strictEqual(first[0].energy_j_window + second[0].energy_j_window, 24_000);
+  });
+
+  test('holds an isolated sample for half the sample gap with matching coverage', () => {
+    const agg = new PowerAggregator(300_000_000);
+    agg.addPowerRecord({ ts: 1_800_000_000, site_id: 'site-1', power_w: 500 });
+    agg.addPowerRecord({ ts: 1_800_000_000 + 1_050, site_id: 'site-1', power_w: 500 });
+    const [edge, middle] = Array.from(agg.emit()).sort((a, b) => a.ts_start - b.ts_start);
+    // At the window start: held for the first 150 s only
+    assert.strictEqual(edge.energy_j_window, 75_000);
+    assert.strictEqual(edge.coverage_ratio, 0.5);
+    assert.strictEqual(edge.power_w, 500);
+    // Mid-window: held across the whole window
+    assert.strictEqual(middle.energy_j_window, 150_000);
+    assert.strictEqual(middle.coverage_ratio, 1);
+  });
+});
+
+describe('PowerAggregator - energy counters', () => {
+  const t0 = 1_800_000_000; // epoch seconds, window-aligned
+
+  test('differences counters and derives power from energy', () => {
+    const agg = new PowerAggregator(300_000_000);
+    agg.addEnergyCounterRecord({ ts: t0, site_id: 'n1', domain: 'intel-rapl:0', energy_uj: 0 });
+    agg.addEnergyCounterRecord({ ts: t0 + 100, site_id: 'n1', domain: 'intel-rapl:0', energy_uj: 10_000e6 });
+    agg.addEnergyCounterRecord({ ts: t0 + 200, site_id: 'n1', domain: 'intel-rapl:0', energy_uj: 20_000e6 });
+
+    const [record] = Array.from(agg.emit());
+    assert.strictEqual(record.energy_source, 'counter');
+    assert.strictEqual(record.energy_j_window, 20_000);
+    assert.strictEqual(record.power_w, 100);
+  });
+
+  test('handles wraparound with max_energy_range_uj', () => {
+    const agg = new PowerAggregator(300_000_000);
+    agg.addEnergyCounterRecord({ ts: t0, site_id: 'n1', energy_uj: 900e6, max_energy_range_uj: 1000e6 });
+    agg.addEnergyCounterRecord({ ts: t0 + 100, site_id: 'n1', energy_uj: 100e6 });
+
+    const [record] = Array.from(agg.emit());
+    assert.strictEqual(agg.counterWraps, 1);
+    assert.strictEqual(record.energy_j_window, 200);
+  });
+
+  test('drops the interval on a counter reset', () => {
+    const agg = new PowerAggregator(300_000_000);
+    agg.addEnergyCounterRecord({ ts: t0, site_id: 'n1', energy_uj: 900e6 });
+    agg.addEnergyCounterRecord({ ts: t0 + 100, site_id: 'n1', energy_uj: 100e6 });
+    agg.addEnergyCounterRecord({ ts: t0 + 200, site_id: 'n1', energy_uj: 600e6 });
+
+    const [record] = Array.from(agg.emit());
+    assert.strictEqual(agg.counterResets, 1);
+    assert.strictEqual(record.energy_j_window, 500);
+    assert.strictEqual(record.power_w, 5);
+  });
+
+  test('apportions an interval across window boundaries', () => {
+    const agg = new PowerAggregator(300_000_000);
+    agg.addEnergyCounterRecord({ ts: t0 + 200, site_id: 'n1', energy_uj: 0 });
+    agg.addEnergyCounterRecord({ ts: t0 + 400, site_id: 'n1', energy_uj: 20_000e6 });
+
+    const records = Array.from(agg.emit()).sort((a, b) => a.ts_start - b.ts_start);
+    assert.strictEqual(records.length, 2);
+    assert.strictEqual(records[0].energy_j_window, 10_000);
+    assert.strictEqual(records[1].energy_j_window, 10_000);
+    assert.strictEqual(records[0].power_w, 100);
+  });
+
+  test('ingests powercap snapshot dumps and skips core subzones', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-rapl-'));
+    try {
+      const snapshot = (ts, pkg, core) => [
+        `# ts=${ts}`,
+        '/sys/class/powercap/intel-rapl:0/name:package-0',
+        `/sys/class/powercap/intel-rapl:0/energy_uj:${pkg}`,
+        '/sys/class/powercap/intel-rapl:0/max_energy_range_uj:262143328850',
+        '/sys/class/powercap/intel-rapl:0/intel-rapl:0:0/name:core',
+        `/sys/class/powercap/intel-rapl:0/intel-rapl:0:0/energy_uj:${core}`
+      ].join('\n');
+      await writeFile(join(dir, 'node7-rapl.txt'), [
+        '# host=node7',
+        snapshot(t0, 262_000_000_000, 0),
+        snapshot(t0 + 100, 857_000_000, 5_000_000_000)
+      ].join('\n'));
+
+      const snapshots = [];
+      for await (const record of readRaplSnapshots(join(dir, 'node7-rapl.txt'))) {
+        snapshots.push(record);
+      }
+      assert.strictEqual(snapshots.length, 4);
+      assert.strictEqual(snapshots[0].host, 'node7');
+      assert.ok(isCountedRaplDomain(snapshots[0]));
+      assert.ok(!isCountedRaplDomain(snapshots[1]));
+
+      const records = [];
+      for await (const record of ingestPowerdata(dir)) {
+        records.push(record);
+      }
+      assert.strictEqual(records.length, 1);
+      assert.strictEqual(records[0].site_id, 'unknown');
+      assert.strictEqual(records[0].node_id, 'node7');
+      // (262143.32885 - 262000) + 857 J after one wrap
+      assert.ok(Math.abs(records[0].energy_j_window - 1000.32885) < 1e-6);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
 });
 
 // ============================================
@@ -90,6 +1005,885 @@ describe('TsvNormalizer', () => {
     assert.strictEqual(records[0].cpu_util, 0.6);
     assert.strictEqual(records[0].power_w, 1000);
   });
+
+  test('sums power sources that share a window', () => {
+    const norm = new TsvNormalizer({ windowSizeUs: 1_000_000 });
+    norm.addPowerRecord({ ts_start: 1_000_000, site_id: 'site-1', power_w: 400, energy_j_window: 400 });
+    norm.addPowerRecord({ ts_start: 1_000_000, site_id: 'site-1', power_w: 600, energy_j_window: 600 });
+    const [record] = Array.from(norm.emit());
+    assert.strictEqual(record.power_w, 1000);
+    assert.strictEqual(record.energy_j, 1000);
+    assert.strictEqual(record.merge_count, 2);
+  });
+
+  test('energy-weights power coverage across merged sources', () => {
+    const norm = new TsvNormalizer({ windowSizeUs: 1_000_000 });
+    norm.addPowerRecord({ ts_start: 1_000_000, site_id: 'site-1', power_w: 400, energy_j_window: 400, coverage_ratio: 1 });
+    norm.addPowerRecord({ ts_start: 1_000_000, site_id: 'site-1', power_w: 600, energy_j_window: 600, coverage_ratio: 0.5 });
+    norm.addUsageRecord({ ts_start: 2_000_000, site_id: 'site-1', cpu_util: 0.5 });
+    const records = Array.from(norm.emit()).sort((a, b) => a.ts_start - b.ts_start);
+    assert.ok(Math.abs(records[0].coverage_ratio - 0.7) < 1e-9); // energy-weighted
+    assert.strictEqual(records[1].coverage_ratio, null);
+  });
+
+  test('energy-weights utilization and keeps max queue depth', () => {
+    const norm = new TsvNormalizer({ windowSizeUs: 1_000_000 });
+    norm.addUsageRecord({ ts_start: 1_000_000, site_id: 'site-1', cpu_util: 0.2, energy_j_window: 100, job_queue_depth: 3, resource_seconds_window: 10 });
+    norm.addUsageRecord({ ts_start: 1_000_000, site_id: 'site-1', cpu_util: 0.6, energy_j_window: 300, job_queue_depth: 5, resource_seconds_window: 20 });
+    const [record] = Array.from(norm.emit());
+    assert.ok(Math.abs(record.cpu_util - 0.5) < 1e-9);
+    assert.strictEqual(record.job_queue_depth, 5);
+    assert.strictEqual(record.resource_seconds, 30);
+  });
+
+  test('reports conflicts beyond tolerance', () => {
+    const norm = new TsvNormalizer({ windowSizeUs: 1_000_000, conflictTolerance: 0.1 });
+    norm.addUsageRecord({ ts_start: 1_000_000, site_id: 'site-1', cpu_util: 0.50, mem_util: 0.3 });
+    norm.addUsageRecord({ ts_start: 1_000_000, site_id: 'site-1', cpu_util: 0.52, mem_util: 0.6 });
+    Array.from(norm.emit());
+    assert.strictEqual(norm.conflicts.length, 1);
+    assert.strictEqual(norm.conflicts[0].field, 'mem_util');
+    assert.strictEqual(norm.conflicts[0].source, 'usage');
+  });
+
+  test('reports conflicts for summed fields', () => {
+    const norm = new TsvNormalizer({ windowSizeUs: 1_000_000, conflictTolerance: 0.1 });
+    norm.addPowerRecord({ ts_start: 1_000_000, site_id: 'site-1', power_w: 400, energy_j_window: 400 });
+    norm.addPowerRecord({ ts_start: 1_000_000, site_id: 'site-1', power_w: 600, energy_j_window: 600 });
+    assert.strictEqual(Array.from(norm.emit())[0].energy_j, 1000);
+    assert.deepStrictEqual(norm.conflicts.map(c => c.field).sort(), ['energy_j_window', 'power_w']);
+  });
+
+  test('rolls up utilization with equal weights when no power is joined', () => {
+    const norm = new TsvNormalizer({ windowSizeUs: 1_000_000, rollup: 'site' });
+    norm.addUsageRecord({ ts_start: 1_000_000, site_id: 's', node_id: 'n1', cpu_util: 0.2 });
+    norm.addUsageRecord({ ts_start: 1_000_000, site_id: 's', node_id: 'n2', cpu_util: 0.6 });
+    assert.ok(Math.abs(Array.from(norm.emit())[0].cpu_util - 0.4) < 1e-9);
+  });
+
+  test('averages with equal weights when only some sources carry energy', () => {
+    const mixed = new TsvNormalizer({ windowSizeUs: 1_000_000 });
+    mixed.addUsageRecord({ ts_start: 1_000_000, site_id: 's', cpu_util: 0.2, energy_j_window: 1e6 });
+    mixed.addUsageRecord({ ts_start: 1_000_000, site_id: 's', cpu_util: 0.6 });
+    mixed.addUsageRecord({ ts_start: 1_000_000, site_id: 's', cpu_util: 0.4, energy_j_window: 3e6 });
+    assert.ok(Math.abs(Array.from(mixed.emit())[0].cpu_util - 0.4) < 1e-9);
+
+    const metered = new TsvNormalizer({ windowSizeUs: 1_000_000 });
+    metered.addUsageRecord({ ts_start: 1_000_000, site_id: 's', cpu_util: 0.2, energy_j_window: 1e6 });
+    metered.addUsageRecord({ ts_start: 1_000_000, site_id: 's', cpu_util: 0.6, energy_j_window: 3e6 });
+    assert.ok(Math.abs(Array.from(metered.emit())[0].cpu_util - 0.5) < 1e-9);
+  });
+
+  test('accepts per-field strategy overrides', () => {
+    const norm = new TsvNormalizer({ windowSizeUs: 1_000_000, mergeStrategies: { power_w: 'max' } });
+    norm.addPowerRecord({ ts_start: 1_000_000, site_id: 'site-1', power_w: 400 });
+    norm.addPowerRecord({ ts_start: 1_000_000, site_id: 'site-1', power_w: 600 });
+    assert.strictEqual(Array.from(norm.emit())[0].power_w, 600);
+    assert.throws(() => new TsvNormalizer({ mergeStrategies: { power_w: 'median' } }));
+  });
+
+  test('rolls node windows up to clusters and sites', () => {
+    const nodes = [
+      { node_id: 'n1', cluster_id: 'c1', cpu_util: 0.2, job_queue_depth: 1, power_w: 100 },
+      { node_id: 'n2', cluster_id: 'c1', cpu_util: 0.6, job_queue_depth: 2, power_w: 300 },
+      { node_id: 'n3', cluster_id: 'c2', cpu_util: 1.0, job_queue_depth: 4, power_w: 600 }
+    ];
+    const build = (rollup) => {
+      const norm = new TsvNormalizer({ windowSizeUs: 1_000_000, rollup });
+      for (const n of nodes) {
+        const identity = { site_id: 's', cluster_id: n.cluster_id, node_id: n.node_id };
+        norm.addUsageRecord({ ts_start: 1_000_000, ...identity, cpu_util: n.cpu_util, job_queue_depth: n.job_queue_depth });
+        norm.addPowerRecord({ ts_start: 1_000_000, ...identity, power_w: n.power_w, energy_j_window: n.power_w });
+      }
+      return Array.from(norm.emit());
+    };
+
+    const clusters = build('cluster');
+    const c1 = clusters.find(r => r.cluster_id === 'c1');
+    assert.strictEqual(clusters.length, 2);
+    assert.strictEqual(c1.node_id, null);
+    assert.strictEqual(c1.energy_j, 400);
+    assert.ok(Math.abs(c1.cpu_util - 0.5) < 1e-9); // weighted by node energy 100 / 300
+    assert.strictEqual(c1.job_queue_depth, 3);
+
+    const [site] = build('site');
+    assert.strictEqual(site.cluster_id, null);
+    assert.strictEqual(site.energy_j, 1000);
+    assert.strictEqual(site.job_queue_depth, 7);
+    assert.strictEqual(build('node').length, 3);
+  });
+
+  test('joins site-wide power to the only cluster it covers', () => {
+    const norm = new TsvNormalizer({ windowSizeUs: 1_000_000, rollup: 'cluster' });
+    norm.addUsageRecord({ ts_start: 1_000_000, site_id: 's', cluster_id: 'c1', cpu_util: 0.5 });
+    norm.addPowerRecord({ ts_start: 1_000_000, site_id: 's', power_w: 100, energy_j_window: 100 });
+    norm.addUsageRecord({ ts_start: 2_000_000, site_id: 's', cluster_id: 'c1', cpu_util: 0.5 });
+    norm.addUsageRecord({ ts_start: 2_000_000, site_id: 's', cluster_id: 'c2', cpu_util: 0.5 });
+    norm.addPowerRecord({ ts_start: 2_000_000, site_id: 's', power_w: 100, energy_j_window: 100 });
+    const records = Array.from(norm.emit());
+    const first = records.filter(r => r.ts_start === 1_000_000);
+    assert.strictEqual(first.length, 1);
+    assert.strictEqual(first[0].cluster_id, 'c1');
+    assert.strictEqual(first[0].energy_j, 100);
+    // Ambiguous: site power is not split or duplicated across two clusters
+    assert.strictEqual(records.filter(r => r.ts_start === 2_000_000).length, 3);
+  });
+
+  test('power and usage ingesters resolve a machine to the same window', () => {
+    const t = 1e13;
+    const power = new PowerAggregator(1_000_000);
+    power.addPowerRecord({ ts: t, machine_id: 5, power_w: 100 });
+    power.addPowerRecord({ ts: t + 500_000, machine_id: 5, power_w: 100 });
+    const usage = new UsageAggregator(1_000_000);
+    usage.addUsageRecord({ start_time: t, machine_id: 5, average_usage: { cpus: 0.5 } });
+
+    const norm = new TsvNormalizer({ windowSizeUs: 1_000_000 });
+    Array.from(usage.emit()).forEach(r => norm.addUsageRecord(r));
+    Array.from(power.emit()).forEach(r => norm.addPowerRecord(r));
+    const records = Array.from(norm.emit());
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].site_id, 'unknown');
+    assert.strictEqual(records[0].node_id, '5');
+    assert.strictEqual(records[0].cpu_util, 0.5);
+    assert.ok(records[0].energy_j > 0);
+  });
+
+  test('rejects unknown rollup levels', () => {
+    assert.throws(() => new TsvNormalizer({ rollup: 'rack' }), /Unknown identity level/);
+  });
+});
+
+// ============================================
+// Streaming Tests
+// ============================================
+describe('Streaming', () => {
+  test('watermark closes windows after allowed lateness', () => {
+    const late = [];
+    const watermark = new Watermark({ allowedLatenessUs: 500_000, onLate: entry => late.push(entry) });
+    watermark.observe(2_400_000);
+    assert.strictEqual(watermark.isClosed(1_000_000), true);
+    assert.strictEqual(watermark.isClosed(2_000_000), false);
+    watermark.rejectLate('usage', { ts: 0 });
+    assert.strictEqual(watermark.lateCount, 1);
+    assert.strictEqual(late[0].stage, 'usage');
+  });
+
+  test('merges time-ordered sources', async () => {
+    const merged = [];
+    for await (const record of mergeByEventTime([[{ ts: 1 }, { ts: 4 }], [{ ts: 2 }, { ts: 3 }]], r => r.ts)) {
+      merged.push(record.ts);
+    }
+    assert.deepStrictEqual(merged, [1, 2, 3, 4]);
+  });
+
+  test('usage aggregator flushes final windows and rejects late records', () => {
+    const watermark = new Watermark();
+    const agg = new UsageAggregator(1_000_000, { watermark });
+    agg.addUsageRecord({ start_time: 100_000, site_id: 's1', average_usage: { cpus: 0.4 } });
+    assert.strictEqual(Array.from(agg.flush()).length, 0);
+
+    agg.addUsageRecord({ start_time: 1_200_000, site_id: 's1', average_usage: { cpus: 0.8 } });
+    const flushed = Array.from(agg.flush());
+    assert.strictEqual(flushed.length, 1);
+    assert.strictEqual(flushed[0].ts_start, 0);
+    assert.strictEqual(agg.windows.size, 1);
+
+    agg.addUsageRecord({ start_time: 500_000, site_id: 's1', average_usage: { cpus: 0.9 } });
+    assert.strictEqual(watermark.lateCount, 1);
+    assert.strictEqual(Array.from(agg.flush(Infinity))[0].cpu_util, 0.8);
+  });
+
+  test('incremental lifecycle replay matches batch replay', () => {
+    const events = [
+      { time: 0, collection_id: 1, type: 'SUBMIT' },
+      { time: 1_500_000, collection_id: 2, type: 'SUBMIT' },
+      { time: 2_100_000, collection_id: 1, type: 'SCHEDULE' },
+      { time: 4_200_000, collection_id: 2, type: 'FAIL' }
+    ];
+    const batch = new CollectionLifecycleTracker(1_000_000);
+    const incremental = new CollectionLifecycleTracker(1_000_000);
+    const streamed = [];
+    for (const event of events) {
+      batch.addEvent(event);
+      incremental.addEvent(event);
+      streamed.push(...incremental.windows(Math.floor(event.time / 1_000_000) * 1_000_000));
+    }
+    streamed.push(...incremental.windows());
+    assert.deepStrictEqual(streamed, Array.from(batch.windows()));
+  });
+
+  test('power aggregator keeps only open windows', () => {
+    const agg = new PowerAggregator(1_000_000, { watermark: new Watermark() });
+    const emitted = [];
+    for (let i = 0; i < 10; i++) {
+      agg.addPowerRecord({ ts: 1e13 + i * 1_000_000, site_id: 's1', power_w: 100 });
+      emitted.push(...agg.flush());
+      assert.ok(agg.windows.size <= 1);
+    }
+    emitted.push(...agg.flush(Infinity));
+    assert.strictEqual(emitted.length, 10);
+    assert.ok(emitted.every((r, i) => i === 0 || r.ts_start > emitted[i - 1].ts_start));
+  });
+
+  test('normalizeTsvStream joins usage and power like the batch normalizer', async () => {
+    const usage = [1, 2, 3].map(i => ({ ts_start: i * 1_000_000, ts_end: (i + 1) * 1_000_000, site_id: 's1', cpu_util: 0.1 * i }));
+    const power = [1, 2, 3].map(i => ({ ts_start: i * 1_000_000, ts_end: (i + 1) * 1_000_000, site_id: 's1', power_w: 100 + i, energy_j_window: 100 + i }));
+    const options = { windowSizeUs: 1_000_000 };
+
+    const streamed = [];
+    for await (const record of normalizeTsvStream([usage], [power], { ...options, watermark: new Watermark() })) {
+      streamed.push(record);
+    }
+    const batch = await normalizeTsv(usage, power, options);
+    assert.deepStrictEqual(streamed, batch);
+  });
+});
+
+// ============================================
+// Clock Tests
+// ============================================
+describe('Clock', () => {
+  const iso = (us) => new Date(us / 1000).toISOString();
+
+  test('parses epochs, ISO strings and zone-less local times', () => {
+    assert.strictEqual(parseTimestamp(1704067200), 1704067200 * 1e6);
+    assert.strictEqual(parseTimestamp('1704067200000'), 1704067200 * 1e6);
+    assert.strictEqual(iso(parseTimestamp('2024-01-01T12:00:00+02:00')), '2024-01-01T10:00:00.000Z');
+    assert.strictEqual(iso(parseTimestamp('2024-01-01 12:00:00')), '2024-01-01T12:00:00.000Z');
+    assert.strictEqual(iso(parseTimestamp('2024-01-01 12:00:00', { timezone: 'America/Denver' })), '2024-01-01T19:00:00.000Z');
+    assert.strictEqual(iso(parseTimestamp('2024-07-01 12:00:00', { timezone: 'America/Denver' })), '2024-07-01T18:00:00.000Z');
+    assert.strictEqual(parseTimestamp('not a time'), null);
+  });
+
+  test('parses strftime patterns', () => {
+    const apache = parseTimestamp('01/Jan/2024:10:00:00 +0100', { format: '%d/%b/%Y:%H:%M:%S %z' });
+    assert.strictEqual(iso(apache), '2024-01-01T09:00:00.000Z');
+    const local = parseTimestamp('2024/01/02 03:04:05.678', { format: '%Y/%m/%d %H:%M:%S.%f', timezone: '+05:30' });
+    assert.strictEqual(iso(local), '2024-01-01T21:34:05.678Z');
+    assert.throws(() => parseTimestamp('x', { format: '%Q' }), /Unsupported strftime directive/);
+  });
+
+  test('applies per-source zone and offset in ingesters', () => {
+    const clock = new SourceClock({ timezone: 'Asia/Tokyo', offsetUs: 120_000_000 });
+    assert.strictEqual(iso(clock.parse('2024-01-01 09:02:00')), '2024-01-01T00:00:00.000Z');
+    assert.strictEqual(iso(parseSlurmTime('2024-01-01T09:02:00', clock)), '2024-01-01T00:00:00.000Z');
+
+    const agg = new PowerAggregator(60_000_000, { clock });
+    agg.addPowerRecord({ timestamp: '2024-01-01 09:02:30', site_id: 's', power_w: 100 });
+    const [record] = Array.from(agg.emit());
+    assert.strictEqual(iso(record.ts_start), '2024-01-01T00:00:00.000Z');
+  });
+
+  test('keeps ISO timestamps intact when reading power CSV', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-clock-'));
+    try {
+      await writeFile(join(dir, 'pdu.csv'), 'timestamp,power_w\n2024-01-01T00:00:30Z,100\n');
+      const records = [];
+      for await (const r of ingestPowerdata(dir, { windowSizeUs: 60_000_000, siteId: 's' })) records.push(r);
+      assert.strictEqual(iso(records[0].ts_start), '2024-01-01T00:00:00.000Z');
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('estimates clock skew by cross-correlating power with utilization', () => {
+    const util = Array.from({ length: 120 }, (_, i) => (Math.floor(i / 5) * 7) % 11 / 10);
+    const reference = util.map((value, i) => ({ ts_start: i * 60e6, ts_end: (i + 1) * 60e6, value }));
+    const power = [];
+    for (let s = 0; s < 120 * 60; s += 10) {
+      power.push({ ts: (s + 120) * 1e6, value: 500 + 400 * util[Math.floor(s / 60)] });
+    }
+    const estimate = estimateClockSkew(reference, power);
+    assert.strictEqual(estimate.offsetUs, 120_000_000);
+    assert.ok(estimate.correlation > 0.99);
+    assert.strictEqual(estimateClockSkew(reference, [{ ts: 0, value: 1 }]), null);
+  });
+
+  test('estimates the skew left on top of a configured clock offset', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-skew-'));
+    try {
+      const t0 = Date.UTC(2024, 0, 1) * 1000;
+      const util = Array.from({ length: 120 }, (_, i) => (Math.floor(i / 5) * 7) % 11 / 10);
+      const reference = util.map((value, i) => ({ ts_start: t0 + i * 60e6, ts_end: t0 + (i + 1) * 60e6, value }));
+      const rows = ['timestamp,power_w'];
+      for (let s = 0; s < 120 * 60; s += 10) {
+        rows.push(`${new Date((t0 / 1000) + (s + 120) * 1000).toISOString()},${500 + 400 * util[Math.floor(s / 60)]}`);
+      }
+      await writeFile(join(dir, 'pdu.csv'), rows.join('\n') + '\n');
+
+      const clock = new SourceClock({ offsetUs: 100_000_000 });
+      const series = await readPowerSeries(dir, { clock });
+      assert.strictEqual(series[0].ts, t0 + 20_000_000);
+      const estimate = estimateClockSkew(reference, series);
+      assert.strictEqual(clock.offsetUs + estimate.offsetUs, 120_000_000);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// ============================================
+// Power Gap Filling Tests
+// ============================================
+describe('Power Gap Filling', () => {
+  const windows = (powers, extra = () => ({})) => powers.map((power, i) => ({
+    ts_start: (i + 1) * 1_000_000,
+    ts_end: (i + 2) * 1_000_000,
+    site_id: 's',
+    window_duration_s: 1,
+    power_w: power,
+    energy_j: power,
+    ...extra(i)
+  }));
+  const fill = async (records, options) => {
+    const out = [];
+    for await (const r of fillPowerGaps(records, options)) out.push(r);
+    return out;
+  };
+
+  test('leaves gaps by default and drops them on request', async () => {
+    const records = windows([100, null, 300]);
+    const kept = await fill(records, {});
+    assert.strictEqual(kept.length, 3);
+    assert.strictEqual(kept[1].energy_j, null);
+    assert.deepStrictEqual(kept[1].imputed_fields, []);
+    assert.strictEqual((await fill(records, { strategy: 'drop' })).length, 2);
+  });
+
+  test('carries forward and interpolates per entity', async () => {
+    const carried = await fill(windows([100, null, null]), { strategy: 'carry-forward' });
+    assert.strictEqual(carried[2].power_w, 100);
+    assert.deepStrictEqual(carried[2].imputed_fields, ['power_w', 'energy_j']);
+
+    const linear = await fill(windows([100, null, null, 400]), { strategy: 'linear' });
+    assert.deepStrictEqual(linear.map(r => r.power_w), [100, 200, 300, 400]);
+    assert.strictEqual(linear[2].energy_j, 300);
+
+    const trailing = await fill(windows([100, null]), { strategy: 'linear' });
+    assert.strictEqual(trailing[1].power_w, null);
+  });
+
+  test('estimates power from utilization history', async () => {
+    const utils = [0.1, 0.5, 0.9, 0.3, 0.7];
+    const records = windows([150, 250, 350, null, null], i => ({ cpu_util: utils[i] }));
+    const filler = new PowerGapFiller({ strategy: 'regression' });
+    const out = await fill(records, filler);
+    assert.ok(Math.abs(out[3].power_w - 200) < 1e-3);
+    assert.ok(Math.abs(out[4].power_w - 300) < 1e-3);
+    assert.strictEqual(filler.stats.imputed_count, 2);
+    assert.throws(() => new PowerGapFiller({ strategy: 'spline' }), /Unknown gap strategy/);
+  });
+});
+
+// ============================================
+// Schema Validation Tests
+// ============================================
+describe('Schema Validation', () => {
+  const validRecord = () => ({
+    ts_start: 0,
+    ts_end: 300_000_000,
+    site_id: 'site-1',
+    cpu_util: 0.5,
+    resource_seconds: 150,
+    energy_j: 1000,
+    imputed_fields: []
+  });
+
+  test('reports JSON pointer and rule for TSV violations', async () => {
+    const schema = await loadSchema();
+    assert.deepStrictEqual(validateSchema(validRecord(), schema), []);
+
+    const record = { ...validRecord(), cpu_util: 1.5, energy_j: 'high', imputed_fields: [3], extra: 1 };
+    delete record.site_id;
+    const errors = validateSchema(record, schema);
+    const byPath = Object.fromEntries(errors.map(e => [e.path, e.rule]));
+    assert.deepStrictEqual(byPath, {
+      '/site_id': 'required',
+      '/cpu_util': 'maximum',
+      '/energy_j': 'type',
+      '/imputed_fields/0': 'type',
+      '/extra': 'additionalProperties'
+    });
+  });
+
+  test('supports references and combinators', () => {
+    const schema = {
+      definitions: { id: { type: 'string', pattern: '^[a-z]+$' } },
+      type: 'object',
+      properties: {
+        site: { $ref: '#/definitions/id' },
+        value: { oneOf: [{ type: 'integer' }, { type: 'null' }] }
+      }
+    };
+    assert.strictEqual(validateSchema({ site: 'abc', value: null }, schema).length, 0);
+    const rules = validateSchema({ site: 'A1', value: 1.5 }, schema).map(e => e.rule);
+    assert.deepStrictEqual(rules, ['pattern', 'oneOf']);
+  });
+
+  test('counts violations by rule and quarantines or fails', async () => {
+    const schema = await loadSchema();
+    const quarantined = [];
+    const validator = new SchemaValidator(schema, { onInvalid: entry => quarantined.push(entry) });
+    const records = [validRecord(), { ...validRecord(), cpu_util: -1 }];
+
+    const valid = [];
+    for await (const record of validateRecords(records, validator, { stage: 'input' })) {
+      valid.push(record);
+    }
+    validator.rejectUnparsed({ stage: 'input', line: 3, raw: '{' }, 'Unexpected end of JSON input');
+
+    assert.strictEqual(valid.length, 1);
+    assert.deepStrictEqual(validator.stats, { checked: 3, invalid: 2, by_rule: { minimum: 1, json: 1 } });
+    assert.strictEqual(quarantined[0].stage, 'input');
+    assert.strictEqual(quarantined[0].errors[0].path, '/cpu_util');
+    assert.strictEqual(quarantined[1].line, 3);
+
+    const strict = new SchemaValidator(schema, { strict: true });
+    assert.throws(() => strict.check({ ...validRecord(), site_id: 7 }, { stage: 'output' }),
+      /Schema violation \(output\) at \/site_id/);
+  });
+
+  test('synthetic records conform to the TSV schema', async () => {
+    const schema = await loadSchema();
+    for (const record of generateMultiSiteSynthetic({ windowsPerSite: 5 })) {
+      assert.deepStrictEqual(validateSchema(record, schema), []);
+    }
+  });
+});
+
+// ============================================
+// Schema Versioning Tests
+// ============================================
+describe('Schema Versioning', () => {
+  const legacy = {
+    ts_start: 0,
+    ts_end: 300_000_000,
+    site_id: 'site-1',
+    cpu_util: 0.5,
+    resource_seconds_window: 150,
+    energy_j_window: 1000,
+    validated_work_units: 42
+  };
+
+  test('upgrades unversioned records through every migration', async () => {
+    const record = migrateRecord(legacy);
+    assert.strictEqual(record.schema_version, TSV_SCHEMA_VERSION);
+    assert.strictEqual(record.resource_seconds, 150);
+    assert.strictEqual(record.energy_j, 1000);
+    assert.strictEqual(record.work_units, 42);
+    assert.strictEqual(record.price_usd_per_mwh, null);
+    assert.strictEqual(record.data_source, null);
+    assert.ok(!('energy_j_window' in record));
+    assert.deepStrictEqual(validateSchema(record, await loadSchema()), []);
+
+    const v2 = migrateRecord(legacy, 2);
+    assert.strictEqual(v2.schema_version, 2);
+    assert.strictEqual(v2.work_units, undefined);
+    assert.throws(() => migrateRecord({ ...legacy, schema_version: 9 }), /Cannot downgrade/);
+  });
+
+  test('refuses mismatched input unless asked to migrate', async () => {
+    const current = migrateRecord(legacy);
+    const drain = async (records, options) => {
+      const out = [];
+      for await (const record of checkSchemaVersion(records, options)) {
+        out.push(record);
+      }
+      return out;
+    };
+
+    assert.strictEqual((await drain([current])).length, 1);
+    await assert.rejects(drain([current, legacy]), /schema_version 1, expected 3/);
+
+    const seen = [];
+    const upgraded = await drain([legacy], { migrate: true, onMigrated: v => seen.push(v) });
+    assert.strictEqual(upgraded[0].energy_j, 1000);
+    assert.deepStrictEqual(seen, [1]);
+    await assert.rejects(drain([{ ...current, schema_version: 4 }], { migrate: true }), /schema_version 4/);
+  });
+
+  test('writers stamp the current schema version', () => {
+    const [synthetic] = generateMultiSiteSynthetic({ windowsPerSite: 1 });
+    assert.strictEqual(synthetic.schema_version, TSV_SCHEMA_VERSION);
+
+    const norm = new TsvNormalizer({ windowSizeUs: 1_000_000 });
+    norm.addUsageRecord({ ts_start: 0, site_id: 'site-1', cpu_util: 0.5 });
+    const [record] = Array.from(norm.emit());
+    assert.strictEqual(record.schema_version, TSV_SCHEMA_VERSION);
+  });
+});
+
+// ============================================
+// Columnar Storage Tests
+// ============================================
+describe('Columnar Storage', () => {
+  test('round-trips records with nulls, absent fields and arrays', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-columnar-'));
+    try {
+      const file = join(dir, 'tsv.tsvc');
+      const records = [
+        { ts_start: 1, site_id: 'a', cpu_util: 0.5, gpu_util: null, imputed_fields: [], ok: true },
+        { ts_start: 2, site_id: 'b', cpu_util: 0.25, gpu_util: 0.1, imputed_fields: ['power_w'] },
+        { ts_start: 3, site_id: 'a', cpu_util: 1, note: 'x', ok: false }
+      ];
+      assert.strictEqual(await writeColumnar(file, records, { blockSize: 2 }), 3);
+      assert.strictEqual(await isColumnarFile(file), true);
+
+      const read = [];
+      for await (const record of readColumnar(file)) {
+        read.push(record);
+      }
+      assert.deepStrictEqual(read, records);
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+
+  test('skips blocks outside the site and time filter', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-columnar-'));
+    try {
+      const file = join(dir, 'tsv.tsvc');
+      const records = Array.from(generateMultiSiteSynthetic({ windowsPerSite: 20 }))
+        .sort((a, b) => a.site_id.localeCompare(b.site_id) || a.ts_start - b.ts_start);
+      await writeColumnar(file, records, { blockSize: 10 });
+
+      const site = records[25].site_id;
+      const startTs = records[25].ts_start;
+      const reader = await ColumnarReader.open(file);
+      const read = [];
+      for await (const record of reader.read({ siteId: site, startTs })) {
+        read.push(record);
+      }
+      await reader.close();
+
+      const expected = records.filter(r => r.site_id === site && r.ts_start >= startTs);
+      assert.deepStrictEqual(read, expected);
+      assert.strictEqual(reader.stats.blocks_read, 2);
+      assert.strictEqual(reader.stats.blocks_skipped, 4);
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+
+  test('rejects truncated files and corrupt footers', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-columnar-'));
+    try {
+      const file = join(dir, 'tsv.tsvc');
+      await writeColumnar(file, [{ ts_start: 1, site_id: 'a', cpu_util: 0.5 }]);
+      const bytes = await readFile(file);
+      const footerLength = bytes.readUInt32LE(bytes.length - 8);
+
+      const truncated = join(dir, 'truncated.tsvc');
+      await writeFile(truncated, bytes.subarray(0, bytes.length - 3));
+      await assert.rejects(ColumnarReader.open(truncated), /missing footer/);
+
+      const tooLong = Buffer.from(bytes);
+      tooLong.writeUInt32LE(bytes.length, bytes.length - 8);
+      await writeFile(join(dir, 'length.tsvc'), tooLong);
+      await assert.rejects(ColumnarReader.open(join(dir, 'length.tsvc')), /Corrupt columnar footer \(length/);
+
+      const garbled = Buffer.from(bytes);
+      garbled.fill(0x7b, bytes.length - 8 - footerLength, bytes.length - 8);
+      await writeFile(join(dir, 'garbled.tsvc'), garbled);
+      await assert.rejects(ColumnarReader.open(join(dir, 'garbled.tsvc')), /Corrupt columnar footer/);
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+});
+
+// ============================================
+// Parquet Tests
+// ============================================
+describe('Parquet', () => {
+  test('round-trips TSV records through schema-derived columns', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-parquet-'));
+    try {
+      const file = join(dir, 'tsv.parquet');
+      const base = { schema_version: 3, ts_end: 2, cpu_util: 0.5, resource_seconds: 10 };
+      const records = [
+        { ...base, ts_start: 1, site_id: 'a', gpu_util: null, job_queue_depth: 4, imputed_fields: [] },
+        { ...base, ts_start: 2, site_id: 'b', gpu_util: 0.1, imputed_fields: ['power_w', null] },
+        { ...base, ts_start: 3, site_id: 'a', cluster_id: 'c1', note: 'not in schema' }
+      ];
+      const result = await writeParquet(file, records, { rowGroupSize: 2 });
+      assert.strictEqual(result.rowCount, 3);
+      assert.deepStrictEqual(result.droppedFields, ['note']);
+      assert.strictEqual(await isParquetFile(file), true);
+
+      const read = [];
+      for await (const record of readParquet(file)) {
+        read.push(record);
+      }
+      assert.strictEqual(read.length, 3);
+      assert.strictEqual(read[0].gpu_util, null);
+      assert.strictEqual(read[0].job_queue_depth, 4);
+      assert.deepStrictEqual(read[0].imputed_fields, []);
+      assert.deepStrictEqual(read[1].imputed_fields, ['power_w', null]);
+      // Absent non-nullable fields stay absent; absent nullable fields read as null
+      assert.strictEqual('job_queue_depth' in read[1], false);
+      assert.strictEqual(read[1].cluster_id, null);
+      assert.strictEqual(read[2].cluster_id, 'c1');
+      assert.strictEqual('imputed_fields' in read[2], false);
+      assert.strictEqual('note' in read[2], false);
+
+      await assert.rejects(
+        writeParquet(file, [{ ts_start: 1, ts_end: 2, cpu_util: 0.5, resource_seconds: 1 }]),
+        /site_id is required/
+      );
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+
+  test('skips row groups outside the site and time filter using statistics', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-parquet-'));
+    try {
+      const file = join(dir, 'tsv.parquet');
+      const records = Array.from(generateMultiSiteSynthetic({ windowsPerSite: 20 }))
+        .sort((a, b) => a.site_id.localeCompare(b.site_id) || a.ts_start - b.ts_start);
+      await writeParquet(file, records, { rowGroupSize: 10, compression: 'none' });
+
+      const site = records[25].site_id;
+      const startTs = records[25].ts_start;
+      const reader = await ParquetReader.open(file);
+      const stats = reader.columnStatistics(reader.metadata[4][0], 'ts_start');
+      assert.strictEqual(stats.min, records[0].ts_start);
+      assert.strictEqual(stats.max, records[9].ts_start);
+      assert.strictEqual(stats.nullCount, 0);
+
+      const read = [];
+      for await (const record of reader.read({ siteId: site, startTs })) {
+        read.push(record);
+      }
+      await reader.close();
+
+      const expected = records.filter(r => r.site_id === site && r.ts_start >= startTs);
+      assert.deepStrictEqual(read.map(r => [r.site_id, r.ts_start, r.energy_j]), expected.map(r => [r.site_id, r.ts_start, r.energy_j]));
+      assert.strictEqual(reader.stats.row_groups_read, 2);
+      assert.strictEqual(reader.stats.row_groups_skipped, 4);
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+
+  test('orders string statistics by UTF-8 bytes', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-parquet-'));
+    try {
+      const file = join(dir, 'tsv.parquet');
+      const base = { schema_version: 3, ts_start: 1, ts_end: 2, cpu_util: 0.5, resource_seconds: 1 };
+      // U+1F600 sorts below U+FF5A in UTF-16 code units but above it in UTF-8 bytes
+      await writeParquet(file, [{ ...base, site_id: '\u{1F600}-site' }, { ...base, site_id: '\uFF5A-site' }]);
+
+      const reader = await ParquetReader.open(file);
+      const stats = reader.columnStatistics(reader.metadata[4][0], 'site_id');
+      assert.deepStrictEqual([stats.min, stats.max], ['\uFF5A-site', '\u{1F600}-site']);
+      const read = [];
+      for await (const record of reader.read({ siteId: '\u{1F600}-site' })) {
+        read.push(record);
+      }
+      await reader.close();
+      assert.strictEqual(read.length, 1);
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+
+  test('reads column chunks with more values than fit in a call stack', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-parquet-'));
+    try {
+      const file = join(dir, 'tsv.parquet');
+      const count = 200000;
+      const records = Array.from({ length: count }, (_, i) => ({
+        schema_version: 3, ts_start: i, ts_end: i + 1, site_id: 'a', cpu_util: 0.5, resource_seconds: 1
+      }));
+      await writeParquet(file, records, { rowGroupSize: count, compression: 'none' });
+
+      let read = 0;
+      let last = null;
+      for await (const record of readParquet(file)) {
+        read++;
+        last = record;
+      }
+      assert.strictEqual(read, count);
+      assert.strictEqual(last.ts_start, count - 1);
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+
+  test('reads a parquet-rs file with SNAPPY, dictionary and v2 data pages', async () => {
+    // Written by parquet-rs 59.3.0 (parquet-wasm 0.8.0): WriterVersion V2, SNAPPY, dictionary
+    // pages for every column but power_w (PLAIN), 64 rows in two row groups of 32
+    const file = fileURLToPath(new URL('fixtures/parquet-rs-v2-snappy-dictionary.parquet', import.meta.url));
+    const read = [];
+    for await (const record of readParquet(file)) {
+      read.push(record);
+    }
+    assert.strictEqual(read.length, 64);
+    assert.deepStrictEqual(read[2], {
+      schema_version: 3,
+      ts_start: 1800000600000000,
+      ts_end: 1800000900000000,
+      site_id: '\uFF5A-site',
+      cluster_id: 'c0',
+      cpu_util: 0.5,
+      power_w: 1025,
+      imputed_fields: ['power_w']
+    });
+    assert.strictEqual(read[3].cluster_id, null);
+    assert.strictEqual('cpu_util' in read[0], false);
+    assert.deepStrictEqual(read[1].imputed_fields, []);
+    assert.strictEqual(read[63].site_id, 'site-b');
+    assert.strictEqual(read[63].power_w, 1787.5);
+
+    // Row group 0 holds U+FF5A/U+1F600 sites with byte-ordered statistics from another writer
+    const reader = await ParquetReader.open(file);
+    const stats = reader.columnStatistics(reader.metadata[4][0], 'site_id');
+    assert.deepStrictEqual([stats.min, stats.max], ['\uFF5A-site', '\u{1F600}-site']);
+    const filtered = [];
+    for await (const record of reader.read({ siteId: '\u{1F600}-site' })) {
+      filtered.push(record);
+    }
+    await reader.close();
+    assert.strictEqual(filtered.length, 16);
+    assert.deepStrictEqual(reader.stats, { row_groups_read: 1, row_groups_skipped: 1 });
+  });
+});
+
+// ============================================
+// Compression Tests
+// ============================================
+describe('Compression', () => {
+  test('writes gzip NDJSON by extension and reads it back by magic bytes', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-compression-'));
+    try {
+      const file = join(dir, 'tsv.ndjson.gz');
+      const records = [{ ts_start: 1, site_id: 'a' }, { ts_start: 2, site_id: 'b' }];
+      const result = await writeNdjsonFile(file, records);
+      assert.deepStrictEqual(result, { count: 2, shards: [file] });
+      assert.strictEqual(await detectCompression(file), 'gzip');
+
+      // Detection does not rely on the name
+      const renamed = join(dir, 'tsv.ndjson');
+      await writeFile(renamed, await readFile(file));
+      const lines = [];
+      for await (const line of readLines(renamed)) {
+        lines.push(JSON.parse(line));
+      }
+      assert.deepStrictEqual(lines, records);
+
+      const plain = join(dir, 'plain.ndjson');
+      await writeFile(plain, '{"a":1}\n');
+      assert.strictEqual(await detectCompression(plain), null);
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+
+  test('writes and reads zstd, or rejects it where zlib lacks zstd', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-compression-'));
+    try {
+      assert.strictEqual(compressionFromPath('out/tsv.ndjson.zst'), 'zstd');
+      assert.strictEqual(shardPath('out/tsv.ndjson.zst', 1), 'out/tsv-00001.ndjson.zst');
+
+      const file = join(dir, 'tsv.ndjson.zst');
+      const records = [{ ts_start: 1, site_id: 'a' }];
+      if (COMPRESSIONS.zstd.available) {
+        await writeNdjsonFile(file, records);
+        assert.strictEqual(await detectCompression(file), 'zstd');
+        const lines = [];
+        for await (const line of readLines(file)) {
+          lines.push(JSON.parse(line));
+        }
+        assert.deepStrictEqual(lines, records);
+      } else {
+        await assert.rejects(writeNdjsonFile(file, records), /zstd needs a Node\.js whose zlib supports it/);
+
+        // zstd frames are recognized, not read as malformed text
+        const framed = join(dir, 'framed.ndjson');
+        await writeFile(framed, Buffer.from([0x28, 0xb5, 0x2f, 0xfd, 0x00, 0x00]));
+        assert.strictEqual(await detectCompression(framed), 'zstd');
+        await assert.rejects(async () => {
+          for await (const line of readLines(framed)) assert.fail(`read ${line}`);
+        }, /zstd needs a Node\.js/);
+      }
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+
+  test('rotates shards by size and by event-time interval', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-compression-'));
+    try {
+      assert.strictEqual(shardPath('out/tsv.ndjson.gz', 3), 'out/tsv-00003.ndjson.gz');
+      assert.strictEqual(shardPath('out/tsv', 0), 'out/tsv-00000');
+
+      const records = Array.from({ length: 6 }, (_, i) => ({ ts_start: i * 100, site_id: 's' }));
+      const line = JSON.stringify(records[5]).length + 1;
+
+      const bySize = await writeNdjsonFile(join(dir, 'size.ndjson'), records, { shardBytes: line * 2 });
+      assert.strictEqual(bySize.shards.length, 3);
+
+      const byTime = await writeNdjsonFile(join(dir, 'time.ndjson.gz'), records, { shardIntervalUs: 250 });
+      assert.deepStrictEqual(byTime.shards.map(s => s.slice(dir.length + 1)), [
+        'time-00000.ndjson.gz', 'time-00001.ndjson.gz', 'time-00002.ndjson.gz'
+      ]);
+      const counts = [];
+      for (const shard of byTime.shards) {
+        let n = 0;
+        for await (const text of readLines(shard)) {
+          if (text) n++;
+        }
+        counts.push(n);
+      }
+      assert.deepStrictEqual(counts, [3, 2, 1]);
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+});
+
+// ============================================
+// Record I/O Tests
+// ============================================
+describe('Record I/O', () => {
+  test('reports malformed lines with line numbers and charges the error budget', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-io-'));
+    try {
+      const file = join(dir, 'in.ndjson');
+      await writeFile(file, '{"a":1}\nnot json\n\n[1]\n{"a":2}\n');
+
+      const errors = [];
+      const budget = new ErrorBudget();
+      const records = [];
+      for await (const record of readRecords(file, { budget, onMalformed: e => errors.push(e) })) {
+        records.push(record);
+      }
+      assert.deepStrictEqual(records, [{ a: 1 }, { a: 2 }]);
+      assert.deepStrictEqual(errors.map(e => [e.line, e.raw]), [[2, 'not json'], [4, '[1]']]);
+      assert.strictEqual(errors[1].message, 'expected a JSON object');
+      assert.match(budget.summary(), /Skipped 2 malformed of 4 lines \(first at .*in\.ndjson:2:/);
+
+      const drain = async options => {
+        for await (const record of readRecords(file, options)) void record;
+      };
+      await assert.rejects(drain({ budget: new ErrorBudget(parseErrorBudget('1')) }), /in\.ndjson:4: expected a JSON object \(error budget of 1/);
+      await assert.rejects(drain({ budget: new ErrorBudget(parseErrorBudget('25%')) }), /2 of 4 lines malformed/);
+      await drain({ budget: new ErrorBudget(parseErrorBudget('50%')) });
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+
+  test('parses error budgets as line counts or percentages', () => {
+    assert.deepStrictEqual(parseErrorBudget(undefined), { maxErrors: Infinity, maxErrorRate: null });
+    assert.deepStrictEqual(parseErrorBudget('0'), { maxErrors: 0, maxErrorRate: null });
+    assert.deepStrictEqual(parseErrorBudget('2.5%'), { maxErrors: Infinity, maxErrorRate: 0.025 });
+    assert.throws(() => parseErrorBudget('1.5'), /Invalid error budget/);
+    assert.throws(() => parseErrorBudget('-1'), /Invalid error budget/);
+    assert.throws(() => parseErrorBudget('150%'), /Invalid error budget/);
+  });
 });
 
 // ============================================
@@ -152,6 +1946,356 @@ describe('Work Units - Domain Mode', () => {
   });
 });
 
+describe('Work Units - Flops Mode', () => {
+  test('weights measured FLOPs by precision', () => {
+    const tsv = { flops_fp64: 1e12, flops_fp32: 4e12, flops_tensor: null, cpu_core_seconds: 1000 };
+    const weights = parseFlopsWeights('fp32=0.5,tensor=0.125');
+    assert.deepStrictEqual(weights, { fp64: 1, fp32: 0.5, tensor: 0.125 });
+
+    const result = computeWorkUnits(tsv, 'flops', 1, { flops: { weights } });
+    assert.strictEqual(result.mode, 'flops');
+    assert.strictEqual(result.value, 3e12);
+    assert.throws(() => parseFlopsWeights('fp16=1'), /Invalid FLOPs weight/);
+  });
+
+  test('estimates from catalog peak FLOP/s without counters', () => {
+    const tsv = { cpu_core_seconds: 100, gpu_seconds: 10 };
+    const result = computeWorkUnitsFlops(tsv, { cpuModel: 'epyc-7763', gpuModel: 'a100' });
+    assert.strictEqual(result.mode, 'flops_estimated');
+    assert.strictEqual(result.value, 100 * 39.2e9 + 10 * 9.7e12);
+    assert.throws(() => computeWorkUnitsFlops(tsv, { gpuModel: 'tpu' }), /Unknown gpu model/);
+
+    const tensor = computeWorkUnitsFlops(tsv, { estimatePrecision: 'tensor', weights: { tensor: 0.5 } });
+    assert.strictEqual(tensor.value, (100 * 64e9 + 10 * 312e12) * 0.5);
+  });
+
+  test('rejects bad weights, unknown models and unknown precisions', () => {
+    for (const text of ['fp16=1', 'fp64', 'fp64=', 'fp64=fast', 'fp32=-1']) {
+      assert.throws(() => parseFlopsWeights(text), /Invalid FLOPs weight/, text);
+    }
+    assert.deepStrictEqual(parseFlopsOptions(), {
+      weights: { fp64: 1, fp32: 1, tensor: 1 }, cpuModel: 'generic', gpuModel: 'a100', estimatePrecision: 'fp64'
+    });
+    assert.throws(() => parseFlopsOptions({ gpuModel: 'generic' }), /Unknown gpu model: generic/);
+    assert.throws(() => parseFlopsOptions({ cpuModel: 'm1' }), /Unknown cpu model: m1/);
+    assert.throws(() => parseFlopsOptions({ estimatePrecision: 'fp16' }), /Unknown FLOPs precision: fp16/);
+    assert.throws(() => parseFlopsOptions({ weights: 'tensor=x' }), /Invalid FLOPs weight: tensor=x/);
+  });
+
+  test('reports the share of estimated FLOPs on the leaderboard', async () => {
+    const base = { site_id: 'a', cluster_id: 'c', ts_start: 0, ts_end: 1, energy_j: 1000 };
+    const leaderboard = new EnstLeaderboard({ workUnitsMode: 'flops' });
+    const records = [{ ...base, flops_fp64: 3e12 }, { ...base, cpu_core_seconds: 1 }];
+    for await (const record of computeEnstStream(records, { workUnitsMode: 'flops' })) {
+      leaderboard.addRecord(record);
+    }
+
+    const [entry] = leaderboard.getLeaderboard();
+    assert.strictEqual(entry.work_units, 3e12 + 32e9);
+    assert.strictEqual(entry.fallback_work_units_share, 32e9 / (3e12 + 32e9));
+    assert.strictEqual(computeSummaryStats(leaderboard).fallback_work_units_share, 32e9 / (3e12 + 32e9));
+    const [header, row] = leaderboard.toCsv().split('\n');
+    assert.strictEqual(row.split(',')[header.split(',').indexOf('fallback_work_units_share')], '0.0106');
+  });
+});
+
+describe('Work Units - Tokens Mode', () => {
+  test('weights token classes and falls back to infra', () => {
+    const weights = parseTokenWeights('prefill=0.25');
+    const split = computeWorkUnitsTokens({ tokens_prefill: 4000, tokens_decode: 500, tokens_processed: 4500 }, { weights });
+    assert.deepStrictEqual(split, { value: 1500, mode: 'tokens' });
+
+    assert.deepStrictEqual(computeWorkUnits({ tokens_processed: 4500 }, 'tokens'), { value: 4500, mode: 'tokens' });
+    assert.deepStrictEqual(
+      computeWorkUnits({ cpu_core_seconds: 1000, gpu_seconds: 500 }, 'tokens'),
+      { value: 1500, mode: 'infra_fallback' }
+    );
+    assert.throws(() => parseTokenWeights('prompt=1'), /Invalid token weight/);
+  });
+
+  test('reports tokens per joule on the leaderboard and summary', async () => {
+    const records = [
+      { site_id: 'llm', ts_start: 0, ts_end: 300e6, energy_j: 1000, tokens_train: 3000, tokens_infer: 1000 },
+      { site_id: 'llm', ts_start: 300e6, ts_end: 600e6, energy_j: 1000, cpu_core_seconds: 10 }
+    ];
+    const leaderboard = new EnstLeaderboard({ workUnitsMode: 'tokens' });
+    const options = { workUnitsMode: 'tokens', tokens: { weights: { train: 0.5 } } };
+    for await (const record of computeEnstStream(records, options)) {
+      leaderboard.addRecord(record);
+    }
+
+    // The infra-fallback window has no tokens, so its energy is left out of tokens_per_j
+    const [entry] = leaderboard.getLeaderboard();
+    assert.strictEqual(entry.work_units, 2510);
+    assert.strictEqual(entry.tokens_per_j, 4);
+
+    const [header, row] = leaderboard.toCsv().split('\n');
+    const columns = header.split(',');
+    assert.strictEqual(row.split(',')[columns.indexOf('tokens_per_j')], '4.000000');
+
+    const summary = computeSummaryStats(leaderboard);
+    assert.strictEqual(summary.total_tokens, 4000);
+    assert.strictEqual(summary.tokens_per_j, 4);
+  });
+
+  test('leaves tokens of windows without energy out of tokens per joule', () => {
+    const leaderboard = new EnstLeaderboard({ workUnitsMode: 'tokens' });
+    leaderboard.addRecord({ site_id: 'llm', energy_j: 1000, tokens_processed: 2000, work_units: 2000 });
+    leaderboard.addRecord({ site_id: 'llm', energy_j: null, tokens_processed: 8000, work_units: 8000 });
+    const [entry] = leaderboard.getLeaderboard();
+    assert.strictEqual(entry.tokens, 2000);
+    assert.strictEqual(entry.token_energy_j, 1000);
+    assert.strictEqual(entry.tokens_per_j, 2);
+    assert.strictEqual(computeSummaryStats(leaderboard).tokens_per_j, 2);
+  });
+
+  test('counts tokens unweighted and rejects bad token weights', () => {
+    assert.strictEqual(countTokens({ tokens_prefill: 4000, tokens_decode: 500, tokens_processed: 1 }), 4500);
+    assert.strictEqual(countTokens({ tokens_processed: 7 }), 7);
+    assert.strictEqual(countTokens({ cpu_core_seconds: 10 }), null);
+
+    for (const text of ['prompt=1', 'decode', 'decode=', 'decode=many', 'decode=-0.5', 'decode=Infinity']) {
+      assert.throws(() => parseTokenWeights(text), /Invalid token weight/, text);
+    }
+    assert.deepStrictEqual(parseTokenWeights(' decode = 2 , '), { prefill: 1, decode: 2, train: 1, infer: 1 });
+  });
+});
+
+describe('Work Units - Mode Registry', () => {
+  test('loads a plugin mode and labels its units on the leaderboard', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-modes-'));
+    try {
+      const pluginPath = join(dir, 'jobs.js');
+      await writeFile(pluginPath, [
+        "export const name = 'test_jobs';",
+        "export const unitLabel = 'jobs';",
+        "export const requiredFields = ['jobs_scheduled'];",
+        "export const fallback = ['domain', 'infra'];",
+        'export function compute(tsv) { return tsv.jobs_scheduled - (tsv.jobs_failed ?? 0); }'
+      ].join('\n'));
+
+      const mode = await loadWorkUnitsPlugin(pluginPath);
+      assert.strictEqual(mode.name, 'test_jobs');
+      await assert.rejects(loadWorkUnitsPlugin(pluginPath), /already registered/);
+
+      assert.deepStrictEqual(computeWorkUnits({ jobs_scheduled: 12, jobs_failed: 2 }, 'test_jobs'), { value: 10, mode: 'test_jobs' });
+      assert.deepStrictEqual(computeWorkUnits({ timesteps: 40 }, 'test_jobs'), { value: 40, mode: 'domain_fallback' });
+
+      const records = [{ site_id: 's', ts_start: 0, ts_end: 300e6, energy_j: 100, jobs_scheduled: 50 }];
+      const leaderboard = new EnstLeaderboard({ workUnitsMode: 'test_jobs' });
+      for await (const record of computeEnstStream(records, { workUnitsMode: 'test_jobs' })) {
+        leaderboard.addRecord(record);
+      }
+      assert.strictEqual(leaderboard.getLeaderboard()[0].work_units_unit, 'jobs');
+      assert.ok(leaderboard.toCsv().split('\n')[1].includes(',test_jobs,jobs,0.500000,'));
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('rejects invalid mode definitions and unknown modes', () => {
+    const compute = () => 1;
+    assert.throws(() => registerWorkUnitsMode({ name: 'Bad-Name', compute, unitLabel: 'x' }), /name must be/);
+    assert.throws(() => registerWorkUnitsMode({ name: 'no_unit', compute }), /unitLabel/);
+    assert.throws(
+      () => registerWorkUnitsMode({ name: 'no_fallback', compute, unitLabel: 'x', fallback: ['missing'] }),
+      /unknown fallback mode missing/
+    );
+    assert.throws(() => computeWorkUnits({}, 'missing'), /Unknown work units mode: missing/);
+    assert.deepStrictEqual(computeWorkUnits({ cpu_core_seconds: 10 }, 'domain', 3), { value: 10, mode: 'infra_fallback' });
+  });
+
+  test('keeps GPU weight 1 for infra fallbacks and hides fallback-only modes', () => {
+    const busy = { cpu_core_seconds: 10, gpu_seconds: 10 };
+    assert.deepStrictEqual(computeWorkUnits(busy, 'infra', 3), { value: 40, mode: 'infra' });
+    assert.deepStrictEqual(computeWorkUnits(busy, 'domain', 3), { value: 20, mode: 'infra_fallback' });
+    assert.deepStrictEqual(computeWorkUnits(busy, 'tokens', 3), { value: 20, mode: 'infra_fallback' });
+
+    assert.ok(!listWorkUnitsModes().some(mode => mode.name === 'flops_estimated'));
+    assert.throws(() => computeWorkUnits(busy, 'flops_estimated'), /only used as a fallback/);
+  });
+
+  test('fails on non-number results and ends a chain of nulls with null work units', async () => {
+    registerWorkUnitsMode({ name: 'test_text', compute: () => 'ten', unitLabel: 'x' });
+    registerWorkUnitsMode({ name: 'test_nan', compute: () => NaN, unitLabel: 'x' });
+    assert.throws(() => computeWorkUnits({}, 'test_text'), /test_text returned ten instead of a number/);
+    assert.throws(() => computeWorkUnits({}, 'test_nan'), /test_nan returned NaN instead of a number/);
+
+    registerWorkUnitsMode({ name: 'test_none', compute: () => null, unitLabel: 'x', fallbackOnly: true });
+    registerWorkUnitsMode({ name: 'test_never', compute: () => undefined, unitLabel: 'x', fallback: ['test_none'] });
+    assert.deepStrictEqual(computeWorkUnits({}, 'test_never'), { value: null, mode: null });
+    const records = [];
+    for await (const record of computeEnstStream([{ energy_j: 100 }], { workUnitsMode: 'test_never' })) {
+      records.push(record);
+    }
+    const [record] = records;
+    assert.strictEqual(record.work_units, null);
+    assert.strictEqual(record.enst, null);
+  });
+
+  test('rejects plugins that fail to load or define a bad mode', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-modes-'));
+    try {
+      await assert.rejects(loadWorkUnitsPlugin(join(dir, 'missing.js')), /Cannot load work units plugin/);
+
+      await writeFile(join(dir, 'syntax.js'), 'export const name = ;');
+      await assert.rejects(loadWorkUnitsPlugin(join(dir, 'syntax.js')), /Cannot load work units plugin/);
+
+      await writeFile(join(dir, 'nocompute.js'), "export default { name: 'test_nocompute', unitLabel: 'x' };");
+      await assert.rejects(loadWorkUnitsPlugin(join(dir, 'nocompute.js')), /test_nocompute: compute must be a function/);
+
+      await writeFile(join(dir, 'badfallback.js'), [
+        "export const name = 'test_badfallback';",
+        "export const unitLabel = 'x';",
+        "export const fallback = ['infra', 'steps'];",
+        'export function compute() { return 1; }'
+      ].join('\n'));
+      await assert.rejects(loadWorkUnitsPlugin(join(dir, 'badfallback.js')), /unknown fallback mode steps/);
+      assert.throws(() => computeWorkUnits({}, 'test_badfallback'), /Unknown work units mode/);
+
+      await writeFile(join(dir, 'throws.js'), [
+        "export const name = 'test_throws';",
+        "export const unitLabel = 'x';",
+        "export function compute() { throw new Error('counter offline'); }"
+      ].join('\n'));
+      await loadWorkUnitsPlugin(join(dir, 'throws.js'));
+      assert.throws(() => computeWorkUnits({}, 'test_throws'), /counter offline/);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Work Units - Hardware Profiles', () => {
+  test('resolves the most specific profile and applies its weights and counts', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-hardware-'));
+    try {
+      const inventoryPath = join(dir, 'inventory.json');
+      await writeFile(inventoryPath, JSON.stringify({
+        gpu_model_weights: { v100: 0.5, h100: 2 },
+        profiles: [
+          { name: 'site-a', site_id: 'a', cores: 10, gpu_model: 'v100', gpus: 2 },
+          { name: 'a-h100', site_id: 'a', cluster_id: 'gpu', gpu_model: 'h100', cpu_weight: 1.5 }
+        ]
+      }));
+      const hardware = await loadHardwareInventory(inventoryPath);
+
+      assert.strictEqual(hardware.resolve({ site_id: 'a', cluster_id: 'cpu' }).name, 'site-a');
+      assert.strictEqual(hardware.resolve({ site_id: 'a', cluster_id: 'gpu' }).name, 'a-h100');
+      assert.strictEqual(hardware.resolve({ site_id: 'b' }), null);
+
+      const v100 = { site_id: 'a', cpu_util: 0.5, gpu_util: 0.5, window_duration_s: 100 };
+      assert.strictEqual(computeWorkUnits(v100, 'infra', 1, { hardware }).value, 500 + 100 * 0.5);
+      const h100 = { site_id: 'a', cluster_id: 'gpu', cpu_core_seconds: 100, gpu_seconds: 100 };
+      assert.strictEqual(computeWorkUnits(h100, 'infra', 1, { hardware }).value, 150 + 200);
+      assert.strictEqual(computeWorkUnits({ site_id: 'b', cpu_core_seconds: 100, gpu_seconds: 100 }, 'infra', 3, { hardware }).value, 400);
+
+      await writeFile(inventoryPath, JSON.stringify({ profiles: [{ site_id: 'a', gpu_count: 4 }] }));
+      await assert.rejects(loadHardwareInventory(inventoryPath), /unknown field gpu_count/);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('tags records and leaderboard notes with the applied profile', async () => {
+    const hardware = await loadHardwareInventory('synthetic-sites');
+    const records = [
+      { site_id: 'ornl-frontier', ts_start: 0, ts_end: 300e6, energy_j: 100, cpu_core_seconds: 10, gpu_seconds: 10 },
+      { site_id: 'ornl-frontier', ts_start: 300e6, ts_end: 600e6, energy_j: 100, validated_steps: 50 }
+    ];
+    const leaderboard = new EnstLeaderboard({ workUnitsMode: 'domain' });
+    const processed = [];
+    for await (const record of computeEnstStream(records, { workUnitsMode: 'domain', hardware })) {
+      processed.push(record);
+      leaderboard.addRecord(record);
+    }
+
+    assert.strictEqual(processed[0].work_units_mode, 'infra_fallback');
+    assert.strictEqual(processed[0].work_units, 10 + 10 * 1.6);
+    assert.strictEqual(processed[0].hardware_profile, 'frontier');
+    assert.strictEqual(processed[1].hardware_profile, undefined);
+    assert.ok(leaderboard.getLeaderboard()[0].notes.includes('hardware_profile=frontier'));
+  });
+
+  test('rejects bad inventory files', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-hardware-'));
+    try {
+      const inventoryPath = join(dir, 'inventory.json');
+      const rejects = async (inventory, pattern) => {
+        await writeFile(inventoryPath, typeof inventory === 'string' ? inventory : JSON.stringify(inventory));
+        await assert.rejects(loadHardwareInventory(inventoryPath), pattern);
+      };
+
+      await assert.rejects(loadHardwareInventory(join(dir, 'missing.json')), /Cannot load hardware inventory/);
+      await assert.rejects(loadHardwareInventory('no-such-inventory'), /Cannot load hardware inventory no-such-inventory/);
+      await rejects('{"profiles": [', /Cannot load hardware inventory/);
+      await rejects({ profiles: {} }, /profiles must be an array/);
+      await rejects({ profiles: [null] }, /profile 0 must be an object/);
+      await rejects({ gpu_model_weights: { h100: 'fast' }, profiles: [] }, /gpu_model_weights.h100 must be a non-negative number/);
+      await rejects({ profiles: [{ site_id: 'a', cores: -4 }] }, /profile 0: cores must be a non-negative number/);
+      await rejects({ profiles: [{ site_id: 7 }] }, /profile 0: site_id must be a string/);
+      await rejects(
+        { gpu_model_weights: { a100: 1 }, profiles: [{ site_id: 'a', gpu_model: 'h100' }] },
+        /profile 0: gpu_model h100 is not in gpu_model_weights/
+      );
+      await rejects(
+        { profiles: [{ name: 'one', site_id: 'a', cores: 8 }, { name: 'two', site_id: 'a', cores: 16 }] },
+        /profiles 0 and 1 both match site_id=a/
+      );
+      await rejects({ profiles: [{ cores: 8 }, { gpus: 2 }] }, /profiles 0 and 1 both match every record/);
+
+      // A profile with its own gpu_weight may name a model the weights table lacks
+      await writeFile(inventoryPath, JSON.stringify({ profiles: [{ site_id: 'a', gpu_model: 'h100', gpu_weight: 2 }] }));
+      assert.strictEqual((await loadHardwareInventory(inventoryPath)).resolve({ site_id: 'a' }).gpu_weight, 2);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('picks the first listed of equally specific profiles', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'tsv-hardware-'));
+    try {
+      const inventoryPath = join(dir, 'inventory.json');
+      await writeFile(inventoryPath, JSON.stringify({
+        profiles: [
+          { name: 'site', site_id: 'a', cores: 8 },
+          { name: 'by-partition', site_id: 'a', partition_id: 'p', cores: 16 },
+          { name: 'by-cluster', site_id: 'a', cluster_id: 'c', cores: 32 }
+        ]
+      }));
+      const hardware = await loadHardwareInventory(inventoryPath);
+      assert.strictEqual(hardware.resolve({ site_id: 'a', cluster_id: 'c', partition_id: 'p' }).name, 'by-partition');
+      assert.strictEqual(hardware.resolve({ site_id: 'a', cluster_id: 'c' }).name, 'by-cluster');
+      assert.strictEqual(hardware.resolve({ site_id: 'a' }).name, 'site');
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('parses the work units options shared by enst and replay', async () => {
+    const defaults = await parseWorkUnitsOptions({});
+    assert.strictEqual(defaults.workUnitsMode, 'infra');
+    assert.strictEqual(defaults.gpuWeight, 1);
+    assert.strictEqual(defaults.hardware, null);
+
+    const parsed = await parseWorkUnitsOptions({
+      'work-units-mode': 'tokens',
+      'gpu-weight': '2',
+      'hardware-inventory': 'synthetic-sites',
+      'token-weights': 'decode=2'
+    });
+    assert.strictEqual(parsed.workUnitsMode, 'tokens');
+    assert.strictEqual(parsed.gpuWeight, 2);
+    assert.strictEqual(parsed.hardware.name, 'synthetic-sites');
+    assert.strictEqual(parsed.tokens.weights.decode, 2);
+
+    await assert.rejects(parseWorkUnitsOptions({ 'work-units-mode': 'flops_estimated' }), /Invalid work-units-mode/);
+    await assert.rejects(parseWorkUnitsOptions({ 'gpu-weight': '-1' }), /Invalid gpu-weight/);
+    await assert.rejects(parseWorkUnitsOptions({ 'hardware-inventory': 'no-such-inventory' }), /Cannot load hardware inventory/);
+    await assert.rejects(parseWorkUnitsOptions({ 'token-weights': 'prompt=1' }), /Invalid token weight/);
+  });
+});
+
 // ============================================
 // ENST Computation Tests
 // ============================================
@@ -358,6 +2502,124 @@ describe('EnstLeaderboard with Cost', () => {
     const entries = lb.getLeaderboard();
     assert.ok(entries[0].notes.includes('missing_price_defaulted'));
   });
+
+  test('computes facility ENST and cost from pue or metered facility energy', async () => {
+    assert.strictEqual(computeFacilityEnergy({ energy_j: 1000, pue: 1.5 }), 1500);
+    assert.strictEqual(computeFacilityEnergy({ energy_j: 1000, pue: 1.5, facility_energy_j: 1200 }), 1200);
+    assert.strictEqual(computeFacilityEnergy({ energy_j: 1000 }), 1000 * DEFAULT_PUE);
+    assert.strictEqual(computeFacilityEnergy({ pue: 1.5 }), null);
+
+    const records = [
+      { site_id: 'cool', ts_start: 0, ts_end: 300e6, energy_j: 3.6e9, pue: 1.1, cpu_core_seconds: 1000, price_usd_per_mwh: 50 },
+      { site_id: 'hot', ts_start: 0, ts_end: 300e6, energy_j: 3.0e9, facility_energy_j: 6.0e9, cpu_core_seconds: 1000, price_usd_per_mwh: 50 }
+    ];
+    const processed = [];
+    for await (const record of computeEnstStream(records)) {
+      processed.push(record);
+    }
+    assert.strictEqual(processed[0].enst_it, processed[0].enst);
+    assert.strictEqual(processed[0].enst_facility, 1000 / (3.6e9 * 1.1));
+    assert.strictEqual(processed[1].enst_facility, 1000 / 6.0e9);
+
+    const byIt = new EnstLeaderboard();
+    const byFacility = new EnstLeaderboard({ rankBy: 'facility' });
+    for (const record of processed) {
+      byIt.addRecord(record);
+      byFacility.addRecord(record);
+    }
+    assert.deepStrictEqual(byIt.getLeaderboard().map(e => e.site_id), ['hot', 'cool']);
+    const [cool] = byFacility.getLeaderboard();
+    assert.strictEqual(cool.site_id, 'cool');
+    assert.strictEqual(cool.cost_usd, 50);
+    assert.ok(Math.abs(cool.cost_facility_usd - 55) < 1e-9);
+    assert.ok(byFacility.toCsv().split('\n')[0].includes('enst_facility_units_per_j'));
+    assert.strictEqual(computeSummaryStats(byFacility).ranking_basis, 'facility');
+    assert.throws(() => new EnstLeaderboard({ rankBy: 'grid' }), /Unknown energy basis/);
+  });
+
+  test('defaults PUE for facility energy of windows without pue', () => {
+    const lb = new EnstLeaderboard({ defaultPue: 1.5 });
+    lb.addRecord({ site_id: 'test', cluster_id: 'c1', energy_j: 1000, work_units: 500 });
+    const [entry] = lb.getLeaderboard();
+    assert.strictEqual(entry.facility_energy_j, 1500);
+    assert.ok(entry.notes.includes('missing_pue_defaulted'));
+  });
+
+  test('uses the default PUE for per-record facility ENST', async () => {
+    const records = [
+      { site_id: 's', ts_start: 0, ts_end: 300e6, energy_j: 1000, validated_steps: 500 },
+      { site_id: 's', ts_start: 300e6, ts_end: 600e6, energy_j: 1000, pue: 2, validated_steps: 500 }
+    ];
+    const processed = [];
+    for await (const record of computeEnstStream(records, { workUnitsMode: 'domain', defaultPue: 1.25 })) {
+      processed.push(record);
+    }
+    assert.strictEqual(processed[0].enst_facility, 500 / 1250);
+    assert.strictEqual(processed[1].enst_facility, 500 / 2000);
+
+    // Without a default PUE, records and the leaderboard both fall back to DEFAULT_PUE
+    const leaderboard = new EnstLeaderboard({ workUnitsMode: 'domain', rankBy: 'facility' });
+    for await (const record of computeEnstStream(records.slice(0, 1), { workUnitsMode: 'domain' })) {
+      assert.strictEqual(record.enst_facility, 500 / (1000 * DEFAULT_PUE));
+      leaderboard.addRecord(record);
+    }
+    assert.strictEqual(leaderboard.getLeaderboard()[0].enst_facility_units_per_j, 500 / (1000 * DEFAULT_PUE));
+  });
+
+  test('prices facility cost by facility energy', () => {
+    // Same IT energy, but the expensive window runs at twice the PUE
+    const lb = new EnstLeaderboard({ defaultPue: 1 });
+    lb.addRecord({ site_id: 's', cluster_id: 'c', energy_j: 3.6e9, pue: 1, work_units: 1, price_usd_per_mwh: 40 });
+    lb.addRecord({ site_id: 's', cluster_id: 'c', energy_j: 3.6e9, pue: 2, work_units: 1, price_usd_per_mwh: 100 });
+    const [entry] = lb.getLeaderboard();
+    assert.strictEqual(entry.price_usd_per_mwh, 70);
+    assert.ok(Math.abs(entry.cost_usd - 140) < 1e-9);
+    // 1 MWh at $40 + 2 MWh at $100
+    assert.ok(Math.abs(entry.cost_facility_usd - 240) < 1e-9);
+  });
+
+  test('reports ENST spread on both energy bases in the summary', () => {
+    const lb = new EnstLeaderboard({ rankBy: 'facility' });
+    lb.addRecord({ site_id: 'a', cluster_id: 'c', energy_j: 100, pue: 2, work_units: 100 });
+    lb.addRecord({ site_id: 'b', cluster_id: 'c', energy_j: 100, pue: 1, work_units: 50 });
+    lb.addRecord({ site_id: 'c', cluster_id: 'c', energy_j: 100, pue: 1.25, work_units: 75 });
+    const summary = computeSummaryStats(lb);
+    assert.strictEqual(summary.min_enst, 0.5);
+    assert.strictEqual(summary.max_enst, 1);
+    assert.strictEqual(summary.median_enst, 0.75);
+    assert.strictEqual(summary.min_enst_facility, 0.5);
+    assert.strictEqual(summary.max_enst_facility, 0.6);
+    assert.strictEqual(summary.median_enst_facility, 0.5);
+  });
+
+  test('groups entries at the requested identity level', () => {
+    const records = [
+      { site_id: 's', cluster_id: 'c1', partition_id: 'gpu', node_id: 'n1', energy_j: 100, work_units: 10 },
+      { site_id: 's', cluster_id: 'c1', partition_id: 'gpu', node_id: 'n2', energy_j: 100, work_units: 30 },
+      { site_id: 's', cluster_id: 'c2', partition_id: 'cpu', node_id: 'n3', energy_j: 100, work_units: 20 }
+    ];
+    const build = (groupBy) => {
+      const lb = new EnstLeaderboard({ groupBy });
+      records.forEach(r => lb.addRecord(r));
+      return lb;
+    };
+
+    assert.strictEqual(build('site').getLeaderboard().length, 1);
+    assert.strictEqual(build('site').getLeaderboard()[0].cluster_id, 'default');
+    assert.strictEqual(build().getLeaderboard().length, 2);
+    const nodes = build('node');
+    assert.strictEqual(nodes.getLeaderboard()[0].node_id, 'n2');
+    assert.ok(nodes.toCsv().split('\n')[0].includes('partition_id,node_id'));
+    assert.ok(!build().toCsv().includes('node_id'));
+  });
+
+  test('reports imputed energy share', () => {
+    const lb = new EnstLeaderboard();
+    lb.addRecord({ site_id: 's', energy_j: 300, work_units: 10 });
+    lb.addRecord({ site_id: 's', energy_j: 100, work_units: 10, imputed_fields: ['power_w', 'energy_j'] });
+    assert.strictEqual(lb.getLeaderboard()[0].imputed_energy_share, 0.25);
+    assert.ok(lb.toCsv().includes('imputed_energy_share'));
+  });
 });
 
 // ============================================